@@ -6,6 +6,23 @@ import { AuthContextApp } from './contexts/AuthContextApp';
 import AppLayout from './components/layouts/AppLayout';
 import HistogramExpansion from './components/modules/Histograms/HistogramExpansion';
 import HistogramEqualization from './components/modules/Histograms/HistogramEqualization';
+import HistogramSpecification from './components/modules/Histograms/HistogramSpecification';
+import HistogramPointOperations from './components/modules/Histograms/HistogramPointOperations';
+import HistogramCLAHE from './components/modules/Histograms/HistogramCLAHE';
+import NashEquilibrium from './components/modules/GameTheory/NashEquilibrium';
+import PathMatrix from './components/modules/GraphTheory/PathMatrix';
+import ConnectedComponents from './components/modules/GraphTheory/ConnectedComponents';
+import Dijkstra from './components/modules/GraphTheory/Dijkstra';
+import HamiltonianCycle from './components/modules/GraphTheory/HamiltonianCycle';
+import FordFulkerson from './components/modules/GraphTheory/FordFulkerson';
+import FilterWorkbench from './components/modules/Filters/FilterWorkbench';
+import LinearCongruences from './components/modules/ModularArithmetic/LinearCongruences';
+import RSAEncryption from './components/modules/ModularArithmetic/RSAEncryption';
+import ClassicalCiphers from './components/modules/ModularArithmetic/ClassicalCiphers';
+import DiffieHellman from './components/modules/ModularArithmetic/DiffieHellman';
+import HuffmanCoding from './components/modules/Coding/HuffmanCoding';
+import HasseDiagram from './components/modules/Relations/HasseDiagram';
+import TruthTable from './components/modules/Logic/TruthTable';
 import OpinionPage from './pages/OpinionPage';
 
 function App() {
@@ -16,6 +33,25 @@ function App() {
           <Route path="" element={<HistogramExpansion />} />
           <Route path="expansion" element={<HistogramExpansion />} />
           <Route path="ecualization" element={<HistogramEqualization />} />
+          <Route path="especificacion" element={<HistogramSpecification />} />
+          <Route path="operaciones-puntuales" element={<HistogramPointOperations />} />
+          <Route path="clahe" element={<HistogramCLAHE />} />
+          <Route path="filtros/laplaciano" element={<FilterWorkbench key="laplacian" filterType="laplacian" />} />
+          <Route path="filtros/media" element={<FilterWorkbench key="mean" filterType="mean" />} />
+          <Route path="filtros/mediana" element={<FilterWorkbench key="median" filterType="median" />} />
+          <Route path="juegos" element={<NashEquilibrium />} />
+          <Route path="matriz-caminos" element={<PathMatrix />} />
+          <Route path="conexas" element={<ConnectedComponents />} />
+          <Route path="dijkstra" element={<Dijkstra />} />
+          <Route path="hamiltoniano" element={<HamiltonianCycle />} />
+          <Route path="ford-fulkerson" element={<FordFulkerson />} />
+          <Route path="aritmetica/congruencias" element={<LinearCongruences />} />
+          <Route path="aritmetica/rsa" element={<RSAEncryption />} />
+          <Route path="aritmetica/cifrados" element={<ClassicalCiphers />} />
+          <Route path="aritmetica/diffie-hellman" element={<DiffieHellman />} />
+          <Route path="huffman" element={<HuffmanCoding />} />
+          <Route path="hasse" element={<HasseDiagram />} />
+          <Route path="tablas-verdad" element={<TruthTable />} />
         </Route>
         <Route path="opinion" element={<OpinionPage />} />
       </Routes>
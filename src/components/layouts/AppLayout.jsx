@@ -44,6 +44,24 @@ const menuItems = [
         type: 'single',
         route: '/ecualization'
     },
+    {
+        id: 'especificacion',
+        label: 'Especificación de un histograma',
+        type: 'single',
+        route: '/especificacion'
+    },
+    {
+        id: 'operaciones-puntuales',
+        label: 'Operaciones puntuales',
+        type: 'single',
+        route: '/operaciones-puntuales'
+    },
+    {
+        id: 'clahe',
+        label: 'CLAHE',
+        type: 'single',
+        route: '/clahe'
+    },
     {
         id: 'filtros',
         label: 'Filtros',
@@ -60,7 +78,9 @@ const menuItems = [
         type: 'dropdown',
         children: [
             { id: 'congruencias', label: 'Congruencias lineales', route: '/aritmetica/congruencias' },
-            { id: 'rsa', label: 'Encriptación RSA', route: '/aritmetica/rsa' }
+            { id: 'rsa', label: 'Encriptación RSA', route: '/aritmetica/rsa' },
+            { id: 'cifrados', label: 'Cifrados clásicos', route: '/aritmetica/cifrados' },
+            { id: 'diffie-hellman', label: 'Diffie-Hellman y ElGamal', route: '/aritmetica/diffie-hellman' }
         ]
     },
     {
@@ -78,26 +98,26 @@ const menuItems = [
     {
         id: 'hamiltoniano',
         label: 'Ciclo Hamiltoniano',
-        type: 'external',
-        url: './assets/hamiltoniano.html'
+        type: 'single',
+        route: '/hamiltoniano'
     },
     {
         id: 'ford-fulkerson',
         label: 'Algoritmo de Ford-Fulkerson',
-        type: 'external',
-        url: 'https://graphonline.ru/es/'
+        type: 'single',
+        route: '/ford-fulkerson'
     },
     {
         id: 'dijkstra',
         label: 'Algoritmo de Dijkstra',
-        type: 'external',
-        url: 'https://graphonline.ru/es/'
+        type: 'single',
+        route: '/dijkstra'
     },
     {
         id: 'huffman',
         label: 'Algoritmo de Huffman',
-        type: 'external',
-        url: './assets/huffman/index.html'
+        type: 'single',
+        route: '/huffman'
     },
     {
         id: 'juegos',
@@ -108,14 +128,14 @@ const menuItems = [
     {
         id: 'hasse',
         label: 'Diagrama de Hasse',
-        type: 'external',
-        url: './assets/DiagramaHasse/index.html'
+        type: 'single',
+        route: '/hasse'
     },
     {
         id: 'verdad',
         label: 'Tablas de verdad',
-        type: 'external',
-        url: './assets/tablas-verdad/index.html'
+        type: 'single',
+        route: '/tablas-verdad'
     }
 ];
 
@@ -0,0 +1,614 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Delete,
+    AccountTree,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+import { displaySymbol } from '../../../utils/algorithms/huffman';
+
+const DEFAULT_CONFIG = {
+    source: 'text',
+    text: 'ABRACADABRA',
+    frequencies: [
+        { symbol: 'a', frequency: '45' },
+        { symbol: 'b', frequency: '13' },
+        { symbol: 'c', frequency: '12' },
+        { symbol: 'd', frequency: '16' },
+        { symbol: 'e', frequency: '9' },
+        { symbol: 'f', frequency: '5' }
+    ]
+};
+
+const CANVAS_WIDTH = 760;
+const CANVAS_HEIGHT = 380;
+const VERTEX_SIZE = 30;
+
+const HuffmanCoding = () => {
+    const [results, setResults] = useState(null);
+    const [selectedSymbol, setSelectedSymbol] = useState(null);
+    const [bitstring, setBitstring] = useState('');
+    const [decoded, setDecoded] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Configuración persistida entre sesiones
+    const [config, setConfig] = useLocalStorage('huffmanCoding', DEFAULT_CONFIG);
+
+    // Hook de algoritmos
+    const {
+        coding,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de canvas para el árbol
+    const {
+        canvasRef,
+        isReady: canvasReady,
+        loadGraph,
+        setCustomDrawings,
+        Vertex,
+        Edge
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...prev, ...changes }));
+        setResults(null);
+        setDecoded(null);
+        setSelectedSymbol(null);
+    }, [setConfig]);
+
+    const updateFrequency = useCallback((index, field, value) => {
+        updateConfig({
+            frequencies: config.frequencies.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+        });
+    }, [config.frequencies, updateConfig]);
+
+    const addFrequency = useCallback(() => {
+        updateConfig({ frequencies: [...config.frequencies, { symbol: '', frequency: '1' }] });
+    }, [config.frequencies, updateConfig]);
+
+    const removeFrequency = useCallback((index) => {
+        updateConfig({ frequencies: config.frequencies.filter((_, i) => i !== index) });
+    }, [config.frequencies, updateConfig]);
+
+    // Construir el árbol y la tabla de códigos
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            let result;
+
+            if (config.source === 'text') {
+                if (!config.text) {
+                    setValidationError('Ingrese un texto para codificar');
+                    return;
+                }
+                result = await coding.huffmanFromText(config.text);
+            } else {
+                const frequencies = config.frequencies.map(({ symbol, frequency }) => ({
+                    symbol,
+                    frequency: Number(frequency)
+                }));
+                result = await coding.huffmanFromFrequencies(frequencies);
+            }
+
+            setResults({ ...result, source: config.source });
+            setBitstring(result.encoded ? result.encoded.bitstring : '');
+            setDecoded(null);
+            setSelectedSymbol(null);
+        } catch (error) {
+            console.error('Error construyendo el árbol de Huffman:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [config, coding]);
+
+    // Decodificar una cadena de bits con el árbol actual
+    const handleDecode = useCallback(async () => {
+        if (!results) return;
+
+        try {
+            setValidationError('');
+            setDecoded(await coding.huffmanDecode(bitstring, results.tree));
+        } catch (error) {
+            setValidationError(error.message);
+            setDecoded(null);
+        }
+    }, [results, bitstring, coding]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setResults(null);
+        setDecoded(null);
+        setBitstring('');
+        setSelectedSymbol(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    const handleClear = useCallback(() => {
+        if (config.source === 'text') {
+            updateConfig({ text: '' });
+        } else {
+            updateConfig({ frequencies: [{ symbol: '', frequency: '1' }] });
+        }
+    }, [config.source, updateConfig]);
+
+    // Dibujar el árbol: hojas en verde, nodos internos con su peso
+    useEffect(() => {
+        if (!canvasReady) return;
+
+        if (!results) {
+            loadGraph([], []);
+            setCustomDrawings([]);
+            return;
+        }
+
+        const { nodes, root } = results.tree;
+        const positions = canvasHelpers.treeLayout(
+            nodes[root],
+            node => [node.left, node.right].filter(id => id !== null).map(id => nodes[id]),
+            CANVAS_WIDTH,
+            CANVAS_HEIGHT,
+            { marginX: VERTEX_SIZE, marginY: VERTEX_SIZE + 6 }
+        );
+
+        // Camino desde la raíz hasta la hoja seleccionada
+        const pathIds = new Set();
+        if (selectedSymbol !== null) {
+            let current = nodes.find(node => node.symbol === selectedSymbol);
+            while (current) {
+                pathIds.add(current.id);
+                current = current.parent !== null ? nodes[current.parent] : null;
+            }
+        }
+
+        const vertices = [];
+        nodes.forEach(node => {
+            const position = positions[node.id];
+            const isLeaf = node.symbol !== null;
+
+            vertices[node.id] = new Vertex(
+                node.id,
+                position.x - VERTEX_SIZE / 2,
+                position.y - VERTEX_SIZE / 2,
+                isLeaf ? displaySymbol(node.symbol) : Number(node.frequency.toFixed(3)),
+                {
+                    size: VERTEX_SIZE,
+                    color: pathIds.has(node.id)
+                        ? canvasHelpers.COLORS.secondary
+                        : isLeaf ? canvasHelpers.COLORS.success : canvasHelpers.COLORS.primary
+                }
+            );
+        });
+
+        const edges = [];
+        nodes.forEach(node => {
+            [[node.left, '0'], [node.right, '1']].forEach(([child, bit]) => {
+                if (child === null) return;
+                edges.push(new Edge(vertices[node.id], vertices[child], bit, {
+                    color: canvasHelpers.COLORS.edge.default,
+                    highlightColor: canvasHelpers.COLORS.secondary,
+                    isHighlighted: pathIds.has(child),
+                    lineWidth: pathIds.has(child) ? 3 : 2
+                }));
+            });
+        });
+
+        loadGraph(vertices, edges);
+
+        // Frecuencia bajo cada hoja
+        setCustomDrawings([(context) => {
+            context.font = '11px Verdana';
+            context.fillStyle = '#333333';
+            context.textAlign = 'center';
+            nodes.forEach(node => {
+                if (node.symbol === null) return;
+                const position = positions[node.id];
+                context.fillText(String(node.frequency), position.x, position.y + VERTEX_SIZE / 2 + 13);
+            });
+        }]);
+    }, [canvasReady, results, selectedSymbol, Vertex, Edge, loadGraph, setCustomDrawings]);
+
+    const statistics = results?.statistics;
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <AccountTree fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Algoritmo de Huffman
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Códigos prefijos óptimos a partir de frecuencias o de un texto
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={4}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+                                <Typography variant="h6" color="primary">
+                                    Entrada
+                                </Typography>
+                                <Tooltip title="Limpiar entrada">
+                                    <IconButton onClick={handleClear} size="small">
+                                        <Clear />
+                                    </IconButton>
+                                </Tooltip>
+                            </Box>
+
+                            <ToggleButtonGroup
+                                exclusive
+                                fullWidth
+                                size="small"
+                                value={config.source}
+                                onChange={(_, value) => value && updateConfig({ source: value })}
+                                sx={{ mb: 2 }}
+                            >
+                                <ToggleButton value="text">Texto</ToggleButton>
+                                <ToggleButton value="frequencies">Frecuencias</ToggleButton>
+                            </ToggleButtonGroup>
+
+                            {config.source === 'text' ? (
+                                <TextField
+                                    fullWidth
+                                    multiline
+                                    minRows={3}
+                                    label="Texto a codificar"
+                                    value={config.text}
+                                    onChange={(e) => updateConfig({ text: e.target.value })}
+                                    helperText={`${Array.from(config.text).length} caracteres`}
+                                />
+                            ) : (
+                                <Box>
+                                    {config.frequencies.map((row, index) => (
+                                        <Box key={index} display="flex" gap={1} mb={1} alignItems="center">
+                                            <TextField
+                                                size="small"
+                                                label="Símbolo"
+                                                value={row.symbol}
+                                                onChange={(e) => updateFrequency(index, 'symbol', e.target.value)}
+                                                sx={{ width: 100 }}
+                                            />
+                                            <TextField
+                                                size="small"
+                                                label="Frecuencia"
+                                                type="number"
+                                                value={row.frequency}
+                                                onChange={(e) => updateFrequency(index, 'frequency', e.target.value)}
+                                                inputProps={{ min: 0, step: 'any' }}
+                                                sx={{ flexGrow: 1 }}
+                                            />
+                                            <IconButton
+                                                size="small"
+                                                onClick={() => removeFrequency(index)}
+                                                disabled={config.frequencies.length <= 1}
+                                            >
+                                                <Delete fontSize="small" />
+                                            </IconButton>
+                                        </Box>
+                                    ))}
+                                    <Button size="small" startIcon={<Add />} onClick={addFrequency}>
+                                        Agregar símbolo
+                                    </Button>
+                                </Box>
+                            )}
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Calculando...' : 'Construir árbol'}
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+
+                            {/* Métricas */}
+                            {statistics && (
+                                <Paper sx={{ p: 2, mt: 3, bgcolor: 'grey.50' }}>
+                                    <Typography variant="subtitle1" gutterBottom>
+                                        Métricas
+                                    </Typography>
+                                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                        <Chip label={`L = ${statistics.averageLength.toFixed(3)} bits/símbolo`} color="primary" />
+                                        <Chip label={`H = ${statistics.entropy.toFixed(3)} bits/símbolo`} variant="outlined" />
+                                        <Chip label={`Eficiencia ${(statistics.efficiency * 100).toFixed(1)}%`} variant="outlined" />
+                                        {results.source === 'text' && (
+                                            <Chip
+                                                label={`Razón de compresión ${(statistics.compressionRatio * 100).toFixed(1)}%`}
+                                                color="success"
+                                            />
+                                        )}
+                                        <Chip
+                                            label={`Frente a longitud fija ${(statistics.fixedLengthRatio * 100).toFixed(1)}%`}
+                                            color={results.source === 'text' ? 'default' : 'success'}
+                                            variant={results.source === 'text' ? 'outlined' : 'filled'}
+                                        />
+                                    </Box>
+                                    <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                        {results.source === 'text'
+                                            ? `${statistics.encodedBits} bits codificados frente a ${statistics.originalBits} bits con 8 bits por carácter y ${statistics.fixedBits} bits con un código fijo de ${statistics.fixedLength} bits`
+                                            : `Respecto de un código de longitud fija de ${statistics.fixedLength} bits`}
+                                    </Typography>
+                                </Paper>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Árbol */}
+                <Grid item xs={12} lg={8}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Árbol de Huffman
+                            </Typography>
+
+                            {!results && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Ingrese un texto o una tabla de frecuencias<br />y construya el árbol
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {/* El canvas permanece montado para que useCanvas lo inicialice */}
+                            <Box
+                                sx={{
+                                    display: results ? 'flex' : 'none',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'primary.main',
+                                    borderRadius: 2,
+                                    p: 2,
+                                    overflowX: 'auto'
+                                }}
+                            >
+                                <canvas
+                                    ref={canvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+
+                            {results && (
+                                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                    Rama izquierda = 0, rama derecha = 1. Seleccione un símbolo en la tabla para resaltar su código.
+                                </Typography>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Tabla de códigos */}
+                {results && (
+                    <Grid item xs={12} md={6}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Tabla de Códigos
+                                </Typography>
+
+                                <TableContainer component={Paper} variant="outlined">
+                                    <Table size="small">
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell align="center"><strong>Símbolo</strong></TableCell>
+                                                <TableCell align="center"><strong>Frecuencia</strong></TableCell>
+                                                <TableCell align="center"><strong>pᵢ</strong></TableCell>
+                                                <TableCell align="center"><strong>Código</strong></TableCell>
+                                                <TableCell align="center"><strong>lᵢ</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {results.codeTable.map(entry => (
+                                                <TableRow
+                                                    key={entry.symbol}
+                                                    hover
+                                                    selected={entry.symbol === selectedSymbol}
+                                                    onClick={() => setSelectedSymbol(
+                                                        entry.symbol === selectedSymbol ? null : entry.symbol
+                                                    )}
+                                                    sx={{ cursor: 'pointer' }}
+                                                >
+                                                    <TableCell align="center">{displaySymbol(entry.symbol)}</TableCell>
+                                                    <TableCell align="center">{entry.frequency}</TableCell>
+                                                    <TableCell align="center">{entry.probability.toFixed(3)}</TableCell>
+                                                    <TableCell align="center" sx={{ fontFamily: 'monospace' }}>{entry.code}</TableCell>
+                                                    <TableCell align="center">{entry.length}</TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Codificación y decodificación */}
+                {results && (
+                    <Grid item xs={12} md={6}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Codificar y Decodificar
+                                </Typography>
+
+                                {results.encoded && (
+                                    <Paper sx={{ p: 2, mb: 2, bgcolor: 'grey.50' }}>
+                                        <Typography variant="subtitle2" gutterBottom>
+                                            Texto codificado ({results.encoded.bitstring.length} bits)
+                                        </Typography>
+                                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                                            {results.encoded.segments.map((segment, index) => (
+                                                <Tooltip key={index} title={displaySymbol(segment.symbol)}>
+                                                    <Chip
+                                                        size="small"
+                                                        label={segment.code}
+                                                        variant={segment.symbol === selectedSymbol ? 'filled' : 'outlined'}
+                                                        color={segment.symbol === selectedSymbol ? 'secondary' : 'default'}
+                                                        sx={{ fontFamily: 'monospace' }}
+                                                    />
+                                                </Tooltip>
+                                            ))}
+                                        </Box>
+                                    </Paper>
+                                )}
+
+                                <TextField
+                                    fullWidth
+                                    multiline
+                                    minRows={2}
+                                    label="Cadena de bits"
+                                    value={bitstring}
+                                    onChange={(e) => {
+                                        setBitstring(e.target.value);
+                                        setDecoded(null);
+                                    }}
+                                    InputProps={{ sx: { fontFamily: 'monospace' } }}
+                                />
+
+                                <Button
+                                    variant="outlined"
+                                    onClick={handleDecode}
+                                    disabled={isLoading || !bitstring}
+                                    sx={{ mt: 2 }}
+                                >
+                                    Decodificar
+                                </Button>
+
+                                {decoded && (
+                                    <Paper sx={{ p: 2, mt: 2, bgcolor: 'success.light' }}>
+                                        <Typography variant="subtitle2" gutterBottom>
+                                            Texto decodificado
+                                        </Typography>
+                                        <Typography variant="body1" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                            {decoded.segments.map(segment => displaySymbol(segment.symbol)).join('')}
+                                        </Typography>
+                                        <Typography variant="body2" sx={{ fontFamily: 'monospace', mt: 1 }}>
+                                            {decoded.segments.map(segment => `${segment.code}→${displaySymbol(segment.symbol)}`).join('  ')}
+                                        </Typography>
+                                    </Paper>
+                                )}
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default HuffmanCoding;
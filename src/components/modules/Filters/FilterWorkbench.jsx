@@ -0,0 +1,687 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    Casino,
+    FilterAlt,
+    Calculate
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import matrixHelpers from '../../../utils/helpers/matrixHelpers';
+import {
+    KERNEL_SIZES,
+    getMasksByCategory,
+    maskToMatrix,
+    POPULAR_MASKS,
+    DEFAULT_MASKS
+} from '../../../utils/constants/filterMasks';
+
+const DEFAULT_IMAGE = [
+    [2, 3, 3, 2, 1],
+    [3, 7, 6, 2, 1],
+    [3, 6, 0, 2, 2],
+    [2, 2, 2, 5, 6],
+    [1, 1, 2, 6, 7]
+];
+
+const CATEGORY_LABELS = {
+    laplacian: 'Laplacianos',
+    edge: 'Detección de bordes',
+    sharpen: 'Realce',
+    special: 'Especiales',
+    mean: 'Media',
+    gaussian: 'Gaussianos',
+    noise: 'Reducción de ruido'
+};
+
+const MAX_IMAGE_SIZE = 10;
+
+// Configuración de cada ruta del menú Filtros
+const FILTER_CONFIG = {
+    laplacian: {
+        title: 'Filtro Laplaciano',
+        description: 'Convolución con una máscara nxn y normalización del resultado al rango [0, 7]',
+        categories: ['laplacian', 'edge', 'sharpen', 'special'],
+        defaultMask: DEFAULT_MASKS.LAPLACIAN
+    },
+    mean: {
+        title: 'Filtro de Media',
+        description: 'Promedio ponderado de la vecindad nxn dividido por la suma de la máscara',
+        categories: ['mean', 'gaussian', 'noise'],
+        defaultMask: DEFAULT_MASKS.MEAN
+    },
+    median: {
+        title: 'Filtro de Mediana',
+        description: 'Valor central de la vecindad nxn ordenada',
+        categories: [],
+        defaultMask: null
+    }
+};
+
+// Máscara inicial de lado n: las predefinidas son 3x3, para 5x5 y 7x7 se generan
+// la media uniforme y el Laplaciano con centro n²-1 (suma cero)
+const createDefaultMask = (filterType, kernelSize) => {
+    const cells = kernelSize * kernelSize;
+    if (filterType === 'mean') return Array(cells).fill(1);
+    return Array.from({ length: cells }, (_, index) => (index === (cells - 1) / 2 ? cells - 1 : -1));
+};
+
+const FilterWorkbench = ({ filterType = 'laplacian' }) => {
+    const config = FILTER_CONFIG[filterType];
+    const usesMask = config.defaultMask !== null;
+
+    const [category, setCategory] = useState(config.categories[0] || '');
+    const [selectedMaskName, setSelectedMaskName] = useState(config.defaultMask?.name || '');
+    const [results, setResults] = useState(null);
+    const [selectedCell, setSelectedCell] = useState(null);
+    const [validationError, setValidationError] = useState('');
+    const [kernelSize, setKernelSize] = useState(3);
+
+    // Matriz de la imagen (NxM)
+    const image = useMatrix(5, {
+        type: 'rectangular',
+        minSize: 3,
+        maxSize: MAX_IMAGE_SIZE,
+        defaultValue: 0,
+        initialValues: DEFAULT_IMAGE
+    });
+
+    // Máscara nxn (n = 3, 5 o 7)
+    const mask = useMatrix(3, {
+        type: 'mask',
+        minSize: 3,
+        maxSize: 7,
+        defaultValue: 0,
+        initialValues: usesMask ? maskToMatrix(config.defaultMask.mask) : null
+    });
+
+    // Hook de algoritmos
+    const {
+        image: imageAlgorithms,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de persistencia (una entrada por filtro)
+    const [savedData, setSavedData] = useLocalStorage(`filters_${filterType}`, {
+        image: DEFAULT_IMAGE,
+        mask: config.defaultMask?.mask || null,
+        maskName: config.defaultMask?.name || '',
+        kernelSize: 3
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData && Object.keys(savedData).length > 0) {
+            if (savedData.image) image.setMatrixValues(savedData.image);
+            if (usesMask && savedData.mask) mask.setMask(savedData.mask);
+            setSelectedMaskName(savedData.maskName || '');
+            if (KERNEL_SIZES.includes(savedData.kernelSize)) setKernelSize(savedData.kernelSize);
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({
+            image: image.matrix,
+            mask: usesMask ? mask.matrix.flat() : null,
+            maskName: selectedMaskName,
+            kernelSize
+        });
+    }, [image.matrix, mask.matrix, selectedMaskName, kernelSize, usesMask, setSavedData]);
+
+    const rows = image.matrix.length;
+    const cols = image.matrix[0]?.length || 0;
+
+    // Máscaras disponibles para la categoría elegida y las populares compatibles
+    const categoryMasks = useMemo(() => (
+        category ? Object.values(getMasksByCategory(category)) : []
+    ), [category]);
+
+    const popularMasks = useMemo(() => {
+        const compatible = config.categories.flatMap(cat => Object.values(getMasksByCategory(cat)));
+        return POPULAR_MASKS.filter(popular => compatible.includes(popular));
+    }, [config.categories]);
+
+    // Seleccionar una máscara predefinida (el tamaño sale de su cantidad de coeficientes)
+    const selectMask = useCallback((maskObj) => {
+        mask.setMask(maskObj.mask);
+        setSelectedMaskName(maskObj.name);
+        setKernelSize(Math.round(Math.sqrt(maskObj.mask.length)));
+        setResults(null);
+    }, [mask]);
+
+    // Cambiar el lado de la ventana; con máscara se parte de la máscara por defecto de ese tamaño
+    const handleKernelSizeChange = useCallback((newSize) => {
+        setKernelSize(newSize);
+        if (usesMask) {
+            if (newSize === Math.round(Math.sqrt(config.defaultMask.mask.length))) {
+                mask.setMask(config.defaultMask.mask);
+                setSelectedMaskName(config.defaultMask.name);
+            } else {
+                mask.setMask(createDefaultMask(filterType, newSize));
+                setSelectedMaskName('');
+            }
+        }
+        setResults(null);
+        setSelectedCell(null);
+    }, [mask, usesMask, config, filterType]);
+
+    // Editar un coeficiente convierte la máscara en personalizada
+    const handleMaskChange = useCallback((i, j, value) => {
+        mask.updateValue(i, j, value);
+        setSelectedMaskName('');
+        setResults(null);
+    }, [mask]);
+
+    const handleImageChange = useCallback((i, j, value) => {
+        image.updateValue(i, j, value);
+        setResults(null);
+    }, [image]);
+
+    const handleDimensionsChange = useCallback((newRows, newCols) => {
+        if (image.updateDimensions(newRows, newCols)) {
+            setResults(null);
+            setSelectedCell(null);
+        }
+    }, [image]);
+
+    // Valores aleatorios de 3 bits (0..7)
+    const handleRandomFill = useCallback(() => {
+        image.setMatrixValues(matrixHelpers.createRandomMatrix(rows, cols, { min: 0, max: 8 }));
+        setResults(null);
+        setSelectedCell(null);
+    }, [image, rows, cols]);
+
+    // Aplicar el filtro y obtener la traza celda por celda
+    const applyFilter = useCallback(async () => {
+        try {
+            setValidationError('');
+            const matrix = image.toNumberMatrix();
+            const maskArray = usesMask ? mask.toFlatArray().map(val => parseFloat(val) || 0) : null;
+
+            const [result, trace] = await Promise.all([
+                imageAlgorithms.applyFilter(filterType, matrix, maskArray, kernelSize),
+                imageAlgorithms.traceFilter(filterType, matrix, maskArray, kernelSize)
+            ]);
+
+            setResults({ result, trace, maskArray });
+            setSelectedCell({ row: Math.floor(rows / 2), col: Math.floor(cols / 2) });
+        } catch (error) {
+            console.error('Error aplicando filtro:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [image, mask, usesMask, imageAlgorithms, filterType, kernelSize, rows, cols]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        image.setMatrixValues(DEFAULT_IMAGE);
+        setKernelSize(3);
+        if (usesMask) {
+            setCategory(config.categories[0]);
+            selectMask(config.defaultMask);
+        }
+        setResults(null);
+        setSelectedCell(null);
+        setValidationError('');
+    }, [image, usesMask, config, selectMask]);
+
+    // Limpiar imagen
+    const handleClear = useCallback(() => {
+        image.clearMatrix();
+        setResults(null);
+        setSelectedCell(null);
+        setValidationError('');
+    }, [image]);
+
+    const selectedTrace = results && selectedCell
+        ? results.trace.cells[selectedCell.row]?.[selectedCell.col]
+        : null;
+
+    const isInWindow = (i, j) => selectedTrace?.terms.some(term => term.row === i && term.col === j);
+
+    // Tabla de una matriz de imagen
+    const renderImageTable = (matrix, options = {}) => {
+        const { clickable = false, highlightWindow = false } = options;
+
+        return (
+            <TableContainer component={Paper} variant="outlined" sx={{ width: 'fit-content' }}>
+                <Table size="small">
+                    <TableBody>
+                        {matrix.map((row, i) => (
+                            <TableRow key={i}>
+                                {row.map((value, j) => {
+                                    const isSelected = selectedCell?.row === i && selectedCell?.col === j;
+                                    let bgcolor = 'inherit';
+                                    if (isSelected) bgcolor = 'warning.light';
+                                    else if (highlightWindow && isInWindow(i, j)) bgcolor = 'info.light';
+
+                                    return (
+                                        <TableCell
+                                            key={j}
+                                            align="center"
+                                            onClick={clickable ? () => setSelectedCell({ row: i, col: j }) : undefined}
+                                            sx={{
+                                                bgcolor,
+                                                width: 36,
+                                                fontWeight: isSelected ? 'bold' : 'normal',
+                                                cursor: clickable ? 'pointer' : 'default',
+                                                border: '1px solid',
+                                                borderColor: 'grey.300'
+                                            }}
+                                        >
+                                            {value}
+                                        </TableCell>
+                                    );
+                                })}
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+        );
+    };
+
+    // Explicación del píxel seleccionado
+    const renderExplanation = () => {
+        if (!selectedTrace) return null;
+
+        const { row, col } = selectedCell;
+        const { trace } = results;
+
+        if (filterType === 'median') {
+            return (
+                <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                    Vecindad: {selectedTrace.terms.map(term => term.value).join(', ')}<br />
+                    Ordenada: [{selectedTrace.sorted.join(', ')}] ({selectedTrace.sorted.length} valores)<br />
+                    {selectedTrace.sorted.length % 2 === 0
+                        ? `Cantidad par: promedio de los dos centrales = ${selectedTrace.value}`
+                        : `Elemento central = ${selectedTrace.value}`}<br />
+                    g({row + 1}, {col + 1}) = {selectedTrace.value}
+                </Typography>
+            );
+        }
+
+        const products = selectedTrace.terms
+            .map(term => `${term.value}·(${term.weight})`)
+            .join(' + ');
+
+        return (
+            <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                Σ = {products}<br />
+                Σ = {selectedTrace.sum}<br />
+                {filterType === 'mean' && (
+                    <>Σ / {trace.maskSum} = {Math.round((selectedTrace.sum / trace.maskSum) * 1000) / 1000} → redondeo = {selectedTrace.value}<br /></>
+                )}
+                {filterType === 'laplacian' && trace.normalization && (
+                    trace.normalization.min === trace.normalization.max
+                        ? <>Todas las sumas son iguales: no se normaliza<br /></>
+                        : <>Normalización: round({trace.normalization.maxValue} / ({trace.normalization.max} - ({trace.normalization.min})) · ({selectedTrace.sum} - ({trace.normalization.min}))) = {selectedTrace.value}<br /></>
+                )}
+                g({row + 1}, {col + 1}) = {selectedTrace.value}
+                {selectedTrace.terms.length < trace.kernelSize * trace.kernelSize && (
+                    <><br />Celda de borde: solo se usan {selectedTrace.terms.length} vecinos</>
+                )}
+            </Typography>
+        );
+    };
+
+    // Vecindad del píxel seleccionado con los pesos de la máscara
+    const renderNeighborhood = () => {
+        if (!selectedTrace) return null;
+
+        const { row, col } = selectedCell;
+        const offset = Math.floor(results.trace.kernelSize / 2);
+        const deltas = Array.from({ length: results.trace.kernelSize }, (_, index) => index - offset);
+        const grid = deltas.map(di => deltas.map(dj => (
+            selectedTrace.terms.find(term => term.row === row + di && term.col === col + dj) || null
+        )));
+
+        return (
+            <TableContainer component={Paper} variant="outlined" sx={{ width: 'fit-content' }}>
+                <Table size="small">
+                    <TableBody>
+                        {grid.map((gridRow, i) => (
+                            <TableRow key={i}>
+                                {gridRow.map((term, j) => (
+                                    <TableCell
+                                        key={j}
+                                        align="center"
+                                        sx={{
+                                            width: 64,
+                                            bgcolor: i === offset && j === offset ? 'warning.light' : 'inherit',
+                                            color: term ? 'text.primary' : 'text.disabled',
+                                            border: '1px solid',
+                                            borderColor: 'grey.300'
+                                        }}
+                                    >
+                                        {term
+                                            ? (term.weight !== null ? `${term.value}·${term.weight}` : term.value)
+                                            : 'fuera'}
+                                    </TableCell>
+                                ))}
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+        );
+    };
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <FilterAlt fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        {config.title}
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    {config.description}
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Imagen
+                            </Typography>
+
+                            {/* Dimensiones */}
+                            <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                                <Typography variant="body2">Filas: {rows}</Typography>
+                                <IconButton size="small" onClick={() => handleDimensionsChange(rows - 1, cols)}>
+                                    <Remove fontSize="small" />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDimensionsChange(rows + 1, cols)}>
+                                    <Add fontSize="small" />
+                                </IconButton>
+                                <Typography variant="body2">Columnas: {cols}</Typography>
+                                <IconButton size="small" onClick={() => handleDimensionsChange(rows, cols - 1)}>
+                                    <Remove fontSize="small" />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDimensionsChange(rows, cols + 1)}>
+                                    <Add fontSize="small" />
+                                </IconButton>
+                                <Tooltip title="Valores aleatorios entre 0 y 7">
+                                    <IconButton size="small" onClick={handleRandomFill}>
+                                        <Casino fontSize="small" />
+                                    </IconButton>
+                                </Tooltip>
+                            </Box>
+
+                            <Box
+                                sx={{
+                                    mt: 2,
+                                    display: 'inline-grid',
+                                    gridTemplateColumns: `repeat(${cols}, 48px)`,
+                                    gap: 0.5
+                                }}
+                            >
+                                {image.matrix.map((row, i) => row.map((value, j) => (
+                                    <TextField
+                                        key={`${i}-${j}`}
+                                        size="small"
+                                        value={value}
+                                        onChange={(e) => handleImageChange(i, j, e.target.value)}
+                                        inputProps={{ style: { textAlign: 'center', padding: '6px 4px' } }}
+                                    />
+                                )))}
+                            </Box>
+
+                            <Box sx={{ mt: 3 }}>
+                                <TextField
+                                    select
+                                    size="small"
+                                    label={usesMask ? 'Tamaño de la máscara' : 'Tamaño de la ventana'}
+                                    value={kernelSize}
+                                    onChange={(e) => handleKernelSizeChange(Number(e.target.value))}
+                                    sx={{ minWidth: 200 }}
+                                >
+                                    {KERNEL_SIZES.map(option => (
+                                        <MenuItem key={option} value={option}>{option}x{option}</MenuItem>
+                                    ))}
+                                </TextField>
+                            </Box>
+
+                            {/* Selector de máscara */}
+                            {usesMask && (
+                                <Box sx={{ mt: 3 }}>
+                                    <Typography variant="subtitle2" gutterBottom>
+                                        Máscara {kernelSize}x{kernelSize} {selectedMaskName ? `— ${selectedMaskName}` : '(personalizada)'}
+                                    </Typography>
+                                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+                                        Elija una máscara predefinida o edite cualquier coeficiente para usar una máscara propia
+                                    </Typography>
+
+                                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                                        {popularMasks.map(popular => (
+                                            <Chip
+                                                key={popular.name}
+                                                label={popular.name}
+                                                size="small"
+                                                color={popular.name === selectedMaskName ? 'primary' : 'default'}
+                                                onClick={() => selectMask(popular)}
+                                            />
+                                        ))}
+                                    </Box>
+
+                                    <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                                        <TextField
+                                            select
+                                            size="small"
+                                            label="Categoría"
+                                            value={category}
+                                            onChange={(e) => setCategory(e.target.value)}
+                                            sx={{ minWidth: 160 }}
+                                        >
+                                            {config.categories.map(cat => (
+                                                <MenuItem key={cat} value={cat}>{CATEGORY_LABELS[cat]}</MenuItem>
+                                            ))}
+                                        </TextField>
+
+                                        <TextField
+                                            select
+                                            size="small"
+                                            label="Máscara"
+                                            value={categoryMasks.some(m => m.name === selectedMaskName) ? selectedMaskName : ''}
+                                            onChange={(e) => selectMask(categoryMasks.find(m => m.name === e.target.value))}
+                                            sx={{ minWidth: 220 }}
+                                        >
+                                            {categoryMasks.map(m => (
+                                                <MenuItem key={m.name} value={m.name}>{m.name}</MenuItem>
+                                            ))}
+                                        </TextField>
+                                    </Box>
+
+                                    <Box
+                                        sx={{
+                                            mt: 2,
+                                            display: 'inline-grid',
+                                            gridTemplateColumns: `repeat(${mask.matrix.length}, 56px)`,
+                                            gap: 0.5
+                                        }}
+                                    >
+                                        {mask.matrix.map((row, i) => row.map((value, j) => (
+                                            <TextField
+                                                key={`${i}-${j}`}
+                                                size="small"
+                                                value={value}
+                                                onChange={(e) => handleMaskChange(i, j, e.target.value)}
+                                                inputProps={{ style: { textAlign: 'center', padding: '6px 4px' } }}
+                                            />
+                                        )))}
+                                    </Box>
+                                </Box>
+                            )}
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={applyFilter}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Aplicando...' : 'Aplicar Filtro'}
+                                </Button>
+
+                                <Box sx={{ display: 'flex', gap: 1, width: '100%' }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<Refresh />}
+                                        onClick={handleReset}
+                                        size="small"
+                                    >
+                                        Reset
+                                    </Button>
+
+                                    <Tooltip title="Limpiar imagen">
+                                        <IconButton onClick={handleClear} color="error" size="small">
+                                            <Clear />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Resultados */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Resultado
+                            </Typography>
+
+                            {!results && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Ingrese la imagen{usesMask ? ' y la máscara' : ''}<br />y aplique el filtro
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {results && (
+                                <Grid container spacing={3}>
+                                    <Grid item xs={12} sm={6}>
+                                        <Typography variant="subtitle2" gutterBottom>
+                                            Imagen original f
+                                        </Typography>
+                                        {renderImageTable(image.matrix, { highlightWindow: true })}
+                                    </Grid>
+                                    <Grid item xs={12} sm={6}>
+                                        <Typography variant="subtitle2" gutterBottom>
+                                            Imagen filtrada g (clic en un píxel)
+                                        </Typography>
+                                        {renderImageTable(results.result, { clickable: true })}
+                                    </Grid>
+                                </Grid>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Explicación celda por celda */}
+                {results && selectedTrace && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <Calculate color="primary" />
+                                    <Typography variant="h6">
+                                        Cálculo del píxel ({selectedCell.row + 1}, {selectedCell.col + 1})
+                                    </Typography>
+                                </Box>
+
+                                <Grid container spacing={3}>
+                                    <Grid item xs={12} md={results.trace.kernelSize > 3 ? 6 : 4}>
+                                        <Typography variant="subtitle2" gutterBottom>
+                                            {usesMask
+                                                ? 'Vecindad · máscara'
+                                                : `Vecindad ${results.trace.kernelSize}x${results.trace.kernelSize}`}
+                                        </Typography>
+                                        {renderNeighborhood()}
+                                    </Grid>
+                                    <Grid item xs={12} md={results.trace.kernelSize > 3 ? 6 : 8}>
+                                        <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                            {renderExplanation()}
+                                        </Paper>
+                                    </Grid>
+                                </Grid>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default FilterWorkbench;
@@ -0,0 +1,705 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    FormControlLabel,
+    Switch,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    SportsEsports,
+    ShowChart,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+
+const DEFAULT_PAYOFF_A = [
+    [2, 3, 1],
+    [4, 1, 3],
+    [1, 0, 0]
+];
+
+const DEFAULT_PAYOFF_B = [
+    [1, 0, 2],
+    [0, 2, 1],
+    [3, 1, 0]
+];
+
+const CANVAS_WIDTH = 500;
+const CANVAS_HEIGHT = 300;
+
+/**
+ * Formatea probabilidades y pagos con hasta 3 decimales
+ */
+const formatNumber = (value) => {
+    if (value === null || value === undefined) return '-';
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : rounded.toString();
+};
+
+const NashEquilibrium = () => {
+    // Configuración del juego
+    const [isZeroSum, setIsZeroSum] = useState(true);
+    const [strictDominance, setStrictDominance] = useState(false);
+    const [analysis, setAnalysis] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Matrices de pagos (A siempre, B solo en juegos bimatriciales)
+    const payoffA = useMatrix(3, {
+        type: 'rectangular',
+        minSize: 2,
+        maxSize: 6,
+        defaultValue: 0,
+        initialValues: DEFAULT_PAYOFF_A
+    });
+
+    const payoffB = useMatrix(3, {
+        type: 'rectangular',
+        minSize: 2,
+        maxSize: 6,
+        defaultValue: 0,
+        initialValues: DEFAULT_PAYOFF_B
+    });
+
+    // Hook de algoritmos
+    const {
+        game,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de canvas para el método gráfico
+    const {
+        canvasRef: graphCanvasRef,
+        clearCanvas: clearGraphCanvas,
+        isReady: graphCanvasReady
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    // Hook de persistencia
+    const [savedData, setSavedData] = useLocalStorage('gameTheory', {
+        payoffA: DEFAULT_PAYOFF_A,
+        payoffB: DEFAULT_PAYOFF_B,
+        isZeroSum: true,
+        strictDominance: false
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData && Object.keys(savedData).length > 0) {
+            if (savedData.payoffA) payoffA.setMatrixValues(savedData.payoffA);
+            if (savedData.payoffB) payoffB.setMatrixValues(savedData.payoffB);
+            setIsZeroSum(savedData.isZeroSum !== false);
+            setStrictDominance(savedData.strictDominance || false);
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({
+            payoffA: payoffA.matrix,
+            payoffB: payoffB.matrix,
+            isZeroSum,
+            strictDominance
+        });
+    }, [payoffA.matrix, payoffB.matrix, isZeroSum, strictDominance, setSavedData]);
+
+    const rows = payoffA.matrix.length;
+    const cols = payoffA.matrix[0]?.length || 0;
+
+    // Construye la matriz del juego: números (suma cero) o pares [a, b]
+    const buildGameMatrix = useCallback(() => {
+        const numbersA = payoffA.toNumberMatrix();
+        if (isZeroSum) return numbersA;
+
+        const numbersB = payoffB.toNumberMatrix();
+        return numbersA.map((row, i) => row.map((val, j) => [val, numbersB[i]?.[j] ?? 0]));
+    }, [payoffA, payoffB, isZeroSum]);
+
+    // Cambiar dimensiones de ambas matrices a la vez
+    const handleDimensionChange = useCallback((newRows, newCols) => {
+        const resized = payoffA.updateDimensions(newRows, newCols);
+        if (resized) {
+            payoffB.updateDimensions(newRows, newCols);
+            setAnalysis(null);
+        }
+    }, [payoffA, payoffB]);
+
+    // Analizar el juego
+    const calculateAnalysis = useCallback(async () => {
+        try {
+            setValidationError('');
+            const result = await game.analyzeGame(buildGameMatrix(), { strict: strictDominance });
+            setAnalysis(result);
+        } catch (error) {
+            console.error('Error en análisis del juego:', error);
+            setValidationError(error.message);
+            setAnalysis(null);
+        }
+    }, [game, buildGameMatrix, strictDominance]);
+
+    // Dibujar método gráfico (rectas de pago esperado)
+    const drawGraphicalMethod = useCallback(() => {
+        if (!graphCanvasReady || !analysis?.mixed?.lines) return;
+
+        const canvas = graphCanvasRef.current;
+        const ctx = canvas.getContext('2d');
+        const { lines, method, rowStrategy, colStrategy, value } = analysis.mixed;
+        const isRowPlayer = method === 'graphical-2xN';
+
+        clearGraphCanvas();
+
+        const margin = { top: 20, right: 70, bottom: 40, left: 50 };
+        const chartWidth = CANVAS_WIDTH - margin.left - margin.right;
+        const chartHeight = CANVAS_HEIGHT - margin.top - margin.bottom;
+
+        // Rango vertical a partir de los extremos de las rectas
+        const endpoints = lines.flatMap(line => [line.intercept, line.intercept + line.slope]);
+        const minY = Math.min(...endpoints, value);
+        const maxY = Math.max(...endpoints, value);
+        const rangeY = maxY - minY || 1;
+
+        const toX = (p) => margin.left + p * chartWidth;
+        const toY = (v) => margin.top + chartHeight - ((v - minY) / rangeY) * chartHeight;
+
+        // Ejes
+        ctx.strokeStyle = canvasHelpers.COLORS.histogram.text;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(margin.left, margin.top);
+        ctx.lineTo(margin.left, margin.top + chartHeight);
+        ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
+        ctx.lineTo(margin.left + chartWidth, margin.top);
+        ctx.stroke();
+
+        ctx.fillStyle = canvasHelpers.COLORS.histogram.text;
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('0', toX(0), margin.top + chartHeight + 15);
+        ctx.fillText('1', toX(1), margin.top + chartHeight + 15);
+        const axisLabel = isRowPlayer
+            ? `p = P(${analysis.labelsA[analysis.mixed.reducedRows[0]]})`
+            : `q = P(${analysis.labelsB[analysis.mixed.reducedCols[0]]})`;
+        ctx.fillText(axisLabel, toX(0.5), margin.top + chartHeight + 30);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatNumber(maxY), margin.left - 5, toY(maxY) + 4);
+        ctx.fillText(formatNumber(minY), margin.left - 5, toY(minY) + 4);
+
+        // Rectas de pago esperado
+        const palette = canvasHelpers.generateColorPalette(lines.length, { lightness: 45 });
+        const labels = isRowPlayer
+            ? analysis.mixed.reducedCols.map(j => analysis.labelsB[j])
+            : analysis.mixed.reducedRows.map(i => analysis.labelsA[i]);
+
+        lines.forEach((line, index) => {
+            ctx.strokeStyle = palette[index];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(toX(0), toY(line.intercept));
+            ctx.lineTo(toX(1), toY(line.intercept + line.slope));
+            ctx.stroke();
+
+            ctx.fillStyle = palette[index];
+            ctx.textAlign = 'left';
+            ctx.fillText(labels[index], toX(1) + 6, toY(line.intercept + line.slope) + 4);
+        });
+
+        // Punto óptimo
+        const optimum = isRowPlayer ? rowStrategy[analysis.mixed.reducedRows[0]] : colStrategy[analysis.mixed.reducedCols[0]];
+        ctx.fillStyle = canvasHelpers.COLORS.error;
+        ctx.beginPath();
+        ctx.arc(toX(optimum), toY(value), 5, 0, 2 * Math.PI);
+        ctx.fill();
+
+        canvasHelpers.drawTextWithBackground(
+            ctx,
+            `(${formatNumber(optimum)}, v = ${formatNumber(value)})`,
+            toX(optimum),
+            toY(value) - 14,
+            { font: '11px Arial', borderColor: canvasHelpers.COLORS.error }
+        );
+    }, [graphCanvasReady, analysis, graphCanvasRef, clearGraphCanvas]);
+
+    useEffect(() => {
+        if (analysis?.mixed?.lines) {
+            drawGraphicalMethod();
+        }
+    }, [analysis, drawGraphicalMethod]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        payoffA.setMatrixValues(DEFAULT_PAYOFF_A);
+        payoffB.setMatrixValues(DEFAULT_PAYOFF_B);
+        setIsZeroSum(true);
+        setStrictDominance(false);
+        setAnalysis(null);
+        setValidationError('');
+    }, [payoffA, payoffB]);
+
+    // Limpiar matrices
+    const handleClear = useCallback(() => {
+        payoffA.clearMatrix();
+        payoffB.clearMatrix();
+        setAnalysis(null);
+        setValidationError('');
+    }, [payoffA, payoffB]);
+
+    // Estado de una celda en el análisis (equilibrio, silla, eliminada)
+    const getCellStatus = (i, j) => {
+        if (!analysis) return {};
+
+        return {
+            isNash: analysis.nash.equilibria.some(eq => eq.row === i && eq.col === j),
+            isSaddle: analysis.saddle?.saddlePoints.some(sp => sp.row === i && sp.col === j),
+            isEliminated: !analysis.dominance.remainingRows.includes(i) ||
+                !analysis.dominance.remainingCols.includes(j)
+        };
+    };
+
+    // Entrada de una matriz de pagos
+    const renderMatrixInput = (matrixHook, title) => (
+        <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle2" gutterBottom>
+                {title}
+            </Typography>
+            <Box sx={{ display: 'inline-grid', gridTemplateColumns: `auto repeat(${cols}, 64px)`, gap: 0.5, alignItems: 'center' }}>
+                <Box />
+                {Array.from({ length: cols }, (_, j) => (
+                    <Typography key={j} variant="caption" align="center" color="text.secondary">
+                        B{j + 1}
+                    </Typography>
+                ))}
+                {matrixHook.matrix.map((row, i) => (
+                    <React.Fragment key={i}>
+                        <Typography variant="caption" color="text.secondary" sx={{ pr: 1 }}>
+                            A{i + 1}
+                        </Typography>
+                        {row.map((value, j) => (
+                            <TextField
+                                key={j}
+                                size="small"
+                                value={value}
+                                onChange={(e) => matrixHook.updateValue(i, j, e.target.value)}
+                                inputProps={{ style: { textAlign: 'center', padding: '6px 4px' } }}
+                            />
+                        ))}
+                    </React.Fragment>
+                ))}
+            </Box>
+        </Box>
+    );
+
+    // Celda de la tabla de resultados
+    const renderPayoffCell = (i, j) => {
+        const { isNash, isSaddle, isEliminated } = getCellStatus(i, j);
+        const a = payoffA.matrix[i][j];
+        const content = isZeroSum ? a : `(${a}, ${payoffB.matrix[i]?.[j]})`;
+
+        let bgcolor = 'inherit';
+        if (isSaddle || isNash) bgcolor = 'success.light';
+
+        return (
+            <TableCell
+                key={j}
+                align="center"
+                sx={{
+                    bgcolor,
+                    fontWeight: isNash || isSaddle ? 'bold' : 'normal',
+                    color: isEliminated ? 'text.disabled' : 'text.primary',
+                    textDecoration: isEliminated ? 'line-through' : 'none'
+                }}
+            >
+                {content}
+            </TableCell>
+        );
+    };
+
+    const canCalculate = rows > 0 && cols > 0 && !isLoading;
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'secondary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <SportsEsports fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Teoría de Juegos
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="primary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Equilibrios de Nash, puntos de silla, dominancia y estrategias mixtas en juegos de dos jugadores
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Matriz de Pagos
+                            </Typography>
+
+                            {/* Dimensiones */}
+                            <Box display="flex" alignItems="center" gap={3} flexWrap="wrap">
+                                <Box display="flex" alignItems="center" gap={1}>
+                                    <Typography variant="body2">Filas (A): {rows}</Typography>
+                                    <IconButton size="small" onClick={() => handleDimensionChange(rows - 1, cols)}>
+                                        <Remove fontSize="small" />
+                                    </IconButton>
+                                    <IconButton size="small" onClick={() => handleDimensionChange(rows + 1, cols)}>
+                                        <Add fontSize="small" />
+                                    </IconButton>
+                                </Box>
+                                <Box display="flex" alignItems="center" gap={1}>
+                                    <Typography variant="body2">Columnas (B): {cols}</Typography>
+                                    <IconButton size="small" onClick={() => handleDimensionChange(rows, cols - 1)}>
+                                        <Remove fontSize="small" />
+                                    </IconButton>
+                                    <IconButton size="small" onClick={() => handleDimensionChange(rows, cols + 1)}>
+                                        <Add fontSize="small" />
+                                    </IconButton>
+                                </Box>
+                            </Box>
+
+                            {renderMatrixInput(payoffA, isZeroSum ? 'Pagos al jugador A' : 'Pagos del jugador A')}
+                            {!isZeroSum && renderMatrixInput(payoffB, 'Pagos del jugador B')}
+
+                            {/* Opciones */}
+                            <Box sx={{ mt: 3 }}>
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={isZeroSum}
+                                            onChange={(e) => {
+                                                setIsZeroSum(e.target.checked);
+                                                setAnalysis(null);
+                                            }}
+                                            color="primary"
+                                        />
+                                    }
+                                    label="Juego de suma cero"
+                                />
+
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={strictDominance}
+                                            onChange={(e) => setStrictDominance(e.target.checked)}
+                                            color="primary"
+                                        />
+                                    }
+                                    label="Solo dominancia estricta"
+                                />
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateAnalysis}
+                                    disabled={!canCalculate}
+                                    fullWidth
+                                    size="large"
+                                    color="secondary"
+                                >
+                                    {isLoading ? 'Analizando...' : 'Analizar Juego'}
+                                </Button>
+
+                                <Box sx={{ display: 'flex', gap: 1, width: '100%' }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<Refresh />}
+                                        onClick={handleReset}
+                                        size="small"
+                                    >
+                                        Reset
+                                    </Button>
+
+                                    <Tooltip title="Limpiar matrices">
+                                        <IconButton onClick={handleClear} color="error" size="small">
+                                            <Clear />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Resultados principales */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Resultados
+                            </Typography>
+
+                            {!analysis && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Ingrese la matriz de pagos<br />y ejecute el análisis
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {analysis && (
+                                <Box>
+                                    <TableContainer component={Paper} variant="outlined">
+                                        <Table size="small">
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell />
+                                                    {analysis.labelsB.map(label => (
+                                                        <TableCell key={label} align="center"><strong>{label}</strong></TableCell>
+                                                    ))}
+                                                    {analysis.saddle && (
+                                                        <TableCell align="center"><strong>Mín. fila</strong></TableCell>
+                                                    )}
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {analysis.labelsA.map((label, i) => (
+                                                    <TableRow key={label}>
+                                                        <TableCell><strong>{label}</strong></TableCell>
+                                                        {analysis.labelsB.map((_, j) => renderPayoffCell(i, j))}
+                                                        {analysis.saddle && (
+                                                            <TableCell
+                                                                align="center"
+                                                                sx={{
+                                                                    bgcolor: analysis.saddle.maximin.strategies.includes(i) ? 'info.light' : 'grey.100'
+                                                                }}
+                                                            >
+                                                                {formatNumber(analysis.saddle.maximin.rowMinimums[i])}
+                                                            </TableCell>
+                                                        )}
+                                                    </TableRow>
+                                                ))}
+                                                {analysis.saddle && (
+                                                    <TableRow>
+                                                        <TableCell><strong>Máx. columna</strong></TableCell>
+                                                        {analysis.saddle.minimax.columnMaximums.map((val, j) => (
+                                                            <TableCell
+                                                                key={j}
+                                                                align="center"
+                                                                sx={{
+                                                                    bgcolor: analysis.saddle.minimax.strategies.includes(j) ? 'info.light' : 'grey.100'
+                                                                }}
+                                                            >
+                                                                {formatNumber(val)}
+                                                            </TableCell>
+                                                        ))}
+                                                        <TableCell />
+                                                    </TableRow>
+                                                )}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+
+                                    <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                        {analysis.saddle && (
+                                            <>
+                                                <Chip label={`Maximin = ${formatNumber(analysis.saddle.maximin.value)}`} color="info" variant="outlined" />
+                                                <Chip label={`Minimax = ${formatNumber(analysis.saddle.minimax.value)}`} color="info" variant="outlined" />
+                                                <Chip
+                                                    label={analysis.saddle.hasSaddlePoint
+                                                        ? `Punto de silla: ${analysis.saddle.saddlePoints.map(sp => sp.label).join(', ')}`
+                                                        : 'Sin punto de silla'}
+                                                    color={analysis.saddle.hasSaddlePoint ? 'success' : 'warning'}
+                                                />
+                                            </>
+                                        )}
+                                        <Chip
+                                            label={analysis.nash.count > 0
+                                                ? `Nash: ${analysis.nash.equilibria.map(eq => eq.label).join(', ')}`
+                                                : 'Sin equilibrio de Nash puro'}
+                                            color={analysis.nash.count > 0 ? 'success' : 'warning'}
+                                        />
+                                    </Box>
+
+                                    {analysis.mixed && (
+                                        <Paper sx={{ p: 2, mt: 2, bgcolor: 'grey.50' }}>
+                                            <Typography variant="subtitle1" gutterBottom>
+                                                Solución en estrategias mixtas
+                                            </Typography>
+                                            <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                                                A: ({analysis.mixed.rowStrategy.map(formatNumber).join(', ')})<br />
+                                                B: ({analysis.mixed.colStrategy.map(formatNumber).join(', ')})<br />
+                                                Valor del juego: {formatNumber(analysis.mixed.value)}
+                                                {analysis.mixed.valueB !== undefined && ` / Pago esperado de B: ${formatNumber(analysis.mixed.valueB)}`}
+                                            </Typography>
+                                        </Paper>
+                                    )}
+                                </Box>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Eliminación iterada de estrategias dominadas */}
+                {analysis && analysis.dominance.isReduced && (
+                    <Grid item xs={12} md={6}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Eliminación de Estrategias Dominadas
+                                </Typography>
+
+                                {analysis.dominance.eliminations.map((step, index) => (
+                                    <Box key={index} sx={{ mb: 2 }}>
+                                        <Typography variant="body2" gutterBottom>
+                                            {index + 1}. {analysis.dominance.steps[index]}
+                                        </Typography>
+                                        <TableContainer component={Paper} variant="outlined" sx={{ maxWidth: 400 }}>
+                                            <Table size="small">
+                                                <TableHead>
+                                                    <TableRow>
+                                                        <TableCell />
+                                                        {step.remainingCols.map(j => (
+                                                            <TableCell key={j} align="center">{analysis.labelsB[j]}</TableCell>
+                                                        ))}
+                                                    </TableRow>
+                                                </TableHead>
+                                                <TableBody>
+                                                    {step.remainingRows.map((i, rowIndex) => (
+                                                        <TableRow key={i}>
+                                                            <TableCell>{analysis.labelsA[i]}</TableCell>
+                                                            {step.matrix[rowIndex].map((val, colIndex) => (
+                                                                <TableCell key={colIndex} align="center">
+                                                                    {isZeroSum ? val : `(${val}, ${payoffB.matrix[i]?.[step.remainingCols[colIndex]]})`}
+                                                                </TableCell>
+                                                            ))}
+                                                        </TableRow>
+                                                    ))}
+                                                </TableBody>
+                                            </Table>
+                                        </TableContainer>
+                                    </Box>
+                                ))}
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Método gráfico (el canvas permanece montado para que useCanvas lo inicialice) */}
+                <Grid item xs={12} md={6} sx={{ display: analysis?.mixed?.lines ? 'block' : 'none' }}>
+                    <Card elevation={2}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                <ShowChart color="info" />
+                                <Typography variant="h6">
+                                    Método Gráfico
+                                </Typography>
+                            </Box>
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'info.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={graphCanvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Pasos del análisis */}
+                {analysis && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {analysis.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default NashEquilibrium;
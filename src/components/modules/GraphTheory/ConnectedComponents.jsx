@@ -0,0 +1,533 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    Hub,
+    CheckCircle,
+    Cancel,
+    AccountTree
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+
+const DEFAULT_ADJACENCY = [
+    [0, 1, 0, 0, 0, 0],
+    [0, 0, 1, 0, 0, 0],
+    [1, 0, 0, 1, 0, 0],
+    [0, 0, 0, 0, 1, 0],
+    [0, 0, 0, 1, 0, 1],
+    [0, 0, 0, 0, 0, 0]
+];
+
+const CANVAS_WIDTH = 420;
+const CANVAS_HEIGHT = 360;
+const VERTEX_SIZE = 28;
+const UNASSIGNED_COLOR = canvasHelpers.COLORS.primary;
+
+const ConnectedComponents = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Matriz de adyacencia del dígrafo
+    const adjacency = useMatrix(6, {
+        type: 'adjacency',
+        minSize: 2,
+        maxSize: 8,
+        defaultValue: 0,
+        initialValues: DEFAULT_ADJACENCY
+    });
+
+    // Hook de algoritmos
+    const {
+        graph,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Canvas del grafo original
+    const {
+        canvasRef: graphCanvasRef,
+        isReady: graphCanvasReady,
+        loadGraph: loadOriginalGraph,
+        Vertex,
+        Edge
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    // Canvas del grafo de condensación
+    const {
+        canvasRef: dagCanvasRef,
+        isReady: dagCanvasReady,
+        loadGraph: loadDagGraph
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    // Hook de persistencia
+    const [savedData, setSavedData] = useLocalStorage('connectedComponents', {
+        adjacency: DEFAULT_ADJACENCY
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData?.adjacency) {
+            adjacency.setMatrixValues(savedData.adjacency);
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({ adjacency: adjacency.matrix });
+    }, [adjacency.matrix, setSavedData]);
+
+    const size = adjacency.matrix.length;
+
+    // Un color por componente
+    const palette = useMemo(() => (
+        results ? canvasHelpers.generateColorPalette(results.components.length, { lightness: 45 }) : []
+    ), [results]);
+
+    // Dibujar el grafo original coloreando cada componente
+    useEffect(() => {
+        if (!graphCanvasReady) return;
+
+        const numbers = adjacency.matrix.map(row => row.map(value => Number(value) || 0));
+        const componentMap = results?.componentMap;
+        const positions = canvasHelpers.circularLayout(
+            size,
+            CANVAS_WIDTH / 2,
+            CANVAS_HEIGHT / 2,
+            Math.min(CANVAS_WIDTH, CANVAS_HEIGHT) / 2 - VERTEX_SIZE - 10
+        );
+
+        const vertices = positions.map((pos, i) => new Vertex(
+            i,
+            pos.x - VERTEX_SIZE / 2,
+            pos.y - VERTEX_SIZE / 2,
+            i + 1,
+            { size: VERTEX_SIZE, color: componentMap ? palette[componentMap[i]] : UNASSIGNED_COLOR }
+        ));
+
+        const edges = [];
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                if (!numbers[i][j]) continue;
+
+                // Los arcos internos toman el color de su componente
+                const sameComponent = componentMap && componentMap[i] === componentMap[j];
+                edges.push(new Edge(vertices[i], vertices[j], 1, {
+                    directed: true,
+                    showWeight: false,
+                    curvature: i !== j && numbers[j][i] ? 18 : 0,
+                    color: sameComponent ? palette[componentMap[i]] : canvasHelpers.COLORS.edge.default
+                }));
+            }
+        }
+
+        loadOriginalGraph(vertices, edges);
+    }, [graphCanvasReady, adjacency.matrix, size, results, palette, Vertex, Edge, loadOriginalGraph]);
+
+    // Dibujar el DAG de condensación por niveles (de izquierda a derecha)
+    useEffect(() => {
+        if (!dagCanvasReady) return;
+
+        if (!results) {
+            loadDagGraph([], []);
+            return;
+        }
+
+        const { components, edges: dagEdges, levels } = results.condensation;
+        const levelCount = Math.max(...levels) + 1;
+        const columnWidth = CANVAS_WIDTH / levelCount;
+        const levelMembers = Array(levelCount).fill().map(() => []);
+        levels.forEach((level, index) => levelMembers[level].push(index));
+
+        const vertices = [];
+        levelMembers.forEach((members, level) => {
+            const rowHeight = CANVAS_HEIGHT / members.length;
+            members.forEach((componentIndex, position) => {
+                vertices[componentIndex] = new Vertex(
+                    componentIndex,
+                    columnWidth * (level + 0.5) - VERTEX_SIZE / 2,
+                    rowHeight * (position + 0.5) - VERTEX_SIZE / 2,
+                    `C${componentIndex + 1}`,
+                    { size: VERTEX_SIZE, color: palette[componentIndex] }
+                );
+            });
+        });
+
+        const edges = dagEdges.map(([from, to]) => new Edge(vertices[from], vertices[to], 1, {
+            directed: true,
+            showWeight: false,
+            curvature: levels[to] - levels[from] > 1 ? 30 : 0,
+            color: canvasHelpers.COLORS.edge.default
+        }));
+
+        loadDagGraph(components.map((_, index) => vertices[index]), edges);
+    }, [dagCanvasReady, results, palette, Vertex, Edge, loadDagGraph]);
+
+    // Alternar arco i -> j
+    const toggleEdge = useCallback((i, j) => {
+        if (Number(adjacency.matrix[i][j]) === 1) {
+            adjacency.removeEdge(i, j);
+        } else {
+            adjacency.setEdge(i, j, 1);
+        }
+        setResults(null);
+    }, [adjacency]);
+
+    // Cambiar número de vértices
+    const handleSizeChange = useCallback((newSize) => {
+        if (adjacency.updateSize(newSize)) {
+            setResults(null);
+        }
+    }, [adjacency]);
+
+    // Calcular componentes fuertemente conexas y condensación
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            const matrix = adjacency.toNumberMatrix();
+
+            const [components, condensation] = await Promise.all([
+                graph.connectedComponents(matrix),
+                graph.condensation(matrix)
+            ]);
+
+            setResults({ ...components, condensation });
+        } catch (error) {
+            console.error('Error calculando componentes conexas:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [adjacency, graph]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        adjacency.setMatrixValues(DEFAULT_ADJACENCY);
+        setResults(null);
+        setValidationError('');
+    }, [adjacency]);
+
+    // Limpiar matriz
+    const handleClear = useCallback(() => {
+        adjacency.clearMatrix();
+        setResults(null);
+        setValidationError('');
+    }, [adjacency]);
+
+    // Tabla de P ∧ Pᵀ con cada fila coloreada según su componente
+    const renderReachabilityMatrix = () => (
+        <TableContainer component={Paper} variant="outlined" sx={{ width: 'fit-content' }}>
+            <Table size="small">
+                <TableHead>
+                    <TableRow>
+                        <TableCell />
+                        {results.mutualReachability.map((_, j) => (
+                            <TableCell key={j} align="center" sx={{ fontWeight: 'bold' }}>
+                                {j + 1}
+                            </TableCell>
+                        ))}
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {results.mutualReachability.map((row, i) => (
+                        <TableRow key={i}>
+                            <TableCell sx={{ fontWeight: 'bold', color: palette[results.componentMap[i]] }}>
+                                {i + 1}
+                            </TableCell>
+                            {row.map((value, j) => (
+                                <TableCell
+                                    key={j}
+                                    align="center"
+                                    sx={{
+                                        color: value ? palette[results.componentMap[i]] : 'text.disabled',
+                                        fontWeight: value ? 'bold' : 'normal'
+                                    }}
+                                >
+                                    {value}
+                                </TableCell>
+                            ))}
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </TableContainer>
+    );
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <Hub fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Componentes Conexas
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Componentes fuertemente conexas de un dígrafo y su grafo de condensación
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Matriz de Adyacencia
+                            </Typography>
+
+                            {/* Número de vértices */}
+                            <Box display="flex" alignItems="center" gap={1}>
+                                <Typography variant="body2">Vértices: {size}</Typography>
+                                <IconButton size="small" onClick={() => handleSizeChange(size - 1)}>
+                                    <Remove fontSize="small" />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleSizeChange(size + 1)}>
+                                    <Add fontSize="small" />
+                                </IconButton>
+                            </Box>
+
+                            <Typography variant="caption" color="text.secondary">
+                                Haga clic en una celda para agregar o quitar el arco fila → columna
+                            </Typography>
+
+                            <Box
+                                sx={{
+                                    mt: 2,
+                                    display: 'inline-grid',
+                                    gridTemplateColumns: `auto repeat(${size}, 40px)`,
+                                    gap: 0.5,
+                                    alignItems: 'center'
+                                }}
+                            >
+                                <Box />
+                                {adjacency.matrix.map((_, j) => (
+                                    <Typography key={j} variant="caption" align="center" color="text.secondary">
+                                        {j + 1}
+                                    </Typography>
+                                ))}
+                                {adjacency.matrix.map((row, i) => (
+                                    <React.Fragment key={i}>
+                                        <Typography variant="caption" color="text.secondary" sx={{ pr: 1 }}>
+                                            {i + 1}
+                                        </Typography>
+                                        {row.map((value, j) => {
+                                            const active = Number(value) === 1;
+                                            return (
+                                                <Button
+                                                    key={j}
+                                                    variant={active ? 'contained' : 'outlined'}
+                                                    onClick={() => toggleEdge(i, j)}
+                                                    sx={{ minWidth: 40, height: 40, p: 0 }}
+                                                >
+                                                    {active ? 1 : 0}
+                                                </Button>
+                                            );
+                                        })}
+                                    </React.Fragment>
+                                ))}
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Calculando...' : 'Calcular Componentes'}
+                                </Button>
+
+                                <Box sx={{ display: 'flex', gap: 1, width: '100%' }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<Refresh />}
+                                        onClick={handleReset}
+                                        size="small"
+                                    >
+                                        Reset
+                                    </Button>
+
+                                    <Tooltip title="Eliminar todos los arcos">
+                                        <IconButton onClick={handleClear} color="error" size="small">
+                                            <Clear />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Dígrafo coloreado */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Dígrafo
+                            </Typography>
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'primary.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={graphCanvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Listado de componentes */}
+                {results && (
+                    <Grid item xs={12} lg={5}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={2} mb={2} flexWrap="wrap">
+                                    <Typography variant="h6" color="primary">
+                                        Componentes ({results.count})
+                                    </Typography>
+                                    <Chip
+                                        icon={results.count === 1 ? <CheckCircle /> : <Cancel />}
+                                        label={results.count === 1 ? 'Fuertemente conexo' : 'No es fuertemente conexo'}
+                                        color={results.count === 1 ? 'success' : 'warning'}
+                                    />
+                                </Box>
+
+                                {results.components.map((component, index) => (
+                                    <Box key={index} display="flex" alignItems="center" gap={1} mb={1}>
+                                        <Chip
+                                            label={`C${index + 1}`}
+                                            size="small"
+                                            sx={{ bgcolor: palette[index], color: 'white', fontWeight: 'bold' }}
+                                        />
+                                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                                            {`{${component.map(v => v + 1).join(', ')}}`}
+                                        </Typography>
+                                    </Box>
+                                ))}
+
+                                <Typography variant="subtitle2" sx={{ mt: 3 }} gutterBottom>
+                                    Alcanzabilidad mutua P ∧ Pᵀ
+                                </Typography>
+                                <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1 }}>
+                                    Los vértices i y j están en la misma componente si y solo si P[i][j] = P[j][i] = 1
+                                </Typography>
+                                {renderReachabilityMatrix()}
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Grafo de condensación (el canvas permanece montado para que useCanvas lo inicialice) */}
+                <Grid item xs={12} lg={7} sx={{ display: results ? 'block' : 'none' }}>
+                    <Card elevation={2}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" gap={1} mb={1}>
+                                <AccountTree color="primary" />
+                                <Typography variant="h6">
+                                    Grafo de Condensación
+                                </Typography>
+                            </Box>
+                            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                Cada componente se contrae a un nodo; el resultado es siempre acíclico.
+                                {results && ` Orden topológico: ${results.condensation.topologicalOrder.map(c => `C${c + 1}`).join(' → ')}`}
+                            </Typography>
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'secondary.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={dagCanvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+            </Grid>
+        </Box>
+    );
+};
+
+export default ConnectedComponents;
@@ -0,0 +1,584 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    FormControlLabel,
+    Switch,
+    MenuItem,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    Route as RouteIcon,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+
+const DEFAULT_WEIGHTS = [
+    [0, 4, 2, 0, 0],
+    [4, 0, 1, 5, 0],
+    [2, 1, 0, 8, 10],
+    [0, 5, 8, 0, 2],
+    [0, 0, 10, 2, 0]
+];
+
+const CANVAS_WIDTH = 420;
+const CANVAS_HEIGHT = 360;
+const VERTEX_SIZE = 28;
+
+/**
+ * Formatea una etiqueta [distancia, predecesor] en notación de clase
+ */
+const formatLabel = ({ distance, predecessor }) => {
+    const d = distance === Infinity ? '∞' : distance;
+    const p = predecessor === null ? '-' : predecessor + 1;
+    return `[${d}, ${p}]`;
+};
+
+const Dijkstra = () => {
+    const [isDirected, setIsDirected] = useState(false);
+    const [source, setSource] = useState(0);
+    const [target, setTarget] = useState(4);
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Matriz de pesos (0 = sin arista)
+    const weights = useMatrix(5, {
+        type: 'adjacency',
+        minSize: 2,
+        maxSize: 8,
+        defaultValue: 0,
+        initialValues: DEFAULT_WEIGHTS
+    });
+
+    // Hook de algoritmos
+    const {
+        graph,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de canvas para el grafo
+    const {
+        canvasRef,
+        isReady: canvasReady,
+        loadGraph,
+        highlightPath,
+        Vertex,
+        Edge
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    // Hook de persistencia
+    const [savedData, setSavedData] = useLocalStorage('dijkstra', {
+        weights: DEFAULT_WEIGHTS,
+        isDirected: false,
+        source: 0,
+        target: 4
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData && Object.keys(savedData).length > 0) {
+            if (savedData.weights) weights.setMatrixValues(savedData.weights);
+            setIsDirected(savedData.isDirected || false);
+            setSource(savedData.source || 0);
+            setTarget(savedData.target || 0);
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({
+            weights: weights.matrix,
+            isDirected,
+            source,
+            target
+        });
+    }, [weights.matrix, isDirected, source, target, setSavedData]);
+
+    const size = weights.matrix.length;
+    const targetPath = results?.paths[target] || null;
+
+    // Dibujar el grafo y resaltar el camino mínimo hacia el destino
+    useEffect(() => {
+        if (!canvasReady) return;
+
+        const numbers = weights.matrix.map(row => row.map(value => Number(value) || 0));
+        const positions = canvasHelpers.circularLayout(
+            size,
+            CANVAS_WIDTH / 2,
+            CANVAS_HEIGHT / 2,
+            Math.min(CANVAS_WIDTH, CANVAS_HEIGHT) / 2 - VERTEX_SIZE - 10
+        );
+
+        const vertices = positions.map((pos, i) => {
+            let color = canvasHelpers.COLORS.primary;
+            if (i === source) color = canvasHelpers.COLORS.success;
+            else if (i === target) color = canvasHelpers.COLORS.secondary;
+
+            return new Vertex(i, pos.x - VERTEX_SIZE / 2, pos.y - VERTEX_SIZE / 2, i + 1, {
+                size: VERTEX_SIZE,
+                color
+            });
+        });
+
+        const edges = [];
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                const weight = numbers[i][j];
+                // En grafos no dirigidos cada arista se dibuja una sola vez
+                if (!weight || i === j || (!isDirected && j < i && numbers[j][i])) continue;
+
+                edges.push(new Edge(vertices[i], vertices[j], weight, {
+                    directed: isDirected,
+                    curvature: isDirected && numbers[j][i] ? 18 : 0,
+                    color: canvasHelpers.COLORS.edge.default,
+                    highlightColor: canvasHelpers.COLORS.edge.optimal,
+                    lineWidth: 2
+                }));
+            }
+        }
+
+        loadGraph(vertices, edges);
+        highlightPath(targetPath ? targetPath.edges : []);
+    }, [canvasReady, weights.matrix, size, isDirected, source, target, targetPath, Vertex, Edge, loadGraph, highlightPath]);
+
+    // Actualizar un peso (simétrico en grafos no dirigidos)
+    const handleWeightChange = useCallback((i, j, value) => {
+        weights.updateValue(i, j, value);
+        if (!isDirected && i !== j) {
+            weights.updateValue(j, i, value);
+        }
+        setResults(null);
+    }, [weights, isDirected]);
+
+    // Cambiar número de vértices
+    const handleSizeChange = useCallback((newSize) => {
+        if (weights.updateSize(newSize)) {
+            setSource(prev => Math.min(prev, newSize - 1));
+            setTarget(prev => Math.min(prev, newSize - 1));
+            setResults(null);
+        }
+    }, [weights]);
+
+    // Ejecutar Dijkstra desde el origen
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            const result = await graph.dijkstra(weights.toNumberMatrix(), source, { directed: isDirected });
+            setResults(result);
+        } catch (error) {
+            console.error('Error en Dijkstra:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [graph, weights, source, isDirected]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        weights.setMatrixValues(DEFAULT_WEIGHTS);
+        setIsDirected(false);
+        setSource(0);
+        setTarget(4);
+        setResults(null);
+        setValidationError('');
+    }, [weights]);
+
+    // Limpiar matriz
+    const handleClear = useCallback(() => {
+        weights.clearMatrix();
+        setResults(null);
+        setValidationError('');
+    }, [weights]);
+
+    // Celda de la tabla de etiquetas
+    const renderLabelCell = (iteration, label, v) => {
+        const previous = iteration.iteration > 0 ? results.iterations[iteration.iteration - 1] : null;
+        const fixedBefore = previous?.labels[v].permanent;
+
+        if (fixedBefore) {
+            return (
+                <TableCell key={v} align="center" sx={{ color: 'text.disabled' }}>
+                    —
+                </TableCell>
+            );
+        }
+
+        const isSelected = iteration.selected === v;
+        let bgcolor = 'inherit';
+        if (isSelected) bgcolor = 'success.light';
+        else if (label.updated) bgcolor = 'info.light';
+
+        return (
+            <TableCell
+                key={v}
+                align="center"
+                sx={{
+                    bgcolor,
+                    fontFamily: 'monospace',
+                    fontWeight: isSelected ? 'bold' : 'normal',
+                    color: label.distance === Infinity ? 'text.secondary' : 'text.primary'
+                }}
+            >
+                {formatLabel(label)}{isSelected && '*'}
+            </TableCell>
+        );
+    };
+
+    const vertexOptions = Array.from({ length: size }, (_, i) => i);
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <RouteIcon fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Algoritmo de Dijkstra
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Caminos mínimos desde un vértice con tabla de etiquetas temporales y permanentes
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Matriz de Pesos
+                            </Typography>
+
+                            {/* Número de vértices */}
+                            <Box display="flex" alignItems="center" gap={1}>
+                                <Typography variant="body2">Vértices: {size}</Typography>
+                                <IconButton size="small" onClick={() => handleSizeChange(size - 1)}>
+                                    <Remove fontSize="small" />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleSizeChange(size + 1)}>
+                                    <Add fontSize="small" />
+                                </IconButton>
+                            </Box>
+
+                            <Typography variant="caption" color="text.secondary">
+                                Un peso 0 indica que no hay arista
+                            </Typography>
+
+                            <Box
+                                sx={{
+                                    mt: 2,
+                                    display: 'inline-grid',
+                                    gridTemplateColumns: `auto repeat(${size}, 52px)`,
+                                    gap: 0.5,
+                                    alignItems: 'center'
+                                }}
+                            >
+                                <Box />
+                                {vertexOptions.map(j => (
+                                    <Typography key={j} variant="caption" align="center" color="text.secondary">
+                                        {j + 1}
+                                    </Typography>
+                                ))}
+                                {weights.matrix.map((row, i) => (
+                                    <React.Fragment key={i}>
+                                        <Typography variant="caption" color="text.secondary" sx={{ pr: 1 }}>
+                                            {i + 1}
+                                        </Typography>
+                                        {row.map((value, j) => (
+                                            <TextField
+                                                key={j}
+                                                size="small"
+                                                value={value}
+                                                disabled={i === j}
+                                                onChange={(e) => handleWeightChange(i, j, e.target.value)}
+                                                inputProps={{ style: { textAlign: 'center', padding: '6px 4px' } }}
+                                            />
+                                        ))}
+                                    </React.Fragment>
+                                ))}
+                            </Box>
+
+                            {/* Opciones */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+                                <TextField
+                                    select
+                                    size="small"
+                                    label="Origen"
+                                    value={source}
+                                    onChange={(e) => {
+                                        setSource(e.target.value);
+                                        setResults(null);
+                                    }}
+                                    sx={{ minWidth: 100 }}
+                                >
+                                    {vertexOptions.map(v => (
+                                        <MenuItem key={v} value={v}>{v + 1}</MenuItem>
+                                    ))}
+                                </TextField>
+
+                                <TextField
+                                    select
+                                    size="small"
+                                    label="Destino"
+                                    value={target}
+                                    onChange={(e) => setTarget(e.target.value)}
+                                    sx={{ minWidth: 100 }}
+                                >
+                                    {vertexOptions.map(v => (
+                                        <MenuItem key={v} value={v}>{v + 1}</MenuItem>
+                                    ))}
+                                </TextField>
+
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={isDirected}
+                                            onChange={(e) => {
+                                                setIsDirected(e.target.checked);
+                                                setResults(null);
+                                            }}
+                                            color="primary"
+                                        />
+                                    }
+                                    label="Grafo dirigido"
+                                />
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Calculando...' : 'Calcular Caminos Mínimos'}
+                                </Button>
+
+                                <Box sx={{ display: 'flex', gap: 1, width: '100%' }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<Refresh />}
+                                        onClick={handleReset}
+                                        size="small"
+                                    >
+                                        Reset
+                                    </Button>
+
+                                    <Tooltip title="Eliminar todas las aristas">
+                                        <IconButton onClick={handleClear} color="error" size="small">
+                                            <Clear />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Grafo */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" gap={2} mb={1} flexWrap="wrap">
+                                <Typography variant="h6" color="primary">
+                                    Grafo
+                                </Typography>
+                                {targetPath && (
+                                    <Chip
+                                        label={targetPath.path.length > 0
+                                            ? `${targetPath.pathString} (costo ${targetPath.distance})`
+                                            : `No hay camino de ${source + 1} a ${target + 1}`}
+                                        color={targetPath.path.length > 0 ? 'error' : 'warning'}
+                                        variant="outlined"
+                                    />
+                                )}
+                            </Box>
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'primary.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={canvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Tabla de etiquetas */}
+                {results && (
+                    <Grid item xs={12} lg={7}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Tabla de Etiquetas
+                                </Typography>
+                                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                    Etiquetas [distancia, predecesor]. Con * la etiqueta que se vuelve permanente;
+                                    en azul las etiquetas temporales actualizadas en la iteración.
+                                </Typography>
+
+                                <TableContainer component={Paper} variant="outlined">
+                                    <Table size="small">
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell><strong>Iteración</strong></TableCell>
+                                                {vertexOptions.map(v => (
+                                                    <TableCell key={v} align="center"><strong>{v + 1}</strong></TableCell>
+                                                ))}
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {results.iterations.map(iteration => (
+                                                <TableRow key={iteration.iteration}>
+                                                    <TableCell>{iteration.iteration}</TableCell>
+                                                    {iteration.labels.map((label, v) => renderLabelCell(iteration, label, v))}
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Resumen de caminos */}
+                {results && (
+                    <Grid item xs={12} lg={5}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Caminos desde {results.source + 1}
+                                </Typography>
+
+                                <TableContainer component={Paper} variant="outlined">
+                                    <Table size="small">
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell><strong>Vértice</strong></TableCell>
+                                                <TableCell align="center"><strong>Distancia</strong></TableCell>
+                                                <TableCell align="center"><strong>Predecesor</strong></TableCell>
+                                                <TableCell><strong>Camino</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {results.paths.map((path, v) => (
+                                                <TableRow
+                                                    key={v}
+                                                    hover
+                                                    selected={v === target}
+                                                    onClick={() => setTarget(v)}
+                                                    sx={{ cursor: 'pointer' }}
+                                                >
+                                                    <TableCell>{v + 1}</TableCell>
+                                                    <TableCell align="center">
+                                                        {path.distance === Infinity ? '∞' : path.distance}
+                                                    </TableCell>
+                                                    <TableCell align="center">
+                                                        {results.predecessors[v] === null ? '-' : results.predecessors[v] + 1}
+                                                    </TableCell>
+                                                    <TableCell sx={{ fontFamily: 'monospace' }}>{path.pathString}</TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default Dijkstra;
@@ -0,0 +1,731 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Pause,
+    SkipNext,
+    SkipPrevious,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    WaterDrop,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+
+const DEFAULT_CAPACITIES = [
+    [0, 16, 13, 0, 0, 0],
+    [0, 0, 10, 12, 0, 0],
+    [0, 4, 0, 0, 14, 0],
+    [0, 0, 9, 0, 0, 20],
+    [0, 0, 0, 7, 0, 4],
+    [0, 0, 0, 0, 0, 0]
+];
+
+const CANVAS_WIDTH = 560;
+const CANVAS_HEIGHT = 340;
+const VERTEX_SIZE = 28;
+const SEGMENT_DURATION = 600;
+const STEP_PAUSE = 500;
+
+/**
+ * Distribuye la red en columnas según la distancia (en arcos) desde la fuente;
+ * el sumidero siempre ocupa la última columna
+ */
+const layeredNetworkLayout = (capacities, source, sink) => {
+    const size = capacities.length;
+    const levels = Array(size).fill(-1);
+    const queue = [source];
+    levels[source] = 0;
+
+    while (queue.length > 0) {
+        const u = queue.shift();
+        for (let v = 0; v < size; v++) {
+            if (levels[v] === -1 && v !== sink && (capacities[u][v] > 0 || capacities[v][u] > 0)) {
+                levels[v] = levels[u] + 1;
+                queue.push(v);
+            }
+        }
+    }
+
+    // Vértices desconectados en una columna intermedia
+    const maxLevel = Math.max(...levels);
+    for (let v = 0; v < size; v++) {
+        if (levels[v] === -1 && v !== sink) levels[v] = Math.max(1, maxLevel);
+    }
+    levels[sink] = Math.max(...levels) + 1;
+
+    const columnCount = levels[sink] + 1;
+    const columns = Array(columnCount).fill().map(() => []);
+    levels.forEach((level, v) => columns[level].push(v));
+
+    const positions = Array(size);
+    const columnWidth = CANVAS_WIDTH / columnCount;
+    columns.forEach((members, level) => {
+        const rowHeight = CANVAS_HEIGHT / members.length;
+        members.forEach((v, position) => {
+            positions[v] = {
+                x: columnWidth * (level + 0.5) - VERTEX_SIZE / 2,
+                y: rowHeight * (position + 0.5) - VERTEX_SIZE / 2
+            };
+        });
+    });
+
+    return positions;
+};
+
+const FordFulkerson = () => {
+    const [source, setSource] = useState(0);
+    const [sink, setSink] = useState(5);
+    const [results, setResults] = useState(null);
+    const [currentStep, setCurrentStep] = useState(-1);
+    const [animatingStep, setAnimatingStep] = useState(null);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [validationError, setValidationError] = useState('');
+
+    // Matriz de capacidades (0 = sin arco)
+    const capacities = useMatrix(6, {
+        type: 'adjacency',
+        minSize: 2,
+        maxSize: 8,
+        defaultValue: 0,
+        initialValues: DEFAULT_CAPACITIES
+    });
+
+    // Hook de algoritmos
+    const {
+        graph,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de canvas con animación
+    const {
+        canvasRef,
+        isReady: canvasReady,
+        loadGraph,
+        highlightPath,
+        startAnimation,
+        stopAnimation,
+        Vertex,
+        Edge
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false,
+        enableAnimation: true
+    });
+
+    // Hook de persistencia
+    const [savedData, setSavedData] = useLocalStorage('fordFulkerson', {
+        capacities: DEFAULT_CAPACITIES,
+        source: 0,
+        sink: 5
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData && Object.keys(savedData).length > 0) {
+            if (savedData.capacities) capacities.setMatrixValues(savedData.capacities);
+            setSource(savedData.source || 0);
+            setSink(savedData.sink ?? DEFAULT_CAPACITIES.length - 1);
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({
+            capacities: capacities.matrix,
+            source,
+            sink
+        });
+    }, [capacities.matrix, source, sink, setSavedData]);
+
+    const size = capacities.matrix.length;
+    const numbers = useMemo(() => (
+        capacities.matrix.map(row => row.map(value => Number(value) || 0))
+    ), [capacities.matrix]);
+
+    const positions = useMemo(() => layeredNetworkLayout(numbers, source, sink), [numbers, source, sink]);
+
+    const isFinalStep = results && currentStep === results.augmentations.length - 1 && animatingStep === null;
+    const currentFlow = results && currentStep >= 0 ? results.augmentations[currentStep].flow : null;
+    const highlightedStep = animatingStep ?? currentStep;
+    const highlightedEdges = useMemo(() => (
+        results && highlightedStep >= 0 && !isFinalStep ? results.augmentations[highlightedStep].edges : []
+    ), [results, highlightedStep, isFinalStep]);
+
+    // Dibujar la red con etiquetas flujo/capacidad
+    useEffect(() => {
+        if (!canvasReady) return;
+
+        const cutEdges = isFinalStep ? results.minCut.edges : [];
+
+        const vertices = positions.map((pos, i) => {
+            let color = canvasHelpers.COLORS.primary;
+            if (i === source) color = canvasHelpers.COLORS.success;
+            else if (i === sink) color = canvasHelpers.COLORS.secondary;
+
+            return new Vertex(i, pos.x, pos.y, i + 1, { size: VERTEX_SIZE, color });
+        });
+
+        const edges = [];
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                if (!numbers[i][j] || i === j) continue;
+
+                const flow = currentFlow ? currentFlow[i][j] : 0;
+                const inCut = cutEdges.some(edge => edge.from === i && edge.to === j);
+
+                edges.push(new Edge(vertices[i], vertices[j], `${flow}/${numbers[i][j]}`, {
+                    directed: true,
+                    curvature: numbers[j][i] ? 18 : 0,
+                    color: inCut ? canvasHelpers.COLORS.error : canvasHelpers.COLORS.edge.default,
+                    highlightColor: canvasHelpers.COLORS.warning,
+                    lineWidth: inCut || flow > 0 ? 3 : 1
+                }));
+            }
+        }
+
+        loadGraph(vertices, edges);
+        highlightPath(highlightedEdges);
+    }, [canvasReady, positions, numbers, size, source, sink, results, currentFlow, isFinalStep, highlightedEdges, Vertex, Edge, loadGraph, highlightPath]);
+
+    // Animar cada camino de aumento: una gota recorre el camino arco por arco
+    useEffect(() => {
+        if (!isPlaying || !results) return undefined;
+
+        const next = currentStep + 1;
+        if (next >= results.augmentations.length) {
+            setIsPlaying(false);
+            return undefined;
+        }
+
+        const centers = results.augmentations[next].path.map(v => ({
+            x: positions[v].x + VERTEX_SIZE / 2,
+            y: positions[v].y + VERTEX_SIZE / 2
+        }));
+        const { bottleneck } = results.augmentations[next];
+
+        const timer = setTimeout(() => {
+            setAnimatingStep(next);
+
+            let segment = 0;
+            let transition = canvasHelpers.createTransition(centers[0], centers[1], SEGMENT_DURATION);
+
+            startAnimation((ctx) => {
+                const { current, completed } = transition();
+
+                ctx.fillStyle = canvasHelpers.COLORS.info;
+                ctx.beginPath();
+                ctx.arc(current.x, current.y, 7, 0, 2 * Math.PI);
+                ctx.fill();
+                canvasHelpers.drawTextWithBackground(ctx, `+${bottleneck}`, current.x, current.y - 16, {
+                    font: '11px Arial',
+                    borderColor: canvasHelpers.COLORS.info
+                });
+
+                if (completed) {
+                    segment++;
+                    if (segment < centers.length - 1) {
+                        transition = canvasHelpers.createTransition(centers[segment], centers[segment + 1], SEGMENT_DURATION);
+                    } else {
+                        stopAnimation();
+                        setAnimatingStep(null);
+                        setCurrentStep(next);
+                    }
+                }
+            });
+        }, STEP_PAUSE);
+
+        return () => {
+            clearTimeout(timer);
+            stopAnimation();
+        };
+    }, [isPlaying, currentStep, results, positions, startAnimation, stopAnimation]);
+
+    // Invalidar resultados al modificar la red
+    const invalidateResults = useCallback(() => {
+        setIsPlaying(false);
+        setAnimatingStep(null);
+        setCurrentStep(-1);
+        setResults(null);
+    }, []);
+
+    // Actualizar una capacidad
+    const handleCapacityChange = useCallback((i, j, value) => {
+        capacities.updateValue(i, j, value);
+        invalidateResults();
+    }, [capacities, invalidateResults]);
+
+    // Cambiar número de vértices
+    const handleSizeChange = useCallback((newSize) => {
+        if (capacities.updateSize(newSize)) {
+            setSource(prev => Math.min(prev, newSize - 1));
+            setSink(newSize - 1);
+            invalidateResults();
+        }
+    }, [capacities, invalidateResults]);
+
+    // Calcular flujo máximo
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            invalidateResults();
+            const result = await graph.maxFlow(capacities.toNumberMatrix(), source, sink);
+            setResults(result);
+        } catch (error) {
+            console.error('Error en Ford-Fulkerson:', error);
+            setValidationError(error.message);
+        }
+    }, [graph, capacities, source, sink, invalidateResults]);
+
+    // Navegación entre pasos
+    const goToStep = useCallback((step) => {
+        setIsPlaying(false);
+        setAnimatingStep(null);
+        setCurrentStep(step);
+    }, []);
+
+    const togglePlay = useCallback(() => {
+        if (isPlaying) {
+            setIsPlaying(false);
+            setAnimatingStep(null);
+            return;
+        }
+
+        // Reiniciar desde el flujo cero si ya se mostró el último paso
+        if (results && currentStep >= results.augmentations.length - 1) {
+            setCurrentStep(-1);
+        }
+        setIsPlaying(true);
+    }, [isPlaying, results, currentStep]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        capacities.setMatrixValues(DEFAULT_CAPACITIES);
+        setSource(0);
+        setSink(5);
+        invalidateResults();
+        setValidationError('');
+    }, [capacities, invalidateResults]);
+
+    // Limpiar matriz
+    const handleClear = useCallback(() => {
+        capacities.clearMatrix();
+        invalidateResults();
+        setValidationError('');
+    }, [capacities, invalidateResults]);
+
+    // Tabla de una matriz de la red con arcos resaltados
+    const renderNetworkMatrix = (matrix, highlight = []) => (
+        <TableContainer component={Paper} variant="outlined" sx={{ width: 'fit-content' }}>
+            <Table size="small">
+                <TableHead>
+                    <TableRow>
+                        <TableCell />
+                        {matrix.map((_, j) => (
+                            <TableCell key={j} align="center" sx={{ fontWeight: 'bold' }}>{j + 1}</TableCell>
+                        ))}
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {matrix.map((row, i) => (
+                        <TableRow key={i}>
+                            <TableCell sx={{ fontWeight: 'bold' }}>{i + 1}</TableCell>
+                            {row.map((value, j) => {
+                                const isHighlighted = highlight.some(([u, v]) => (u === i && v === j) || (u === j && v === i));
+                                return (
+                                    <TableCell
+                                        key={j}
+                                        align="center"
+                                        sx={{
+                                            bgcolor: isHighlighted ? 'warning.light' : 'inherit',
+                                            color: value ? 'text.primary' : 'text.disabled'
+                                        }}
+                                    >
+                                        {value}
+                                    </TableCell>
+                                );
+                            })}
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </TableContainer>
+    );
+
+    const vertexOptions = Array.from({ length: size }, (_, i) => i);
+    const stepCount = results?.augmentations.length || 0;
+    const selectedAugmentation = results && currentStep >= 0 ? results.augmentations[currentStep] : null;
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <WaterDrop fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Algoritmo de Ford-Fulkerson
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Flujo máximo y corte mínimo con caminos de aumento (Edmonds-Karp)
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Matriz de Capacidades
+                            </Typography>
+
+                            {/* Número de vértices */}
+                            <Box display="flex" alignItems="center" gap={1}>
+                                <Typography variant="body2">Vértices: {size}</Typography>
+                                <IconButton size="small" onClick={() => handleSizeChange(size - 1)}>
+                                    <Remove fontSize="small" />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleSizeChange(size + 1)}>
+                                    <Add fontSize="small" />
+                                </IconButton>
+                            </Box>
+
+                            <Typography variant="caption" color="text.secondary">
+                                Capacidad del arco fila → columna (0 = sin arco)
+                            </Typography>
+
+                            <Box
+                                sx={{
+                                    mt: 2,
+                                    display: 'inline-grid',
+                                    gridTemplateColumns: `auto repeat(${size}, 52px)`,
+                                    gap: 0.5,
+                                    alignItems: 'center'
+                                }}
+                            >
+                                <Box />
+                                {vertexOptions.map(j => (
+                                    <Typography key={j} variant="caption" align="center" color="text.secondary">
+                                        {j + 1}
+                                    </Typography>
+                                ))}
+                                {capacities.matrix.map((row, i) => (
+                                    <React.Fragment key={i}>
+                                        <Typography variant="caption" color="text.secondary" sx={{ pr: 1 }}>
+                                            {i + 1}
+                                        </Typography>
+                                        {row.map((value, j) => (
+                                            <TextField
+                                                key={j}
+                                                size="small"
+                                                value={value}
+                                                disabled={i === j}
+                                                onChange={(e) => handleCapacityChange(i, j, e.target.value)}
+                                                inputProps={{ style: { textAlign: 'center', padding: '6px 4px' } }}
+                                            />
+                                        ))}
+                                    </React.Fragment>
+                                ))}
+                            </Box>
+
+                            {/* Fuente y sumidero */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 2 }}>
+                                <TextField
+                                    select
+                                    size="small"
+                                    label="Fuente"
+                                    value={source}
+                                    onChange={(e) => {
+                                        setSource(e.target.value);
+                                        invalidateResults();
+                                    }}
+                                    sx={{ minWidth: 100 }}
+                                >
+                                    {vertexOptions.map(v => (
+                                        <MenuItem key={v} value={v}>{v + 1}</MenuItem>
+                                    ))}
+                                </TextField>
+
+                                <TextField
+                                    select
+                                    size="small"
+                                    label="Sumidero"
+                                    value={sink}
+                                    onChange={(e) => {
+                                        setSink(e.target.value);
+                                        invalidateResults();
+                                    }}
+                                    sx={{ minWidth: 100 }}
+                                >
+                                    {vertexOptions.map(v => (
+                                        <MenuItem key={v} value={v}>{v + 1}</MenuItem>
+                                    ))}
+                                </TextField>
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Calculando...' : 'Calcular Flujo Máximo'}
+                                </Button>
+
+                                <Box sx={{ display: 'flex', gap: 1, width: '100%' }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<Refresh />}
+                                        onClick={handleReset}
+                                        size="small"
+                                    >
+                                        Reset
+                                    </Button>
+
+                                    <Tooltip title="Eliminar todos los arcos">
+                                        <IconButton onClick={handleClear} color="error" size="small">
+                                            <Clear />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Red de flujo animada */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" gap={2} mb={1} flexWrap="wrap">
+                                <Typography variant="h6" color="primary">
+                                    Red de Flujo
+                                </Typography>
+                                {results && (
+                                    <Chip
+                                        label={currentStep >= 0
+                                            ? `Paso ${currentStep + 1}/${stepCount}: flujo = ${results.augmentations[currentStep].totalFlow}`
+                                            : 'Flujo inicial = 0'}
+                                        color="primary"
+                                        variant="outlined"
+                                    />
+                                )}
+                                {isFinalStep && (
+                                    <Chip label={`Corte mínimo = ${results.minCut.capacity}`} color="error" />
+                                )}
+                            </Box>
+
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'primary.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={canvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+
+                            {/* Controles de la animación */}
+                            {results && stepCount > 0 && (
+                                <Box sx={{ mt: 2, display: 'flex', justifyContent: 'center', gap: 1 }}>
+                                    <IconButton onClick={() => goToStep(currentStep - 1)} disabled={currentStep < 0}>
+                                        <SkipPrevious />
+                                    </IconButton>
+                                    <Button
+                                        variant="contained"
+                                        startIcon={isPlaying ? <Pause /> : <PlayArrow />}
+                                        onClick={togglePlay}
+                                    >
+                                        {isPlaying ? 'Pausar' : 'Animar aumentos'}
+                                    </Button>
+                                    <IconButton onClick={() => goToStep(currentStep + 1)} disabled={currentStep >= stepCount - 1}>
+                                        <SkipNext />
+                                    </IconButton>
+                                </Box>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Caminos de aumento */}
+                {results && (
+                    <Grid item xs={12} lg={7}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={2} mb={2} flexWrap="wrap">
+                                    <Typography variant="h6" color="primary">
+                                        Caminos de Aumento
+                                    </Typography>
+                                    <Chip label={`Flujo máximo = ${results.maxFlow}`} color="success" />
+                                </Box>
+
+                                <TableContainer component={Paper} variant="outlined">
+                                    <Table size="small">
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell><strong>#</strong></TableCell>
+                                                <TableCell><strong>Camino</strong></TableCell>
+                                                <TableCell align="center"><strong>Capacidades residuales</strong></TableCell>
+                                                <TableCell align="center"><strong>Cuello de botella</strong></TableCell>
+                                                <TableCell align="center"><strong>Flujo acumulado</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {results.augmentations.map((augmentation, index) => (
+                                                <TableRow
+                                                    key={index}
+                                                    hover
+                                                    selected={index === currentStep}
+                                                    onClick={() => goToStep(index)}
+                                                    sx={{ cursor: 'pointer' }}
+                                                >
+                                                    <TableCell>{augmentation.iteration}</TableCell>
+                                                    <TableCell sx={{ fontFamily: 'monospace' }}>
+                                                        {augmentation.path.map(v => v + 1).join(' → ')}
+                                                        {augmentation.usesReverseEdge && (
+                                                            <Chip label="arco inverso" size="small" sx={{ ml: 1 }} />
+                                                        )}
+                                                    </TableCell>
+                                                    <TableCell align="center" sx={{ fontFamily: 'monospace' }}>
+                                                        ({augmentation.residualValues.join(', ')})
+                                                    </TableCell>
+                                                    <TableCell align="center"><strong>{augmentation.bottleneck}</strong></TableCell>
+                                                    <TableCell align="center">{augmentation.totalFlow}</TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+
+                                {/* Corte mínimo */}
+                                <Paper sx={{ p: 2, mt: 2, bgcolor: 'grey.50' }}>
+                                    <Typography variant="subtitle1" gutterBottom>
+                                        Corte mínimo
+                                    </Typography>
+                                    <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                                        S = {`{${results.minCut.sourceSide.map(v => v + 1).join(', ')}}`}<br />
+                                        T = {`{${results.minCut.sinkSide.map(v => v + 1).join(', ')}}`}<br />
+                                        Arcos: {results.minCut.edges.map(edge => `(${edge.from + 1}, ${edge.to + 1})`).join(', ') || 'ninguno'}<br />
+                                        Capacidad del corte = {results.minCut.capacity}
+                                    </Typography>
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Red residual y flujo del paso seleccionado */}
+                {results && (
+                    <Grid item xs={12} lg={5}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    {selectedAugmentation ? `Red Residual tras el paso ${currentStep + 1}` : 'Red Residual inicial'}
+                                </Typography>
+                                {renderNetworkMatrix(
+                                    selectedAugmentation ? selectedAugmentation.residual : numbers,
+                                    selectedAugmentation ? selectedAugmentation.edges : []
+                                )}
+
+                                <Typography variant="h6" gutterBottom color="primary" sx={{ mt: 3 }}>
+                                    Matriz de Flujo Final
+                                </Typography>
+                                {renderNetworkMatrix(results.flowMatrix)}
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default FordFulkerson;
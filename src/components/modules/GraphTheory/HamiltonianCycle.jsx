@@ -0,0 +1,591 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    FormControlLabel,
+    Switch,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    Casino,
+    Stop,
+    Loop,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+import { isEdgeInOptimalPath, MAX_HAMILTONIAN_VERTICES } from '../../../utils/algorithms/graphTheory';
+
+const DEFAULT_WEIGHTS = [
+    [0, 3, 4, 2, 7],
+    [3, 0, 4, 6, 3],
+    [4, 4, 0, 5, 8],
+    [2, 6, 5, 0, 6],
+    [7, 3, 8, 6, 0]
+];
+
+const CANVAS_WIDTH = 520;
+const CANVAS_HEIGHT = 440;
+const VERTEX_SIZE = 26;
+const MAX_RANDOM_WEIGHT = 20;
+
+// Con muchos vértices solo se rotulan los pesos del ciclo óptimo
+const MAX_LABELED_SIZE = 8;
+
+const METHOD_LABELS = {
+    branchAndBound: 'Ramificación y acotación',
+    heldKarp: 'Held-Karp'
+};
+
+const HamiltonianCycle = () => {
+    const [isDirected, setIsDirected] = useState(false);
+    const [method, setMethod] = useState('branchAndBound');
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Matriz de pesos (0 = sin arista)
+    const weights = useMatrix(5, {
+        type: 'adjacency',
+        minSize: 3,
+        maxSize: MAX_HAMILTONIAN_VERTICES,
+        defaultValue: 0,
+        initialValues: DEFAULT_WEIGHTS
+    });
+
+    // Hook de algoritmos
+    const {
+        graph,
+        isLoading,
+        progress,
+        cancel,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de canvas para el grafo
+    const {
+        canvasRef,
+        isReady: canvasReady,
+        loadGraph,
+        Vertex,
+        Edge
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    // Hook de persistencia
+    const [savedData, setSavedData] = useLocalStorage('hamiltonianCycle', {
+        weights: DEFAULT_WEIGHTS,
+        isDirected: false,
+        method: 'branchAndBound'
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData && Object.keys(savedData).length > 0) {
+            if (savedData.weights) weights.setMatrixValues(savedData.weights);
+            setIsDirected(savedData.isDirected || false);
+            setMethod(savedData.method || 'branchAndBound');
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({
+            weights: weights.matrix,
+            isDirected,
+            method
+        });
+    }, [weights.matrix, isDirected, method, setSavedData]);
+
+    const size = weights.matrix.length;
+    const optimalEdges = useMemo(() => results?.edges || [], [results]);
+
+    // Dibujar el grafo resaltando las aristas del ciclo óptimo
+    useEffect(() => {
+        if (!canvasReady) return;
+
+        const numbers = weights.matrix.map(row => row.map(value => Number(value) || 0));
+        const positions = canvasHelpers.circularLayout(
+            size,
+            CANVAS_WIDTH / 2,
+            CANVAS_HEIGHT / 2,
+            Math.min(CANVAS_WIDTH, CANVAS_HEIGHT) / 2 - VERTEX_SIZE - 10
+        );
+
+        const vertices = positions.map((pos, i) => (
+            new Vertex(i, pos.x - VERTEX_SIZE / 2, pos.y - VERTEX_SIZE / 2, i + 1, {
+                size: VERTEX_SIZE,
+                color: canvasHelpers.COLORS.primary
+            })
+        ));
+
+        const edges = [];
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                const weight = numbers[i][j];
+                // En grafos no dirigidos cada arista se dibuja una sola vez
+                if (!weight || i === j || (!isDirected && j < i && numbers[j][i])) continue;
+
+                const isOptimal = isEdgeInOptimalPath(i, j, optimalEdges, isDirected);
+
+                edges.push(new Edge(vertices[i], vertices[j], weight, {
+                    directed: isDirected,
+                    curvature: isDirected && numbers[j][i] ? 18 : 0,
+                    showWeight: size <= MAX_LABELED_SIZE || isOptimal,
+                    color: optimalEdges.length > 0 ? '#cfcfcf' : canvasHelpers.COLORS.edge.default,
+                    highlightColor: canvasHelpers.COLORS.edge.optimal,
+                    isHighlighted: isOptimal,
+                    lineWidth: isOptimal ? 3 : 1.5
+                }));
+            }
+        }
+
+        // Las aristas del ciclo se dibujan al final para quedar encima
+        edges.sort((a, b) => Number(a.isHighlighted) - Number(b.isHighlighted));
+        loadGraph(vertices, edges);
+    }, [canvasReady, weights.matrix, size, isDirected, optimalEdges, Vertex, Edge, loadGraph]);
+
+    // Actualizar un peso (simétrico en grafos no dirigidos)
+    const handleWeightChange = useCallback((i, j, value) => {
+        weights.updateValue(i, j, value);
+        if (!isDirected && i !== j) {
+            weights.updateValue(j, i, value);
+        }
+        setResults(null);
+    }, [weights, isDirected]);
+
+    // Cambiar número de vértices
+    const handleSizeChange = useCallback((newSize) => {
+        if (weights.updateSize(newSize)) {
+            setResults(null);
+        }
+    }, [weights]);
+
+    // Grafo completo con pesos aleatorios del tamaño actual
+    const handleRandomGraph = useCallback(() => {
+        const random = Array.from({ length: size }, () => Array(size).fill(0));
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                if (i === j || (!isDirected && j < i)) continue;
+                random[i][j] = 1 + Math.floor(Math.random() * MAX_RANDOM_WEIGHT);
+                if (!isDirected) random[j][i] = random[i][j];
+            }
+        }
+        weights.setMatrixValues(random);
+        setResults(null);
+        setValidationError('');
+    }, [weights, size, isDirected]);
+
+    // Buscar el ciclo hamiltoniano de costo mínimo
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            const result = await graph.hamiltonianCycle(weights.toNumberMatrix(), {
+                method,
+                directed: isDirected
+            });
+            setResults(result);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error en ciclo hamiltoniano:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [graph, weights, method, isDirected]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        weights.setMatrixValues(DEFAULT_WEIGHTS);
+        setIsDirected(false);
+        setMethod('branchAndBound');
+        setResults(null);
+        setValidationError('');
+    }, [weights]);
+
+    // Limpiar matriz
+    const handleClear = useCallback(() => {
+        weights.clearMatrix();
+        setResults(null);
+        setValidationError('');
+    }, [weights]);
+
+    const vertexOptions = Array.from({ length: size }, (_, i) => i);
+    const cellWidth = size > 10 ? 40 : 52;
+
+    // Recorrido del ciclo con costo acumulado
+    const numbers = weights.matrix.map(row => row.map(value => Number(value) || 0));
+    let accumulated = 0;
+    const cycleRows = optimalEdges.map(([from, to]) => {
+        const weight = numbers[from][to] || (!isDirected ? numbers[to][from] : 0);
+        accumulated += weight;
+        return { from, to, weight, accumulated };
+    });
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <Loop fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Ciclo Hamiltoniano
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Ciclo de costo mínimo por ramificación y acotación o programación dinámica (Held-Karp)
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && (
+                <LinearProgress
+                    variant={progress !== null ? 'determinate' : 'indeterminate'}
+                    value={(progress || 0) * 100}
+                    sx={{ mb: 2 }}
+                />
+            )}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={size > 10 ? 12 : 5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Matriz de Pesos
+                            </Typography>
+
+                            {/* Número de vértices */}
+                            <Box display="flex" alignItems="center" gap={1}>
+                                <Typography variant="body2">Vértices: {size}</Typography>
+                                <IconButton size="small" onClick={() => handleSizeChange(size - 1)}>
+                                    <Remove fontSize="small" />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleSizeChange(size + 1)}>
+                                    <Add fontSize="small" />
+                                </IconButton>
+                                <Tooltip title={`Grafo completo con pesos de 1 a ${MAX_RANDOM_WEIGHT}`}>
+                                    <Button size="small" startIcon={<Casino />} onClick={handleRandomGraph}>
+                                        Aleatorio
+                                    </Button>
+                                </Tooltip>
+                            </Box>
+
+                            <Typography variant="caption" color="text.secondary">
+                                Un peso 0 indica que no hay arista (máximo {MAX_HAMILTONIAN_VERTICES} vértices)
+                            </Typography>
+
+                            <Box sx={{ overflowX: 'auto' }}>
+                                <Box
+                                    sx={{
+                                        mt: 2,
+                                        display: 'inline-grid',
+                                        gridTemplateColumns: `auto repeat(${size}, ${cellWidth}px)`,
+                                        gap: 0.5,
+                                        alignItems: 'center'
+                                    }}
+                                >
+                                    <Box />
+                                    {vertexOptions.map(j => (
+                                        <Typography key={j} variant="caption" align="center" color="text.secondary">
+                                            {j + 1}
+                                        </Typography>
+                                    ))}
+                                    {weights.matrix.map((row, i) => (
+                                        <React.Fragment key={i}>
+                                            <Typography variant="caption" color="text.secondary" sx={{ pr: 1 }}>
+                                                {i + 1}
+                                            </Typography>
+                                            {row.map((value, j) => (
+                                                <TextField
+                                                    key={j}
+                                                    size="small"
+                                                    value={value}
+                                                    disabled={i === j}
+                                                    onChange={(e) => handleWeightChange(i, j, e.target.value)}
+                                                    inputProps={{ style: { textAlign: 'center', padding: '6px 2px' } }}
+                                                />
+                                            ))}
+                                        </React.Fragment>
+                                    ))}
+                                </Box>
+                            </Box>
+
+                            {/* Opciones */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+                                <ToggleButtonGroup
+                                    exclusive
+                                    size="small"
+                                    value={method}
+                                    onChange={(_, value) => {
+                                        if (value) {
+                                            setMethod(value);
+                                            setResults(null);
+                                        }
+                                    }}
+                                >
+                                    {Object.entries(METHOD_LABELS).map(([value, label]) => (
+                                        <ToggleButton key={value} value={value}>{label}</ToggleButton>
+                                    ))}
+                                </ToggleButtonGroup>
+
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={isDirected}
+                                            onChange={(e) => {
+                                                setIsDirected(e.target.checked);
+                                                setResults(null);
+                                            }}
+                                            color="primary"
+                                        />
+                                    }
+                                    label="Grafo dirigido"
+                                />
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Calculando...' : 'Buscar Ciclo Mínimo'}
+                                </Button>
+
+                                {isLoading && (
+                                    <Button
+                                        variant="outlined"
+                                        color="error"
+                                        startIcon={<Stop />}
+                                        onClick={cancel}
+                                        fullWidth
+                                    >
+                                        Cancelar{progress !== null && ` (${Math.round(progress * 100)}%)`}
+                                    </Button>
+                                )}
+
+                                <Box sx={{ display: 'flex', gap: 1, width: '100%' }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<Refresh />}
+                                        onClick={handleReset}
+                                        size="small"
+                                    >
+                                        Reset
+                                    </Button>
+
+                                    <Tooltip title="Eliminar todas las aristas">
+                                        <IconButton onClick={handleClear} color="error" size="small">
+                                            <Clear />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Grafo */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" gap={2} mb={1} flexWrap="wrap">
+                                <Typography variant="h6" color="primary">
+                                    Grafo
+                                </Typography>
+                                {results && (
+                                    <Chip
+                                        label={results.isValid
+                                            ? `Costo mínimo: ${results.cost}`
+                                            : 'Sin ciclo hamiltoniano'}
+                                        color={results.isValid ? 'error' : 'warning'}
+                                        variant="outlined"
+                                    />
+                                )}
+                            </Box>
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'primary.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={canvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Ciclo óptimo */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={2}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Ciclo Óptimo
+                            </Typography>
+
+                            {!results && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Ingrese los pesos<br />y busque el ciclo mínimo
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {results && (
+                                <>
+                                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                                        <Chip label={METHOD_LABELS[results.method]} color="primary" />
+                                        <Chip
+                                            label={`Caminos parciales: ${results.explored.toLocaleString()}`}
+                                            variant="outlined"
+                                        />
+                                        {results.pruned !== null && (
+                                            <Chip
+                                                label={`Ramas podadas: ${results.pruned.toLocaleString()}`}
+                                                variant="outlined"
+                                            />
+                                        )}
+                                    </Box>
+
+                                    {results.isValid ? (
+                                        <>
+                                            <Paper sx={{ p: 2, mb: 2, bgcolor: 'grey.50' }}>
+                                                <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-word' }}>
+                                                    {results.routeString}
+                                                </Typography>
+                                            </Paper>
+
+                                            <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 360 }}>
+                                                <Table size="small" stickyHeader>
+                                                    <TableHead>
+                                                        <TableRow>
+                                                            <TableCell><strong>Arista</strong></TableCell>
+                                                            <TableCell align="center"><strong>Peso</strong></TableCell>
+                                                            <TableCell align="center"><strong>Acumulado</strong></TableCell>
+                                                        </TableRow>
+                                                    </TableHead>
+                                                    <TableBody>
+                                                        {cycleRows.map(row => (
+                                                            <TableRow key={`${row.from}-${row.to}`} hover>
+                                                                <TableCell sx={{ fontFamily: 'monospace' }}>
+                                                                    {row.from + 1} → {row.to + 1}
+                                                                </TableCell>
+                                                                <TableCell align="center">{row.weight}</TableCell>
+                                                                <TableCell align="center">{row.accumulated}</TableCell>
+                                                            </TableRow>
+                                                        ))}
+                                                    </TableBody>
+                                                </Table>
+                                            </TableContainer>
+                                        </>
+                                    ) : (
+                                        <Alert severity="warning">
+                                            No existe un ciclo que recorra todos los vértices exactamente una vez
+                                        </Alert>
+                                    )}
+                                </>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default HamiltonianCycle;
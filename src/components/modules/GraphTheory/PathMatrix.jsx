@@ -0,0 +1,495 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    AccountTree,
+    CheckCircle,
+    Cancel,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+import matrixHelpers from '../../../utils/helpers/matrixHelpers';
+
+const DEFAULT_ADJACENCY = [
+    [0, 1, 0, 0],
+    [0, 0, 1, 0],
+    [0, 0, 0, 1],
+    [1, 0, 0, 0]
+];
+
+const CANVAS_WIDTH = 420;
+const CANVAS_HEIGHT = 360;
+const VERTEX_SIZE = 28;
+
+const PathMatrix = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Matriz de adyacencia del dígrafo
+    const adjacency = useMatrix(4, {
+        type: 'adjacency',
+        minSize: 2,
+        maxSize: 7,
+        defaultValue: 0,
+        initialValues: DEFAULT_ADJACENCY
+    });
+
+    // Hook de algoritmos
+    const {
+        graph,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de canvas para el dígrafo
+    const {
+        canvasRef,
+        isReady: canvasReady,
+        loadGraph,
+        Vertex,
+        Edge
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    // Hook de persistencia
+    const [savedData, setSavedData] = useLocalStorage('pathMatrix', {
+        adjacency: DEFAULT_ADJACENCY
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData?.adjacency) {
+            adjacency.setMatrixValues(savedData.adjacency);
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({ adjacency: adjacency.matrix });
+    }, [adjacency.matrix, setSavedData]);
+
+    const size = adjacency.matrix.length;
+
+    // Dibujar el dígrafo cada vez que cambia la matriz
+    useEffect(() => {
+        if (!canvasReady) return;
+
+        const numbers = adjacency.matrix.map(row => row.map(value => Number(value) || 0));
+        const positions = canvasHelpers.circularLayout(
+            size,
+            CANVAS_WIDTH / 2,
+            CANVAS_HEIGHT / 2,
+            Math.min(CANVAS_WIDTH, CANVAS_HEIGHT) / 2 - VERTEX_SIZE - 10
+        );
+
+        const vertices = positions.map((pos, i) => new Vertex(
+            i,
+            pos.x - VERTEX_SIZE / 2,
+            pos.y - VERTEX_SIZE / 2,
+            i + 1,
+            { size: VERTEX_SIZE, color: canvasHelpers.COLORS.primary }
+        ));
+
+        const edges = [];
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                if (!numbers[i][j]) continue;
+
+                // Las aristas en ambos sentidos se curvan para no superponerse
+                const hasOpposite = i !== j && numbers[j][i];
+                edges.push(new Edge(vertices[i], vertices[j], 1, {
+                    directed: true,
+                    showWeight: false,
+                    curvature: hasOpposite ? 18 : 0,
+                    color: canvasHelpers.COLORS.edge.default
+                }));
+            }
+        }
+
+        loadGraph(vertices, edges);
+    }, [canvasReady, adjacency.matrix, size, Vertex, Edge, loadGraph]);
+
+    // Alternar arista i -> j
+    const toggleEdge = useCallback((i, j) => {
+        if (Number(adjacency.matrix[i][j]) === 1) {
+            adjacency.removeEdge(i, j);
+        } else {
+            adjacency.setEdge(i, j, 1);
+        }
+        setResults(null);
+    }, [adjacency]);
+
+    // Cambiar número de vértices
+    const handleSizeChange = useCallback((newSize) => {
+        if (adjacency.updateSize(newSize)) {
+            setResults(null);
+        }
+    }, [adjacency]);
+
+    // Calcular matriz de caminos por ambos métodos
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            const matrix = adjacency.toNumberMatrix();
+
+            const [pathMatrix, floydMatrix, warshall] = await Promise.all([
+                graph.pathMatrix(matrix),
+                graph.floydWarshallPaths(matrix),
+                graph.warshallIterations(matrix)
+            ]);
+
+            setResults({
+                pathMatrix,
+                floydMatrix,
+                iterations: warshall.iterations,
+                methodsMatch: matrixHelpers.matricesEqual(pathMatrix, floydMatrix)
+            });
+        } catch (error) {
+            console.error('Error calculando matriz de caminos:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [adjacency, graph]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        adjacency.setMatrixValues(DEFAULT_ADJACENCY);
+        setResults(null);
+        setValidationError('');
+    }, [adjacency]);
+
+    // Limpiar matriz
+    const handleClear = useCallback(() => {
+        adjacency.clearMatrix();
+        setResults(null);
+        setValidationError('');
+    }, [adjacency]);
+
+    // Tabla de una matriz binaria con celdas resaltadas opcionales
+    const renderBinaryMatrix = (matrix, options = {}) => {
+        const { highlightCells = [], pivot = null } = options;
+        const isHighlighted = (i, j) => highlightCells.some(([r, c]) => r === i && c === j);
+
+        return (
+            <TableContainer component={Paper} variant="outlined" sx={{ width: 'fit-content' }}>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell />
+                            {matrix.map((_, j) => (
+                                <TableCell
+                                    key={j}
+                                    align="center"
+                                    sx={{ fontWeight: 'bold', bgcolor: pivot === j ? 'info.light' : 'inherit' }}
+                                >
+                                    {j + 1}
+                                </TableCell>
+                            ))}
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {matrix.map((row, i) => (
+                            <TableRow key={i}>
+                                <TableCell sx={{ fontWeight: 'bold', bgcolor: pivot === i ? 'info.light' : 'inherit' }}>
+                                    {i + 1}
+                                </TableCell>
+                                {row.map((value, j) => {
+                                    const highlighted = isHighlighted(i, j);
+                                    const inPivot = pivot !== null && (i === pivot || j === pivot);
+
+                                    let bgcolor = 'inherit';
+                                    if (highlighted) bgcolor = 'success.light';
+                                    else if (inPivot) bgcolor = 'grey.100';
+
+                                    return (
+                                        <TableCell
+                                            key={j}
+                                            align="center"
+                                            sx={{
+                                                bgcolor,
+                                                fontWeight: highlighted ? 'bold' : 'normal',
+                                                color: value ? 'text.primary' : 'text.disabled'
+                                            }}
+                                        >
+                                            {value}
+                                        </TableCell>
+                                    );
+                                })}
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+        );
+    };
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <AccountTree fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Matriz de Caminos
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Clausura transitiva de un dígrafo mediante el algoritmo de Warshall, iteración por iteración
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Matriz de Adyacencia
+                            </Typography>
+
+                            {/* Número de vértices */}
+                            <Box display="flex" alignItems="center" gap={1}>
+                                <Typography variant="body2">Vértices: {size}</Typography>
+                                <IconButton size="small" onClick={() => handleSizeChange(size - 1)}>
+                                    <Remove fontSize="small" />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleSizeChange(size + 1)}>
+                                    <Add fontSize="small" />
+                                </IconButton>
+                            </Box>
+
+                            <Typography variant="caption" color="text.secondary">
+                                Haga clic en una celda para agregar o quitar el arco fila → columna
+                            </Typography>
+
+                            <Box
+                                sx={{
+                                    mt: 2,
+                                    display: 'inline-grid',
+                                    gridTemplateColumns: `auto repeat(${size}, 40px)`,
+                                    gap: 0.5,
+                                    alignItems: 'center'
+                                }}
+                            >
+                                <Box />
+                                {adjacency.matrix.map((_, j) => (
+                                    <Typography key={j} variant="caption" align="center" color="text.secondary">
+                                        {j + 1}
+                                    </Typography>
+                                ))}
+                                {adjacency.matrix.map((row, i) => (
+                                    <React.Fragment key={i}>
+                                        <Typography variant="caption" color="text.secondary" sx={{ pr: 1 }}>
+                                            {i + 1}
+                                        </Typography>
+                                        {row.map((value, j) => {
+                                            const active = Number(value) === 1;
+                                            return (
+                                                <Button
+                                                    key={j}
+                                                    variant={active ? 'contained' : 'outlined'}
+                                                    onClick={() => toggleEdge(i, j)}
+                                                    sx={{ minWidth: 40, height: 40, p: 0 }}
+                                                >
+                                                    {active ? 1 : 0}
+                                                </Button>
+                                            );
+                                        })}
+                                    </React.Fragment>
+                                ))}
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Calculando...' : 'Calcular Matriz de Caminos'}
+                                </Button>
+
+                                <Box sx={{ display: 'flex', gap: 1, width: '100%' }}>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={<Refresh />}
+                                        onClick={handleReset}
+                                        size="small"
+                                    >
+                                        Reset
+                                    </Button>
+
+                                    <Tooltip title="Eliminar todos los arcos">
+                                        <IconButton onClick={handleClear} color="error" size="small">
+                                            <Clear />
+                                        </IconButton>
+                                    </Tooltip>
+                                </Box>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Dígrafo */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Dígrafo
+                            </Typography>
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'primary.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={canvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Comparación de métodos */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={2} mb={2} flexWrap="wrap">
+                                    <Typography variant="h6" color="primary">
+                                        Matriz de Caminos
+                                    </Typography>
+                                    <Chip
+                                        icon={results.methodsMatch ? <CheckCircle /> : <Cancel />}
+                                        label={results.methodsMatch ? 'Ambos métodos coinciden' : 'Los métodos difieren'}
+                                        color={results.methodsMatch ? 'success' : 'error'}
+                                    />
+                                </Box>
+
+                                <Grid container spacing={3}>
+                                    <Grid item xs={12} md={6}>
+                                        <Typography variant="subtitle2" gutterBottom>
+                                            Propagación por filas (calculatePathMatrix)
+                                        </Typography>
+                                        {renderBinaryMatrix(results.pathMatrix)}
+                                    </Grid>
+                                    <Grid item xs={12} md={6}>
+                                        <Typography variant="subtitle2" gutterBottom>
+                                            Floyd-Warshall (floydWarshallPaths)
+                                        </Typography>
+                                        {renderBinaryMatrix(results.floydMatrix)}
+                                    </Grid>
+                                </Grid>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Iteraciones de Warshall */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={1}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Iteraciones de Warshall
+                                    </Typography>
+                                </Box>
+                                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                    W(k)[i][j] = W(k-1)[i][j] ∨ (W(k-1)[i][k] ∧ W(k-1)[k][j]).
+                                    En verde las celdas que pasan a 1 en cada iteración; en azul la fila y columna del vértice intermedio k.
+                                </Typography>
+
+                                <Grid container spacing={3}>
+                                    {results.iterations.map(({ k, matrix, newCells }) => (
+                                        <Grid item xs={12} sm={6} md={4} key={k === null ? 'initial' : k}>
+                                            <Box display="flex" alignItems="center" gap={1} mb={1}>
+                                                <Typography variant="subtitle2">
+                                                    {k === null ? 'W(0) — adyacencia + diagonal' : `W(${k + 1}) — vía vértice ${k + 1}`}
+                                                </Typography>
+                                                <Chip
+                                                    size="small"
+                                                    label={`${newCells.length} nuevas`}
+                                                    color={newCells.length > 0 ? 'success' : 'default'}
+                                                    variant="outlined"
+                                                />
+                                            </Box>
+                                            {renderBinaryMatrix(matrix, { highlightCells: newCells, pivot: k })}
+                                        </Grid>
+                                    ))}
+                                </Grid>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default PathMatrix;
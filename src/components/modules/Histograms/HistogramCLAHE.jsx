@@ -0,0 +1,502 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    Slider,
+    Switch,
+    FormControlLabel,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    GridOn,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import mathHelpers from '../../../utils/helpers/mathHelpers';
+import { DEFAULT_BINS, LEVEL_OPTIONS } from '../../../utils/algorithms/histograms';
+import { DEFAULT_CLAHE_OPTIONS } from '../../../utils/algorithms/imageProcessing';
+import ImageHistogramPanel from './ImageHistogramPanel';
+
+const DEFAULT_MATRIX = [
+    '0 0 1 1 6 6 7 7',
+    '0 1 1 2 6 7 7 7',
+    '1 1 2 2 5 6 6 7',
+    '1 2 2 3 5 5 6 6',
+    '2 2 3 3 4 4 5 5',
+    '2 3 3 3 4 4 4 5',
+    '3 3 3 4 4 4 5 5',
+    '3 3 4 4 4 5 5 5'
+].join('\n');
+
+const DEFAULT_CONFIG = {
+    levels: DEFAULT_BINS,
+    input: DEFAULT_MATRIX,
+    gridRows: DEFAULT_CLAHE_OPTIONS.gridRows,
+    gridCols: DEFAULT_CLAHE_OPTIONS.gridCols,
+    clipLimit: DEFAULT_CLAHE_OPTIONS.clipLimit,
+    interpolate: DEFAULT_CLAHE_OPTIONS.interpolate
+};
+
+const MAX_GRID = 8;
+
+// Una fila por línea, valores separados por espacios o comas
+const parseMatrix = (input, levels) => {
+    const lines = (input || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        throw new Error('Ingrese la matriz de intensidades');
+    }
+
+    const matrix = lines.map((line, i) => line.split(/[\s,;]+/).map(val => {
+        const num = mathHelpers.safeNumber(val, null);
+        if (num === null || !Number.isInteger(num) || num < 0 || num > levels - 1) {
+            throw new Error(`"${val}" en la fila ${i + 1} no es un nivel válido en [0; ${levels - 1}]`);
+        }
+        return num;
+    }));
+
+    if (!matrix.every(row => row.length === matrix[0].length)) {
+        throw new Error('Todas las filas de la matriz deben tener la misma cantidad de valores');
+    }
+
+    return matrix;
+};
+
+// Gris del nivel como fondo de la celda
+const levelColor = (level, levels) => {
+    const gray = Math.round((level / (levels - 1)) * 255);
+    return {
+        bgcolor: `rgb(${gray}, ${gray}, ${gray})`,
+        color: gray < 128 ? 'common.white' : 'common.black'
+    };
+};
+
+/**
+ * Ecualización adaptativa con contraste limitado (CLAHE) sobre matrices de intensidad:
+ * grilla de bloques, límite de recorte, tablas por bloque e interpolación bilineal
+ */
+const HistogramCLAHE = () => {
+    const [results, setResults] = useState(null);
+    const [selectedTile, setSelectedTile] = useState(0);
+    const [validationError, setValidationError] = useState('');
+
+    const [config, setConfig] = useLocalStorage('histogramCLAHE', DEFAULT_CONFIG);
+    const levels = config.levels || DEFAULT_CONFIG.levels;
+    const gridRows = config.gridRows || DEFAULT_CONFIG.gridRows;
+    const gridCols = config.gridCols || DEFAULT_CONFIG.gridCols;
+    const clipLimit = config.clipLimit ?? DEFAULT_CONFIG.clipLimit;
+    const interpolate = config.interpolate ?? DEFAULT_CONFIG.interpolate;
+
+    const {
+        image: imageAlgorithms,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Las mismas opciones se usan para la imagen cargada
+    const claheOptions = useMemo(() => (
+        { gridRows, gridCols, clipLimit, interpolate }
+    ), [gridRows, gridCols, clipLimit, interpolate]);
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...DEFAULT_CONFIG, ...prev, ...changes }));
+        setResults(null);
+    }, [setConfig]);
+
+    const handleGridChange = useCallback((key, value) => {
+        const parsed = mathHelpers.safeNumber(value, 1);
+        updateConfig({ [key]: Math.min(MAX_GRID, Math.max(1, Math.round(parsed))) });
+    }, [updateConfig]);
+
+    const handleCalculate = useCallback(async () => {
+        try {
+            setValidationError('');
+            const matrix = parseMatrix(config.input, levels);
+            const clahe = await imageAlgorithms.clahe(matrix, { ...claheOptions, levels });
+
+            setResults({ ...clahe, original: matrix });
+            setSelectedTile(0);
+        } catch (error) {
+            console.error('Error en CLAHE:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [config.input, levels, claheOptions, imageAlgorithms]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setResults(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    const tile = results?.tiles[selectedTile];
+
+    // Bloque al que pertenece una celda
+    const tileIndexOf = (i, j) => results.tiles.findIndex(({ bounds }) =>
+        i >= bounds.rowStart && i <= bounds.rowEnd && j >= bounds.colStart && j <= bounds.colEnd
+    );
+
+    // Matriz en escala de grises con los bordes de los bloques marcados
+    const renderMatrix = (matrix) => (
+        <TableContainer component={Paper} variant="outlined" sx={{ width: 'fit-content', maxWidth: '100%' }}>
+            <Table size="small">
+                <TableBody>
+                    {matrix.map((row, i) => (
+                        <TableRow key={i}>
+                            {row.map((value, j) => {
+                                const index = tileIndexOf(i, j);
+                                const { bounds } = results.tiles[index];
+                                const isSelected = index === selectedTile;
+
+                                return (
+                                    <TableCell
+                                        key={j}
+                                        align="center"
+                                        onClick={() => setSelectedTile(index)}
+                                        sx={{
+                                            ...levelColor(value, results.levels),
+                                            width: 32,
+                                            p: 0.75,
+                                            cursor: 'pointer',
+                                            fontWeight: isSelected ? 'bold' : 'normal',
+                                            borderTop: i === bounds.rowStart ? '2px solid' : '1px solid',
+                                            borderLeft: j === bounds.colStart ? '2px solid' : '1px solid',
+                                            borderBottom: i === matrix.length - 1 ? '2px solid' : 0,
+                                            borderRight: j === row.length - 1 ? '2px solid' : 0,
+                                            borderColor: isSelected ? 'warning.main' : 'grey.500'
+                                        }}
+                                    >
+                                        {value}
+                                    </TableCell>
+                                );
+                            })}
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </TableContainer>
+    );
+
+    return (
+        <Box sx={{ p: 3, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'info.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <GridOn fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        CLAHE
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Ecualización adaptativa por bloques con contraste limitado e interpolación bilineal
+                </Typography>
+            </Paper>
+
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={4}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Configuración
+                            </Typography>
+
+                            <TextField
+                                select
+                                fullWidth
+                                label="Niveles (L)"
+                                value={levels}
+                                onChange={(e) => updateConfig({ levels: Number(e.target.value) })}
+                                margin="normal"
+                                helperText={`Niveles de intensidad 0 … ${levels - 1}`}
+                            >
+                                {LEVEL_OPTIONS.map(option => (
+                                    <MenuItem key={option} value={option}>
+                                        {option} niveles
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+
+                            <TextField
+                                fullWidth
+                                label="Matriz de intensidades"
+                                value={config.input ?? ''}
+                                onChange={(e) => updateConfig({ input: e.target.value })}
+                                margin="normal"
+                                helperText="Una fila por línea, valores separados por espacios o comas"
+                                multiline
+                                rows={8}
+                                InputProps={{ sx: { fontFamily: 'monospace' } }}
+                            />
+
+                            <Grid container spacing={2} sx={{ mt: 0 }}>
+                                <Grid item xs={6}>
+                                    <TextField
+                                        fullWidth
+                                        label="Bloques (filas)"
+                                        type="number"
+                                        value={gridRows}
+                                        onChange={(e) => handleGridChange('gridRows', e.target.value)}
+                                        inputProps={{ min: 1, max: MAX_GRID }}
+                                    />
+                                </Grid>
+                                <Grid item xs={6}>
+                                    <TextField
+                                        fullWidth
+                                        label="Bloques (columnas)"
+                                        type="number"
+                                        value={gridCols}
+                                        onChange={(e) => handleGridChange('gridCols', e.target.value)}
+                                        inputProps={{ min: 1, max: MAX_GRID }}
+                                    />
+                                </Grid>
+                            </Grid>
+
+                            <Box sx={{ mt: 3, px: 1 }}>
+                                <Typography gutterBottom>
+                                    Límite de recorte = {clipLimit === 0 ? 'sin recorte (AHE)' : clipLimit}
+                                </Typography>
+                                <Slider
+                                    value={clipLimit}
+                                    min={0}
+                                    max={8}
+                                    step={0.5}
+                                    marks={[{ value: 0, label: '0' }, { value: 2, label: '2' }, { value: 8, label: '8' }]}
+                                    onChange={(_, value) => updateConfig({ clipLimit: value })}
+                                    valueLabelDisplay="auto"
+                                />
+                                <Typography variant="caption" color="text.secondary">
+                                    Cada nivel de un bloque admite como máximo límite × píxeles del bloque / L
+                                </Typography>
+                            </Box>
+
+                            <FormControlLabel
+                                sx={{ mt: 1 }}
+                                control={
+                                    <Switch
+                                        checked={interpolate}
+                                        onChange={(e) => updateConfig({ interpolate: e.target.checked })}
+                                    />
+                                }
+                                label="Interpolación bilineal entre bloques"
+                            />
+
+                            <Box sx={{ mt: 3 }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={handleCalculate}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                    color="primary"
+                                >
+                                    Aplicar CLAHE
+                                </Button>
+                            </Box>
+
+                            <Box sx={{ mt: 2 }}>
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Matrices */}
+                <Grid item xs={12} lg={8}>
+                    {results ? (
+                        <Card elevation={3}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2} flexWrap="wrap">
+                                    <Typography variant="h6">
+                                        Resultado
+                                    </Typography>
+                                    <Chip
+                                        label={`${results.grid.rows}×${results.grid.cols} bloques`}
+                                        size="small"
+                                        color="info"
+                                    />
+                                    <Chip
+                                        label={results.interpolate ? 'Bilineal' : 'Sin interpolación'}
+                                        size="small"
+                                        variant="outlined"
+                                    />
+                                </Box>
+                                <Grid container spacing={3}>
+                                    <Grid item xs={12} md={6}>
+                                        <Typography variant="subtitle1" gutterBottom>
+                                            Original
+                                        </Typography>
+                                        {renderMatrix(results.original)}
+                                        <Typography variant="body2" sx={{ mt: 1, fontFamily: 'monospace' }}>
+                                            h = [{results.originalHistogram.join(', ')}]
+                                        </Typography>
+                                    </Grid>
+                                    <Grid item xs={12} md={6}>
+                                        <Typography variant="subtitle1" gutterBottom>
+                                            Con CLAHE
+                                        </Typography>
+                                        {renderMatrix(results.matrix)}
+                                        <Typography variant="body2" sx={{ mt: 1, fontFamily: 'monospace' }}>
+                                            h = [{results.histogram.join(', ')}]
+                                        </Typography>
+                                    </Grid>
+                                </Grid>
+                                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+                                    Pulse una celda para ver la tabla de su bloque
+                                </Typography>
+                            </CardContent>
+                        </Card>
+                    ) : (
+                        <Box
+                            sx={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                                height: 300,
+                                color: 'text.secondary',
+                                border: '2px dashed',
+                                borderColor: 'grey.300',
+                                borderRadius: 2
+                            }}
+                        >
+                            <Typography align="center">
+                                Ingrese una matriz y pulse "Aplicar CLAHE"
+                            </Typography>
+                        </Box>
+                    )}
+                </Grid>
+
+                {/* Tabla del bloque seleccionado */}
+                {tile && (
+                    <Grid item xs={12}>
+                        <Card elevation={3}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom>
+                                    Tablas por Bloque
+                                </Typography>
+                                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                                    {results.tiles.map((item, index) => (
+                                        <Chip
+                                            key={index}
+                                            label={`Bloque (${item.row + 1},${item.col + 1})`}
+                                            color={index === selectedTile ? 'warning' : 'default'}
+                                            onClick={() => setSelectedTile(index)}
+                                        />
+                                    ))}
+                                </Box>
+                                <Typography variant="body2" color="text.secondary" gutterBottom>
+                                    Filas {tile.bounds.rowStart + 1}–{tile.bounds.rowEnd + 1},
+                                    columnas {tile.bounds.colStart + 1}–{tile.bounds.colEnd + 1} ·
+                                    {' '}{tile.pixels} píxeles ·
+                                    {' '}{tile.limit !== null ? `límite ${tile.limit}, exceso ${tile.excess}` : 'sin recorte'}
+                                </Typography>
+                                <TableContainer component={Paper} variant="outlined">
+                                    <Table size="small">
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell><strong>Nivel</strong></TableCell>
+                                                <TableCell><strong>n_k</strong></TableCell>
+                                                <TableCell><strong>Recortado</strong></TableCell>
+                                                <TableCell><strong>Acumulado</strong></TableCell>
+                                                <TableCell><strong>T(k)</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {tile.histogram.map((count, level) => (
+                                                <TableRow key={level}>
+                                                    <TableCell>{level}</TableCell>
+                                                    <TableCell>{count}</TableCell>
+                                                    <TableCell
+                                                        sx={{ color: tile.clipped[level] !== count ? 'warning.dark' : 'inherit' }}
+                                                    >
+                                                        {tile.clipped[level]}
+                                                    </TableCell>
+                                                    <TableCell>{tile.cdf[level]}</TableCell>
+                                                    <TableCell><strong>{tile.lookupTable[level]}</strong></TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5, wordBreak: 'break-word' }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Imagen */}
+                <Grid item xs={12}>
+                    <ImageHistogramPanel mode="clahe" levels={levels} claheOptions={claheOptions} />
+                </Grid>
+            </Grid>
+        </Box>
+    );
+};
+
+export default HistogramCLAHE;
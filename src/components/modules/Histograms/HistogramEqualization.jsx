@@ -21,7 +21,8 @@ import {
     TableContainer,
     TableHead,
     TableRow,
-    LinearProgress
+    LinearProgress,
+    MenuItem
 } from '@mui/material';
 import {
     PlayArrow,
@@ -39,6 +40,8 @@ import useLocalStorage from '../../../hooks/useLocalStorage';
 import canvasHelpers from '../../../utils/helpers/canvasHelpers';
 import mathHelpers from '../../../utils/helpers/mathHelpers';
 import useCanvas from '../../../hooks/useCanvas';
+import ImageHistogramPanel from './ImageHistogramPanel';
+import { DEFAULT_BINS, LEVEL_OPTIONS } from '../../../utils/algorithms/histograms';
 
 
 
@@ -46,6 +49,7 @@ const HistogramEqualization = () => {
     // Estado del histograma
     const [histogramData, setHistogramData] = useState([2, 5, 3, 8, 1, 4, 6, 2]);
     const [equalizedData, setEqualizedData] = useState(null);
+    const [levels, setLevels] = useState(DEFAULT_BINS);
     const [inputValue, setInputValue] = useState('2, 5, 3, 8, 1, 4, 6, 2');
 
     // Configuración
@@ -108,6 +112,7 @@ const HistogramEqualization = () => {
     // Hook de persistencia
     const [savedData, setSavedData] = useLocalStorage('histogramEqualization', {
         histogramData: [2, 5, 3, 8, 1, 4, 6, 2],
+        levels: DEFAULT_BINS,
         showCDF: false,
         showTransformTable: false
     });
@@ -118,6 +123,7 @@ const HistogramEqualization = () => {
             const data = savedData.histogramData || [2, 5, 3, 8, 1, 4, 6, 2];
             setHistogramData(data);
             setInputValue(data.join(', '));
+            setLevels(savedData.levels || data.length);
             setShowCDF(savedData.showCDF || false);
             setShowTransformTable(savedData.showTransformTable || false);
         }
@@ -128,14 +134,15 @@ const HistogramEqualization = () => {
         if (autoSave && histogramData.length > 0) {
             setSavedData({
                 histogramData,
+                levels,
                 showCDF,
                 showTransformTable
             });
         }
-    }, [histogramData, showCDF, showTransformTable, autoSave, setSavedData]);
+    }, [histogramData, levels, showCDF, showTransformTable, autoSave, setSavedData]);
 
-    // Validar entrada de histograma
-    const validateHistogramInput = useCallback((input) => {
+    // Validar entrada de histograma (frecuencias de los niveles 0..L-1; los que faltan valen 0)
+    const validateHistogramInput = useCallback((input, levelCount) => {
         try {
             if (!input || input.trim() === '') {
                 return { valid: false, error: 'Ingrese valores para el histograma' };
@@ -157,11 +164,12 @@ const HistogramEqualization = () => {
                 return { valid: false, error: 'Se requieren al menos 2 valores' };
             }
 
-            if (numbers.length > 20) {
-                return { valid: false, error: 'Máximo 20 valores permitidos' };
+            if (numbers.length > levelCount) {
+                return { valid: false, error: `Máximo ${levelCount} valores permitidos (L = ${levelCount})` };
             }
 
-            return { valid: true, data: numbers, error: '' };
+            const padded = [...numbers, ...Array(levelCount - numbers.length).fill(0)];
+            return { valid: true, data: padded, error: '' };
         } catch (error) {
             return { valid: false, error: error.message };
         }
@@ -178,7 +186,7 @@ const HistogramEqualization = () => {
             }
 
             // Ejecutar algoritmo de ecualización
-            const result = await histogram.equalize(histogramData);
+            const result = await histogram.equalize(histogramData, levels);
 
             // Calcular estadísticas adicionales
             const originalStats = mathHelpers.calculateStats(histogramData);
@@ -201,7 +209,7 @@ const HistogramEqualization = () => {
             setValidationError(error.message);
             setEqualizedData(null);
         }
-    }, [histogramData, histogram]);
+    }, [histogramData, levels, histogram]);
 
     // Dibujar histograma original
     useEffect(() => {
@@ -289,14 +297,29 @@ const HistogramEqualization = () => {
         const input = event.target.value;
         setInputValue(input);
 
-        const validation = validateHistogramInput(input);
+        const validation = validateHistogramInput(input, levels);
         if (validation.valid) {
             setHistogramData(validation.data);
             setValidationError('');
         } else {
             setValidationError(validation.error);
         }
-    }, [validateHistogramInput]);
+    }, [validateHistogramInput, levels]);
+
+    // Cambiar cantidad de niveles y revalidar los datos
+    const handleLevelsChange = useCallback((event) => {
+        const newLevels = Number(event.target.value);
+        setLevels(newLevels);
+        setEqualizedData(null);
+
+        const validation = validateHistogramInput(inputValue, newLevels);
+        if (validation.valid) {
+            setHistogramData(validation.data);
+            setValidationError('');
+        } else {
+            setValidationError(validation.error);
+        }
+    }, [inputValue, validateHistogramInput]);
 
     // Limpiar todo
     const handleClear = useCallback(() => {
@@ -313,6 +336,7 @@ const HistogramEqualization = () => {
         const defaultData = [2, 5, 3, 8, 1, 4, 6, 2];
         setHistogramData(defaultData);
         setInputValue(defaultData.join(', '));
+        setLevels(DEFAULT_BINS);
         setShowCDF(false);
         setShowTransformTable(false);
         setEqualizedData(null);
@@ -325,6 +349,7 @@ const HistogramEqualization = () => {
             const data = savedData.histogramData || [];
             setHistogramData(data);
             setInputValue(data.join(', '));
+            setLevels(savedData.levels || data.length);
             setShowCDF(savedData.showCDF || false);
             setShowTransformTable(savedData.showTransformTable || false);
             setValidationError('');
@@ -401,6 +426,23 @@ const HistogramEqualization = () => {
                                 Configuración
                             </Typography>
 
+                            {/* Cantidad de niveles */}
+                            <TextField
+                                select
+                                fullWidth
+                                label="Niveles (L)"
+                                value={levels}
+                                onChange={handleLevelsChange}
+                                margin="normal"
+                                helperText={`Niveles de intensidad 0 … ${levels - 1}`}
+                            >
+                                {LEVEL_OPTIONS.map(option => (
+                                    <MenuItem key={option} value={option}>
+                                        {option} niveles
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+
                             {/* Entrada de datos */}
                             <TextField
                                 fullWidth
@@ -409,10 +451,10 @@ const HistogramEqualization = () => {
                                 value={inputValue}
                                 onChange={handleHistogramChange}
                                 margin="normal"
-                                helperText="Valores separados por comas (2-20 valores)"
+                                helperText={`Frecuencias separadas por comas (hasta ${levels}; los niveles restantes valen 0)`}
                                 error={!!validationError && validationError.includes('valores')}
                                 multiline
-                                rows={2}
+                                rows={levels > 16 ? 4 : 2}
                             />
 
                             {/* Opciones de visualización */}
@@ -524,7 +566,7 @@ const HistogramEqualization = () => {
                                             Histograma Original:
                                         </Typography>
                                         <Typography variant="body2" color="text.secondary">
-                                            • Valores: {histogramData.length}<br />
+                                            • Niveles: {histogramData.length}<br />
                                             • Suma: {mathHelpers.calculateStats(histogramData).sum}<br />
                                             • Promedio: {mathHelpers.calculateStats(histogramData).mean?.toFixed(2)}<br />
                                             • Varianza: {mathHelpers.calculateStats(histogramData).variance?.toFixed(2)}<br />
@@ -539,7 +581,7 @@ const HistogramEqualization = () => {
                                             Histograma Ecualizado:
                                         </Typography>
                                         <Typography variant="body2" color="text.secondary">
-                                            • Valores: {equalizedData.histogram.length}<br />
+                                            • Niveles: {equalizedData.histogram.length}<br />
                                             • Suma: {equalizedData.equalizedStats.sum}<br />
                                             • Promedio: {equalizedData.equalizedStats.mean?.toFixed(2)}<br />
                                             • Varianza: {equalizedData.equalizedStats.variance?.toFixed(2)}<br />
@@ -587,7 +629,7 @@ const HistogramEqualization = () => {
                                 </Typography>
                                 {histogramData.length > 0 && (
                                     <Chip
-                                        label={`${histogramData.length} valores`}
+                                        label={`L = ${histogramData.length}`}
                                         color="primary"
                                         size="small"
                                         variant="outlined"
@@ -650,7 +692,7 @@ const HistogramEqualization = () => {
                                 </Typography>
                                 {equalizedData && (
                                     <Chip
-                                        label={`${equalizedData.histogram.length} valores`}
+                                        label={`${equalizedData.histogram.length} niveles`}
                                         color="success"
                                         size="small"
                                         variant="outlined"
@@ -846,6 +888,11 @@ const HistogramEqualization = () => {
                         </Card>
                     </Grid>
                 )}
+
+                {/* Aplicación a imágenes */}
+                <Grid item xs={12}>
+                    <ImageHistogramPanel mode="equalization" levels={levels} />
+                </Grid>
             </Grid>
         </Box>
     );
@@ -15,7 +15,8 @@ import {
     Switch,
     Tooltip,
     IconButton,
-    CircularProgress
+    CircularProgress,
+    MenuItem
 } from '@mui/material';
 import {
     PlayArrow,
@@ -32,6 +33,8 @@ import useAlgorithms from '../../../hooks/useAlgorithms';
 import mathHelpers from '../../../utils/helpers/mathHelpers';
 import useLocalStorage from '../../../hooks/useLocalStorage';
 import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+import ImageHistogramPanel from './ImageHistogramPanel';
+import { DEFAULT_BINS, LEVEL_OPTIONS } from '../../../utils/algorithms/histograms';
 
 
 
@@ -39,6 +42,7 @@ const HistogramExpansion = () => {
     // Estado del histograma
     const [histogramData, setHistogramData] = useState([2, 5, 3, 8, 1, 4, 6, 2]);
     const [expandedData, setExpandedData] = useState(null);
+    const [levels, setLevels] = useState(DEFAULT_BINS);
     const [minRange, setMinRange] = useState(1);
     const [maxRange, setMaxRange] = useState(7);
     const [inputValue, setInputValue] = useState('2, 5, 3, 8, 1, 4, 6, 2');
@@ -91,6 +95,7 @@ const HistogramExpansion = () => {
     // Hook de persistencia
     const [savedData, setSavedData] = useLocalStorage('histogramExpansion', {
         histogramData: [2, 5, 3, 8, 1, 4, 6, 2],
+        levels: DEFAULT_BINS,
         minRange: 1,
         maxRange: 7,
         showInterpolated: false
@@ -102,7 +107,8 @@ const HistogramExpansion = () => {
             const data = savedData.histogramData || [2, 5, 3, 8, 1, 4, 6, 2];
             setHistogramData(data);
             setInputValue(data.join(', '));
-            setMinRange(savedData.minRange || 1);
+            setLevels(savedData.levels || data.length);
+            setMinRange(savedData.minRange ?? 1);
             setMaxRange(savedData.maxRange || 7);
             setShowInterpolated(savedData.showInterpolated || false);
         }
@@ -113,15 +119,16 @@ const HistogramExpansion = () => {
         if (autoSave && histogramData.length > 0) {
             setSavedData({
                 histogramData,
+                levels,
                 minRange,
                 maxRange,
                 showInterpolated
             });
         }
-    }, [histogramData, minRange, maxRange, showInterpolated, autoSave, setSavedData]);
+    }, [histogramData, levels, minRange, maxRange, showInterpolated, autoSave, setSavedData]);
 
-    // Validar entrada de histograma
-    const validateHistogramInput = useCallback((input) => {
+    // Validar entrada de histograma (frecuencias de los niveles 0..L-1; los que faltan valen 0)
+    const validateHistogramInput = useCallback((input, levelCount) => {
         try {
             if (!input || input.trim() === '') {
                 return { valid: false, error: 'Ingrese valores para el histograma' };
@@ -143,18 +150,19 @@ const HistogramExpansion = () => {
                 return { valid: false, error: 'Se requieren al menos 2 valores' };
             }
 
-            if (numbers.length > 20) {
-                return { valid: false, error: 'Máximo 20 valores permitidos' };
+            if (numbers.length > levelCount) {
+                return { valid: false, error: `Máximo ${levelCount} valores permitidos (L = ${levelCount})` };
             }
 
-            return { valid: true, data: numbers, error: '' };
+            const padded = [...numbers, ...Array(levelCount - numbers.length).fill(0)];
+            return { valid: true, data: padded, error: '' };
         } catch (error) {
             return { valid: false, error: error.message };
         }
     }, []);
 
-    // Validar rango
-    const validateRange = useCallback((min, max) => {
+    // Validar rango (debe caber en los niveles [0; L-1])
+    const validateRange = useCallback((min, max, levelCount = levels) => {
         if (!mathHelpers.isValidNumber(min) || !mathHelpers.isValidNumber(max)) {
             return { valid: false, error: 'Min y Max deben ser números válidos' };
         }
@@ -163,8 +171,8 @@ const HistogramExpansion = () => {
             return { valid: false, error: 'Min debe ser menor que Max' };
         }
 
-        if (max - min > 50) {
-            return { valid: false, error: 'El rango no puede exceder 50 unidades' };
+        if (min < 0 || max > levelCount - 1) {
+            return { valid: false, error: `Min y Max deben estar en [0; ${levelCount - 1}] (L = ${levelCount})` };
         }
 
         if (max - min < 1) {
@@ -172,7 +180,7 @@ const HistogramExpansion = () => {
         }
 
         return { valid: true, error: '' };
-    }, []);
+    }, [levels]);
 
     // Calcular expansión del histograma
     const calculateExpansion = useCallback(async () => {
@@ -263,14 +271,33 @@ const HistogramExpansion = () => {
         const input = event.target.value;
         setInputValue(input);
 
-        const validation = validateHistogramInput(input);
+        const validation = validateHistogramInput(input, levels);
+        if (validation.valid) {
+            setHistogramData(validation.data);
+            setValidationError('');
+        } else {
+            setValidationError(validation.error);
+        }
+    }, [validateHistogramInput, levels]);
+
+    // Cambiar cantidad de niveles: se revalidan los datos y el rango pasa a [min; L-1]
+    const handleLevelsChange = useCallback((event) => {
+        const newLevels = Number(event.target.value);
+        const newMin = minRange < newLevels - 1 ? minRange : 0;
+
+        setLevels(newLevels);
+        setMinRange(newMin);
+        setMaxRange(newLevels - 1);
+        setExpandedData(null);
+
+        const validation = validateHistogramInput(inputValue, newLevels);
         if (validation.valid) {
             setHistogramData(validation.data);
             setValidationError('');
         } else {
             setValidationError(validation.error);
         }
-    }, [validateHistogramInput]);
+    }, [minRange, inputValue, validateHistogramInput]);
 
     // Manejar cambio de rango
     const handleRangeChange = useCallback((field, value) => {
@@ -309,6 +336,7 @@ const HistogramExpansion = () => {
         const defaultData = [2, 5, 3, 8, 1, 4, 6, 2];
         setHistogramData(defaultData);
         setInputValue(defaultData.join(', '));
+        setLevels(DEFAULT_BINS);
         setMinRange(1);
         setMaxRange(7);
         setShowInterpolated(false);
@@ -322,7 +350,8 @@ const HistogramExpansion = () => {
             const data = savedData.histogramData || [];
             setHistogramData(data);
             setInputValue(data.join(', '));
-            setMinRange(savedData.minRange || 1);
+            setLevels(savedData.levels || data.length);
+            setMinRange(savedData.minRange ?? 1);
             setMaxRange(savedData.maxRange || 7);
             setShowInterpolated(savedData.showInterpolated || false);
             setValidationError('');
@@ -372,6 +401,23 @@ const HistogramExpansion = () => {
                                 Configuración
                             </Typography>
 
+                            {/* Cantidad de niveles */}
+                            <TextField
+                                select
+                                fullWidth
+                                label="Niveles (L)"
+                                value={levels}
+                                onChange={handleLevelsChange}
+                                margin="normal"
+                                helperText={`Niveles de intensidad 0 … ${levels - 1}`}
+                            >
+                                {LEVEL_OPTIONS.map(option => (
+                                    <MenuItem key={option} value={option}>
+                                        {option} niveles
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+
                             {/* Entrada de datos */}
                             <TextField
                                 fullWidth
@@ -380,10 +426,10 @@ const HistogramExpansion = () => {
                                 value={inputValue}
                                 onChange={handleHistogramChange}
                                 margin="normal"
-                                helperText="Valores separados por comas (2-20 valores)"
+                                helperText={`Frecuencias separadas por comas (hasta ${levels}; los niveles restantes valen 0)`}
                                 error={!!validationError && validationError.includes('valores')}
                                 multiline
-                                rows={2}
+                                rows={levels > 16 ? 4 : 2}
                             />
 
                             {/* Configuración de rango */}
@@ -514,7 +560,7 @@ const HistogramExpansion = () => {
                                             Histograma Original:
                                         </Typography>
                                         <Typography variant="body2" color="text.secondary">
-                                            • Valores: {histogramData.length}<br />
+                                            • Niveles: {histogramData.length}<br />
                                             • Suma: {mathHelpers.calculateStats(histogramData).sum}<br />
                                             • Promedio: {mathHelpers.calculateStats(histogramData).mean?.toFixed(2)}<br />
                                             • Rango: [{mathHelpers.calculateStats(histogramData).min}, {mathHelpers.calculateStats(histogramData).max}]
@@ -528,7 +574,7 @@ const HistogramExpansion = () => {
                                             Histograma Expandido:
                                         </Typography>
                                         <Typography variant="body2" color="text.secondary">
-                                            • Valores: {expandedData.standard.length}<br />
+                                            • Niveles: {expandedData.standard.length}<br />
                                             • Suma: {expandedData.expandedStats.sum}<br />
                                             • Promedio: {expandedData.expandedStats.mean?.toFixed(2)}<br />
                                             • Nuevo rango: [{minRange}, {maxRange}]
@@ -562,7 +608,7 @@ const HistogramExpansion = () => {
                                 </Typography>
                                 {histogramData.length > 0 && (
                                     <Chip
-                                        label={`${histogramData.length} valores`}
+                                        label={`L = ${histogramData.length}`}
                                         color="primary"
                                         size="small"
                                         variant="outlined"
@@ -632,7 +678,7 @@ const HistogramExpansion = () => {
                                 )}
                                 {expandedData && (
                                     <Chip
-                                        label={`${expandedData.standard.length} valores`}
+                                        label={`${expandedData.standard.length} niveles`}
                                         color="secondary"
                                         size="small"
                                         variant="outlined"
@@ -748,6 +794,11 @@ const HistogramExpansion = () => {
                         </Card>
                     </Grid>
                 )}
+
+                {/* Aplicación a imágenes */}
+                <Grid item xs={12}>
+                    <ImageHistogramPanel mode="expansion" levels={levels} />
+                </Grid>
             </Grid>
         </Box>
     );
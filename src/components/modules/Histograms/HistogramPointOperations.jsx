@@ -0,0 +1,644 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    Slider,
+    ToggleButton,
+    ToggleButtonGroup,
+    LinearProgress
+} from '@mui/material';
+import {
+    Refresh,
+    Tune,
+    BarChart,
+    ShowChart,
+    Functions
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import useCanvas from '../../../hooks/useCanvas';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+import mathHelpers from '../../../utils/helpers/mathHelpers';
+import { DEFAULT_BINS, LEVEL_OPTIONS } from '../../../utils/algorithms/histograms';
+
+const OPERATIONS = {
+    gamma: { label: 'Gamma', formula: 's = (L-1)·(r / (L-1))^γ' },
+    log: { label: 'Logarítmica', formula: 's = c·ln(1 + r)' },
+    adaptive: { label: 'Adaptativa', formula: 's = ecualización de r dentro de su ventana de w niveles' },
+    add: { label: 'Suma', formula: 'h(k) = h₁(k) + h₂(k)', binary: true },
+    subtract: { label: 'Resta', formula: 'h(k) = max(0, h₁(k) − h₂(k))', binary: true }
+};
+
+const DEFAULT_CONFIG = {
+    levels: DEFAULT_BINS,
+    input: '2, 5, 3, 8, 1, 4, 6, 2',
+    secondInput: '1, 1, 2, 2, 3, 3, 4, 4',
+    operation: 'gamma',
+    gamma: 0.5,
+    c: null,
+    windowSize: 3
+};
+
+const CURVE_SIZE = { width: 400, height: 250 };
+
+const CHART_OPTIONS = {
+    borderColor: canvasHelpers.COLORS.histogram.border,
+    gridColor: canvasHelpers.COLORS.histogram.grid,
+    textColor: canvasHelpers.COLORS.histogram.text,
+    showGrid: true,
+    showLabels: true,
+    showValues: true
+};
+
+// c que lleva el nivel L-1 a sí mismo: c = (L-1) / ln(L)
+const defaultLogConstant = (levels) => (levels - 1) / Math.log(levels);
+
+// Frecuencias separadas por comas; los niveles que faltan hasta L valen 0
+const parseCounts = (input, levels, name) => {
+    if (!input || input.trim() === '') {
+        throw new Error(`Ingrese las frecuencias del histograma ${name}`);
+    }
+
+    const numbers = input.split(',').map(val => {
+        const num = mathHelpers.safeNumber(val.trim(), null);
+        if (num === null || !mathHelpers.isValidNumber(num) || num < 0) {
+            throw new Error(`"${val.trim()}" no es una frecuencia válida en el histograma ${name}`);
+        }
+        return num;
+    });
+
+    if (numbers.length > levels) {
+        throw new Error(`El histograma ${name} tiene ${numbers.length} valores y L = ${levels}`);
+    }
+
+    return [...numbers, ...Array(levels - numbers.length).fill(0)];
+};
+
+const formatMetric = (value, digits = 3) => (Number.isFinite(value) ? value.toFixed(digits) : '—');
+
+/**
+ * Operaciones puntuales sobre histogramas: gamma, logarítmica, ecualización adaptativa
+ * y suma/resta de histogramas, con la función de transferencia y las métricas de comparación
+ */
+const HistogramPointOperations = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    const [config, setConfig] = useLocalStorage('histogramPointOperations', DEFAULT_CONFIG);
+    const levels = config.levels || DEFAULT_CONFIG.levels;
+    const operation = OPERATIONS[config.operation] ? config.operation : DEFAULT_CONFIG.operation;
+    const gamma = config.gamma ?? DEFAULT_CONFIG.gamma;
+    const logConstant = config.c ?? defaultLogConstant(levels);
+    const windowSize = config.windowSize || DEFAULT_CONFIG.windowSize;
+    const isBinary = Boolean(OPERATIONS[operation].binary);
+
+    // Callback estable: el resultado se recalcula en un efecto al mover los sliders
+    const handleAlgorithmError = useCallback((error, algorithm) => {
+        console.error(`Error en ${algorithm}:`, error);
+    }, []);
+
+    const {
+        histogram,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: handleAlgorithmError
+    });
+
+    const {
+        canvasRef: beforeCanvasRef,
+        drawHistogram: drawBeforeHistogram,
+        clearCanvas: clearBeforeCanvas,
+        isReady: beforeCanvasReady
+    } = useCanvas({ width: 400, height: 200, backgroundColor: '#fafafa' });
+
+    const {
+        canvasRef: afterCanvasRef,
+        drawHistogram: drawAfterHistogram,
+        clearCanvas: clearAfterCanvas,
+        isReady: afterCanvasReady
+    } = useCanvas({ width: 400, height: 200, backgroundColor: '#fafafa' });
+
+    const {
+        canvasRef: secondCanvasRef,
+        drawHistogram: drawSecondHistogram,
+        isReady: secondCanvasReady
+    } = useCanvas({ width: 400, height: 200, backgroundColor: '#fafafa' });
+
+    const {
+        canvasRef: curveCanvasRef,
+        clearCanvas: clearCurveCanvas,
+        isReady: curveCanvasReady
+    } = useCanvas({ ...CURVE_SIZE, backgroundColor: '#fafafa' });
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...DEFAULT_CONFIG, ...prev, ...changes }));
+    }, [setConfig]);
+
+    // Recalcular con cada cambio de datos, operación o parámetro
+    useEffect(() => {
+        let cancelled = false;
+
+        const compute = async () => {
+            try {
+                const before = parseCounts(config.input, levels, 'de entrada');
+                const second = isBinary ? parseCounts(config.secondInput, levels, 'B') : null;
+
+                let transformed;
+                switch (operation) {
+                    case 'gamma':
+                        transformed = await histogram.gamma(before, gamma);
+                        break;
+                    case 'log':
+                        transformed = await histogram.log(before, logConstant);
+                        break;
+                    case 'adaptive':
+                        transformed = await histogram.adaptiveEqualize(before, windowSize);
+                        break;
+                    case 'add':
+                        transformed = { histogram: await histogram.add(before, second) };
+                        break;
+                    default:
+                        transformed = { histogram: await histogram.subtract(before, second) };
+                }
+
+                const after = transformed.histogram;
+                const [comparison, beforeStats, afterStats] = await Promise.all([
+                    histogram.compare(before, after),
+                    histogram.stats(before),
+                    histogram.stats(after)
+                ]);
+
+                if (!cancelled) {
+                    setValidationError('');
+                    setResults({
+                        operation,
+                        before,
+                        second,
+                        after,
+                        lookupTable: transformed.lookupTable || null,
+                        comparison,
+                        beforeStats,
+                        afterStats
+                    });
+                }
+            } catch (error) {
+                if (!cancelled) {
+                    setValidationError(error.message);
+                    setResults(null);
+                }
+            }
+        };
+
+        compute();
+        return () => {
+            cancelled = true;
+        };
+    }, [config.input, config.secondInput, levels, operation, gamma, logConstant, windowSize, isBinary, histogram]);
+
+    // Histogramas antes / después / B
+    useEffect(() => {
+        if (!beforeCanvasReady) return;
+        if (results) {
+            drawBeforeHistogram(results.before, { ...CHART_OPTIONS, barColor: canvasHelpers.COLORS.histogram.bar });
+        } else {
+            clearBeforeCanvas();
+        }
+    }, [results, beforeCanvasReady, drawBeforeHistogram, clearBeforeCanvas]);
+
+    useEffect(() => {
+        if (!afterCanvasReady) return;
+        if (results) {
+            drawAfterHistogram(results.after, { ...CHART_OPTIONS, barColor: canvasHelpers.COLORS.success });
+        } else {
+            clearAfterCanvas();
+        }
+    }, [results, afterCanvasReady, drawAfterHistogram, clearAfterCanvas]);
+
+    useEffect(() => {
+        if (secondCanvasReady && results?.second) {
+            drawSecondHistogram(results.second, { ...CHART_OPTIONS, barColor: canvasHelpers.COLORS.warning });
+        }
+    }, [results, secondCanvasReady, drawSecondHistogram]);
+
+    // Función de transferencia r → s sobre la diagonal identidad
+    const drawTransferCurve = useCallback(() => {
+        if (!curveCanvasReady) return;
+        clearCurveCanvas();
+
+        const lookupTable = results?.lookupTable;
+        if (!lookupTable) return;
+
+        const ctx = curveCanvasRef.current.getContext('2d');
+        const margin = { top: 20, right: 20, bottom: 35, left: 45 };
+        const chartWidth = CURVE_SIZE.width - margin.left - margin.right;
+        const chartHeight = CURVE_SIZE.height - margin.top - margin.bottom;
+        const maxLevel = lookupTable.length - 1;
+        const toX = (r) => margin.left + (r / maxLevel) * chartWidth;
+        const toY = (s) => margin.top + chartHeight - (s / maxLevel) * chartHeight;
+
+        // Ejes
+        ctx.strokeStyle = canvasHelpers.COLORS.histogram.text;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(margin.left, margin.top);
+        ctx.lineTo(margin.left, margin.top + chartHeight);
+        ctx.lineTo(margin.left + chartWidth, margin.top + chartHeight);
+        ctx.stroke();
+
+        // Identidad
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = canvasHelpers.COLORS.histogram.grid;
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(0));
+        ctx.lineTo(toX(maxLevel), toY(maxLevel));
+        ctx.stroke();
+        ctx.restore();
+
+        // Curva
+        ctx.strokeStyle = canvasHelpers.COLORS.secondary;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        lookupTable.forEach((s, r) => {
+            if (r === 0) ctx.moveTo(toX(r), toY(s));
+            else ctx.lineTo(toX(r), toY(s));
+        });
+        ctx.stroke();
+
+        if (lookupTable.length <= 32) {
+            ctx.fillStyle = canvasHelpers.COLORS.secondary;
+            lookupTable.forEach((s, r) => {
+                ctx.beginPath();
+                ctx.arc(toX(r), toY(s), 3, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+        }
+
+        // Etiquetas
+        ctx.fillStyle = canvasHelpers.COLORS.histogram.text;
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('0', toX(0), margin.top + chartHeight + 14);
+        ctx.fillText(String(maxLevel), toX(maxLevel), margin.top + chartHeight + 14);
+        ctx.fillText('r (nivel de entrada)', margin.left + chartWidth / 2, CURVE_SIZE.height - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(maxLevel), margin.left - 6, toY(maxLevel) + 4);
+        ctx.fillText('0', margin.left - 6, toY(0) + 4);
+        ctx.save();
+        ctx.translate(12, margin.top + chartHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('s (nivel de salida)', 0, 0);
+        ctx.restore();
+    }, [curveCanvasReady, clearCurveCanvas, curveCanvasRef, results]);
+
+    useEffect(() => {
+        drawTransferCurve();
+    }, [drawTransferCurve]);
+
+    const handleLevelsChange = useCallback((event) => {
+        const newLevels = Number(event.target.value);
+        updateConfig({ levels: newLevels, c: null, windowSize: Math.min(windowSize, newLevels + 1) });
+    }, [updateConfig, windowSize]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setValidationError('');
+    }, [setConfig]);
+
+    const logMax = Math.ceil(defaultLogConstant(levels) * 2);
+    const windowMax = levels + 1;
+
+    const renderChartCard = (title, icon, canvasRef, data, visible = true) => (
+        <Card elevation={3} sx={{ height: '100%', display: visible ? 'block' : 'none' }}>
+            <CardContent>
+                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                    {icon}
+                    <Typography variant="h6">
+                        {title}
+                    </Typography>
+                    {data && (
+                        <Chip
+                            label={`${data.reduce((sum, value) => sum + value, 0)} píxeles`}
+                            size="small"
+                            variant="outlined"
+                        />
+                    )}
+                </Box>
+                <Box
+                    sx={{
+                        display: 'flex',
+                        justifyContent: 'center',
+                        border: '2px solid',
+                        borderColor: 'grey.300',
+                        borderRadius: 2,
+                        p: 2,
+                        bgcolor: 'grey.50'
+                    }}
+                >
+                    <canvas
+                        ref={canvasRef}
+                        style={{ maxWidth: '100%', height: 'auto', display: 'block' }}
+                    />
+                </Box>
+            </CardContent>
+        </Card>
+    );
+
+    const renderStats = (label, stats) => (
+        <Typography variant="body2" color="text.secondary">
+            • {label}: media {formatMetric(stats.mean, 2)} · desv. std {formatMetric(stats.stdDev, 2)} · {stats.nonZeroCount} niveles ocupados
+        </Typography>
+    );
+
+    return (
+        <Box sx={{ p: 3, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'secondary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <Tune fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Operaciones Puntuales
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="primary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Transformaciones gamma y logarítmica, ecualización adaptativa y aritmética de histogramas
+                </Typography>
+            </Paper>
+
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={4}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Configuración
+                            </Typography>
+
+                            <TextField
+                                select
+                                fullWidth
+                                label="Niveles (L)"
+                                value={levels}
+                                onChange={handleLevelsChange}
+                                margin="normal"
+                                helperText={`Niveles de intensidad 0 … ${levels - 1}`}
+                            >
+                                {LEVEL_OPTIONS.map(option => (
+                                    <MenuItem key={option} value={option}>
+                                        {option} niveles
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+
+                            <TextField
+                                fullWidth
+                                label={isBinary ? 'Histograma A' : 'Histograma de Entrada'}
+                                value={config.input ?? ''}
+                                onChange={(e) => updateConfig({ input: e.target.value })}
+                                margin="normal"
+                                helperText={`Frecuencias separadas por comas (hasta ${levels}; los niveles restantes valen 0)`}
+                                multiline
+                                rows={2}
+                            />
+
+                            <Typography variant="subtitle1" sx={{ mt: 2 }} gutterBottom>
+                                Operación
+                            </Typography>
+                            <ToggleButtonGroup
+                                value={operation}
+                                exclusive
+                                size="small"
+                                onChange={(_, value) => value && updateConfig({ operation: value })}
+                                sx={{ flexWrap: 'wrap' }}
+                            >
+                                {Object.entries(OPERATIONS).map(([value, { label }]) => (
+                                    <ToggleButton key={value} value={value}>
+                                        {label}
+                                    </ToggleButton>
+                                ))}
+                            </ToggleButtonGroup>
+
+                            <Typography variant="body2" color="text.secondary" sx={{ mt: 1, fontFamily: 'monospace' }}>
+                                {OPERATIONS[operation].formula}
+                            </Typography>
+
+                            {/* Parámetros */}
+                            <Box sx={{ mt: 3, px: 1 }}>
+                                {operation === 'gamma' && (
+                                    <>
+                                        <Typography gutterBottom>
+                                            γ = {gamma.toFixed(2)} {gamma < 1 ? '(aclara)' : gamma > 1 ? '(oscurece)' : '(identidad)'}
+                                        </Typography>
+                                        <Slider
+                                            value={gamma}
+                                            min={0.1}
+                                            max={5}
+                                            step={0.05}
+                                            marks={[{ value: 1, label: '1' }]}
+                                            onChange={(_, value) => updateConfig({ gamma: value })}
+                                            valueLabelDisplay="auto"
+                                        />
+                                    </>
+                                )}
+
+                                {operation === 'log' && (
+                                    <>
+                                        <Typography gutterBottom>
+                                            c = {logConstant.toFixed(2)}
+                                        </Typography>
+                                        <Slider
+                                            value={logConstant}
+                                            min={0.1}
+                                            max={logMax}
+                                            step={0.05}
+                                            marks={[{ value: defaultLogConstant(levels), label: '(L-1)/ln L' }]}
+                                            onChange={(_, value) => updateConfig({ c: value })}
+                                            valueLabelDisplay="auto"
+                                        />
+                                        <Typography variant="caption" color="text.secondary">
+                                            Con c = (L-1)/ln L el nivel {levels - 1} se mantiene; los valores mayores se saturan.
+                                        </Typography>
+                                    </>
+                                )}
+
+                                {operation === 'adaptive' && (
+                                    <>
+                                        <Typography gutterBottom>
+                                            Ventana w = {windowSize} {windowSize >= levels ? '(ecualización global)' : 'niveles'}
+                                        </Typography>
+                                        <Slider
+                                            value={Math.min(windowSize, windowMax)}
+                                            min={3}
+                                            max={windowMax}
+                                            step={2}
+                                            marks
+                                            onChange={(_, value) => updateConfig({ windowSize: value })}
+                                            valueLabelDisplay="auto"
+                                        />
+                                    </>
+                                )}
+
+                                {isBinary && (
+                                    <TextField
+                                        fullWidth
+                                        label="Histograma B"
+                                        value={config.secondInput ?? ''}
+                                        onChange={(e) => updateConfig({ secondInput: e.target.value })}
+                                        helperText="Segundo operando, con los mismos niveles"
+                                        multiline
+                                        rows={2}
+                                    />
+                                )}
+                            </Box>
+
+                            <Box sx={{ mt: 2 }}>
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+                        </CardContent>
+                    </Card>
+
+                    {/* Métricas */}
+                    {results && (
+                        <Card elevation={2} sx={{ mt: 2 }}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Comparación Antes / Después
+                                </Typography>
+                                <Typography variant="body2" color="text.secondary">
+                                    • Correlación: {formatMetric(results.comparison.correlation)}<br />
+                                    • Chi-cuadrado: {formatMetric(results.comparison.chiSquare, 2)}<br />
+                                    • Intersección: {formatMetric(results.comparison.intersection, 0)}<br />
+                                    • Similitud: {Number.isFinite(results.comparison.similarity)
+                                        ? `${(results.comparison.similarity * 100).toFixed(1)}%`
+                                        : '—'}
+                                </Typography>
+                                <Box sx={{ mt: 2 }}>
+                                    {renderStats('Antes', results.beforeStats)}
+                                    {renderStats('Después', results.afterStats)}
+                                </Box>
+                            </CardContent>
+                        </Card>
+                    )}
+                </Grid>
+
+                {/* Gráficos */}
+                <Grid item xs={12} lg={8}>
+                    <Grid container spacing={3}>
+                        <Grid item xs={12} md={6}>
+                            {renderChartCard(
+                                isBinary ? 'Histograma A' : 'Antes',
+                                <BarChart color="primary" />,
+                                beforeCanvasRef,
+                                results?.before
+                            )}
+                        </Grid>
+                        <Grid item xs={12} md={6}>
+                            {renderChartCard(
+                                isBinary ? `Resultado (${OPERATIONS[operation].label})` : 'Después',
+                                <BarChart color="success" />,
+                                afterCanvasRef,
+                                results?.after
+                            )}
+                        </Grid>
+                        <Grid item xs={12} md={6}>
+                            {/* En las operaciones aritméticas se muestra B en lugar de la curva */}
+                            {renderChartCard(
+                                'Histograma B',
+                                <BarChart color="warning" />,
+                                secondCanvasRef,
+                                results?.second,
+                                isBinary
+                            )}
+                            <Card elevation={3} sx={{ height: '100%', display: isBinary ? 'none' : 'block' }}>
+                                <CardContent>
+                                    <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                        <ShowChart color="secondary" />
+                                        <Typography variant="h6">
+                                            Función de Transferencia
+                                        </Typography>
+                                    </Box>
+                                    <Box
+                                        sx={{
+                                            display: 'flex',
+                                            justifyContent: 'center',
+                                            border: '2px solid',
+                                            borderColor: 'grey.300',
+                                            borderRadius: 2,
+                                            p: 2,
+                                            bgcolor: 'grey.50'
+                                        }}
+                                    >
+                                        <canvas
+                                            ref={curveCanvasRef}
+                                            style={{ maxWidth: '100%', height: 'auto', display: 'block' }}
+                                        />
+                                    </Box>
+                                </CardContent>
+                            </Card>
+                        </Grid>
+                        {results?.lookupTable && (
+                            <Grid item xs={12} md={6}>
+                                <Card elevation={3} sx={{ height: '100%' }}>
+                                    <CardContent>
+                                        <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                            <Functions color="primary" />
+                                            <Typography variant="h6">
+                                                Tabla r → s
+                                            </Typography>
+                                        </Box>
+                                        <Paper sx={{ p: 2, bgcolor: 'grey.50', maxHeight: 200, overflow: 'auto' }}>
+                                            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                                {results.lookupTable.map((s, r) => `${r}→${s}`).join(', ')}
+                                            </Typography>
+                                        </Paper>
+                                        <Typography variant="subtitle2" sx={{ mt: 2 }}>
+                                            Histograma resultante:
+                                        </Typography>
+                                        <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                            [{results.after.join(', ')}]
+                                        </Typography>
+                                    </CardContent>
+                                </Card>
+                            </Grid>
+                        )}
+                    </Grid>
+                </Grid>
+            </Grid>
+        </Box>
+    );
+};
+
+export default HistogramPointOperations;
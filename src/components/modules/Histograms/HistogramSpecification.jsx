@@ -0,0 +1,593 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    ToggleButton,
+    ToggleButtonGroup,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    CompareArrows,
+    BarChart,
+    Flag,
+    Equalizer,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import useCanvas from '../../../hooks/useCanvas';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+import mathHelpers from '../../../utils/helpers/mathHelpers';
+import {
+    DEFAULT_BINS,
+    LEVEL_OPTIONS,
+    TARGET_DISTRIBUTIONS
+} from '../../../utils/algorithms/histograms';
+
+const DEFAULT_CONFIG = {
+    levels: DEFAULT_BINS,
+    sourceInput: '790, 1023, 850, 656, 329, 245, 122, 81',
+    targetMode: 'custom',
+    targetInput: '0, 0, 0, 614, 819, 1229, 819, 615',
+    peak: '',
+    mean: '',
+    stdDev: ''
+};
+
+const TARGET_MODES = [
+    { value: 'custom', label: 'Histograma' },
+    ...Object.entries(TARGET_DISTRIBUTIONS).map(([value, { label }]) => ({ value, label }))
+];
+
+const CHART_OPTIONS = {
+    borderColor: canvasHelpers.COLORS.histogram.border,
+    gridColor: canvasHelpers.COLORS.histogram.grid,
+    textColor: canvasHelpers.COLORS.histogram.text,
+    showGrid: true,
+    showLabels: true,
+    showValues: true
+};
+
+// Frecuencias separadas por comas; los niveles que faltan hasta L valen 0
+const parseCounts = (input, levels, name) => {
+    if (!input || input.trim() === '') {
+        throw new Error(`Ingrese las frecuencias del histograma ${name}`);
+    }
+
+    const numbers = input.split(',').map(val => {
+        const num = mathHelpers.safeNumber(val.trim(), null);
+        if (num === null || !mathHelpers.isValidNumber(num) || num < 0) {
+            throw new Error(`"${val.trim()}" no es una frecuencia válida en el histograma ${name}`);
+        }
+        return num;
+    });
+
+    if (numbers.length > levels) {
+        throw new Error(`El histograma ${name} tiene ${numbers.length} valores y L = ${levels}`);
+    }
+
+    return [...numbers, ...Array(levels - numbers.length).fill(0)];
+};
+
+const formatProbability = (value) => value.toFixed(3);
+
+/**
+ * Especificación (matching) de histogramas: lleva un histograma de origen a la forma
+ * de un histograma objetivo o de una distribución uniforme, triangular o gaussiana
+ */
+const HistogramSpecification = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    const [config, setConfig] = useLocalStorage('histogramSpecification', DEFAULT_CONFIG);
+    const levels = config.levels || DEFAULT_CONFIG.levels;
+    const targetMode = config.targetMode || DEFAULT_CONFIG.targetMode;
+
+    const {
+        histogram,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const {
+        canvasRef: sourceCanvasRef,
+        drawHistogram: drawSourceHistogram,
+        clearCanvas: clearSourceCanvas,
+        isReady: sourceCanvasReady
+    } = useCanvas({ width: 400, height: 200, backgroundColor: '#fafafa' });
+
+    const {
+        canvasRef: targetCanvasRef,
+        drawHistogram: drawTargetHistogram,
+        clearCanvas: clearTargetCanvas,
+        isReady: targetCanvasReady
+    } = useCanvas({ width: 400, height: 200, backgroundColor: '#fafafa' });
+
+    const {
+        canvasRef: resultCanvasRef,
+        drawHistogram: drawResultHistogram,
+        clearCanvas: clearResultCanvas,
+        isReady: resultCanvasReady
+    } = useCanvas({ width: 400, height: 200, backgroundColor: '#fafafa' });
+
+    const updateConfig = useCallback((field, value) => {
+        setConfig(prev => ({ ...DEFAULT_CONFIG, ...prev, [field]: value }));
+        setResults(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    // Dibujar los tres histogramas
+    useEffect(() => {
+        if (!sourceCanvasReady) return;
+        if (results) {
+            drawSourceHistogram(results.source, { ...CHART_OPTIONS, barColor: canvasHelpers.COLORS.histogram.bar });
+        } else {
+            clearSourceCanvas();
+        }
+    }, [results, sourceCanvasReady, drawSourceHistogram, clearSourceCanvas]);
+
+    useEffect(() => {
+        if (!targetCanvasReady) return;
+        if (results) {
+            drawTargetHistogram(results.target, { ...CHART_OPTIONS, barColor: canvasHelpers.COLORS.warning });
+        } else {
+            clearTargetCanvas();
+        }
+    }, [results, targetCanvasReady, drawTargetHistogram, clearTargetCanvas]);
+
+    useEffect(() => {
+        if (!resultCanvasReady) return;
+        if (results) {
+            drawResultHistogram(results.histogram, { ...CHART_OPTIONS, barColor: canvasHelpers.COLORS.success });
+        } else {
+            clearResultCanvas();
+        }
+    }, [results, resultCanvasReady, drawResultHistogram, clearResultCanvas]);
+
+    // Construir el objetivo: histograma explícito o distribución con sus parámetros opcionales
+    const buildTarget = useCallback(() => {
+        if (targetMode === 'custom') {
+            return parseCounts(config.targetInput, levels, 'objetivo');
+        }
+
+        const target = { type: targetMode };
+        const numericOptions = targetMode === 'triangular'
+            ? ['peak']
+            : targetMode === 'gaussian' ? ['mean', 'stdDev'] : [];
+
+        numericOptions.forEach(option => {
+            const raw = config[option];
+            if (raw === undefined || String(raw).trim() === '') return;
+
+            const value = mathHelpers.safeNumber(raw, null);
+            if (value === null || !mathHelpers.isValidNumber(value)) {
+                throw new Error(`"${raw}" no es un número válido`);
+            }
+            target[option] = value;
+        });
+
+        return target;
+    }, [config, levels, targetMode]);
+
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            const source = parseCounts(config.sourceInput, levels, 'de origen');
+            const target = buildTarget();
+            setResults(await histogram.match(source, target));
+        } catch (error) {
+            console.error('Error en especificación:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [config.sourceInput, levels, buildTarget, histogram]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setResults(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    const center = (levels - 1) / 2;
+
+    const renderChartCard = (title, icon, color, canvasRef, data, emptyText) => (
+        <Card elevation={3} sx={{ height: '100%' }}>
+            <CardContent>
+                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                    {icon}
+                    <Typography variant="h6">
+                        {title}
+                    </Typography>
+                    {data && (
+                        <Chip
+                            label={`${data.reduce((sum, value) => sum + value, 0)} píxeles`}
+                            color={color}
+                            size="small"
+                            variant="outlined"
+                        />
+                    )}
+                </Box>
+
+                <Box
+                    sx={{
+                        display: 'flex',
+                        justifyContent: 'center',
+                        border: '2px solid',
+                        borderColor: data ? `${color}.main` : 'grey.300',
+                        borderRadius: 2,
+                        p: 2,
+                        bgcolor: 'grey.50'
+                    }}
+                >
+                    <canvas
+                        ref={canvasRef}
+                        style={{ maxWidth: '100%', height: 'auto', display: 'block' }}
+                    />
+                </Box>
+
+                {!data && (
+                    <Box
+                        sx={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center',
+                            height: 80,
+                            color: 'text.secondary',
+                            border: '2px dashed',
+                            borderColor: 'grey.300',
+                            borderRadius: 2,
+                            mt: 2
+                        }}
+                    >
+                        <Typography align="center">
+                            {emptyText}
+                        </Typography>
+                    </Box>
+                )}
+            </CardContent>
+        </Card>
+    );
+
+    return (
+        <Box sx={{ p: 3, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'warning.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <CompareArrows fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Especificación de Histogramas
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Transforma un histograma para que siga la forma de un histograma o una distribución objetivo
+                </Typography>
+            </Paper>
+
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={4}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Configuración
+                            </Typography>
+
+                            <TextField
+                                select
+                                fullWidth
+                                label="Niveles (L)"
+                                value={levels}
+                                onChange={(e) => updateConfig('levels', Number(e.target.value))}
+                                margin="normal"
+                                helperText={`Niveles de intensidad 0 … ${levels - 1}`}
+                            >
+                                {LEVEL_OPTIONS.map(option => (
+                                    <MenuItem key={option} value={option}>
+                                        {option} niveles
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+
+                            <TextField
+                                fullWidth
+                                label="Histograma de Origen"
+                                value={config.sourceInput ?? ''}
+                                onChange={(e) => updateConfig('sourceInput', e.target.value)}
+                                margin="normal"
+                                helperText={`Frecuencias separadas por comas (hasta ${levels}; los niveles restantes valen 0)`}
+                                multiline
+                                rows={2}
+                            />
+
+                            <Typography variant="subtitle1" sx={{ mt: 2 }} gutterBottom>
+                                Objetivo
+                            </Typography>
+                            <ToggleButtonGroup
+                                value={targetMode}
+                                exclusive
+                                size="small"
+                                onChange={(_, value) => value && updateConfig('targetMode', value)}
+                                sx={{ flexWrap: 'wrap' }}
+                            >
+                                {TARGET_MODES.map(({ value, label }) => (
+                                    <ToggleButton key={value} value={value}>
+                                        {label}
+                                    </ToggleButton>
+                                ))}
+                            </ToggleButtonGroup>
+
+                            {targetMode === 'custom' && (
+                                <TextField
+                                    fullWidth
+                                    label="Histograma Objetivo"
+                                    value={config.targetInput ?? ''}
+                                    onChange={(e) => updateConfig('targetInput', e.target.value)}
+                                    margin="normal"
+                                    helperText="Solo importa su forma: se compara con las frecuencias acumuladas normalizadas"
+                                    multiline
+                                    rows={2}
+                                />
+                            )}
+
+                            {targetMode === 'triangular' && (
+                                <TextField
+                                    fullWidth
+                                    label="Nivel del pico"
+                                    type="number"
+                                    value={config.peak ?? ''}
+                                    onChange={(e) => updateConfig('peak', e.target.value)}
+                                    margin="normal"
+                                    placeholder={String(center)}
+                                    helperText={`Vacío: centro del rango (${center})`}
+                                />
+                            )}
+
+                            {targetMode === 'gaussian' && (
+                                <Grid container spacing={2} sx={{ mt: 0 }}>
+                                    <Grid item xs={6}>
+                                        <TextField
+                                            fullWidth
+                                            label="Media μ"
+                                            type="number"
+                                            value={config.mean ?? ''}
+                                            onChange={(e) => updateConfig('mean', e.target.value)}
+                                            margin="normal"
+                                            placeholder={String(center)}
+                                            helperText={`Vacío: ${center}`}
+                                        />
+                                    </Grid>
+                                    <Grid item xs={6}>
+                                        <TextField
+                                            fullWidth
+                                            label="Desviación σ"
+                                            type="number"
+                                            value={config.stdDev ?? ''}
+                                            onChange={(e) => updateConfig('stdDev', e.target.value)}
+                                            margin="normal"
+                                            placeholder={(levels / 6).toFixed(2)}
+                                            helperText={`Vacío: L/6 = ${(levels / 6).toFixed(2)}`}
+                                        />
+                                    </Grid>
+                                </Grid>
+                            )}
+
+                            {targetMode !== 'custom' && (
+                                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                    La distribución se escala al total de píxeles del origen.
+                                </Typography>
+                            )}
+
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Calculando...' : 'Especificar Histograma'}
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+                        </CardContent>
+                    </Card>
+
+                    {results && (
+                        <Card elevation={2} sx={{ mt: 2 }}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Resultado vs. Objetivo
+                                </Typography>
+                                <Typography variant="body2" color="text.secondary">
+                                    • Similitud (intersección): {(results.comparison.similarity * 100).toFixed(1)}%<br />
+                                    • Correlación: {results.comparison.correlation.toFixed(3)}<br />
+                                    • Chi-cuadrado: {results.comparison.chiSquare.toFixed(2)}
+                                </Typography>
+                            </CardContent>
+                        </Card>
+                    )}
+                </Grid>
+
+                {/* Gráficos */}
+                <Grid item xs={12} lg={8}>
+                    <Grid container spacing={3}>
+                        <Grid item xs={12} md={6}>
+                            {renderChartCard(
+                                'Origen',
+                                <BarChart color="primary" />,
+                                'primary',
+                                sourceCanvasRef,
+                                results?.source,
+                                'Ejecute la especificación para ver el origen'
+                            )}
+                        </Grid>
+                        <Grid item xs={12} md={6}>
+                            {renderChartCard(
+                                results?.distribution
+                                    ? `Objetivo (${TARGET_DISTRIBUTIONS[results.distribution].label})`
+                                    : 'Objetivo',
+                                <Flag color="warning" />,
+                                'warning',
+                                targetCanvasRef,
+                                results?.target,
+                                'Sin objetivo calculado'
+                            )}
+                        </Grid>
+                        <Grid item xs={12} md={6}>
+                            {renderChartCard(
+                                'Resultado',
+                                <Equalizer color="success" />,
+                                'success',
+                                resultCanvasRef,
+                                results?.histogram,
+                                'Sin resultado'
+                            )}
+                        </Grid>
+                        {results && (
+                            <Grid item xs={12} md={6}>
+                                <Card elevation={3} sx={{ height: '100%' }}>
+                                    <CardContent>
+                                        <Typography variant="h6" gutterBottom color="primary">
+                                            Tabla k → z
+                                        </Typography>
+                                        <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                            <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                                {results.lookupTable.map((z, k) => `${k}→${z}`).join(', ')}
+                                            </Typography>
+                                        </Paper>
+                                        <Typography variant="subtitle2" sx={{ mt: 2 }}>
+                                            Histograma resultante:
+                                        </Typography>
+                                        <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                            [{results.histogram.join(', ')}]
+                                        </Typography>
+                                    </CardContent>
+                                </Card>
+                            </Grid>
+                        )}
+                    </Grid>
+                </Grid>
+
+                {/* Tabla de especificación */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Tabla de Especificación
+                                </Typography>
+                                <Typography variant="body2" color="text.secondary" gutterBottom>
+                                    F y G son las frecuencias acumuladas normalizadas del origen y del objetivo;
+                                    s_k y v_z sus valores ecualizados en [0; {results.levels - 1}].
+                                </Typography>
+
+                                <TableContainer component={Paper} sx={{ maxHeight: 400 }}>
+                                    <Table size="small" stickyHeader>
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell><strong>Nivel</strong></TableCell>
+                                                <TableCell><strong>n_k</strong></TableCell>
+                                                <TableCell><strong>F(k)</strong></TableCell>
+                                                <TableCell><strong>s_k</strong></TableCell>
+                                                <TableCell><strong>Objetivo</strong></TableCell>
+                                                <TableCell><strong>G(z)</strong></TableCell>
+                                                <TableCell><strong>v_z</strong></TableCell>
+                                                <TableCell><strong>k → z</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {results.table.map(row => (
+                                                <TableRow key={row.level} hover>
+                                                    <TableCell>{row.level}</TableCell>
+                                                    <TableCell>{row.count}</TableCell>
+                                                    <TableCell>{formatProbability(row.cdf)}</TableCell>
+                                                    <TableCell>{row.s}</TableCell>
+                                                    <TableCell>{row.targetCount}</TableCell>
+                                                    <TableCell>{formatProbability(row.targetCdf)}</TableCell>
+                                                    <TableCell>{row.v}</TableCell>
+                                                    <TableCell>
+                                                        <strong>{row.level} → {row.mapped}</strong>
+                                                    </TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5, wordBreak: 'break-word' }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default HistogramSpecification;
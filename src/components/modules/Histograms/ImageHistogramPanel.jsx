@@ -0,0 +1,465 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    Tooltip,
+    IconButton,
+    CircularProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Upload,
+    Image as ImageIcon,
+    Clear
+} from '@mui/icons-material';
+import useCanvas from '../../../hooks/useCanvas';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import mathHelpers from '../../../utils/helpers/mathHelpers';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+import { IMAGE_LEVELS } from '../../../utils/algorithms/histograms';
+
+const MODE_LABELS = {
+    expansion: { action: 'Expandir Imagen', result: 'Imagen Expandida' },
+    equalization: { action: 'Ecualizar Imagen', result: 'Imagen Ecualizada' },
+    clahe: { action: 'Aplicar CLAHE', result: 'Imagen con CLAHE' }
+};
+
+const HISTOGRAM_OPTIONS = {
+    borderColor: canvasHelpers.COLORS.histogram.border,
+    gridColor: canvasHelpers.COLORS.histogram.grid,
+    textColor: canvasHelpers.COLORS.histogram.text,
+    showGrid: true,
+    showLabels: true,
+    showValues: false
+};
+
+// Cuantiza niveles de gris 0-255 a L niveles (0..L-1)
+const quantize = (matrix, levels) => {
+    if (levels === IMAGE_LEVELS) return matrix;
+    return matrix.map(row => row.map(value => Math.floor((value * levels) / IMAGE_LEVELS)));
+};
+
+/**
+ * Panel para aplicar expansión, ecualización o CLAHE a una imagen PNG/JPEG
+ * La imagen se convierte a escala de grises con getImageData, se cuantiza a L niveles
+ * y se procesa con su histograma (256 niveles por defecto); en modo CLAHE se usan
+ * claheOptions (grilla, límite de recorte e interpolación)
+ */
+const ImageHistogramPanel = ({ mode = 'equalization', levels = IMAGE_LEVELS, claheOptions = null }) => {
+    const [image, setImage] = useState(null);
+    const [original, setOriginal] = useState(null);
+    const [result, setResult] = useState(null);
+    const [targetMin, setTargetMin] = useState(0);
+    const [targetMax, setTargetMax] = useState(levels - 1);
+    const [isReading, setIsReading] = useState(false);
+    const [validationError, setValidationError] = useState('');
+
+    const originalImageRef = useRef(null);
+    const transformedImageRef = useRef(null);
+
+    // Callback estable: el histograma se recalcula en un efecto que depende de los algoritmos
+    const handleAlgorithmError = useCallback((error, algorithm) => {
+        console.error(`Error en ${algorithm}:`, error);
+    }, []);
+
+    // Sin cache: cada clave serializaría la imagen completa y el cache retendría matrices enteras
+    const { histogram, image: imageAlgorithms, isLoading, error } = useAlgorithms({
+        enableCache: false,
+        onError: handleAlgorithmError
+    });
+
+    const {
+        canvasRef: originalHistogramRef,
+        drawHistogram: drawOriginalHistogram,
+        isReady: originalHistogramReady
+    } = useCanvas({
+        width: 400,
+        height: 200,
+        backgroundColor: '#fafafa'
+    });
+
+    const {
+        canvasRef: transformedHistogramRef,
+        drawHistogram: drawTransformedHistogram,
+        isReady: transformedHistogramReady
+    } = useCanvas({
+        width: 400,
+        height: 200,
+        backgroundColor: '#fafafa'
+    });
+
+    const labels = MODE_LABELS[mode] || MODE_LABELS.equalization;
+    const busy = isLoading || isReading;
+
+    // Al cambiar L se reinicia el rango de expansión y se descarta el resultado anterior
+    useEffect(() => {
+        setTargetMin(0);
+        setTargetMax(levels - 1);
+        setResult(null);
+    }, [levels]);
+
+    // Cuantizar la imagen a L niveles y calcular su histograma
+    useEffect(() => {
+        if (!image) {
+            setOriginal(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const computeHistogram = async () => {
+            try {
+                const matrix = quantize(image.matrix, levels);
+                const counts = await histogram.create(matrix.flat(), levels);
+                const stats = await histogram.stats(counts);
+                if (!cancelled) setOriginal({ matrix, histogram: counts, stats, levels });
+            } catch (error) {
+                if (!cancelled) {
+                    setValidationError(error.message);
+                    setOriginal(null);
+                }
+            }
+        };
+
+        computeHistogram();
+        return () => {
+            cancelled = true;
+        };
+    }, [image, levels, histogram]);
+
+    // Dibujar imagen original en escala de grises
+    useEffect(() => {
+        if (original) {
+            canvasHelpers.drawGrayscaleMatrix(originalImageRef.current, original.matrix, original.levels - 1);
+        }
+    }, [original]);
+
+    // Dibujar imagen transformada
+    useEffect(() => {
+        if (result) {
+            canvasHelpers.drawGrayscaleMatrix(transformedImageRef.current, result.matrix, result.levels - 1);
+        }
+    }, [result]);
+
+    useEffect(() => {
+        if (originalHistogramReady && original) {
+            drawOriginalHistogram(original.histogram, {
+                ...HISTOGRAM_OPTIONS,
+                barColor: canvasHelpers.COLORS.histogram.bar
+            });
+        }
+    }, [original, drawOriginalHistogram, originalHistogramReady]);
+
+    useEffect(() => {
+        if (transformedHistogramReady && result) {
+            drawTransformedHistogram(result.histogram, {
+                ...HISTOGRAM_OPTIONS,
+                barColor: canvasHelpers.COLORS.secondary
+            });
+        }
+    }, [result, drawTransformedHistogram, transformedHistogramReady]);
+
+    // Validar rango de expansión sobre los niveles de la imagen
+    const validateTargetRange = useCallback((min, max) => {
+        if (!Number.isInteger(min) || !Number.isInteger(max)) {
+            return 'Min y Max deben ser enteros';
+        }
+        if (min < 0 || max > levels - 1) {
+            return `El rango debe estar dentro de [0; ${levels - 1}]`;
+        }
+        if (min >= max) {
+            return 'Min debe ser menor que Max';
+        }
+        return '';
+    }, [levels]);
+
+    // Cargar imagen en escala de grises
+    const handleFileChange = useCallback(async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            setValidationError('');
+            setIsReading(true);
+            setResult(null);
+
+            const loaded = await canvasHelpers.loadImageFile(file);
+            setImage({ name: file.name, ...canvasHelpers.imageToGrayscale(loaded) });
+        } catch (error) {
+            console.error('Error al cargar la imagen:', error);
+            setValidationError(error.message);
+            setImage(null);
+        } finally {
+            setIsReading(false);
+        }
+    }, []);
+
+    // Aplicar la transformación a todos los píxeles
+    const handleApply = useCallback(async () => {
+        if (!original) return;
+
+        try {
+            setValidationError('');
+
+            // CLAHE usa una tabla por bloque: no hay tabla global
+            if (mode === 'clahe') {
+                const clahe = await imageAlgorithms.clahe(original.matrix, { ...claheOptions, levels: original.levels });
+                const stats = await histogram.stats(clahe.histogram);
+                setResult({
+                    matrix: clahe.matrix,
+                    histogram: clahe.histogram,
+                    lookupTable: null,
+                    stats,
+                    levels: original.levels
+                });
+                return;
+            }
+
+            let lookupTable;
+            if (mode === 'expansion') {
+                const rangeError = validateTargetRange(targetMin, targetMax);
+                if (rangeError) {
+                    setValidationError(rangeError);
+                    return;
+                }
+                lookupTable = await histogram.expansionLookup(original.histogram, targetMin, targetMax);
+            } else {
+                const equalized = await histogram.equalize(original.histogram);
+                lookupTable = equalized.lookupTable;
+            }
+
+            const matrix = await histogram.applyTransform(original.matrix, original.histogram, lookupTable);
+            const counts = await histogram.create(matrix.flat(), original.levels);
+            const stats = await histogram.stats(counts);
+
+            setResult({ matrix, histogram: counts, lookupTable, stats, levels: original.levels });
+        } catch (error) {
+            console.error('Error al transformar la imagen:', error);
+            setValidationError(error.message);
+            setResult(null);
+        }
+    }, [original, mode, targetMin, targetMax, histogram, imageAlgorithms, claheOptions, validateTargetRange]);
+
+    const handleClear = useCallback(() => {
+        setImage(null);
+        setResult(null);
+        setValidationError('');
+    }, []);
+
+    // Rango de niveles ocupados por un histograma
+    const occupiedRange = (counts) => {
+        const first = counts.findIndex(val => val > 0);
+        let last = counts.length - 1;
+        while (last > 0 && counts[last] === 0) last--;
+        return first === -1 ? '—' : `[${first}; ${last}]`;
+    };
+
+    const renderStats = (counts, stats) => (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            • Niveles ocupados: {stats.nonZeroCount} de {counts.length}<br />
+            • Rango: {occupiedRange(counts)}<br />
+            • Media: {stats.mean.toFixed(2)} · Desv. Std: {stats.stdDev.toFixed(2)}
+        </Typography>
+    );
+
+    // Los canvas se mantienen montados para que useCanvas los inicialice; sin datos se muestra el aviso
+    const renderImageCard = (title, color, imageRef, histogramRef, counts, stats, emptyText) => (
+        <Card elevation={3} sx={{ height: '100%' }}>
+            <CardContent>
+                <Typography variant="h6" gutterBottom color={color}>
+                    {title}
+                </Typography>
+                <Box sx={{ display: counts ? 'block' : 'none' }}>
+                    <Box
+                        sx={{
+                            display: 'flex',
+                            justifyContent: 'center',
+                            border: '2px solid',
+                            borderColor: 'grey.300',
+                            borderRadius: 2,
+                            p: 2,
+                            bgcolor: 'grey.50'
+                        }}
+                    >
+                        <canvas
+                            ref={imageRef}
+                            style={{ maxWidth: '100%', height: 'auto', display: 'block' }}
+                        />
+                    </Box>
+                    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                        <canvas
+                            ref={histogramRef}
+                            style={{ maxWidth: '100%', height: 'auto', display: 'block' }}
+                        />
+                    </Box>
+                    {counts && stats && renderStats(counts, stats)}
+                </Box>
+
+                {!counts && (
+                    <Box
+                        sx={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center',
+                            height: 200,
+                            color: 'text.secondary',
+                            border: '2px dashed',
+                            borderColor: 'grey.300',
+                            borderRadius: 2
+                        }}
+                    >
+                        <Typography align="center">
+                            {emptyText}
+                        </Typography>
+                    </Box>
+                )}
+            </CardContent>
+        </Card>
+    );
+
+    return (
+        <Card elevation={3}>
+            <CardContent>
+                <Box display="flex" alignItems="center" gap={1} mb={2} flexWrap="wrap">
+                    <ImageIcon color="primary" />
+                    <Typography variant="h6">
+                        Aplicar a una Imagen
+                    </Typography>
+                    {image && (
+                        <Chip
+                            label={`${image.name} · ${image.width}×${image.height}`}
+                            color="primary"
+                            size="small"
+                            variant="outlined"
+                        />
+                    )}
+                </Box>
+
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                    La imagen se convierte a escala de grises, se cuantiza a L = {levels} niveles y se transforma
+                    cada píxel con {mode === 'clahe'
+                        ? 'las tablas de los bloques de la grilla, interpoladas entre bloques vecinos'
+                        : 'la tabla de consulta del histograma'}. Las imágenes con lado mayor a 512 px se reducen.
+                </Typography>
+
+                {validationError && (
+                    <Alert severity="error" sx={{ my: 2 }}>
+                        {validationError}
+                    </Alert>
+                )}
+                {error && !validationError && (
+                    <Alert severity="error" sx={{ my: 2 }}>
+                        {error.message}
+                    </Alert>
+                )}
+
+                <Box sx={{ mt: 2, display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+                    <Button
+                        variant="outlined"
+                        component="label"
+                        startIcon={isReading ? <CircularProgress size={20} /> : <Upload />}
+                        disabled={busy}
+                    >
+                        Cargar PNG/JPEG
+                        <input
+                            hidden
+                            type="file"
+                            accept={canvasHelpers.IMAGE_TYPES.join(',')}
+                            onChange={handleFileChange}
+                        />
+                    </Button>
+
+                    {mode === 'expansion' && (
+                        <>
+                            <TextField
+                                label="Mínimo"
+                                type="number"
+                                size="small"
+                                value={targetMin}
+                                onChange={(e) => setTargetMin(mathHelpers.safeNumber(e.target.value, 0))}
+                                sx={{ width: 110 }}
+                            />
+                            <TextField
+                                label="Máximo"
+                                type="number"
+                                size="small"
+                                value={targetMax}
+                                onChange={(e) => setTargetMax(mathHelpers.safeNumber(e.target.value, levels - 1))}
+                                sx={{ width: 110 }}
+                            />
+                        </>
+                    )}
+
+                    <Button
+                        variant="contained"
+                        startIcon={isLoading ? <CircularProgress size={20} /> : <PlayArrow />}
+                        onClick={handleApply}
+                        disabled={!original || busy}
+                    >
+                        {labels.action}
+                    </Button>
+
+                    <Tooltip title="Quitar imagen">
+                        <span>
+                            <IconButton onClick={handleClear} color="error" size="small" disabled={!image}>
+                                <Clear />
+                            </IconButton>
+                        </span>
+                    </Tooltip>
+                </Box>
+
+                <Grid container spacing={3} sx={{ mt: 1 }}>
+                    <Grid item xs={12} md={6}>
+                        {renderImageCard(
+                            'Original (escala de grises)',
+                            'primary',
+                            originalImageRef,
+                            originalHistogramRef,
+                            original?.histogram,
+                            original?.stats,
+                            'Cargue una imagen para calcular su histograma'
+                        )}
+                    </Grid>
+                    <Grid item xs={12} md={6}>
+                        {renderImageCard(
+                            labels.result,
+                            'secondary',
+                            transformedImageRef,
+                            transformedHistogramRef,
+                            result?.histogram,
+                            result?.stats,
+                            `Pulse "${labels.action}" para ver el resultado`
+                        )}
+                    </Grid>
+
+                    {result?.lookupTable && (
+                        <Grid item xs={12}>
+                            <Typography variant="subtitle1" gutterBottom>
+                                Tabla de transformación (nivel original → nuevo nivel):
+                            </Typography>
+                            <Paper sx={{ p: 2, bgcolor: 'grey.50', maxHeight: 160, overflow: 'auto' }}>
+                                <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                    {result.lookupTable
+                                        .map((newLevel, level) => ({ level, newLevel }))
+                                        .filter(({ level }) => original.histogram[level] > 0)
+                                        .map(({ level, newLevel }) => `${level}→${newLevel}`)
+                                        .join(', ')}
+                                </Typography>
+                            </Paper>
+                        </Grid>
+                    )}
+                </Grid>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ImageHistogramPanel;
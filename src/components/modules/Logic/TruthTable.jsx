@@ -0,0 +1,473 @@
+import React, { useState, useCallback, useRef } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Rule,
+    CompareArrows,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import { CLASSIFICATION_LABELS } from '../../../utils/algorithms/propositionalLogic';
+
+const DEFAULT_CONFIG = {
+    mode: 'table',
+    formulaA: '(p → q) ∧ p → q',
+    formulaB: '¬p ∨ q'
+};
+
+// Botones para insertar conectivos
+const SYMBOLS = [
+    { symbol: '¬', label: 'Negación' },
+    { symbol: '∧', label: 'Conjunción' },
+    { symbol: '∨', label: 'Disyunción' },
+    { symbol: '→', label: 'Condicional' },
+    { symbol: '↔', label: 'Bicondicional' },
+    { symbol: '⊕', label: 'Disyunción exclusiva' },
+    { symbol: '(', label: 'Abrir paréntesis' },
+    { symbol: ')', label: 'Cerrar paréntesis' }
+];
+
+const CLASSIFICATION_COLORS = {
+    tautology: 'success',
+    contradiction: 'error',
+    contingency: 'warning'
+};
+
+const formatValue = (value) => (value ? 'V' : 'F');
+
+const TruthTable = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+    const [activeField, setActiveField] = useState('formulaA');
+    const inputRefs = { formulaA: useRef(null), formulaB: useRef(null) };
+
+    // Configuración persistida entre sesiones
+    const [config, setConfig] = useLocalStorage('truthTable', DEFAULT_CONFIG);
+
+    // Hook de algoritmos
+    const {
+        logic,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...prev, ...changes }));
+        setResults(null);
+    }, [setConfig]);
+
+    // Insertar un conectivo en la posición del cursor
+    const insertSymbol = (symbol) => {
+        const input = inputRefs[activeField].current;
+        const current = config[activeField];
+        const start = input ? input.selectionStart : current.length;
+        const end = input ? input.selectionEnd : current.length;
+
+        updateConfig({ [activeField]: current.slice(0, start) + symbol + current.slice(end) });
+
+        // Restaurar el foco después del render
+        setTimeout(() => {
+            if (input) {
+                input.focus();
+                input.setSelectionRange(start + symbol.length, start + symbol.length);
+            }
+        }, 0);
+    };
+
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+
+            if (config.mode === 'table') {
+                const [table, forms] = await Promise.all([
+                    logic.truthTable(config.formulaA),
+                    logic.normalForms(config.formulaA)
+                ]);
+                setResults({ mode: 'table', table, forms });
+            } else {
+                const equivalence = await logic.equivalence(config.formulaA, config.formulaB);
+                setResults({ mode: 'equivalence', equivalence });
+            }
+        } catch (error) {
+            console.error('Error evaluando la fórmula:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [config, logic]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setResults(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    const handleClear = useCallback(() => {
+        updateConfig({ formulaA: '', formulaB: '' });
+        setValidationError('');
+    }, [updateConfig]);
+
+    const renderValueCell = (value, key, options = {}) => (
+        <TableCell
+            key={key}
+            align="center"
+            sx={{
+                fontFamily: 'monospace',
+                fontWeight: options.bold ? 'bold' : 'normal',
+                color: value ? 'success.dark' : 'error.main',
+                bgcolor: options.highlight ? 'grey.100' : 'inherit'
+            }}
+        >
+            {formatValue(value)}
+        </TableCell>
+    );
+
+    const table = results?.table;
+    const equivalence = results?.equivalence;
+    const steps = table
+        ? [...table.steps, ...results.forms.steps]
+        : equivalence?.steps || [];
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <Rule fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Tablas de Verdad
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Lógica proposicional: tablas de verdad, formas normales y equivalencia
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" justifyContent="space-between" mb={2}>
+                                <Typography variant="h6" color="primary">
+                                    Fórmula
+                                </Typography>
+                                <Tooltip title="Limpiar fórmulas">
+                                    <IconButton onClick={handleClear} size="small">
+                                        <Clear />
+                                    </IconButton>
+                                </Tooltip>
+                            </Box>
+
+                            <ToggleButtonGroup
+                                exclusive
+                                fullWidth
+                                size="small"
+                                value={config.mode}
+                                onChange={(_, value) => value && updateConfig({ mode: value })}
+                                sx={{ mb: 2 }}
+                            >
+                                <ToggleButton value="table">Tabla de verdad</ToggleButton>
+                                <ToggleButton value="equivalence">Equivalencia</ToggleButton>
+                            </ToggleButtonGroup>
+
+                            <TextField
+                                fullWidth
+                                label={config.mode === 'table' ? 'Fórmula' : 'Fórmula A'}
+                                value={config.formulaA}
+                                inputRef={inputRefs.formulaA}
+                                onFocus={() => setActiveField('formulaA')}
+                                onChange={(e) => updateConfig({ formulaA: e.target.value })}
+                                InputProps={{ sx: { fontFamily: 'monospace' } }}
+                            />
+
+                            {config.mode === 'equivalence' && (
+                                <TextField
+                                    fullWidth
+                                    label="Fórmula B"
+                                    value={config.formulaB}
+                                    inputRef={inputRefs.formulaB}
+                                    onFocus={() => setActiveField('formulaB')}
+                                    onChange={(e) => updateConfig({ formulaB: e.target.value })}
+                                    InputProps={{ sx: { fontFamily: 'monospace' } }}
+                                    sx={{ mt: 2 }}
+                                />
+                            )}
+
+                            {/* Conectivos */}
+                            <Box sx={{ mt: 2, display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                                {SYMBOLS.map(({ symbol, label }) => (
+                                    <Tooltip key={symbol} title={label}>
+                                        <Button
+                                            variant="outlined"
+                                            size="small"
+                                            onClick={() => insertSymbol(symbol)}
+                                            sx={{ minWidth: 40, fontSize: '1rem' }}
+                                        >
+                                            {symbol}
+                                        </Button>
+                                    </Tooltip>
+                                ))}
+                            </Box>
+
+                            <Typography variant="caption" color="text.secondary" component="div" sx={{ mt: 1 }}>
+                                También se aceptan ~ ! & | -&gt; &lt;-&gt; y las constantes 1 y 0.
+                                Precedencia: ¬, ∧, ∨ y ⊕, →, ↔.
+                            </Typography>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={config.mode === 'table' ? <PlayArrow /> : <CompareArrows />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {config.mode === 'table' ? 'Generar Tabla' : 'Comparar Fórmulas'}
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+
+                            {/* Clasificación */}
+                            {table && (
+                                <Paper sx={{ p: 2, mt: 3, bgcolor: 'grey.50' }}>
+                                    <Typography variant="body1" sx={{ fontFamily: 'monospace', mb: 1 }}>
+                                        {table.formula}
+                                    </Typography>
+                                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                        <Chip
+                                            label={CLASSIFICATION_LABELS[table.classification]}
+                                            color={CLASSIFICATION_COLORS[table.classification]}
+                                        />
+                                        <Chip label={`${table.trueCount} V / ${table.falseCount} F`} variant="outlined" />
+                                    </Box>
+                                </Paper>
+                            )}
+
+                            {equivalence && (
+                                <Paper sx={{ p: 2, mt: 3, bgcolor: 'grey.50' }}>
+                                    <Typography variant="body1" sx={{ fontFamily: 'monospace', mb: 1 }}>
+                                        {equivalence.formulaA} {equivalence.equivalent ? '≡' : '≢'} {equivalence.formulaB}
+                                    </Typography>
+                                    <Chip
+                                        label={equivalence.equivalent ? 'Equivalentes' : 'No equivalentes'}
+                                        color={equivalence.equivalent ? 'success' : 'error'}
+                                    />
+                                </Paper>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Tabla */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                {config.mode === 'table' ? 'Tabla de Verdad' : 'Comparación'}
+                            </Typography>
+
+                            {!results && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Escriba una fórmula<br />y genere la tabla
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {table && (
+                                <TableContainer component={Paper} sx={{ maxHeight: 500 }}>
+                                    <Table size="small" stickyHeader>
+                                        <TableHead>
+                                            <TableRow>
+                                                {table.variables.map(name => (
+                                                    <TableCell key={name} align="center"><strong>{name}</strong></TableCell>
+                                                ))}
+                                                {table.columns.map((column, index) => (
+                                                    <TableCell
+                                                        key={column}
+                                                        align="center"
+                                                        sx={{ whiteSpace: 'nowrap', fontFamily: 'monospace' }}
+                                                    >
+                                                        <strong>{index === table.columns.length - 1 ? table.formula : column}</strong>
+                                                    </TableCell>
+                                                ))}
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {table.rows.map(row => (
+                                                <TableRow key={row.index} hover>
+                                                    {row.values.map((value, i) => renderValueCell(value, `v${i}`))}
+                                                    {row.subresults.map((value, i) => renderValueCell(value, `s${i}`, {
+                                                        bold: i === row.subresults.length - 1,
+                                                        highlight: i === row.subresults.length - 1
+                                                    }))}
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            )}
+
+                            {equivalence && (
+                                <TableContainer component={Paper} sx={{ maxHeight: 500 }}>
+                                    <Table size="small" stickyHeader>
+                                        <TableHead>
+                                            <TableRow>
+                                                {equivalence.variables.map(name => (
+                                                    <TableCell key={name} align="center"><strong>{name}</strong></TableCell>
+                                                ))}
+                                                <TableCell align="center" sx={{ fontFamily: 'monospace' }}>
+                                                    <strong>A: {equivalence.formulaA}</strong>
+                                                </TableCell>
+                                                <TableCell align="center" sx={{ fontFamily: 'monospace' }}>
+                                                    <strong>B: {equivalence.formulaB}</strong>
+                                                </TableCell>
+                                                <TableCell align="center"><strong>A ↔ B</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {equivalence.rows.map(row => (
+                                                <TableRow
+                                                    key={row.index}
+                                                    hover
+                                                    sx={{ bgcolor: row.matches ? 'inherit' : 'error.light' }}
+                                                >
+                                                    {row.values.map((value, i) => renderValueCell(value, `v${i}`))}
+                                                    {renderValueCell(row.resultA, 'a')}
+                                                    {renderValueCell(row.resultB, 'b')}
+                                                    {renderValueCell(row.matches, 'm', { bold: true })}
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Formas normales */}
+                {results?.forms && (
+                    <Grid item xs={12} md={6}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Formas Normales
+                                </Typography>
+
+                                <Typography variant="subtitle2" gutterBottom>
+                                    Forma normal disyuntiva (FND)
+                                </Typography>
+                                <Paper sx={{ p: 2, mb: 2, bgcolor: 'grey.50' }}>
+                                    <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-word' }}>
+                                        {results.forms.dnf}
+                                    </Typography>
+                                </Paper>
+
+                                <Typography variant="subtitle2" gutterBottom>
+                                    Forma normal conjuntiva (FNC)
+                                </Typography>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-word' }}>
+                                        {results.forms.cnf}
+                                    </Typography>
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12} md={results.forms ? 6 : 12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default TruthTable;
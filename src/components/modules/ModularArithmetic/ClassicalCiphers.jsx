@@ -0,0 +1,683 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    EnhancedEncryption,
+    Lock,
+    LockOpen,
+    QueryStats,
+    Refresh,
+    Clear,
+    ListAlt,
+    SwapVert
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import {
+    validateAffineKey,
+    modularMatrixInverse,
+    LETTER_FREQUENCIES
+} from '../../../utils/algorithms/classicalCiphers';
+
+const CIPHERS = {
+    caesar: { label: 'César', attack: true },
+    affine: { label: 'Afín', attack: true },
+    vigenere: { label: 'Vigenère', attack: false },
+    hill: { label: 'Hill', attack: false }
+};
+
+const DEFAULT_HILL_KEYS = {
+    2: [['3', '3'], ['2', '5']],
+    3: [['6', '24', '1'], ['13', '16', '10'], ['20', '17', '15']]
+};
+
+const DEFAULT_CONFIG = {
+    cipher: 'caesar',
+    operation: 'encrypt',
+    text: 'Criptografia clasica',
+    shift: '3',
+    a: '5',
+    b: '8',
+    keyword: 'CLAVE',
+    hillKey: DEFAULT_HILL_KEYS[2],
+    language: 'es'
+};
+
+// Máximo de letras mostradas en la tabla de sustitución
+const MAX_MAPPING_COLUMNS = 40;
+
+const parseHillKey = (hillKey) => hillKey.map(row => row.map(value => parseInt(value, 10)));
+
+// Matriz en una tabla compacta
+const MatrixView = ({ label, matrix }) => (
+    <Box>
+        <Typography variant="caption" color="text.secondary">{label}</Typography>
+        <Table size="small" sx={{ width: 'auto' }}>
+            <TableBody>
+                {matrix.map((row, i) => (
+                    <TableRow key={i}>
+                        {row.map((value, j) => (
+                            <TableCell key={j} align="center" sx={{ fontFamily: 'monospace', px: 1.5 }}>
+                                {value}
+                            </TableCell>
+                        ))}
+                    </TableRow>
+                ))}
+            </TableBody>
+        </Table>
+    </Box>
+);
+
+/**
+ * Cifrados clásicos: César, afín, Vigenère y Hill con criptoanálisis por frecuencias
+ */
+const ClassicalCiphers = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    const [config, setConfig] = useLocalStorage('classicalCiphers', DEFAULT_CONFIG);
+
+    const {
+        crypto,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const cipher = CIPHERS[config.cipher];
+    const operation = config.operation === 'attack' && !cipher.attack ? 'encrypt' : config.operation;
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...prev, ...changes }));
+        setResults(null);
+    }, [setConfig]);
+
+    // Validez de la clave afín en vivo
+    const affineKey = useMemo(() => {
+        const a = parseInt(config.a, 10);
+        const b = parseInt(config.b, 10);
+        return isNaN(a) || isNaN(b) ? null : validateAffineKey(a, b);
+    }, [config.a, config.b]);
+
+    // Invertibilidad de la matriz de Hill en vivo
+    const hillCheck = useMemo(() => {
+        const matrix = parseHillKey(config.hillKey);
+        if (matrix.some(row => row.some(isNaN))) {
+            return { isValid: false, message: 'La matriz debe contener enteros' };
+        }
+
+        try {
+            const { determinant, detMod } = modularMatrixInverse(matrix);
+            return { isValid: true, message: `det = ${determinant} ≡ ${detMod} (mod 26), invertible` };
+        } catch (error) {
+            return { isValid: false, message: error.message };
+        }
+    }, [config.hillKey]);
+
+    const updateHillCell = useCallback((i, j, value) => {
+        updateConfig({
+            hillKey: config.hillKey.map((row, r) => row.map((cell, c) => (r === i && c === j ? value : cell)))
+        });
+    }, [config.hillKey, updateConfig]);
+
+    /**
+     * Cifra, descifra o ataca el texto con el cifrado seleccionado
+     */
+    const processText = useCallback(async () => {
+        try {
+            setValidationError('');
+            const { text } = config;
+            let result;
+
+            if (operation === 'attack') {
+                const options = { language: config.language };
+                result = config.cipher === 'caesar'
+                    ? await crypto.caesarAttack(text, options)
+                    : await crypto.affineAttack(text, options);
+            } else {
+                const encrypt = operation === 'encrypt';
+
+                switch (config.cipher) {
+                    case 'caesar': {
+                        const shift = parseInt(config.shift, 10);
+                        if (isNaN(shift)) throw new Error('El desplazamiento debe ser un número entero');
+                        result = encrypt
+                            ? await crypto.caesarEncrypt(text, shift)
+                            : await crypto.caesarDecrypt(text, shift);
+                        break;
+                    }
+                    case 'affine': {
+                        if (!affineKey) throw new Error('a y b deben ser números enteros');
+                        result = encrypt
+                            ? await crypto.affineEncrypt(text, affineKey.a, affineKey.b)
+                            : await crypto.affineDecrypt(text, affineKey.a, affineKey.b);
+                        break;
+                    }
+                    case 'vigenere':
+                        result = encrypt
+                            ? await crypto.vigenereEncrypt(text, config.keyword)
+                            : await crypto.vigenereDecrypt(text, config.keyword);
+                        break;
+                    case 'hill': {
+                        const matrix = parseHillKey(config.hillKey);
+                        result = encrypt
+                            ? await crypto.hillEncrypt(text, matrix)
+                            : await crypto.hillDecrypt(text, matrix);
+                        break;
+                    }
+                    default:
+                        throw new Error(`Cifrado desconocido: ${config.cipher}`);
+                }
+            }
+
+            setResults({ ...result, operation });
+        } catch (error) {
+            console.error('Error procesando el texto:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [config, operation, affineKey, crypto]);
+
+    // Usar el resultado como nueva entrada en la operación inversa
+    const swapOperation = useCallback(() => {
+        if (!results || results.operation === 'attack') return;
+
+        updateConfig({
+            operation: results.operation === 'encrypt' ? 'decrypt' : 'encrypt',
+            text: results.output
+        });
+    }, [results, updateConfig]);
+
+    // Aplicar la clave encontrada por el ataque
+    const applyCandidate = useCallback((candidate) => {
+        updateConfig(config.cipher === 'caesar'
+            ? { operation: 'decrypt', shift: String(candidate.key.shift) }
+            : { operation: 'decrypt', a: String(candidate.key.a), b: String(candidate.key.b) });
+    }, [config.cipher, updateConfig]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setResults(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    const handleClear = useCallback(() => {
+        updateConfig({ text: '' });
+    }, [updateConfig]);
+
+    const maxFrequency = useMemo(() => {
+        if (!results?.frequencies) return 1;
+        return Math.max(
+            ...results.frequencies.map(row => row.percentage),
+            ...LETTER_FREQUENCIES[results.language]
+        );
+    }, [results]);
+
+    const keyIsValid = (config.cipher !== 'affine' || affineKey?.isValid) &&
+        (config.cipher !== 'hill' || hillCheck.isValid);
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <EnhancedEncryption fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Cifrados Clásicos
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    César, afín, Vigenère y Hill sobre Z₂₆, con criptoanálisis por frecuencias
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Cifrado y clave
+                            </Typography>
+
+                            <ToggleButtonGroup
+                                exclusive
+                                fullWidth
+                                size="small"
+                                value={config.cipher}
+                                onChange={(_, value) => value && updateConfig({ cipher: value })}
+                                sx={{ mb: 2 }}
+                            >
+                                {Object.entries(CIPHERS).map(([value, { label }]) => (
+                                    <ToggleButton key={value} value={value}>{label}</ToggleButton>
+                                ))}
+                            </ToggleButtonGroup>
+
+                            <ToggleButtonGroup
+                                exclusive
+                                size="small"
+                                value={operation}
+                                onChange={(_, value) => value && updateConfig({ operation: value })}
+                                sx={{ mb: 2 }}
+                            >
+                                <ToggleButton value="encrypt">Cifrar</ToggleButton>
+                                <ToggleButton value="decrypt">Descifrar</ToggleButton>
+                                {cipher.attack && <ToggleButton value="attack">Criptoanálisis</ToggleButton>}
+                            </ToggleButtonGroup>
+
+                            {/* Clave */}
+                            {operation === 'attack' ? (
+                                <TextField
+                                    select
+                                    fullWidth
+                                    size="small"
+                                    label="Idioma del texto claro"
+                                    value={config.language}
+                                    onChange={(e) => updateConfig({ language: e.target.value })}
+                                    sx={{ mb: 2 }}
+                                >
+                                    <MenuItem value="es">Español</MenuItem>
+                                    <MenuItem value="en">Inglés</MenuItem>
+                                </TextField>
+                            ) : (
+                                <Box sx={{ mb: 2 }}>
+                                    {config.cipher === 'caesar' && (
+                                        <TextField
+                                            size="small"
+                                            label="Desplazamiento k"
+                                            type="number"
+                                            value={config.shift}
+                                            onChange={(e) => updateConfig({ shift: e.target.value })}
+                                            helperText="y = x + k mod 26"
+                                        />
+                                    )}
+
+                                    {config.cipher === 'affine' && (
+                                        <Box display="flex" gap={2}>
+                                            <TextField
+                                                size="small"
+                                                label="a"
+                                                type="number"
+                                                value={config.a}
+                                                onChange={(e) => updateConfig({ a: e.target.value })}
+                                                error={Boolean(affineKey) && !affineKey.isValid}
+                                                helperText={affineKey
+                                                    ? (affineKey.isValid
+                                                        ? `gcd(a, 26) = 1, a⁻¹ = ${affineKey.inverse}`
+                                                        : `gcd(a, 26) = ${affineKey.gcd}: clave inválida`)
+                                                    : 'y = ax + b mod 26'}
+                                                sx={{ width: 200 }}
+                                            />
+                                            <TextField
+                                                size="small"
+                                                label="b"
+                                                type="number"
+                                                value={config.b}
+                                                onChange={(e) => updateConfig({ b: e.target.value })}
+                                                sx={{ width: 120 }}
+                                            />
+                                        </Box>
+                                    )}
+
+                                    {config.cipher === 'vigenere' && (
+                                        <TextField
+                                            fullWidth
+                                            size="small"
+                                            label="Palabra clave"
+                                            value={config.keyword}
+                                            onChange={(e) => updateConfig({ keyword: e.target.value })}
+                                            InputProps={{ sx: { fontFamily: 'monospace' } }}
+                                        />
+                                    )}
+
+                                    {config.cipher === 'hill' && (
+                                        <>
+                                            <ToggleButtonGroup
+                                                exclusive
+                                                size="small"
+                                                value={config.hillKey.length}
+                                                onChange={(_, value) => value && updateConfig({ hillKey: DEFAULT_HILL_KEYS[value] })}
+                                                sx={{ mb: 1 }}
+                                            >
+                                                <ToggleButton value={2}>2x2</ToggleButton>
+                                                <ToggleButton value={3}>3x3</ToggleButton>
+                                            </ToggleButtonGroup>
+                                            {config.hillKey.map((row, i) => (
+                                                <Box key={i} display="flex" gap={1} mb={1}>
+                                                    {row.map((value, j) => (
+                                                        <TextField
+                                                            key={j}
+                                                            size="small"
+                                                            type="number"
+                                                            value={value}
+                                                            onChange={(e) => updateHillCell(i, j, e.target.value)}
+                                                            sx={{ width: 80 }}
+                                                        />
+                                                    ))}
+                                                </Box>
+                                            ))}
+                                            <Typography
+                                                variant="caption"
+                                                color={hillCheck.isValid ? 'success.main' : 'error'}
+                                            >
+                                                {hillCheck.message}
+                                            </Typography>
+                                        </>
+                                    )}
+                                </Box>
+                            )}
+
+                            <Box display="flex" alignItems="flex-start" gap={1}>
+                                <TextField
+                                    fullWidth
+                                    multiline
+                                    minRows={3}
+                                    label={operation === 'encrypt' ? 'Texto claro' : 'Texto cifrado'}
+                                    value={config.text}
+                                    onChange={(e) => updateConfig({ text: e.target.value })}
+                                    helperText="Se conservan solo las letras A-Z (sin tildes)"
+                                />
+                                <Tooltip title="Limpiar texto">
+                                    <IconButton onClick={handleClear}>
+                                        <Clear />
+                                    </IconButton>
+                                </Tooltip>
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={{ encrypt: <Lock />, decrypt: <LockOpen />, attack: <QueryStats /> }[operation]}
+                                    onClick={processText}
+                                    disabled={isLoading || (operation !== 'attack' && !keyIsValid)}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {{ encrypt: 'Cifrar', decrypt: 'Descifrar', attack: 'Analizar frecuencias' }[operation]}
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+
+                            {/* Resultado */}
+                            {results && results.operation !== 'attack' && (
+                                <Paper sx={{ p: 2, mt: 3, bgcolor: 'grey.50' }}>
+                                    <Typography variant="subtitle2" gutterBottom>
+                                        {results.operation === 'encrypt' ? 'Texto cifrado' : 'Texto descifrado'}
+                                    </Typography>
+                                    <Typography variant="body1" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                        {results.output}
+                                    </Typography>
+                                    <Button size="small" startIcon={<SwapVert />} onClick={swapOperation} sx={{ mt: 1 }}>
+                                        {results.operation === 'encrypt' ? 'Descifrar este resultado' : 'Cifrar este resultado'}
+                                    </Button>
+                                </Paper>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Detalle */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                {results?.operation === 'attack'
+                                    ? 'Análisis de frecuencias'
+                                    : (results?.cipher === 'hill' ? 'Multiplicación por bloques' : 'Sustitución letra a letra')}
+                            </Typography>
+
+                            {!results && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Elija un cifrado y una clave<br />y procese el texto
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {/* Tabla de sustitución */}
+                            {results?.mapping && (
+                                <>
+                                    <TableContainer component={Paper} variant="outlined" sx={{ overflowX: 'auto' }}>
+                                        <Table size="small">
+                                            <TableBody>
+                                                {[
+                                                    { label: 'Entrada', field: 'input' },
+                                                    { label: 'x', field: 'x' },
+                                                    ...(results.cipher === 'vigenere' ? [{ label: 'k', field: 'shift' }] : []),
+                                                    { label: 'y', field: 'y' },
+                                                    { label: 'Salida', field: 'output' }
+                                                ].map(({ label, field }) => (
+                                                    <TableRow key={field}>
+                                                        <TableCell sx={{ fontWeight: 'bold' }}>{label}</TableCell>
+                                                        {results.mapping.slice(0, MAX_MAPPING_COLUMNS).map((row, index) => (
+                                                            <TableCell
+                                                                key={index}
+                                                                align="center"
+                                                                sx={{ fontFamily: 'monospace', px: 0.75 }}
+                                                            >
+                                                                {row[field]}
+                                                            </TableCell>
+                                                        ))}
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                    {results.mapping.length > MAX_MAPPING_COLUMNS && (
+                                        <Typography variant="caption" color="text.secondary">
+                                            Se muestran las primeras {MAX_MAPPING_COLUMNS} de {results.mapping.length} letras
+                                        </Typography>
+                                    )}
+                                </>
+                            )}
+
+                            {/* Hill */}
+                            {results?.blocks && (
+                                <>
+                                    <Box sx={{ display: 'flex', gap: 4, flexWrap: 'wrap', mb: 2 }}>
+                                        <MatrixView label="K (mod 26)" matrix={results.key.matrix} />
+                                        <MatrixView label="adj(K) (mod 26)" matrix={results.key.adjugate} />
+                                        <MatrixView label={`K⁻¹ = ${results.key.detInverse}·adj(K) (mod 26)`} matrix={results.key.inverse} />
+                                    </Box>
+
+                                    <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 360 }}>
+                                        <Table size="small" stickyHeader>
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell><strong>Bloque</strong></TableCell>
+                                                    <TableCell align="center"><strong>Vector</strong></TableCell>
+                                                    <TableCell align="center"><strong>Producto</strong></TableCell>
+                                                    <TableCell align="center"><strong>mod 26</strong></TableCell>
+                                                    <TableCell><strong>Salida</strong></TableCell>
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {results.blocks.map((block, index) => (
+                                                    <TableRow key={index}>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>{block.input}</TableCell>
+                                                        <TableCell align="center">({block.vector.join(', ')})</TableCell>
+                                                        <TableCell align="center">({block.product.join(', ')})</TableCell>
+                                                        <TableCell align="center">({block.result.join(', ')})</TableCell>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>{block.output}</TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                </>
+                            )}
+
+                            {/* Criptoanálisis */}
+                            {results?.frequencies && (
+                                <>
+                                    <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 0.5, height: 160, mb: 1 }}>
+                                        {results.frequencies.map((row, index) => (
+                                            <Tooltip
+                                                key={row.letter}
+                                                title={`${row.letter}: ${row.percentage.toFixed(1)}% (idioma ${LETTER_FREQUENCIES[results.language][index]}%)`}
+                                            >
+                                                <Box sx={{ flex: 1, display: 'flex', alignItems: 'flex-end', gap: '1px', height: '100%' }}>
+                                                    <Box
+                                                        sx={{
+                                                            flex: 1,
+                                                            bgcolor: 'primary.main',
+                                                            height: `${(row.percentage / maxFrequency) * 100}%`
+                                                        }}
+                                                    />
+                                                    <Box
+                                                        sx={{
+                                                            flex: 1,
+                                                            bgcolor: 'grey.400',
+                                                            height: `${(LETTER_FREQUENCIES[results.language][index] / maxFrequency) * 100}%`
+                                                        }}
+                                                    />
+                                                </Box>
+                                            </Tooltip>
+                                        ))}
+                                    </Box>
+                                    <Box sx={{ display: 'flex', gap: 0.5, mb: 1 }}>
+                                        {results.frequencies.map(row => (
+                                            <Typography key={row.letter} variant="caption" align="center" sx={{ flex: 1, fontFamily: 'monospace' }}>
+                                                {row.letter}
+                                            </Typography>
+                                        ))}
+                                    </Box>
+                                    <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                                        <Chip size="small" label="Criptograma" color="primary" />
+                                        <Chip size="small" label={results.language === 'es' ? 'Español' : 'Inglés'} sx={{ bgcolor: 'grey.400' }} />
+                                    </Box>
+
+                                    <TableContainer component={Paper} variant="outlined">
+                                        <Table size="small">
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell><strong>Clave</strong></TableCell>
+                                                    <TableCell align="center"><strong>χ²</strong></TableCell>
+                                                    <TableCell><strong>Texto descifrado</strong></TableCell>
+                                                    <TableCell />
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {results.candidates.map((candidate, index) => (
+                                                    <TableRow
+                                                        key={index}
+                                                        sx={{ bgcolor: index === 0 ? 'success.light' : 'inherit' }}
+                                                    >
+                                                        <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                                            {results.cipher === 'caesar'
+                                                                ? `k = ${candidate.key.shift}`
+                                                                : `a = ${candidate.key.a}, b = ${candidate.key.b}`}
+                                                        </TableCell>
+                                                        <TableCell align="center">{candidate.score.toFixed(2)}</TableCell>
+                                                        <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                                            {candidate.plaintext.slice(0, 60)}{candidate.plaintext.length > 60 ? '…' : ''}
+                                                        </TableCell>
+                                                        <TableCell>
+                                                            <Button size="small" onClick={() => applyCandidate(candidate)}>
+                                                                Usar
+                                                            </Button>
+                                                        </TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                </>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography
+                                            key={index}
+                                            variant="body2"
+                                            sx={{ fontFamily: 'monospace', mb: 0.5, wordBreak: 'break-all' }}
+                                        >
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default ClassicalCiphers;
@@ -0,0 +1,450 @@
+import React, { useState, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Add,
+    Delete,
+    CheckCircle,
+    Cancel,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+
+const MAX_EQUATIONS = 8;
+
+const DEFAULT_EQUATIONS = [
+    { a: '1', b: '2', n: '3' },
+    { a: '1', b: '3', n: '5' },
+    { a: '1', b: '2', n: '7' }
+];
+
+// Congruencia en forma de texto: x ≡ c (mod m)
+const formatCongruence = ({ a = 1, b, n }) => `${a === 1 ? '' : a}x ≡ ${b} (mod ${n})`;
+
+/**
+ * Sistemas de congruencias: Teorema Chino del Resto y combinación de ecuaciones
+ * con módulos no coprimos
+ */
+const CongruenceSystem = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    const [equations, setEquations] = useLocalStorage('congruenceSystem', DEFAULT_EQUATIONS);
+
+    const {
+        crypto,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const updateEquation = useCallback((index, field, value) => {
+        setEquations(prev => prev.map((equation, i) => (
+            i === index ? { ...equation, [field]: value } : equation
+        )));
+        setResults(null);
+    }, [setEquations]);
+
+    const addEquation = useCallback(() => {
+        setEquations(prev => [...prev, { a: '1', b: '0', n: '2' }]);
+        setResults(null);
+    }, [setEquations]);
+
+    const removeEquation = useCallback((index) => {
+        setEquations(prev => prev.filter((_, i) => i !== index));
+        setResults(null);
+    }, [setEquations]);
+
+    // Resolver el sistema
+    const calculateResults = useCallback(async () => {
+        const parsed = equations.map(({ a, b, n }) => ({
+            a: parseInt(a, 10),
+            b: parseInt(b, 10),
+            n: parseInt(n, 10)
+        }));
+
+        if (parsed.some(({ a, b, n }) => [a, b, n].some(isNaN))) {
+            setValidationError('Todos los coeficientes deben ser números enteros');
+            setResults(null);
+            return;
+        }
+
+        if (parsed.some(({ n }) => n <= 1)) {
+            setValidationError('Los módulos deben ser mayores que 1');
+            setResults(null);
+            return;
+        }
+
+        try {
+            setValidationError('');
+            setResults(await crypto.congruenceSystem(parsed));
+        } catch (error) {
+            console.error('Error resolviendo el sistema:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [equations, crypto]);
+
+    // Restablecer el sistema por defecto
+    const handleReset = useCallback(() => {
+        setEquations(DEFAULT_EQUATIONS);
+        setResults(null);
+        setValidationError('');
+    }, [setEquations]);
+
+    return (
+        <>
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Sistema de Congruencias
+                            </Typography>
+
+                            <Box sx={{ mt: 2 }}>
+                                {equations.map((equation, index) => (
+                                    <Box key={index} display="flex" alignItems="center" gap={1} mb={1}>
+                                        <Typography variant="body2" color="text.secondary" sx={{ width: 28 }}>
+                                            ({index + 1})
+                                        </Typography>
+                                        <TextField
+                                            size="small"
+                                            label="a"
+                                            type="number"
+                                            value={equation.a}
+                                            onChange={(e) => updateEquation(index, 'a', e.target.value)}
+                                            sx={{ width: 80 }}
+                                        />
+                                        <Typography>x ≡</Typography>
+                                        <TextField
+                                            size="small"
+                                            label="b"
+                                            type="number"
+                                            value={equation.b}
+                                            onChange={(e) => updateEquation(index, 'b', e.target.value)}
+                                            sx={{ width: 80 }}
+                                        />
+                                        <Typography>(mod</Typography>
+                                        <TextField
+                                            size="small"
+                                            label="n"
+                                            type="number"
+                                            value={equation.n}
+                                            onChange={(e) => updateEquation(index, 'n', e.target.value)}
+                                            sx={{ width: 80 }}
+                                        />
+                                        <Typography>)</Typography>
+                                        <IconButton
+                                            size="small"
+                                            onClick={() => removeEquation(index)}
+                                            disabled={equations.length <= 1}
+                                        >
+                                            <Delete fontSize="small" />
+                                        </IconButton>
+                                    </Box>
+                                ))}
+                                <Button
+                                    size="small"
+                                    startIcon={<Add />}
+                                    onClick={addEquation}
+                                    disabled={equations.length >= MAX_EQUATIONS}
+                                >
+                                    Agregar ecuación
+                                </Button>
+                            </Box>
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Resolviendo...' : 'Resolver Sistema'}
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+
+                            {/* Resumen */}
+                            {results && (
+                                <Paper sx={{ p: 2, mt: 3, bgcolor: 'grey.50' }}>
+                                    <Typography variant="subtitle1" gutterBottom>
+                                        Solución
+                                    </Typography>
+                                    {results.consistent ? (
+                                        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                            <Chip
+                                                label={`x ≡ ${results.solution.x} (mod ${results.solution.modulus})`}
+                                                color="success"
+                                            />
+                                            <Chip
+                                                label={results.method === 'crt' ? 'Teorema Chino del Resto' : 'Combinación de ecuaciones'}
+                                                variant="outlined"
+                                            />
+                                        </Box>
+                                    ) : (
+                                        <Chip label="Sistema incompatible" color="warning" />
+                                    )}
+                                </Paper>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Compatibilidad y resolución */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Compatibilidad
+                            </Typography>
+
+                            {!results?.pairs?.length ? (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        {results
+                                            ? 'No hay pares de ecuaciones que comparar'
+                                            : <>Ingrese las ecuaciones<br />y resuelva el sistema</>}
+                                    </Typography>
+                                </Box>
+                            ) : (
+                                <>
+                                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                        x ≡ cᵢ (mod mᵢ) y x ≡ cⱼ (mod mⱼ) son compatibles si y solo si
+                                        gcd(mᵢ, mⱼ) divide a cⱼ − cᵢ.
+                                    </Typography>
+
+                                    <TableContainer component={Paper} variant="outlined">
+                                        <Table size="small">
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell><strong>Par</strong></TableCell>
+                                                    <TableCell align="center"><strong>gcd(mᵢ, mⱼ)</strong></TableCell>
+                                                    <TableCell align="center"><strong>cⱼ − cᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>¿Compatible?</strong></TableCell>
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {results.pairs.map(pair => (
+                                                    <TableRow
+                                                        key={`${pair.i}-${pair.j}`}
+                                                        sx={{ bgcolor: pair.consistent ? 'inherit' : 'error.light' }}
+                                                    >
+                                                        <TableCell>({pair.i + 1}) y ({pair.j + 1})</TableCell>
+                                                        <TableCell align="center">{pair.gcd}</TableCell>
+                                                        <TableCell align="center">{pair.difference}</TableCell>
+                                                        <TableCell align="center">
+                                                            {pair.consistent
+                                                                ? <CheckCircle color="success" fontSize="small" />
+                                                                : <Cancel color="error" fontSize="small" />}
+                                                        </TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                </>
+                            )}
+
+                            {/* Teorema Chino del Resto */}
+                            {results?.crtTable && (
+                                <>
+                                    <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+                                        Teorema Chino del Resto (M = {results.solution.modulus})
+                                    </Typography>
+                                    <TableContainer component={Paper} variant="outlined">
+                                        <Table size="small">
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell align="center"><strong>i</strong></TableCell>
+                                                    <TableCell align="center"><strong>cᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>mᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>Mᵢ = M/mᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>yᵢ = Mᵢ⁻¹ mod mᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>cᵢ·Mᵢ·yᵢ mod M</strong></TableCell>
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {results.crtTable.map(row => (
+                                                    <TableRow key={row.index}>
+                                                        <TableCell align="center">{row.index + 1}</TableCell>
+                                                        <TableCell align="center">{row.c}</TableCell>
+                                                        <TableCell align="center">{row.m}</TableCell>
+                                                        <TableCell align="center">{row.Mi}</TableCell>
+                                                        <TableCell align="center">{row.inverse}</TableCell>
+                                                        <TableCell align="center">{row.term}</TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                </>
+                            )}
+
+                            {/* Combinación de ecuaciones */}
+                            {results?.merges && (
+                                <>
+                                    <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>
+                                        Combinación de ecuaciones
+                                    </Typography>
+                                    <TableContainer component={Paper} variant="outlined">
+                                        <Table size="small">
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell><strong>Acumulada</strong></TableCell>
+                                                    <TableCell><strong>Ecuación</strong></TableCell>
+                                                    <TableCell align="center"><strong>gcd</strong></TableCell>
+                                                    <TableCell align="center"><strong>t</strong></TableCell>
+                                                    <TableCell><strong>Resultado</strong></TableCell>
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {results.merges.map((merge, index) => (
+                                                    <TableRow key={index}>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>
+                                                            {formatCongruence({ b: merge.left.c, n: merge.left.m })}
+                                                        </TableCell>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>
+                                                            {formatCongruence({ b: merge.right.c, n: merge.right.m })}
+                                                        </TableCell>
+                                                        <TableCell align="center">{merge.gcd}</TableCell>
+                                                        <TableCell align="center">{merge.t}</TableCell>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>
+                                                            {formatCongruence({ b: merge.result.c, n: merge.result.m })}
+                                                        </TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                </>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Verificación */}
+                {results?.verification && (
+                    <Grid item xs={12} md={6}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Verificación (x = {results.solution.x})
+                                </Typography>
+
+                                <TableContainer component={Paper} variant="outlined">
+                                    <Table size="small">
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell><strong>Ecuación</strong></TableCell>
+                                                <TableCell align="center"><strong>ax mod n</strong></TableCell>
+                                                <TableCell align="center"><strong>b mod n</strong></TableCell>
+                                                <TableCell align="center"><strong>¿Válida?</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {results.verification.map((row, index) => (
+                                                <TableRow key={index}>
+                                                    <TableCell sx={{ fontFamily: 'monospace' }}>{formatCongruence(row)}</TableCell>
+                                                    <TableCell align="center">{row.value}</TableCell>
+                                                    <TableCell align="center">{row.expected}</TableCell>
+                                                    <TableCell align="center">
+                                                        {row.isValid
+                                                            ? <CheckCircle color="success" fontSize="small" />
+                                                            : <Cancel color="error" fontSize="small" />}
+                                                    </TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12} md={results.verification ? 6 : 12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </>
+    );
+};
+
+export default CongruenceSystem;
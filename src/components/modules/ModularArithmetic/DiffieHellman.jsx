@@ -0,0 +1,639 @@
+import React, { useState, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    SyncLock,
+    PlayArrow,
+    Refresh,
+    Casino,
+    Person,
+    VisibilityOutlined,
+    Search,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import { BSGS_LIMIT } from '../../../utils/algorithms/cryptography';
+
+const DEFAULT_CONFIG = {
+    mode: 'dh',
+    p: '23',
+    g: '5',
+    a: '6',
+    b: '15',
+    x: '7',
+    message: '10',
+    k: '3',
+    h: '8'
+};
+
+const MODES = {
+    dh: 'Diffie-Hellman',
+    elgamal: 'ElGamal',
+    bsgs: 'Baby-step giant-step'
+};
+
+// Exponente aleatorio en [1, p − 2]
+const randomExponent = (p) => String(1 + Math.floor(Math.random() * (p - 2)));
+
+// Vista de un participante: lo que conoce y lo que calcula
+const PartyView = ({ title, icon, color, known, steps, highlight }) => (
+    <Card elevation={3} sx={{ height: '100%', borderTop: 4, borderColor: `${color}.main` }}>
+        <CardContent>
+            <Box display="flex" alignItems="center" gap={1} mb={2}>
+                {icon}
+                <Typography variant="h6" color={`${color}.main`}>
+                    {title}
+                </Typography>
+            </Box>
+
+            <Typography variant="caption" color="text.secondary">Conoce</Typography>
+            <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mb: 2 }}>
+                {known.map(({ label, secret }) => (
+                    <Chip
+                        key={label}
+                        size="small"
+                        label={label}
+                        color={secret ? color : 'default'}
+                        variant={secret ? 'filled' : 'outlined'}
+                    />
+                ))}
+            </Box>
+
+            <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                {steps.map((step, index) => (
+                    <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                        {index + 1}. {step}
+                    </Typography>
+                ))}
+            </Paper>
+
+            {highlight && (
+                <Chip label={highlight.label} color={highlight.color} sx={{ mt: 2 }} />
+            )}
+        </CardContent>
+    </Card>
+);
+
+/**
+ * Simulador de Diffie-Hellman y ElGamal con las vistas de Alicia, Bob y un espía
+ */
+const DiffieHellman = () => {
+    const [results, setResults] = useState(null);
+    const [primitive, setPrimitive] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    const [config, setConfig] = useLocalStorage('diffieHellman', DEFAULT_CONFIG);
+
+    const {
+        crypto,
+        isLoading,
+        progress,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const p = parseInt(config.p, 10);
+    const g = parseInt(config.g, 10);
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...prev, ...changes }));
+        setResults(null);
+    }, [setConfig]);
+
+    const updateGroup = useCallback((changes) => {
+        updateConfig(changes);
+        setPrimitive(null);
+    }, [updateConfig]);
+
+    const randomize = useCallback((field) => {
+        if (isNaN(p) || p < 5) {
+            setValidationError('Ingrese primero un primo p ≥ 5');
+            return;
+        }
+        updateConfig({ [field]: randomExponent(p) });
+    }, [p, updateConfig]);
+
+    // Usa la menor raíz primitiva de p como generador
+    const handlePrimitiveRoot = useCallback(async () => {
+        try {
+            setValidationError('');
+            const root = await crypto.primitiveRoot(p);
+            setPrimitive(root);
+            updateConfig({ g: String(root.root) });
+        } catch (error) {
+            setValidationError(error.message);
+            setPrimitive(null);
+        }
+    }, [crypto, p, updateConfig]);
+
+    /**
+     * Ejecuta el protocolo del modo seleccionado
+     */
+    const runProtocol = useCallback(async () => {
+        const values = Object.fromEntries(
+            ['a', 'b', 'x', 'message', 'k', 'h'].map(field => [field, parseInt(config[field], 10)])
+        );
+
+        if (isNaN(p) || isNaN(g)) {
+            setValidationError('p y g deben ser números enteros');
+            return;
+        }
+
+        try {
+            setValidationError('');
+            const order = await crypto.multiplicativeOrder(g, p);
+
+            if (config.mode === 'dh') {
+                const exchange = await crypto.diffieHellman(p, g, values.a, values.b);
+                setResults({ mode: 'dh', order, exchange });
+            } else if (config.mode === 'elgamal') {
+                const keys = await crypto.elGamalKeys(p, g, values.x);
+                const encrypted = await crypto.elGamalEncrypt(values.message, keys.publicKey, values.k);
+                const decrypted = await crypto.elGamalDecrypt(encrypted.ciphertext, keys.privateKey);
+
+                // El espía intenta recuperar x a partir de h
+                let attack = null;
+                if (p <= BSGS_LIMIT) {
+                    const log = await crypto.babyStepGiantStep(g, keys.h, p);
+                    const recovered = await crypto.elGamalDecrypt(encrypted.ciphertext, { p, x: log.x });
+                    attack = { log, recovered };
+                }
+
+                setResults({ mode: 'elgamal', order, keys, encrypted, decrypted, attack });
+            } else {
+                const log = await crypto.babyStepGiantStep(g, values.h, p);
+                setResults({ mode: 'bsgs', order, log });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error ejecutando el protocolo:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [config, p, g, crypto]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setResults(null);
+        setPrimitive(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    const exponentField = (field, label) => (
+        <Box display="flex" alignItems="center" gap={0.5}>
+            <TextField
+                size="small"
+                label={label}
+                type="number"
+                value={config[field]}
+                onChange={(e) => updateConfig({ [field]: e.target.value })}
+                sx={{ width: 160 }}
+            />
+            <Tooltip title="Valor aleatorio">
+                <IconButton size="small" onClick={() => randomize(field)}>
+                    <Casino fontSize="small" />
+                </IconButton>
+            </Tooltip>
+        </Box>
+    );
+
+    const renderViews = () => {
+        if (results.mode === 'dh') {
+            const { exchange } = results;
+            const { alice, bob, eavesdropper } = exchange;
+
+            return (
+                <>
+                    <Grid item xs={12} md={4}>
+                        <PartyView
+                            title="Alicia"
+                            icon={<Person color="primary" />}
+                            color="primary"
+                            known={[
+                                { label: `p = ${exchange.p}` },
+                                { label: `g = ${exchange.g}` },
+                                { label: `a = ${alice.secret}`, secret: true },
+                                { label: `B = ${alice.received}` }
+                            ]}
+                            steps={alice.steps}
+                            highlight={{ label: `K = ${alice.sharedKey}`, color: 'success' }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                        <PartyView
+                            title="Espía (Eva)"
+                            icon={<VisibilityOutlined color="error" />}
+                            color="error"
+                            known={[
+                                { label: `p = ${eavesdropper.sees.p}` },
+                                { label: `g = ${eavesdropper.sees.g}` },
+                                { label: `A = ${eavesdropper.sees.A}` },
+                                { label: `B = ${eavesdropper.sees.B}` }
+                            ]}
+                            steps={eavesdropper.steps}
+                            highlight={eavesdropper.attack
+                                ? { label: `Clave recuperada: ${eavesdropper.attack.recoveredKey}`, color: 'error' }
+                                : { label: 'Clave a salvo', color: 'success' }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                        <PartyView
+                            title="Bob"
+                            icon={<Person color="secondary" />}
+                            color="secondary"
+                            known={[
+                                { label: `p = ${exchange.p}` },
+                                { label: `g = ${exchange.g}` },
+                                { label: `b = ${bob.secret}`, secret: true },
+                                { label: `A = ${bob.received}` }
+                            ]}
+                            steps={bob.steps}
+                            highlight={{ label: `K = ${bob.sharedKey}`, color: 'success' }}
+                        />
+                    </Grid>
+                </>
+            );
+        }
+
+        if (results.mode === 'elgamal') {
+            const { keys, encrypted, decrypted, attack } = results;
+            const { c1, c2 } = encrypted.ciphertext;
+            const eveSteps = [
+                `Observa la clave pública (p, g, h) = (${keys.p}, ${keys.g}, ${keys.h}) y el cifrado (${c1}, ${c2})`,
+                ...(attack
+                    ? [
+                        `Baby-step giant-step sobre ${keys.g}^x ≡ ${keys.h}: x = ${attack.log.x}`,
+                        ...attack.recovered.steps
+                    ]
+                    : [`p > ${BSGS_LIMIT}: el ataque por baby-step giant-step no es viable`])
+            ];
+
+            return (
+                <>
+                    <Grid item xs={12} md={4}>
+                        <PartyView
+                            title="Alicia (receptora)"
+                            icon={<Person color="primary" />}
+                            color="primary"
+                            known={[
+                                { label: `x = ${keys.x}`, secret: true },
+                                { label: `h = ${keys.h}` },
+                                { label: `(c1, c2) = (${c1}, ${c2})` }
+                            ]}
+                            steps={[...keys.steps, ...decrypted.steps]}
+                            highlight={{ label: `m = ${decrypted.plaintext}`, color: 'success' }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                        <PartyView
+                            title="Espía (Eva)"
+                            icon={<VisibilityOutlined color="error" />}
+                            color="error"
+                            known={[
+                                { label: `p = ${keys.p}` },
+                                { label: `g = ${keys.g}` },
+                                { label: `h = ${keys.h}` },
+                                { label: `c1 = ${c1}` },
+                                { label: `c2 = ${c2}` }
+                            ]}
+                            steps={eveSteps}
+                            highlight={attack
+                                ? { label: `Mensaje recuperado: ${attack.recovered.plaintext}`, color: 'error' }
+                                : { label: 'Mensaje a salvo', color: 'success' }}
+                        />
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                        <PartyView
+                            title="Bob (emisor)"
+                            icon={<Person color="secondary" />}
+                            color="secondary"
+                            known={[
+                                { label: `m = ${encrypted.plaintext}`, secret: true },
+                                { label: `k = ${config.k}`, secret: true },
+                                { label: `h = ${keys.h}` }
+                            ]}
+                            steps={encrypted.steps}
+                            highlight={{ label: `Envía (${c1}, ${c2})`, color: 'secondary' }}
+                        />
+                    </Grid>
+                </>
+            );
+        }
+
+        const { log } = results;
+        const matchedJ = log.giantSteps.find(row => row.match !== null)?.match;
+
+        return (
+            <Grid item xs={12}>
+                <Card elevation={3}>
+                    <CardContent>
+                        <Typography variant="h6" gutterBottom color="primary">
+                            {log.g}^x ≡ {log.h} (mod {log.p}), m = {log.m}
+                        </Typography>
+                        <Grid container spacing={3}>
+                            <Grid item xs={12} md={6}>
+                                <Typography variant="subtitle1" gutterBottom>Baby steps: g^j</Typography>
+                                <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 320 }}>
+                                    <Table size="small" stickyHeader>
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell align="center"><strong>j</strong></TableCell>
+                                                <TableCell align="center"><strong>{log.g}^j mod {log.p}</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {log.babySteps.map(row => (
+                                                <TableRow
+                                                    key={row.j}
+                                                    sx={{ bgcolor: row.j === matchedJ ? 'success.light' : 'inherit' }}
+                                                >
+                                                    <TableCell align="center">{row.j}</TableCell>
+                                                    <TableCell align="center">{row.value}</TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                                {log.m > log.babySteps.length && (
+                                    <Typography variant="caption" color="text.secondary">
+                                        Se muestran {log.babySteps.length} de {log.m} filas
+                                    </Typography>
+                                )}
+                            </Grid>
+                            <Grid item xs={12} md={6}>
+                                <Typography variant="subtitle1" gutterBottom>Giant steps: h·(g^−m)^i</Typography>
+                                <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 320 }}>
+                                    <Table size="small" stickyHeader>
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell align="center"><strong>i</strong></TableCell>
+                                                <TableCell align="center"><strong>Valor</strong></TableCell>
+                                                <TableCell align="center"><strong>j en la tabla</strong></TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {log.giantSteps.map(row => (
+                                                <TableRow
+                                                    key={row.i}
+                                                    sx={{ bgcolor: row.match !== null ? 'success.light' : 'inherit' }}
+                                                >
+                                                    <TableCell align="center">{row.i}</TableCell>
+                                                    <TableCell align="center">{row.value}</TableCell>
+                                                    <TableCell align="center">{row.match ?? '—'}</TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                            </Grid>
+                        </Grid>
+                        <Chip
+                            label={log.found ? `x = ${log.x}` : 'Sin solución'}
+                            color={log.found ? 'success' : 'warning'}
+                            sx={{ mt: 2 }}
+                        />
+                    </CardContent>
+                </Card>
+            </Grid>
+        );
+    };
+
+    const procedure = results && [
+        ...results.order.steps,
+        ...(results.exchange?.steps || results.log?.steps || [])
+    ];
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <SyncLock fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Diffie-Hellman y ElGamal
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Protocolos basados en el logaritmo discreto: lo que ven Alicia, Bob y un espía
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && (
+                <LinearProgress
+                    variant={progress !== null ? 'determinate' : 'indeterminate'}
+                    value={(progress || 0) * 100}
+                    sx={{ mb: 2 }}
+                />
+            )}
+
+            <Grid container spacing={3}>
+                {/* Parámetros */}
+                <Grid item xs={12}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <ToggleButtonGroup
+                                exclusive
+                                size="small"
+                                value={config.mode}
+                                onChange={(_, value) => value && updateConfig({ mode: value })}
+                                sx={{ mb: 2 }}
+                            >
+                                {Object.entries(MODES).map(([value, label]) => (
+                                    <ToggleButton key={value} value={value}>{label}</ToggleButton>
+                                ))}
+                            </ToggleButtonGroup>
+
+                            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+                                <TextField
+                                    size="small"
+                                    label="Primo p"
+                                    type="number"
+                                    value={config.p}
+                                    onChange={(e) => updateGroup({ p: e.target.value })}
+                                    sx={{ width: 180 }}
+                                />
+                                <TextField
+                                    size="small"
+                                    label="Generador g"
+                                    type="number"
+                                    value={config.g}
+                                    onChange={(e) => updateGroup({ g: e.target.value })}
+                                    sx={{ width: 140 }}
+                                />
+                                <Button
+                                    variant="outlined"
+                                    size="small"
+                                    startIcon={<Search />}
+                                    onClick={handlePrimitiveRoot}
+                                    disabled={isLoading || isNaN(p)}
+                                >
+                                    Raíz primitiva
+                                </Button>
+
+                                {config.mode === 'dh' && (
+                                    <>
+                                        {exponentField('a', 'Secreto de Alicia a')}
+                                        {exponentField('b', 'Secreto de Bob b')}
+                                    </>
+                                )}
+
+                                {config.mode === 'elgamal' && (
+                                    <>
+                                        {exponentField('x', 'Clave privada x')}
+                                        <TextField
+                                            size="small"
+                                            label="Mensaje m"
+                                            type="number"
+                                            value={config.message}
+                                            onChange={(e) => updateConfig({ message: e.target.value })}
+                                            sx={{ width: 140 }}
+                                        />
+                                        {exponentField('k', 'Clave efímera k')}
+                                    </>
+                                )}
+
+                                {config.mode === 'bsgs' && (
+                                    <TextField
+                                        size="small"
+                                        label="h (resolver g^x ≡ h)"
+                                        type="number"
+                                        value={config.h}
+                                        onChange={(e) => updateConfig({ h: e.target.value })}
+                                        sx={{ width: 200 }}
+                                    />
+                                )}
+                            </Box>
+
+                            {primitive && (
+                                <Alert severity="info" sx={{ mt: 2 }}>
+                                    {primitive.root} es la menor raíz primitiva módulo {primitive.p};
+                                    hay {primitive.count} en total
+                                </Alert>
+                            )}
+
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={runProtocol}
+                                    disabled={isLoading}
+                                    size="large"
+                                    sx={{ flexGrow: 1 }}
+                                >
+                                    {config.mode === 'bsgs' ? 'Calcular logaritmo' : 'Simular'}
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+
+                            {results && (
+                                <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                    <Chip label={`ord(${g}) = ${results.order.order}`} color="primary" />
+                                    <Chip
+                                        label={results.order.isPrimitive ? 'g es raíz primitiva' : 'g no es raíz primitiva'}
+                                        color={results.order.isPrimitive ? 'success' : 'warning'}
+                                        variant="outlined"
+                                    />
+                                </Box>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {!results && (
+                    <Grid item xs={12}>
+                        <Box
+                            sx={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                                height: 200,
+                                color: 'text.secondary',
+                                border: '2px dashed',
+                                borderColor: 'grey.300',
+                                borderRadius: 2
+                            }}
+                        >
+                            <Typography align="center">
+                                Elija p, g y los secretos<br />y simule el protocolo
+                            </Typography>
+                        </Box>
+                    </Grid>
+                )}
+
+                {results && renderViews()}
+
+                {/* Procedimiento */}
+                {(procedure || primitive) && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {[...(primitive?.steps || []), ...(procedure || [])].map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default DiffieHellman;
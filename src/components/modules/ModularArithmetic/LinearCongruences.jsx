@@ -0,0 +1,396 @@
+import React, { useState, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress,
+    ToggleButton,
+    ToggleButtonGroup
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Functions,
+    CheckCircle,
+    Cancel,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import CongruenceSystem from './CongruenceSystem';
+
+const DEFAULT_VALUES = { a: '14', b: '30', n: '100' };
+
+const LinearCongruences = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Coeficientes persistidos entre sesiones
+    const [values, setValues] = useLocalStorage('linearCongruences', DEFAULT_VALUES);
+    const [mode, setMode] = useLocalStorage('linearCongruencesMode', 'single');
+
+    // Hook de algoritmos
+    const {
+        crypto,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const handleValueChange = useCallback((field, value) => {
+        setValues(prev => ({ ...prev, [field]: value }));
+        setResults(null);
+    }, [setValues]);
+
+    // Resolver ax ≡ b (mod n)
+    const calculateResults = useCallback(async () => {
+        const a = parseInt(values.a, 10);
+        const b = parseInt(values.b, 10);
+        const n = parseInt(values.n, 10);
+
+        if ([a, b, n].some(isNaN)) {
+            setValidationError('a, b y n deben ser números enteros');
+            setResults(null);
+            return;
+        }
+
+        if (n <= 1) {
+            setValidationError('El módulo n debe ser mayor que 1');
+            setResults(null);
+            return;
+        }
+
+        try {
+            setValidationError('');
+            const result = await crypto.linearCongruence(a, b, n);
+            setResults({ ...result, a, b, n });
+        } catch (error) {
+            console.error('Error resolviendo la congruencia:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [values, crypto]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        setValues(DEFAULT_VALUES);
+        setResults(null);
+        setValidationError('');
+    }, [setValues]);
+
+    const hasSolution = results && results.count > 0;
+    const lastNonZeroIndex = results?.euclideanTable
+        ? results.euclideanTable.length - 2
+        : -1;
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <Functions fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Congruencias Lineales
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    {mode === 'single'
+                        ? 'Resolución de ax ≡ b (mod n) con el algoritmo de Euclides extendido'
+                        : 'Sistemas de congruencias con el Teorema Chino del Resto'}
+                </Typography>
+            </Paper>
+
+            <ToggleButtonGroup
+                exclusive
+                size="small"
+                value={mode}
+                onChange={(_, value) => value && setMode(value)}
+                sx={{ mb: 3 }}
+            >
+                <ToggleButton value="single">Una ecuación</ToggleButton>
+                <ToggleButton value="system">Sistema</ToggleButton>
+            </ToggleButtonGroup>
+
+            {mode === 'system' ? (
+                <CongruenceSystem />
+            ) : (
+                <>
+                    {/* Error Display */}
+                    {(error || validationError) && (
+                        <Alert severity="error" sx={{ mb: 2 }}>
+                            {error?.message || validationError}
+                        </Alert>
+                    )}
+
+                    {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+                    <Grid container spacing={3}>
+                        {/* Panel de entrada */}
+                        <Grid item xs={12} lg={4}>
+                            <Card elevation={3}>
+                                <CardContent>
+                                    <Typography variant="h6" gutterBottom color="primary">
+                                        Congruencia
+                                    </Typography>
+
+                                    <Box display="flex" alignItems="center" gap={1} flexWrap="wrap" sx={{ mt: 2 }}>
+                                        <TextField
+                                            size="small"
+                                            label="a"
+                                            type="number"
+                                            value={values.a}
+                                            onChange={(e) => handleValueChange('a', e.target.value)}
+                                            sx={{ width: 90 }}
+                                        />
+                                        <Typography variant="h6">x ≡</Typography>
+                                        <TextField
+                                            size="small"
+                                            label="b"
+                                            type="number"
+                                            value={values.b}
+                                            onChange={(e) => handleValueChange('b', e.target.value)}
+                                            sx={{ width: 90 }}
+                                        />
+                                        <Typography variant="h6">(mod</Typography>
+                                        <TextField
+                                            size="small"
+                                            label="n"
+                                            type="number"
+                                            value={values.n}
+                                            onChange={(e) => handleValueChange('n', e.target.value)}
+                                            sx={{ width: 90 }}
+                                        />
+                                        <Typography variant="h6">)</Typography>
+                                    </Box>
+
+                                    {/* Botones de acción */}
+                                    <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                        <Button
+                                            variant="contained"
+                                            startIcon={<PlayArrow />}
+                                            onClick={calculateResults}
+                                            disabled={isLoading}
+                                            fullWidth
+                                            size="large"
+                                        >
+                                            {isLoading ? 'Resolviendo...' : 'Resolver'}
+                                        </Button>
+
+                                        <Button
+                                            variant="outlined"
+                                            startIcon={<Refresh />}
+                                            onClick={handleReset}
+                                            size="small"
+                                        >
+                                            Reset
+                                        </Button>
+                                    </Box>
+
+                                    {/* Resumen */}
+                                    {results && (
+                                        <Paper sx={{ p: 2, mt: 3, bgcolor: 'grey.50' }}>
+                                            <Typography variant="subtitle1" gutterBottom>
+                                                Soluciones
+                                            </Typography>
+                                            {hasSolution ? (
+                                                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                                    {results.solutions.map(x => (
+                                                        <Chip key={x} label={`x = ${x}`} color="success" />
+                                                    ))}
+                                                </Box>
+                                            ) : (
+                                                <Chip label="Sin solución" color="warning" />
+                                            )}
+                                            {results.hasInfiniteSolutions && (
+                                                <Typography variant="body2" sx={{ mt: 1 }}>
+                                                    Todo entero es solución: x ≡ t (mod 1)
+                                                </Typography>
+                                            )}
+                                        </Paper>
+                                    )}
+                                </CardContent>
+                            </Card>
+                        </Grid>
+
+                        {/* Tabla de Euclides extendido */}
+                        <Grid item xs={12} lg={8}>
+                            <Card elevation={3}>
+                                <CardContent>
+                                    <Typography variant="h6" gutterBottom color="primary">
+                                        Algoritmo de Euclides Extendido
+                                    </Typography>
+
+                                    {!results?.euclideanTable && (
+                                        <Box
+                                            sx={{
+                                                display: 'flex',
+                                                alignItems: 'center',
+                                                justifyContent: 'center',
+                                                height: 200,
+                                                color: 'text.secondary',
+                                                border: '2px dashed',
+                                                borderColor: 'grey.300',
+                                                borderRadius: 2
+                                            }}
+                                        >
+                                            <Typography align="center">
+                                                Ingrese a, b y n<br />y resuelva la congruencia
+                                            </Typography>
+                                        </Box>
+                                    )}
+
+                                    {results?.euclideanTable && (
+                                        <>
+                                            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                                Cada fila cumple rᵢ = sᵢ·n + tᵢ·a y rᵢ₊₁ = rᵢ₋₁ − qᵢ·rᵢ. La última fila con resto
+                                                no nulo da el gcd y los coeficientes de Bézout.
+                                            </Typography>
+
+                                            <TableContainer component={Paper} variant="outlined">
+                                                <Table size="small">
+                                                    <TableHead>
+                                                        <TableRow>
+                                                            <TableCell align="center"><strong>i</strong></TableCell>
+                                                            <TableCell align="center"><strong>rᵢ</strong></TableCell>
+                                                            <TableCell align="center"><strong>qᵢ</strong></TableCell>
+                                                            <TableCell align="center"><strong>sᵢ</strong></TableCell>
+                                                            <TableCell align="center"><strong>tᵢ</strong></TableCell>
+                                                            <TableCell><strong>División</strong></TableCell>
+                                                        </TableRow>
+                                                    </TableHead>
+                                                    <TableBody>
+                                                        {results.euclideanTable.map((row, index) => (
+                                                            <TableRow
+                                                                key={row.index}
+                                                                sx={{ bgcolor: index === lastNonZeroIndex ? 'success.light' : 'inherit' }}
+                                                            >
+                                                                <TableCell align="center">{row.index}</TableCell>
+                                                                <TableCell align="center">{row.remainder}</TableCell>
+                                                                <TableCell align="center">{row.quotient ?? ''}</TableCell>
+                                                                <TableCell align="center">{row.s}</TableCell>
+                                                                <TableCell align="center">{row.t}</TableCell>
+                                                                <TableCell sx={{ fontFamily: 'monospace' }}>{row.division || ''}</TableCell>
+                                                            </TableRow>
+                                                        ))}
+                                                    </TableBody>
+                                                </Table>
+                                            </TableContainer>
+
+                                            <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                                <Chip
+                                                    label={`gcd = ${results.euclideanTable[lastNonZeroIndex].remainder}`}
+                                                    color="primary"
+                                                />
+                                                <Chip
+                                                    label={`${results.euclideanTable[lastNonZeroIndex].remainder} = ${results.euclideanTable[0].remainder}·(${results.bezout.n}) + ${results.euclideanTable[1].remainder}·(${results.bezout.a})`}
+                                                    variant="outlined"
+                                                />
+                                                {results.reduced && (
+                                                    <Chip
+                                                        label={`Inverso de ${results.reduced.a} mod ${results.reduced.n} = ${results.reduced.inverse}`}
+                                                        variant="outlined"
+                                                        color="secondary"
+                                                    />
+                                                )}
+                                            </Box>
+                                        </>
+                                    )}
+                                </CardContent>
+                            </Card>
+                        </Grid>
+
+                        {/* Verificación */}
+                        {hasSolution && results.verification && (
+                            <Grid item xs={12} md={6}>
+                                <Card elevation={2}>
+                                    <CardContent>
+                                        <Typography variant="h6" gutterBottom color="primary">
+                                            Verificación
+                                        </Typography>
+
+                                        <TableContainer component={Paper} variant="outlined">
+                                            <Table size="small">
+                                                <TableHead>
+                                                    <TableRow>
+                                                        <TableCell align="center"><strong>x</strong></TableCell>
+                                                        <TableCell align="center"><strong>{results.a}·x</strong></TableCell>
+                                                        <TableCell align="center"><strong>{results.a}·x mod {results.n}</strong></TableCell>
+                                                        <TableCell align="center"><strong>{results.b} mod {results.n}</strong></TableCell>
+                                                        <TableCell align="center"><strong>¿Válida?</strong></TableCell>
+                                                    </TableRow>
+                                                </TableHead>
+                                                <TableBody>
+                                                    {results.verification.map(row => (
+                                                        <TableRow key={row.x}>
+                                                            <TableCell align="center">{row.x}</TableCell>
+                                                            <TableCell align="center">{row.product}</TableCell>
+                                                            <TableCell align="center">{row.result}</TableCell>
+                                                            <TableCell align="center">{row.expected}</TableCell>
+                                                            <TableCell align="center">
+                                                                {row.isValid
+                                                                    ? <CheckCircle color="success" fontSize="small" />
+                                                                    : <Cancel color="error" fontSize="small" />}
+                                                            </TableCell>
+                                                        </TableRow>
+                                                    ))}
+                                                </TableBody>
+                                            </Table>
+                                        </TableContainer>
+                                    </CardContent>
+                                </Card>
+                            </Grid>
+                        )}
+
+                        {/* Procedimiento */}
+                        {results && (
+                            <Grid item xs={12} md={hasSolution ? 6 : 12}>
+                                <Card elevation={2}>
+                                    <CardContent>
+                                        <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                            <ListAlt color="primary" />
+                                            <Typography variant="h6">
+                                                Procedimiento
+                                            </Typography>
+                                        </Box>
+                                        <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                            {results.steps.map((step, index) => (
+                                                <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                                    {index + 1}. {step}
+                                                </Typography>
+                                            ))}
+                                        </Paper>
+                                    </CardContent>
+                                </Card>
+                            </Grid>
+                        )}
+                    </Grid>
+                </>
+            )}
+        </Box>
+    );
+};
+
+export default LinearCongruences;
@@ -0,0 +1,834 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    InputAdornment,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    Key,
+    Lock,
+    LockOpen,
+    Refresh,
+    Clear,
+    CheckCircle,
+    Cancel,
+    ListAlt,
+    Warning,
+    ContentCopy,
+    FileDownload
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import { isPrime, TEXT_ENCODINGS } from '../../../utils/algorithms/cryptography';
+import RSALargeKeys from './RSALargeKeys';
+
+// La API Number es exacta mientras n < 2^53; para claves mayores se usa BigInt
+const MAX_SAFE_MODULUS = Number.MAX_SAFE_INTEGER;
+
+// Columnas de la secuencia intermedia de cada método de factorización
+const SEQUENCE_COLUMNS = {
+    trialDivision: [['i', 'i'], ['d', 'd'], ['r', 'n mod d']],
+    pollardRho: [['i', 'i'], ['x', 'x'], ['y', 'y'], ['d', 'gcd(|x − y|, n)']],
+    pollardPMinus1: [['j', 'j'], ['a', 'a ← a^j mod n'], ['d', 'gcd(a − 1, n)']],
+    fermat: [['i', 'i'], ['a', 'a'], ['b2', 'a² − n'], ['b', 'b']]
+};
+
+const DEFAULT_CONFIG = {
+    p: '61',
+    q: '53',
+    e: 17,
+    mode: 'number',
+    operation: 'encrypt',
+    input: '65',
+    encoding: 'alpha0'
+};
+
+/**
+ * Convierte "12, 34 56" en [12, 34, 56]
+ */
+const parseBlocks = (value) => value
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(token => Number(token));
+
+/**
+ * Muestra los bloques de un texto cifrado precedidos por su número de símbolos
+ * ("4: 123, 456"), necesario para recuperar los ceros iniciales del último bloque
+ */
+const formatCiphertext = (ciphertexts, length) => `${length}: ${ciphertexts.join(', ')}`;
+
+/**
+ * Lee los bloques cifrados: lista de enteros (opcionalmente "longitud: bloques")
+ * o JSON exportado { encoding, n, length, blocks }
+ */
+const parseCiphertext = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed.startsWith('{')) {
+        const withLength = trimmed.match(/^(\d+)\s*:([\s\S]*)$/);
+        return withLength
+            ? { ciphertexts: parseBlocks(withLength[2]), length: Number(withLength[1]) }
+            : { ciphertexts: parseBlocks(trimmed) };
+    }
+
+    try {
+        const exported = JSON.parse(trimmed);
+        return {
+            ciphertexts: Array.isArray(exported.blocks) ? exported.blocks.map(Number) : [],
+            encoding: exported.encoding,
+            length: exported.length ?? null,
+            n: exported.n
+        };
+    } catch (error) {
+        throw new Error('El JSON de bloques cifrados no es válido');
+    }
+};
+
+/**
+ * Descarga los bloques cifrados como archivo JSON
+ */
+const downloadBlocks = (exported) => {
+    const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `rsa-bloques-n${exported.n}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const RSAEncryption = () => {
+    const [keys, setKeys] = useState(null);
+    const [validEs, setValidEs] = useState([]);
+    const [security, setSecurity] = useState(null);
+    const [results, setResults] = useState(null);
+    const [selectedBlock, setSelectedBlock] = useState(0);
+    const [selectedAttack, setSelectedAttack] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Configuración persistida entre sesiones
+    const [config, setConfig] = useLocalStorage('rsaWorkbench', DEFAULT_CONFIG);
+
+    // Hook de algoritmos
+    const {
+        crypto,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const encoding = config.encoding || DEFAULT_CONFIG.encoding;
+    const p = parseInt(config.p, 10);
+    const q = parseInt(config.q, 10);
+
+    // Indicadores de primalidad en vivo
+    const primality = useMemo(() => ({
+        p: !isNaN(p) && isPrime(p),
+        q: !isNaN(q) && isPrime(q)
+    }), [p, q]);
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...prev, ...changes }));
+        setResults(null);
+    }, [setConfig]);
+
+    /**
+     * Calcula n, φ(n), los valores válidos de e y las claves
+     */
+    const generateKeys = useCallback(async (e = config.e) => {
+        if (!primality.p || !primality.q) {
+            setValidationError('p y q deben ser números primos');
+            return;
+        }
+
+        if (p === q) {
+            setValidationError('p y q deben ser diferentes');
+            return;
+        }
+
+        if (p * q > MAX_SAFE_MODULUS) {
+            setValidationError('n = p·q no debe superar 2^53 − 1; para claves mayores use la sección BigInt');
+            return;
+        }
+
+        try {
+            setValidationError('');
+            const params = await crypto.rsaParameters(p, q);
+            const chosenE = params.validEs.includes(e) ? e : params.validEs[0];
+
+            const [generated, securityReport] = await Promise.all([
+                crypto.rsaGenerate(p, q, chosenE),
+                crypto.rsaSecurity(p, q)
+            ]);
+
+            setValidEs(params.validEs);
+            setKeys(generated);
+            setSecurity(securityReport);
+            setSelectedAttack(securityReport.breakingMethod);
+            setResults(null);
+
+            if (chosenE !== config.e) {
+                setConfig(prev => ({ ...prev, e: chosenE }));
+            }
+        } catch (error) {
+            console.error('Error generando claves RSA:', error);
+            setValidationError(error.message);
+            setKeys(null);
+        }
+    }, [config.e, p, q, primality, crypto, setConfig]);
+
+    const handleEChange = useCallback((e) => {
+        updateConfig({ e });
+        generateKeys(e);
+    }, [updateConfig, generateKeys]);
+
+    /**
+     * Cifra o descifra el mensaje según el modo seleccionado
+     */
+    const processMessage = useCallback(async () => {
+        if (!keys) {
+            setValidationError('Genere primero las claves');
+            return;
+        }
+
+        try {
+            setValidationError('');
+            let result;
+
+            if (config.operation === 'encrypt') {
+                if (config.mode === 'number') {
+                    const message = Number(config.input);
+                    if (!Number.isInteger(message)) {
+                        throw new Error('El mensaje debe ser un número entero');
+                    }
+                    const encrypted = await crypto.rsaEncrypt(message, keys.publicKey);
+                    result = { blocks: [{ index: 0, ...encrypted }], output: String(encrypted.ciphertext) };
+                } else {
+                    const encrypted = await crypto.rsaEncryptText(config.input, keys.publicKey, encoding);
+                    result = {
+                        blocks: encrypted.blocks,
+                        output: formatCiphertext(encrypted.ciphertexts, encrypted.length),
+                        exported: encrypted.exported,
+                        steps: encrypted.steps
+                    };
+                }
+            } else {
+                const parsed = parseCiphertext(config.input);
+                const { ciphertexts } = parsed;
+                if (ciphertexts.length === 0 || ciphertexts.some(value => !Number.isInteger(value))) {
+                    throw new Error('Ingrese los bloques cifrados como enteros separados por comas');
+                }
+
+                if (config.mode === 'number') {
+                    const blocks = await Promise.all(
+                        ciphertexts.map(value => crypto.rsaDecrypt(value, keys.privateKey))
+                    );
+                    result = {
+                        blocks: blocks.map((block, index) => ({ index, ...block })),
+                        output: blocks.map(block => block.plaintext).join(', ')
+                    };
+                } else {
+                    if (parsed.n !== undefined && parsed.n !== keys.n) {
+                        throw new Error(`Los bloques se cifraron con n = ${parsed.n}, pero la clave actual tiene n = ${keys.n}`);
+                    }
+                    if (parsed.encoding && !TEXT_ENCODINGS[parsed.encoding]) {
+                        throw new Error(`Codificación desconocida: ${parsed.encoding}`);
+                    }
+
+                    const blockEncoding = parsed.encoding || encoding;
+                    const decrypted = await crypto.rsaDecryptText(ciphertexts, keys.privateKey, blockEncoding, parsed.length ?? null);
+                    result = { blocks: decrypted.blocks, output: decrypted.text, steps: decrypted.steps };
+
+                    if (blockEncoding !== encoding) {
+                        setConfig(prev => ({ ...prev, encoding: blockEncoding }));
+                    }
+                }
+            }
+
+            setResults({ ...result, operation: config.operation, mode: config.mode });
+            setSelectedBlock(0);
+        } catch (error) {
+            console.error('Error procesando el mensaje:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [keys, config, encoding, crypto, setConfig]);
+
+    // Usar el resultado como nueva entrada en la operación inversa
+    // (el JSON exportado conserva la codificación y la longitud del texto)
+    const swapOperation = useCallback(() => {
+        let input = '';
+        if (results) {
+            input = results.exported ? JSON.stringify(results.exported) : results.output;
+        }
+
+        updateConfig({
+            operation: config.operation === 'encrypt' ? 'decrypt' : 'encrypt',
+            input
+        });
+    }, [config.operation, results, updateConfig]);
+
+    const handleCopy = useCallback(() => {
+        if (results && navigator.clipboard) {
+            navigator.clipboard.writeText(results.output);
+        }
+    }, [results]);
+
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        setKeys(null);
+        setValidEs([]);
+        setSecurity(null);
+        setResults(null);
+        setValidationError('');
+    }, [setConfig]);
+
+    const handleClear = useCallback(() => {
+        updateConfig({ input: '' });
+    }, [updateConfig]);
+
+    const trace = results?.blocks[selectedBlock]?.trace;
+    const attack = security?.attacks.find(item => item.method === selectedAttack);
+    const primeAdornment = (valid) => (
+        <InputAdornment position="end">
+            {valid
+                ? <CheckCircle color="success" fontSize="small" />
+                : <Cancel color="error" fontSize="small" />}
+        </InputAdornment>
+    );
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <Key fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Encriptación RSA
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Generación de claves, cifrado y descifrado con exponenciación modular rápida
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de claves */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Claves
+                            </Typography>
+
+                            <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                                <Grid item xs={6}>
+                                    <TextField
+                                        fullWidth
+                                        size="small"
+                                        label="p"
+                                        type="number"
+                                        value={config.p}
+                                        onChange={(e) => updateConfig({ p: e.target.value })}
+                                        helperText={primality.p ? 'Primo' : 'No es primo'}
+                                        InputProps={{ endAdornment: primeAdornment(primality.p) }}
+                                    />
+                                </Grid>
+                                <Grid item xs={6}>
+                                    <TextField
+                                        fullWidth
+                                        size="small"
+                                        label="q"
+                                        type="number"
+                                        value={config.q}
+                                        onChange={(e) => updateConfig({ q: e.target.value })}
+                                        helperText={primality.q ? 'Primo' : 'No es primo'}
+                                        InputProps={{ endAdornment: primeAdornment(primality.q) }}
+                                    />
+                                </Grid>
+                            </Grid>
+
+                            <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<Key />}
+                                    onClick={() => generateKeys()}
+                                    disabled={isLoading || !primality.p || !primality.q}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    Generar claves
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+
+                            {keys && (
+                                <>
+                                    <TextField
+                                        select
+                                        fullWidth
+                                        size="small"
+                                        label="Exponente público e"
+                                        value={validEs.includes(config.e) ? config.e : ''}
+                                        onChange={(e) => handleEChange(Number(e.target.value))}
+                                        helperText={`Valores coprimos con φ(n) = ${keys.phi}`}
+                                        sx={{ mt: 3 }}
+                                    >
+                                        {validEs.map(value => (
+                                            <MenuItem key={value} value={value}>{value}</MenuItem>
+                                        ))}
+                                    </TextField>
+
+                                    <Paper sx={{ p: 2, mt: 2, bgcolor: 'grey.50' }}>
+                                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                                            n = p·q = {keys.p}·{keys.q} = {keys.n}
+                                        </Typography>
+                                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                                            φ(n) = (p−1)(q−1) = {keys.phi}
+                                        </Typography>
+                                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                                            e = {keys.e}, d = {keys.d}
+                                        </Typography>
+                                    </Paper>
+
+                                    <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                        <Chip icon={<Lock />} label={`Pública ${keys.keyInfo.publicKeyString}`} color="primary" />
+                                        <Chip icon={<LockOpen />} label={`Privada ${keys.keyInfo.privateKeyString}`} color="secondary" />
+                                    </Box>
+
+                                    {security && !security.isSecure && (
+                                        <Alert severity="warning" icon={<Warning />} sx={{ mt: 2 }}>
+                                            {security.warnings.join('. ')}
+                                        </Alert>
+                                    )}
+                                </>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Cálculo de d */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Cálculo de d = e⁻¹ mod φ(n)
+                            </Typography>
+
+                            {!keys && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Elija dos primos p y q<br />y genere las claves
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {keys && (
+                                <>
+                                    <TableContainer component={Paper} variant="outlined">
+                                        <Table size="small">
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell align="center"><strong>i</strong></TableCell>
+                                                    <TableCell align="center"><strong>rᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>qᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>sᵢ</strong></TableCell>
+                                                    <TableCell align="center"><strong>tᵢ</strong></TableCell>
+                                                    <TableCell><strong>División</strong></TableCell>
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {keys.dComputation.euclideanTable.map(row => (
+                                                    <TableRow
+                                                        key={row.index}
+                                                        sx={{ bgcolor: row.remainder === 1 ? 'success.light' : 'inherit' }}
+                                                    >
+                                                        <TableCell align="center">{row.index}</TableCell>
+                                                        <TableCell align="center">{row.remainder}</TableCell>
+                                                        <TableCell align="center">{row.quotient ?? ''}</TableCell>
+                                                        <TableCell align="center">{row.s}</TableCell>
+                                                        <TableCell align="center">{row.t}</TableCell>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>{row.division || ''}</TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+
+                                    <Paper sx={{ p: 2, mt: 2, bgcolor: 'grey.50' }}>
+                                        {keys.dComputation.steps.map((step, index) => (
+                                            <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                                {index + 1}. {step}
+                                            </Typography>
+                                        ))}
+                                    </Paper>
+                                </>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Mensaje */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Mensaje
+                            </Typography>
+
+                            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+                                <ToggleButtonGroup
+                                    exclusive
+                                    size="small"
+                                    value={config.operation}
+                                    onChange={(_, value) => value && updateConfig({ operation: value })}
+                                >
+                                    <ToggleButton value="encrypt">Cifrar</ToggleButton>
+                                    <ToggleButton value="decrypt">Descifrar</ToggleButton>
+                                </ToggleButtonGroup>
+
+                                <ToggleButtonGroup
+                                    exclusive
+                                    size="small"
+                                    value={config.mode}
+                                    onChange={(_, value) => value && updateConfig({ mode: value })}
+                                >
+                                    <ToggleButton value="number">Número</ToggleButton>
+                                    <ToggleButton value="text">Texto</ToggleButton>
+                                </ToggleButtonGroup>
+                            </Box>
+
+                            {config.mode === 'text' && (
+                                <TextField
+                                    select
+                                    fullWidth
+                                    size="small"
+                                    label="Codificación"
+                                    value={encoding}
+                                    onChange={(e) => updateConfig({ encoding: e.target.value })}
+                                    sx={{ mb: 2 }}
+                                >
+                                    {Object.entries(TEXT_ENCODINGS).map(([value, scheme]) => (
+                                        <MenuItem key={value} value={value}>
+                                            {scheme.label} ({scheme.width} dígitos por símbolo)
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                            )}
+
+                            <Box display="flex" alignItems="flex-start" gap={1}>
+                                <TextField
+                                    fullWidth
+                                    multiline={config.operation === 'decrypt' || config.mode === 'text'}
+                                    minRows={2}
+                                    label={config.operation === 'encrypt'
+                                        ? (config.mode === 'number' ? `Mensaje m (0 a ${keys ? keys.n - 1 : 'n−1'})` : 'Texto plano')
+                                        : (config.mode === 'text' ? 'Bloques cifrados (lista o JSON exportado)' : 'Bloques cifrados (separados por comas)')}
+                                    value={config.input}
+                                    onChange={(e) => updateConfig({ input: e.target.value })}
+                                    helperText={config.mode !== 'text'
+                                        ? ''
+                                        : (config.operation === 'encrypt'
+                                            ? 'El texto se codifica y se divide en bloques menores que n'
+                                            : 'Formato "longitud: bloques" (p. ej. 4: 1234, 56) o JSON exportado')}
+                                />
+                                <Tooltip title="Limpiar mensaje">
+                                    <IconButton onClick={handleClear}>
+                                        <Clear />
+                                    </IconButton>
+                                </Tooltip>
+                            </Box>
+
+                            <Button
+                                variant="contained"
+                                startIcon={config.operation === 'encrypt' ? <Lock /> : <LockOpen />}
+                                onClick={processMessage}
+                                disabled={isLoading || !keys}
+                                fullWidth
+                                size="large"
+                                sx={{ mt: 2 }}
+                            >
+                                {config.operation === 'encrypt' ? 'Cifrar' : 'Descifrar'}
+                            </Button>
+
+                            {results && (
+                                <Paper sx={{ p: 2, mt: 2, bgcolor: 'grey.50' }}>
+                                    <Typography variant="subtitle2" gutterBottom>
+                                        {results.operation === 'encrypt' ? 'Texto cifrado' : 'Texto descifrado'}
+                                    </Typography>
+                                    <Typography variant="body1" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                        {results.output}
+                                    </Typography>
+                                    <Box sx={{ mt: 1, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                        <Button size="small" onClick={swapOperation}>
+                                            {results.operation === 'encrypt' ? 'Descifrar este resultado' : 'Cifrar este resultado'}
+                                        </Button>
+                                        {results.exported && (
+                                            <>
+                                                <Button size="small" startIcon={<ContentCopy />} onClick={handleCopy}>
+                                                    Copiar bloques
+                                                </Button>
+                                                <Button size="small" startIcon={<FileDownload />} onClick={() => downloadBlocks(results.exported)}>
+                                                    Exportar JSON
+                                                </Button>
+                                            </>
+                                        )}
+                                    </Box>
+
+                                    {results.steps && (
+                                        <Box sx={{ mt: 2 }}>
+                                            {results.steps.map((step, index) => (
+                                                <Typography
+                                                    key={index}
+                                                    variant="body2"
+                                                    sx={{ fontFamily: 'monospace', mb: 0.5, wordBreak: 'break-all' }}
+                                                >
+                                                    {index + 1}. {step}
+                                                </Typography>
+                                            ))}
+                                        </Box>
+                                    )}
+                                </Paper>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Bloques y traza */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                <ListAlt color="primary" />
+                                <Typography variant="h6">
+                                    Elevar al cuadrado y multiplicar
+                                </Typography>
+                            </Box>
+
+                            {!results && (
+                                <Typography variant="body2" color="text.secondary">
+                                    Cifre o descifre un mensaje para ver la traza de cada bloque
+                                </Typography>
+                            )}
+
+                            {results && (
+                                <>
+                                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                                        {results.blocks.map((block, index) => (
+                                            <Chip
+                                                key={index}
+                                                label={block.char !== undefined
+                                                    ? `'${block.char}' ${block.plaintext} ↔ ${block.ciphertext}`
+                                                    : `${block.plaintext} ↔ ${block.ciphertext}`}
+                                                color={index === selectedBlock ? 'primary' : 'default'}
+                                                onClick={() => setSelectedBlock(index)}
+                                            />
+                                        ))}
+                                    </Box>
+
+                                    {trace && (
+                                        <>
+                                            <Typography variant="body2" sx={{ fontFamily: 'monospace', mb: 1 }}>
+                                                {trace.base}^{trace.exponent} mod {trace.modulus}, exponente en binario: {trace.binary}
+                                            </Typography>
+
+                                            <TableContainer component={Paper} variant="outlined">
+                                                <Table size="small">
+                                                    <TableHead>
+                                                        <TableRow>
+                                                            <TableCell align="center"><strong>Bit</strong></TableCell>
+                                                            <TableCell align="center"><strong>Valor</strong></TableCell>
+                                                            <TableCell align="center"><strong>{trace.base}^(2^i) mod {trace.modulus}</strong></TableCell>
+                                                            <TableCell align="center"><strong>Acumulado</strong></TableCell>
+                                                            <TableCell><strong>Operación</strong></TableCell>
+                                                        </TableRow>
+                                                    </TableHead>
+                                                    <TableBody>
+                                                        {trace.steps.map(step => (
+                                                            <TableRow
+                                                                key={step.bitIndex}
+                                                                sx={{ bgcolor: step.multiplied ? 'action.selected' : 'inherit' }}
+                                                            >
+                                                                <TableCell align="center">{step.bitIndex}</TableCell>
+                                                                <TableCell align="center">{step.bit}</TableCell>
+                                                                <TableCell align="center">{step.power}</TableCell>
+                                                                <TableCell align="center">{step.result}</TableCell>
+                                                                <TableCell sx={{ fontFamily: 'monospace' }}>{step.description}</TableCell>
+                                                            </TableRow>
+                                                        ))}
+                                                    </TableBody>
+                                                </Table>
+                                            </TableContainer>
+
+                                            <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                                <Chip label={`Resultado: ${trace.result}`} color="success" />
+                                                <Chip label={`${trace.squarings} cuadrados`} variant="outlined" />
+                                                <Chip label={`${trace.multiplications} multiplicaciones`} variant="outlined" />
+                                            </Box>
+                                        </>
+                                    )}
+                                </>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Ataques de factorización */}
+                {security && (
+                    <Grid item xs={12}>
+                        <Card elevation={3}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Ataques de factorización sobre n = {security.n}
+                                </Typography>
+                                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                    Cada método dispone de {security.iterationLimit} iteraciones; seleccione uno para ver su secuencia
+                                </Typography>
+
+                                <Grid container spacing={3}>
+                                    <Grid item xs={12} md={5}>
+                                        <TableContainer component={Paper} variant="outlined">
+                                            <Table size="small">
+                                                <TableHead>
+                                                    <TableRow>
+                                                        <TableCell><strong>Método</strong></TableCell>
+                                                        <TableCell align="center"><strong>Iteraciones</strong></TableCell>
+                                                        <TableCell align="center"><strong>Factor</strong></TableCell>
+                                                    </TableRow>
+                                                </TableHead>
+                                                <TableBody>
+                                                    {security.attacks.map(item => (
+                                                        <TableRow
+                                                            key={item.method}
+                                                            hover
+                                                            selected={item.method === selectedAttack}
+                                                            onClick={() => setSelectedAttack(item.method)}
+                                                            sx={{ cursor: 'pointer' }}
+                                                        >
+                                                            <TableCell>
+                                                                {item.label}
+                                                                {item.method === security.breakingMethod && (
+                                                                    <Chip label="Rompe la clave" color="error" size="small" sx={{ ml: 1 }} />
+                                                                )}
+                                                            </TableCell>
+                                                            <TableCell align="center">{item.iterations}</TableCell>
+                                                            <TableCell align="center">
+                                                                {item.success ? item.factor : <Cancel color="disabled" fontSize="small" />}
+                                                            </TableCell>
+                                                        </TableRow>
+                                                    ))}
+                                                </TableBody>
+                                            </Table>
+                                        </TableContainer>
+                                    </Grid>
+
+                                    <Grid item xs={12} md={7}>
+                                        {attack ? (
+                                            <>
+                                                <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 280 }}>
+                                                    <Table size="small" stickyHeader>
+                                                        <TableHead>
+                                                            <TableRow>
+                                                                {SEQUENCE_COLUMNS[attack.method].map(([field, label]) => (
+                                                                    <TableCell key={field} align="center"><strong>{label}</strong></TableCell>
+                                                                ))}
+                                                            </TableRow>
+                                                        </TableHead>
+                                                        <TableBody>
+                                                            {attack.sequence.map((row, index) => (
+                                                                <TableRow key={index}>
+                                                                    {SEQUENCE_COLUMNS[attack.method].map(([field]) => (
+                                                                        <TableCell key={field} align="center">{row[field] ?? '—'}</TableCell>
+                                                                    ))}
+                                                                </TableRow>
+                                                            ))}
+                                                        </TableBody>
+                                                    </Table>
+                                                </TableContainer>
+                                                <Paper sx={{ p: 2, mt: 2, bgcolor: 'grey.50' }}>
+                                                    {attack.steps.map((step, index) => (
+                                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                                            {index + 1}. {step}
+                                                        </Typography>
+                                                    ))}
+                                                </Paper>
+                                            </>
+                                        ) : (
+                                            <Typography variant="body2" color="text.secondary">
+                                                Ningún método factoriza n dentro del límite de iteraciones
+                                            </Typography>
+                                        )}
+                                    </Grid>
+                                </Grid>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Claves grandes con BigInt */}
+                <Grid item xs={12}>
+                    <RSALargeKeys />
+                </Grid>
+            </Grid>
+        </Box>
+    );
+};
+
+export default RSAEncryption;
@@ -0,0 +1,310 @@
+import React, { useState, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    VpnKey,
+    Lock,
+    LockOpen,
+    FactCheck
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+
+const KEY_SIZES = [32, 64, 128, 256, 512, 1024, 2048];
+
+const DEFAULT_CONFIG = {
+    bits: 64,
+    message: '123456789',
+    candidate: '18446744073709551557'
+};
+
+// Valor de clave en monoespaciado con corte de línea
+const KeyValue = ({ label, value }) => (
+    <Box sx={{ mb: 1 }}>
+        <Typography variant="caption" color="text.secondary">{label}</Typography>
+        <Typography variant="body2" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+            {String(value)}
+        </Typography>
+    </Box>
+);
+
+/**
+ * RSA con BigInt: claves aleatorias de tamaño real y prueba de Miller-Rabin
+ */
+const RSALargeKeys = () => {
+    const [keys, setKeys] = useState(null);
+    const [encryption, setEncryption] = useState(null);
+    const [decryption, setDecryption] = useState(null);
+    const [primality, setPrimality] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    const [config, setConfig] = useLocalStorage('rsaLargeKeys', DEFAULT_CONFIG);
+
+    const {
+        crypto,
+        isLoading,
+        progress,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...prev, ...changes }));
+    }, [setConfig]);
+
+    const handleGenerate = useCallback(async () => {
+        try {
+            setValidationError('');
+            setEncryption(null);
+            setDecryption(null);
+            setKeys(await crypto.bigRsaRandomKeys(config.bits));
+        } catch (error) {
+            setValidationError(error.message);
+        }
+    }, [crypto, config.bits]);
+
+    const handleEncrypt = useCallback(async () => {
+        try {
+            setValidationError('');
+            const encrypted = await crypto.bigRsaEncrypt(config.message.trim(), keys.publicKey);
+            const decrypted = await crypto.bigRsaDecrypt(encrypted.ciphertext, keys.privateKey);
+            setEncryption(encrypted);
+            setDecryption(decrypted);
+        } catch (error) {
+            setValidationError(error.message);
+        }
+    }, [crypto, config.message, keys]);
+
+    const handlePrimality = useCallback(async () => {
+        try {
+            setValidationError('');
+            setPrimality(await crypto.millerRabin(config.candidate.trim()));
+        } catch (error) {
+            setValidationError(error.message);
+            setPrimality(null);
+        }
+    }, [crypto, config.candidate]);
+
+    return (
+        <Card elevation={2}>
+            <CardContent>
+                <Box display="flex" alignItems="center" gap={1} mb={1}>
+                    <VpnKey color="primary" />
+                    <Typography variant="h6" color="primary">
+                        Claves de Tamaño Real (BigInt)
+                    </Typography>
+                </Box>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Primos aleatorios con Miller-Rabin y aritmética exacta más allá de 2^53
+                </Typography>
+
+                {(error || validationError) && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error?.message || validationError}
+                    </Alert>
+                )}
+
+                {isLoading && (
+                    <LinearProgress
+                        variant={progress !== null ? 'determinate' : 'indeterminate'}
+                        value={(progress || 0) * 100}
+                        sx={{ mb: 2 }}
+                    />
+                )}
+
+                <Grid container spacing={3}>
+                    {/* Generación de claves */}
+                    <Grid item xs={12} md={7}>
+                        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+                            <TextField
+                                select
+                                size="small"
+                                label="Tamaño de n"
+                                value={config.bits}
+                                onChange={(e) => updateConfig({ bits: e.target.value })}
+                                sx={{ minWidth: 140 }}
+                            >
+                                {KEY_SIZES.map(bits => (
+                                    <MenuItem key={bits} value={bits}>{bits} bits</MenuItem>
+                                ))}
+                            </TextField>
+                            <Button
+                                variant="contained"
+                                startIcon={<VpnKey />}
+                                onClick={handleGenerate}
+                                disabled={isLoading}
+                            >
+                                Generar Claves
+                            </Button>
+                        </Box>
+
+                        {keys ? (
+                            <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                <Box sx={{ display: 'flex', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+                                    <Chip label={`n de ${keys.bitLength} bits`} color="primary" size="small" />
+                                    <Chip label={`e = ${keys.e}`} variant="outlined" size="small" />
+                                </Box>
+                                <KeyValue label="p" value={keys.p} />
+                                <KeyValue label="q" value={keys.q} />
+                                <KeyValue label="n = p·q" value={keys.n} />
+                                <KeyValue label="φ(n)" value={keys.phi} />
+                                <KeyValue label="d = e⁻¹ mod φ(n)" value={keys.d} />
+                            </Paper>
+                        ) : (
+                            <Box
+                                sx={{
+                                    display: 'flex',
+                                    alignItems: 'center',
+                                    justifyContent: 'center',
+                                    height: 160,
+                                    color: 'text.secondary',
+                                    border: '2px dashed',
+                                    borderColor: 'grey.300',
+                                    borderRadius: 2
+                                }}
+                            >
+                                <Typography align="center">
+                                    Elija el tamaño del módulo<br />y genere un par de claves
+                                </Typography>
+                            </Box>
+                        )}
+
+                        {keys && (
+                            <Box sx={{ mt: 2 }}>
+                                <TextField
+                                    fullWidth
+                                    size="small"
+                                    label="Mensaje m (entero menor que n)"
+                                    value={config.message}
+                                    onChange={(e) => updateConfig({ message: e.target.value })}
+                                    InputProps={{ sx: { fontFamily: 'monospace' } }}
+                                />
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Lock />}
+                                    onClick={handleEncrypt}
+                                    disabled={isLoading}
+                                    sx={{ mt: 1 }}
+                                >
+                                    Cifrar y Descifrar
+                                </Button>
+
+                                {encryption && decryption && (
+                                    <Paper sx={{ p: 2, mt: 2, bgcolor: 'grey.50' }}>
+                                        <KeyValue label="c = m^e mod n" value={encryption.ciphertext} />
+                                        <Box display="flex" alignItems="center" gap={1}>
+                                            <LockOpen fontSize="small" color="success" />
+                                            <KeyValue label="c^d mod n" value={decryption.plaintext} />
+                                        </Box>
+                                        <Chip
+                                            size="small"
+                                            label={decryption.plaintext === encryption.plaintext
+                                                ? 'Se recupera el mensaje original'
+                                                : 'El mensaje no coincide'}
+                                            color={decryption.plaintext === encryption.plaintext ? 'success' : 'error'}
+                                        />
+                                    </Paper>
+                                )}
+                            </Box>
+                        )}
+                    </Grid>
+
+                    {/* Miller-Rabin */}
+                    <Grid item xs={12} md={5}>
+                        <Typography variant="subtitle1" gutterBottom>
+                            Prueba de Miller-Rabin
+                        </Typography>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            label="Número a probar"
+                            value={config.candidate}
+                            onChange={(e) => updateConfig({ candidate: e.target.value })}
+                            InputProps={{ sx: { fontFamily: 'monospace' } }}
+                        />
+                        <Button
+                            variant="outlined"
+                            startIcon={<FactCheck />}
+                            onClick={handlePrimality}
+                            disabled={isLoading}
+                            sx={{ mt: 1, mb: 2 }}
+                        >
+                            Probar Primalidad
+                        </Button>
+
+                        {primality && (
+                            <>
+                                <Chip
+                                    label={primality.isProbablePrime
+                                        ? (primality.deterministic ? 'Primo' : 'Probablemente primo')
+                                        : 'Compuesto'}
+                                    color={primality.isProbablePrime ? 'success' : 'error'}
+                                    sx={{ mb: 1 }}
+                                />
+
+                                {primality.rounds.length > 0 && (
+                                    <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 260, mb: 1 }}>
+                                        <Table size="small" stickyHeader>
+                                            <TableHead>
+                                                <TableRow>
+                                                    <TableCell><strong>Base</strong></TableCell>
+                                                    <TableCell><strong>a^d, a^2d, …</strong></TableCell>
+                                                    <TableCell align="center"><strong>Pasa</strong></TableCell>
+                                                </TableRow>
+                                            </TableHead>
+                                            <TableBody>
+                                                {primality.rounds.map((round, index) => (
+                                                    <TableRow key={index}>
+                                                        <TableCell sx={{ fontFamily: 'monospace' }}>{String(round.base)}</TableCell>
+                                                        <TableCell sx={{ fontFamily: 'monospace', wordBreak: 'break-all', fontSize: '0.75rem' }}>
+                                                            {round.sequence.map(String).join(', ')}
+                                                        </TableCell>
+                                                        <TableCell align="center">{round.passed ? 'Sí' : 'No'}</TableCell>
+                                                    </TableRow>
+                                                ))}
+                                            </TableBody>
+                                        </Table>
+                                    </TableContainer>
+                                )}
+
+                                {primality.steps.map((step, index) => (
+                                    <Typography
+                                        key={index}
+                                        variant="body2"
+                                        sx={{ fontFamily: 'monospace', mb: 0.5, wordBreak: 'break-all' }}
+                                    >
+                                        {index + 1}. {step}
+                                    </Typography>
+                                ))}
+                            </>
+                        )}
+                    </Grid>
+                </Grid>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default RSALargeKeys;
@@ -0,0 +1,585 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Grid,
+    Alert,
+    Card,
+    CardContent,
+    Chip,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    LinearProgress
+} from '@mui/material';
+import {
+    PlayArrow,
+    Refresh,
+    Clear,
+    Add,
+    Remove,
+    Timeline,
+    CheckCircle,
+    Cancel,
+    ListAlt
+} from '@mui/icons-material';
+import useAlgorithms from '../../../hooks/useAlgorithms';
+import useMatrix from '../../../hooks/useMatrix';
+import useCanvas from '../../../hooks/useCanvas';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import canvasHelpers from '../../../utils/helpers/canvasHelpers';
+
+// Divisibilidad sobre D(12) = {1, 2, 3, 4, 6, 12}
+const DEFAULT_RELATION = [
+    [1, 1, 1, 1, 1, 1],
+    [0, 1, 0, 1, 1, 1],
+    [0, 0, 1, 0, 1, 1],
+    [0, 0, 0, 1, 0, 1],
+    [0, 0, 0, 0, 1, 1],
+    [0, 0, 0, 0, 0, 1]
+];
+
+const DEFAULT_CONFIG = {
+    source: 'divisibility',
+    n: '60',
+    labels: '1, 2, 3, 4, 6, 12'
+};
+
+const MAX_DIVISIBILITY_N = 10000;
+const MAX_TABLE_SIZE = 16;
+const CANVAS_WIDTH = 620;
+const CANVAS_HEIGHT = 420;
+const VERTEX_SIZE = 32;
+
+const HasseDiagram = () => {
+    const [results, setResults] = useState(null);
+    const [validationError, setValidationError] = useState('');
+
+    // Matriz de la relación (fila R columna)
+    const relation = useMatrix(6, {
+        type: 'adjacency',
+        minSize: 2,
+        maxSize: 8,
+        defaultValue: 0,
+        initialValues: DEFAULT_RELATION
+    });
+
+    // Hook de algoritmos
+    const {
+        poset,
+        isLoading,
+        error
+    } = useAlgorithms({
+        enableCache: true,
+        onError: (error, algorithm) => {
+            console.error(`Error en ${algorithm}:`, error);
+        }
+    });
+
+    // Hook de canvas para el diagrama
+    const {
+        canvasRef,
+        isReady: canvasReady,
+        loadGraph,
+        Vertex,
+        Edge
+    } = useCanvas({
+        width: CANVAS_WIDTH,
+        height: CANVAS_HEIGHT,
+        backgroundColor: '#fafafa',
+        enableInteraction: false
+    });
+
+    // Hook de persistencia
+    const [config, setConfig] = useLocalStorage('hasseDiagram', DEFAULT_CONFIG);
+    const [savedData, setSavedData] = useLocalStorage('hasseDiagramRelation', {
+        relation: DEFAULT_RELATION
+    });
+
+    // Cargar datos guardados al iniciar
+    useEffect(() => {
+        if (savedData?.relation) {
+            relation.setMatrixValues(savedData.relation);
+        }
+    }, []);
+
+    // Auto-guardar configuración
+    useEffect(() => {
+        setSavedData({ relation: relation.matrix });
+    }, [relation.matrix, setSavedData]);
+
+    const size = relation.matrix.length;
+
+    const updateConfig = useCallback((changes) => {
+        setConfig(prev => ({ ...prev, ...changes }));
+        setResults(null);
+    }, [setConfig]);
+
+    // Alternar el par (i, j) de la relación
+    const togglePair = useCallback((i, j) => {
+        if (Number(relation.matrix[i][j]) === 1) {
+            relation.removeEdge(i, j);
+        } else {
+            relation.setEdge(i, j, 1);
+        }
+        setResults(null);
+    }, [relation]);
+
+    // Cambiar número de elementos
+    const handleSizeChange = useCallback((newSize) => {
+        if (relation.updateSize(newSize)) {
+            setResults(null);
+        }
+    }, [relation]);
+
+    // Etiquetas escritas por el usuario o 1..n
+    const parseLabels = useCallback(() => {
+        const labels = config.labels.split(',').map(label => label.trim()).filter(Boolean);
+        return labels.length === size
+            ? labels
+            : Array.from({ length: size }, (_, i) => String(i + 1));
+    }, [config.labels, size]);
+
+    // Analizar la relación
+    const calculateResults = useCallback(async () => {
+        try {
+            setValidationError('');
+            let result;
+
+            if (config.source === 'divisibility') {
+                const n = parseInt(config.n, 10);
+                if (isNaN(n) || n < 1 || n > MAX_DIVISIBILITY_N) {
+                    setValidationError(`n debe ser un entero entre 1 y ${MAX_DIVISIBILITY_N}`);
+                    setResults(null);
+                    return;
+                }
+                result = await poset.analyzeDivisibility(n);
+            } else {
+                result = await poset.analyze(relation.toNumberMatrix(), parseLabels());
+            }
+
+            setResults(result);
+        } catch (error) {
+            console.error('Error analizando la relación:', error);
+            setValidationError(error.message);
+            setResults(null);
+        }
+    }, [config, relation, poset, parseLabels]);
+
+    // Restablecer valores por defecto
+    const handleReset = useCallback(() => {
+        setConfig(DEFAULT_CONFIG);
+        relation.setMatrixValues(DEFAULT_RELATION);
+        setResults(null);
+        setValidationError('');
+    }, [relation, setConfig]);
+
+    // Limpiar la relación
+    const handleClear = useCallback(() => {
+        relation.clearMatrix();
+        setResults(null);
+        setValidationError('');
+    }, [relation]);
+
+    // Dibujar el diagrama de Hasse por niveles, de abajo hacia arriba
+    useEffect(() => {
+        if (!canvasReady) return;
+
+        if (!results?.covering) {
+            loadGraph([], []);
+            return;
+        }
+
+        const { elements, levels, covering, extremes } = results;
+        const positions = canvasHelpers.layeredLayout(
+            levels,
+            covering.covers,
+            CANVAS_WIDTH,
+            CANVAS_HEIGHT,
+            { marginX: VERTEX_SIZE, marginY: VERTEX_SIZE }
+        );
+
+        const vertices = elements.map((label, i) => {
+            let color = canvasHelpers.COLORS.primary;
+            if (extremes.maximal.includes(i)) color = canvasHelpers.COLORS.secondary;
+            if (extremes.minimal.includes(i)) color = canvasHelpers.COLORS.success;
+
+            return new Vertex(
+                i,
+                positions[i].x - VERTEX_SIZE / 2,
+                positions[i].y - VERTEX_SIZE / 2,
+                label,
+                { size: VERTEX_SIZE, color }
+            );
+        });
+
+        const edges = covering.covers.map(([from, to]) => new Edge(vertices[from], vertices[to], 1, {
+            showWeight: false,
+            color: canvasHelpers.COLORS.edge.default
+        }));
+
+        loadGraph(vertices, edges);
+    }, [canvasReady, results, Vertex, Edge, loadGraph]);
+
+    // Nombre de un elemento por índice
+    const name = (index) => (index === null ? '—' : results.elements[index]);
+
+    // Tabla de supremos o ínfimos
+    const renderOperationTable = (table, symbol) => (
+        <TableContainer component={Paper} variant="outlined" sx={{ width: 'fit-content', maxWidth: '100%' }}>
+            <Table size="small">
+                <TableHead>
+                    <TableRow>
+                        <TableCell sx={{ fontWeight: 'bold' }}>{symbol}</TableCell>
+                        {results.elements.map((label, j) => (
+                            <TableCell key={j} align="center" sx={{ fontWeight: 'bold' }}>{label}</TableCell>
+                        ))}
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {table.map((row, i) => (
+                        <TableRow key={i}>
+                            <TableCell sx={{ fontWeight: 'bold' }}>{results.elements[i]}</TableCell>
+                            {row.map((value, j) => (
+                                <TableCell
+                                    key={j}
+                                    align="center"
+                                    sx={{ bgcolor: value === null ? 'error.light' : 'inherit' }}
+                                >
+                                    {name(value)}
+                                </TableCell>
+                            ))}
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+        </TableContainer>
+    );
+
+    const propertyChip = (label, value) => (
+        <Chip
+            icon={value ? <CheckCircle /> : <Cancel />}
+            label={label}
+            color={value ? 'success' : 'error'}
+            variant="outlined"
+        />
+    );
+
+    return (
+        <Box sx={{ p: 3, maxWidth: 1400, mx: 'auto' }}>
+            {/* Encabezado */}
+            <Paper elevation={2} sx={{ p: 3, mb: 3, bgcolor: 'primary.main', color: 'white' }}>
+                <Box display="flex" alignItems="center" gap={2}>
+                    <Timeline fontSize="large" />
+                    <Typography variant="h4" component="h1">
+                        Diagrama de Hasse
+                    </Typography>
+                    <Chip
+                        label="v2.0.0"
+                        color="secondary"
+                        variant="filled"
+                        size="small"
+                    />
+                </Box>
+                <Typography variant="body1" sx={{ mt: 1, opacity: 0.9 }}>
+                    Órdenes parciales: relación de cobertura, elementos extremos y retículos
+                </Typography>
+            </Paper>
+
+            {/* Error Display */}
+            {(error || validationError) && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                    {error?.message || validationError}
+                </Alert>
+            )}
+
+            {isLoading && <LinearProgress sx={{ mb: 2 }} />}
+
+            <Grid container spacing={3}>
+                {/* Panel de entrada */}
+                <Grid item xs={12} lg={5}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Relación
+                            </Typography>
+
+                            <ToggleButtonGroup
+                                exclusive
+                                fullWidth
+                                size="small"
+                                value={config.source}
+                                onChange={(_, value) => value && updateConfig({ source: value })}
+                                sx={{ mb: 2 }}
+                            >
+                                <ToggleButton value="divisibility">Divisores D(n)</ToggleButton>
+                                <ToggleButton value="matrix">Matriz de relación</ToggleButton>
+                            </ToggleButtonGroup>
+
+                            {config.source === 'divisibility' ? (
+                                <TextField
+                                    fullWidth
+                                    label="n"
+                                    type="number"
+                                    value={config.n}
+                                    onChange={(e) => updateConfig({ n: e.target.value })}
+                                    helperText="Divisores de n ordenados por divisibilidad (a ≤ b si a | b)"
+                                    inputProps={{ min: 1, max: MAX_DIVISIBILITY_N }}
+                                />
+                            ) : (
+                                <>
+                                    {/* Número de elementos */}
+                                    <Box display="flex" alignItems="center" gap={1}>
+                                        <Typography variant="body2">Elementos: {size}</Typography>
+                                        <IconButton size="small" onClick={() => handleSizeChange(size - 1)}>
+                                            <Remove fontSize="small" />
+                                        </IconButton>
+                                        <IconButton size="small" onClick={() => handleSizeChange(size + 1)}>
+                                            <Add fontSize="small" />
+                                        </IconButton>
+                                        <Tooltip title="Vaciar la relación">
+                                            <IconButton onClick={handleClear} color="error" size="small">
+                                                <Clear />
+                                            </IconButton>
+                                        </Tooltip>
+                                    </Box>
+
+                                    <TextField
+                                        fullWidth
+                                        size="small"
+                                        label="Etiquetas (separadas por comas)"
+                                        value={config.labels}
+                                        onChange={(e) => updateConfig({ labels: e.target.value })}
+                                        helperText={`Si no hay ${size} etiquetas se usa 1..${size}`}
+                                        sx={{ mt: 1 }}
+                                    />
+
+                                    <Typography variant="caption" color="text.secondary">
+                                        Haga clic en una celda para indicar que fila R columna
+                                    </Typography>
+
+                                    <Box
+                                        sx={{
+                                            mt: 2,
+                                            display: 'inline-grid',
+                                            gridTemplateColumns: `auto repeat(${size}, 40px)`,
+                                            gap: 0.5,
+                                            alignItems: 'center'
+                                        }}
+                                    >
+                                        <Box />
+                                        {parseLabels().map((label, j) => (
+                                            <Typography key={j} variant="caption" align="center" color="text.secondary">
+                                                {label}
+                                            </Typography>
+                                        ))}
+                                        {relation.matrix.map((row, i) => (
+                                            <React.Fragment key={i}>
+                                                <Typography variant="caption" color="text.secondary" sx={{ pr: 1 }}>
+                                                    {parseLabels()[i]}
+                                                </Typography>
+                                                {row.map((value, j) => {
+                                                    const active = Number(value) === 1;
+                                                    return (
+                                                        <Button
+                                                            key={j}
+                                                            variant={active ? 'contained' : 'outlined'}
+                                                            onClick={() => togglePair(i, j)}
+                                                            sx={{ minWidth: 40, height: 40, p: 0 }}
+                                                        >
+                                                            {active ? 1 : 0}
+                                                        </Button>
+                                                    );
+                                                })}
+                                            </React.Fragment>
+                                        ))}
+                                    </Box>
+                                </>
+                            )}
+
+                            {/* Botones de acción */}
+                            <Box sx={{ mt: 3, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                <Button
+                                    variant="contained"
+                                    startIcon={<PlayArrow />}
+                                    onClick={calculateResults}
+                                    disabled={isLoading}
+                                    fullWidth
+                                    size="large"
+                                >
+                                    {isLoading ? 'Analizando...' : 'Generar Diagrama'}
+                                </Button>
+
+                                <Button
+                                    variant="outlined"
+                                    startIcon={<Refresh />}
+                                    onClick={handleReset}
+                                    size="small"
+                                >
+                                    Reset
+                                </Button>
+                            </Box>
+
+                            {/* Propiedades */}
+                            {results && (
+                                <Paper sx={{ p: 2, mt: 3, bgcolor: 'grey.50' }}>
+                                    <Typography variant="subtitle1" gutterBottom>
+                                        Propiedades
+                                    </Typography>
+                                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                        {propertyChip('Reflexiva', results.properties.isReflexive)}
+                                        {propertyChip('Antisimétrica', results.properties.isAntisymmetric)}
+                                        {propertyChip('Transitiva', results.properties.isTransitive)}
+                                        {results.lattice && propertyChip('Retículo', results.lattice.isLattice)}
+                                    </Box>
+                                    {!results.properties.isPartialOrder && (
+                                        <Alert severity="warning" sx={{ mt: 2 }}>
+                                            La relación no es un orden parcial, por lo que no tiene diagrama de Hasse
+                                        </Alert>
+                                    )}
+                                </Paper>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Diagrama */}
+                <Grid item xs={12} lg={7}>
+                    <Card elevation={3}>
+                        <CardContent>
+                            <Typography variant="h6" gutterBottom color="primary">
+                                Diagrama
+                            </Typography>
+
+                            {!results?.covering && (
+                                <Box
+                                    sx={{
+                                        display: 'flex',
+                                        alignItems: 'center',
+                                        justifyContent: 'center',
+                                        height: 200,
+                                        color: 'text.secondary',
+                                        border: '2px dashed',
+                                        borderColor: 'grey.300',
+                                        borderRadius: 2
+                                    }}
+                                >
+                                    <Typography align="center">
+                                        Defina un orden parcial<br />y genere el diagrama
+                                    </Typography>
+                                </Box>
+                            )}
+
+                            {/* El canvas permanece montado para que useCanvas lo inicialice */}
+                            <Box
+                                sx={{
+                                    display: results?.covering ? 'flex' : 'none',
+                                    justifyContent: 'center',
+                                    border: '2px solid',
+                                    borderColor: 'primary.main',
+                                    borderRadius: 2,
+                                    p: 2
+                                }}
+                            >
+                                <canvas
+                                    ref={canvasRef}
+                                    style={{
+                                        maxWidth: '100%',
+                                        height: 'auto',
+                                        display: 'block'
+                                    }}
+                                />
+                            </Box>
+
+                            {results?.extremes && (
+                                <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                    <Chip
+                                        label={`Maximales: {${results.extremes.maximal.map(name).join(', ')}}`}
+                                        sx={{ bgcolor: canvasHelpers.COLORS.secondary, color: 'white' }}
+                                    />
+                                    <Chip
+                                        label={`Minimales: {${results.extremes.minimal.map(name).join(', ')}}`}
+                                        sx={{ bgcolor: canvasHelpers.COLORS.success, color: 'white' }}
+                                    />
+                                    <Chip label={`Máximo: ${name(results.extremes.greatest)}`} variant="outlined" />
+                                    <Chip label={`Mínimo: ${name(results.extremes.least)}`} variant="outlined" />
+                                </Box>
+                            )}
+                        </CardContent>
+                    </Card>
+                </Grid>
+
+                {/* Supremos e ínfimos */}
+                {results?.lattice && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Typography variant="h6" gutterBottom color="primary">
+                                    Supremos e Ínfimos
+                                </Typography>
+                                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                    Un orden parcial es retículo si todo par tiene supremo (a ∨ b) e ínfimo (a ∧ b).
+                                    Las celdas en rojo no tienen solución.
+                                </Typography>
+                                {results.elements.length > MAX_TABLE_SIZE ? (
+                                    <Typography variant="body2">
+                                        {results.lattice.isLattice
+                                            ? 'Todos los pares tienen supremo e ínfimo.'
+                                            : `${results.lattice.failures.length} pares sin supremo o ínfimo.`}
+                                        {` Las tablas se muestran para a lo sumo ${MAX_TABLE_SIZE} elementos.`}
+                                    </Typography>
+                                ) : (
+                                    <Grid container spacing={2}>
+                                        <Grid item xs={12} md={6} sx={{ overflowX: 'auto' }}>
+                                            <Typography variant="subtitle2" gutterBottom>Supremo a ∨ b</Typography>
+                                            {renderOperationTable(results.lattice.joinTable, '∨')}
+                                        </Grid>
+                                        <Grid item xs={12} md={6} sx={{ overflowX: 'auto' }}>
+                                            <Typography variant="subtitle2" gutterBottom>Ínfimo a ∧ b</Typography>
+                                            {renderOperationTable(results.lattice.meetTable, '∧')}
+                                        </Grid>
+                                    </Grid>
+                                )}
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+
+                {/* Procedimiento */}
+                {results && (
+                    <Grid item xs={12}>
+                        <Card elevation={2}>
+                            <CardContent>
+                                <Box display="flex" alignItems="center" gap={1} mb={2}>
+                                    <ListAlt color="primary" />
+                                    <Typography variant="h6">
+                                        Procedimiento
+                                    </Typography>
+                                </Box>
+                                <Paper sx={{ p: 2, bgcolor: 'grey.50' }}>
+                                    {results.steps.map((step, index) => (
+                                        <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace', mb: 0.5 }}>
+                                            {index + 1}. {step}
+                                        </Typography>
+                                    ))}
+                                </Paper>
+                            </CardContent>
+                        </Card>
+                    </Grid>
+                )}
+            </Grid>
+        </Box>
+    );
+};
+
+export default HasseDiagram;
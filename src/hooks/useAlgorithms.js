@@ -1,13 +1,11 @@
 import { useState, useCallback, useMemo, useRef } from 'react';
-import { imageProcessing } from '../utils/algorithms/imageProcessing';
-import { graphTheory } from '../utils/algorithms/graphTheory';
-import { cryptography } from '../utils/algorithms/cryptography';
-import { gameTheory } from '../utils/algorithms/gameTheory';
-import { histograms } from '../utils/algorithms/histograms';
+import { resolveAlgorithm } from '../utils/algorithms';
+import { getWorkerPool, isWorkerSupported } from '../utils/workers/workerPool';
 
 /**
  * Hook unificado para la ejecución de algoritmos con gestión de estado,
  * cache, validación y métricas de rendimiento
+ * Los algoritmos se ejecutan en un pool de Web Workers con cancelación y progreso
  */
 
 const useAlgorithms = (options = {}) => {
@@ -17,7 +15,8 @@ const useAlgorithms = (options = {}) => {
         enableMetrics = true,
         maxCacheSize = 100,
         onError = null,
-        onComplete = null
+        onComplete = null,
+        useWorkers = true
     } = options;
 
     // Estado de ejecución
@@ -25,6 +24,11 @@ const useAlgorithms = (options = {}) => {
     const [error, setError] = useState(null);
     const [lastResult, setLastResult] = useState(null);
     const [executionHistory, setExecutionHistory] = useState([]);
+    const [progress, setProgress] = useState(null);
+
+    // Ejecuciones en curso (para isLoading y cancel)
+    const pendingRef = useRef(0);
+    const controllersRef = useRef(new Set());
 
     // Cache y métricas
     const cacheRef = useRef(new Map());
@@ -41,7 +45,9 @@ const useAlgorithms = (options = {}) => {
      */
     const generateCacheKey = useCallback((algorithm, params) => {
         try {
-            return `${algorithm}_${JSON.stringify(params)}`;
+            // BigInt no es serializable con JSON: se guarda como texto con sufijo n
+            const replacer = (_, value) => (typeof value === 'bigint' ? `${value}n` : value);
+            return `${algorithm}_${JSON.stringify(params, replacer)}`;
         } catch (error) {
             // Fallback si los parámetros no son serializables
             return `${algorithm}_${Date.now()}_${Math.random()}`;
@@ -142,23 +148,54 @@ const useAlgorithms = (options = {}) => {
         }
     }, [enableMetrics]);
 
+    /**
+     * Ejecuta el algoritmo en el hilo principal (sin Web Workers o con datos no clonables)
+     */
+    const runOnMainThread = useCallback(async (algorithm, params, timeout) => {
+        const timeoutPromise = new Promise((_, reject) => {
+            setTimeout(() => reject(new Error('Timeout: El algoritmo tardó demasiado')), timeout);
+        });
+
+        const executionPromise = Promise.resolve(algorithm(...params));
+        return Promise.race([executionPromise, timeoutPromise]);
+    }, []);
+
     /**
      * Ejecutor principal de algoritmos con gestión de errores y cache
+     * Opciones adicionales: signal (AbortSignal), onProgress(value, message), useWorker
      */
     const executeAlgorithm = useCallback(async (algorithmPath, params = [], options = {}) => {
         const {
             skipCache = false,
             timeout = 30000,
             validateInput = true,
-            transform = null
+            transform = null,
+            signal = null,
+            onProgress = null,
+            useWorker = useWorkers
         } = options;
 
+        pendingRef.current++;
         setIsLoading(true);
         setError(null);
 
         const startTime = performance.now();
-        const [category, method] = algorithmPath.split('.');
-        const cacheKey = generateCacheKey(algorithmPath, params);
+        // Sin cache no se serializan los parámetros (pueden ser imágenes completas)
+        const cacheKey = enableCache ? generateCacheKey(algorithmPath, params) : null;
+
+        // Cancelación propia del hook enlazada con la señal externa
+        const controller = new AbortController();
+        const abortFromSignal = () => controller.abort();
+        controllersRef.current.add(controller);
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', abortFromSignal);
+        }
+
+        const handleProgress = (value, message) => {
+            setProgress(value);
+            if (onProgress) onProgress(value, message);
+        };
 
         try {
             // Verificar cache primero
@@ -166,39 +203,30 @@ const useAlgorithms = (options = {}) => {
                 const cachedResult = getCachedResult(cacheKey);
                 if (cachedResult) {
                     setLastResult(cachedResult);
-                    setIsLoading(false);
                     updateMetrics(algorithmPath, 0, true);
                     return cachedResult;
                 }
             }
 
             // Validar que el algoritmo existe
-            const algorithmMap = {
-                imageProcessing,
-                graphTheory,
-                cryptography,
-                gameTheory,
-                histograms
-            };
-
-            const algorithmCategory = algorithmMap[category];
-            if (!algorithmCategory) {
-                throw new Error(`Categoría de algoritmo no encontrada: ${category}`);
-            }
-
-            const algorithm = method ? algorithmCategory[method] : algorithmCategory;
-            if (!algorithm || typeof algorithm !== 'function') {
-                throw new Error(`Algoritmo no encontrado: ${algorithmPath}`);
-            }
-
-            // Configurar timeout
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('Timeout: El algoritmo tardó demasiado')), timeout);
-            });
+            const algorithm = resolveAlgorithm(algorithmPath);
 
             // Ejecutar algoritmo
-            const executionPromise = Promise.resolve(algorithm(...params));
-            const result = await Promise.race([executionPromise, timeoutPromise]);
+            let result;
+            if (useWorker && isWorkerSupported()) {
+                try {
+                    result = await getWorkerPool().run(algorithmPath, params, {
+                        signal: controller.signal,
+                        onProgress: handleProgress,
+                        timeout
+                    });
+                } catch (error) {
+                    if (error.name !== 'DataCloneError') throw error;
+                    result = await runOnMainThread(algorithm, params, timeout);
+                }
+            } else {
+                result = await runOnMainThread(algorithm, params, timeout);
+            }
 
             // Transformar resultado si se especifica
             const finalResult = transform ? transform(result) : result;
@@ -245,26 +273,46 @@ const useAlgorithms = (options = {}) => {
                 error: error.message
             }]);
 
-            setError(error);
+            // Una cancelación no es un error del algoritmo
+            if (error.name !== 'AbortError') {
+                setError(error);
 
-            if (onError) {
-                onError(error, algorithmPath, params);
+                if (onError) {
+                    onError(error, algorithmPath, params);
+                }
             }
 
             throw error;
         } finally {
-            setIsLoading(false);
+            if (signal) signal.removeEventListener('abort', abortFromSignal);
+            controllersRef.current.delete(controller);
+
+            pendingRef.current--;
+            if (pendingRef.current === 0) {
+                setIsLoading(false);
+                setProgress(null);
+            }
         }
     }, [
+        enableCache,
         generateCacheKey,
         getCachedResult,
         setCachedResult,
         updateMetrics,
+        runOnMainThread,
         enableMetrics,
+        useWorkers,
         onError,
         onComplete
     ]);
 
+    /**
+     * Cancela todas las ejecuciones en curso iniciadas por este hook
+     */
+    const cancel = useCallback(() => {
+        controllersRef.current.forEach(controller => controller.abort());
+    }, []);
+
     // ==================== ALGORITMOS ESPECÍFICOS ====================
 
     /**
@@ -273,10 +321,13 @@ const useAlgorithms = (options = {}) => {
     const imageAlgorithms = useMemo(() => ({
         laplacian: (matrix, mask) => executeAlgorithm('imageProcessing.laplacian', [matrix, mask]),
         mean: (matrix, mask) => executeAlgorithm('imageProcessing.mean', [matrix, mask]),
-        median: (matrix) => executeAlgorithm('imageProcessing.median', [matrix]),
+        median: (matrix, windowSize = 3) => executeAlgorithm('imageProcessing.median', [matrix, windowSize]),
+        traceFilter: (filterType, matrix, mask = null, windowSize = 3) =>
+            executeAlgorithm('imageProcessing.trace', [filterType, matrix, mask, windowSize]),
+        clahe: (matrix, options) => executeAlgorithm('imageProcessing.clahe', [matrix, options], { skipCache: true }),
 
         // Funciones de conveniencia con validación
-        applyFilter: async (filterType, matrix, mask = null) => {
+        applyFilter: async (filterType, matrix, mask = null, windowSize = 3) => {
             if (!matrix || !Array.isArray(matrix)) {
                 throw new Error('Matriz inválida para filtro');
             }
@@ -292,7 +343,7 @@ const useAlgorithms = (options = {}) => {
                 throw new Error(`Tipo de filtro no válido: ${filterType}`);
             }
 
-            const params = mask ? [matrix, mask] : [matrix];
+            const params = mask ? [matrix, mask] : [matrix, windowSize];
             return executeAlgorithm(algorithmPath, params);
         }
     }), [executeAlgorithm]);
@@ -302,9 +353,16 @@ const useAlgorithms = (options = {}) => {
      */
     const graphAlgorithms = useMemo(() => ({
         pathMatrix: (matrix) => executeAlgorithm('graphTheory.pathMatrix', [matrix]),
+        floydWarshallPaths: (matrix) => executeAlgorithm('graphTheory.floydWarshallPaths', [matrix]),
+        warshallIterations: (matrix) => executeAlgorithm('graphTheory.warshallIterations', [matrix]),
         connectedComponents: (matrix) => executeAlgorithm('graphTheory.connectedComponents', [matrix]),
-        hamiltonianCycle: (matrix) => executeAlgorithm('graphTheory.hamiltonianCycle', [matrix]),
+        condensation: (matrix) => executeAlgorithm('graphTheory.condensation', [matrix]),
+        hamiltonianCycle: (matrix, options = {}) =>
+            executeAlgorithm('graphTheory.hamiltonianCycle', [matrix, options]),
         floydWarshall: (matrix) => executeAlgorithm('graphTheory.floydWarshallDistances', [matrix]),
+        dijkstra: (matrix, source = 0, options = {}) =>
+            executeAlgorithm('graphTheory.dijkstra', [matrix, source, options]),
+        maxFlow: (matrix, source, sink) => executeAlgorithm('graphTheory.maxFlow', [matrix, source, sink]),
 
         // Análisis completo de grafo
         analyzeGraph: async (matrix) => {
@@ -332,12 +390,48 @@ const useAlgorithms = (options = {}) => {
      */
     const cryptoAlgorithms = useMemo(() => ({
         linearCongruence: (a, b, n) => executeAlgorithm('cryptography.linearCongruence', [a, b, n]),
+        congruenceSystem: (equations) => executeAlgorithm('cryptography.congruenceSystem', [equations]),
+        extendedGCDTable: (a, b) => executeAlgorithm('cryptography.extendedGCDTable', [a, b]),
+        rsaParameters: (p, q) => executeAlgorithm('cryptography.rsa.generateParameters', [p, q]),
+        rsaSecurity: (p, q) => executeAlgorithm('cryptography.rsa.checkSecurity', [p, q]),
         rsaGenerate: (p, q, e) => executeAlgorithm('cryptography.rsa.generateKeys', [p, q, e]),
         rsaEncrypt: (message, publicKey) => executeAlgorithm('cryptography.rsa.encrypt', [message, publicKey]),
         rsaDecrypt: (ciphertext, privateKey) => executeAlgorithm('cryptography.rsa.decrypt', [ciphertext, privateKey]),
+        rsaEncryptText: (text, publicKey, encoding) => executeAlgorithm('cryptography.rsa.encryptText', [text, publicKey, encoding]),
+        rsaDecryptText: (ciphertexts, privateKey, encoding, length = null) => executeAlgorithm('cryptography.rsa.decryptText', [ciphertexts, privateKey, encoding, length]),
 
         // Proceso RSA completo
-        rsaComplete: (p, q, e, message) => executeAlgorithm('cryptography.rsa.completeProcess', [p, q, e, message])
+        rsaComplete: (p, q, e, message) => executeAlgorithm('cryptography.rsa.completeProcess', [p, q, e, message]),
+
+        // Aritmética BigInt (los resultados aleatorios no se guardan en cache)
+        millerRabin: (n, rounds = 20) => executeAlgorithm('cryptography.big.millerRabin', [n, rounds]),
+        randomPrime: (bits) => executeAlgorithm('cryptography.big.randomPrime', [bits], { skipCache: true }),
+        bigRsaGenerate: (p, q, e) => executeAlgorithm('cryptography.big.rsa.generateKeys', [p, q, e]),
+        bigRsaRandomKeys: (bits, e) =>
+            executeAlgorithm('cryptography.big.rsa.generateRandomKeys', [bits, e], { skipCache: true }),
+        bigRsaEncrypt: (message, publicKey) => executeAlgorithm('cryptography.big.rsa.encrypt', [message, publicKey]),
+        bigRsaDecrypt: (ciphertext, privateKey) => executeAlgorithm('cryptography.big.rsa.decrypt', [ciphertext, privateKey]),
+
+        // Logaritmo discreto
+        multiplicativeOrder: (g, n) => executeAlgorithm('cryptography.multiplicativeOrder', [g, n]),
+        primitiveRoot: (p) => executeAlgorithm('cryptography.primitiveRoot', [p]),
+        babyStepGiantStep: (g, h, p) => executeAlgorithm('cryptography.babyStepGiantStep', [g, h, p]),
+        diffieHellman: (p, g, a, b) => executeAlgorithm('cryptography.diffieHellman', [p, g, a, b]),
+        elGamalKeys: (p, g, x) => executeAlgorithm('cryptography.elGamal.generateKeys', [p, g, x]),
+        elGamalEncrypt: (message, publicKey, k) => executeAlgorithm('cryptography.elGamal.encrypt', [message, publicKey, k]),
+        elGamalDecrypt: (ciphertext, privateKey) => executeAlgorithm('cryptography.elGamal.decrypt', [ciphertext, privateKey]),
+
+        // Cifrados clásicos
+        caesarEncrypt: (text, shift) => executeAlgorithm('classicalCiphers.caesar.encrypt', [text, shift]),
+        caesarDecrypt: (text, shift) => executeAlgorithm('classicalCiphers.caesar.decrypt', [text, shift]),
+        caesarAttack: (text, options) => executeAlgorithm('classicalCiphers.caesar.attack', [text, options]),
+        affineEncrypt: (text, a, b) => executeAlgorithm('classicalCiphers.affine.encrypt', [text, a, b]),
+        affineDecrypt: (text, a, b) => executeAlgorithm('classicalCiphers.affine.decrypt', [text, a, b]),
+        affineAttack: (text, options) => executeAlgorithm('classicalCiphers.affine.attack', [text, options]),
+        vigenereEncrypt: (text, keyword) => executeAlgorithm('classicalCiphers.vigenere.encrypt', [text, keyword]),
+        vigenereDecrypt: (text, keyword) => executeAlgorithm('classicalCiphers.vigenere.decrypt', [text, keyword]),
+        hillEncrypt: (text, keyMatrix) => executeAlgorithm('classicalCiphers.hill.encrypt', [text, keyMatrix]),
+        hillDecrypt: (text, keyMatrix) => executeAlgorithm('classicalCiphers.hill.decrypt', [text, keyMatrix])
     }), [executeAlgorithm]);
 
     /**
@@ -345,8 +439,10 @@ const useAlgorithms = (options = {}) => {
      */
     const gameAlgorithms = useMemo(() => ({
         nashEquilibria: (matrix) => executeAlgorithm('gameTheory.findNashEquilibria', [matrix]),
-        analyzeGame: (matrix) => executeAlgorithm('gameTheory.analyzeGame', [matrix]),
-        dominance: (matrix) => executeAlgorithm('gameTheory.analyzeDominance', [matrix])
+        analyzeGame: (matrix, options = {}) => executeAlgorithm('gameTheory.analyzeGame', [matrix, options]),
+        dominance: (matrix, options = {}) => executeAlgorithm('gameTheory.analyzeDominance', [matrix, options]),
+        saddlePoints: (matrix) => executeAlgorithm('gameTheory.findSaddlePoints', [matrix]),
+        mixedStrategy: (matrix) => executeAlgorithm('gameTheory.mixedStrategy', [matrix])
     }), [executeAlgorithm]);
 
     /**
@@ -354,9 +450,56 @@ const useAlgorithms = (options = {}) => {
      */
     const histogramAlgorithms = useMemo(() => ({
         expand: (histogram, min, max) => executeAlgorithm('histograms.expand', [histogram, min, max]),
-        equalize: (histogram) => executeAlgorithm('histograms.equalize', [histogram]),
+        expandInterpolated: (histogram, min, max) =>
+            executeAlgorithm('histograms.expandInterpolated', [histogram, min, max]),
+        equalize: (histogram, levels) => executeAlgorithm('histograms.equalize', [histogram, levels]),
+        match: (source, target) => executeAlgorithm('histograms.match', [source, target]),
+        adaptiveEqualize: (histogram, windowSize) =>
+            executeAlgorithm('histograms.adaptiveEqualize', [histogram, windowSize]),
+
+        // Operaciones puntuales y aritméticas
+        gamma: (histogram, gamma) => executeAlgorithm('histograms.gamma', [histogram, gamma]),
+        log: (histogram, c) => executeAlgorithm('histograms.log', [histogram, c]),
+        add: (hist1, hist2) => executeAlgorithm('histograms.add', [hist1, hist2]),
+        subtract: (hist1, hist2) => executeAlgorithm('histograms.subtract', [hist1, hist2]),
         stats: (histogram) => executeAlgorithm('histograms.stats', [histogram]),
-        compare: (hist1, hist2) => executeAlgorithm('histograms.compare', [hist1, hist2])
+        compare: (hist1, hist2) => executeAlgorithm('histograms.compare', [hist1, hist2]),
+        expansionLookup: (histogram, min, max) => executeAlgorithm('histograms.expansionLookup', [histogram, min, max]),
+
+        // Imágenes (las matrices de píxeles no se guardan en cache)
+        create: (data, bins, range) => executeAlgorithm('histograms.create', [data, bins, range], { skipCache: true }),
+        applyTransform: (matrix, histogram, lookupTable) =>
+            executeAlgorithm('imageProcessing.applyHistogramTransform', [matrix, histogram, lookupTable], { skipCache: true })
+    }), [executeAlgorithm]);
+
+    /**
+     * Codificación
+     */
+    const codingAlgorithms = useMemo(() => ({
+        huffmanFromText: (text) => executeAlgorithm('huffman.fromText', [text]),
+        huffmanFromFrequencies: (frequencies) => executeAlgorithm('huffman.fromFrequencies', [frequencies]),
+        huffmanEncode: (text, codeTable) => executeAlgorithm('huffman.encode', [text, codeTable]),
+        huffmanDecode: (bitstring, tree) => executeAlgorithm('huffman.decode', [bitstring, tree])
+    }), [executeAlgorithm]);
+
+    /**
+     * Conjuntos parcialmente ordenados
+     */
+    const posetAlgorithms = useMemo(() => ({
+        analyze: (matrix, labels = null) => executeAlgorithm('posets.analyze', [matrix, labels]),
+        analyzeDivisibility: (n) => executeAlgorithm('posets.analyzeDivisibility', [n]),
+        checkPartialOrder: (matrix) => executeAlgorithm('posets.checkPartialOrder', [matrix]),
+        covering: (matrix) => executeAlgorithm('posets.coveringRelation', [matrix]),
+        lattice: (matrix) => executeAlgorithm('posets.checkLattice', [matrix])
+    }), [executeAlgorithm]);
+
+    /**
+     * Lógica proposicional
+     */
+    const logicAlgorithms = useMemo(() => ({
+        truthTable: (formula) => executeAlgorithm('propositionalLogic.truthTable', [formula]),
+        normalForms: (formula) => executeAlgorithm('propositionalLogic.normalForms', [formula]),
+        equivalence: (formulaA, formulaB) => executeAlgorithm('propositionalLogic.equivalence', [formulaA, formulaB])
     }), [executeAlgorithm]);
 
     // ==================== FUNCIONES DE UTILIDAD ====================
@@ -420,9 +563,11 @@ const useAlgorithms = (options = {}) => {
         error,
         lastResult,
         executionHistory,
+        progress,
 
         // Ejecución directa
         execute: executeAlgorithm,
+        cancel,
 
         // Algoritmos categorizados
         image: imageAlgorithms,
@@ -430,6 +575,9 @@ const useAlgorithms = (options = {}) => {
         crypto: cryptoAlgorithms,
         game: gameAlgorithms,
         histogram: histogramAlgorithms,
+        coding: codingAlgorithms,
+        poset: posetAlgorithms,
+        logic: logicAlgorithms,
 
         // Utilidades
         clearCache,
@@ -442,7 +590,8 @@ const useAlgorithms = (options = {}) => {
             enableCache,
             cacheTTL,
             enableMetrics,
-            maxCacheSize
+            maxCacheSize,
+            useWorkers
         }
     };
 };
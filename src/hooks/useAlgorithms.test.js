@@ -0,0 +1,61 @@
+import { act, renderHook } from '@testing-library/react';
+import useAlgorithms from './useAlgorithms';
+import { getWorkerPool } from '../utils/workers/workerPool';
+
+jest.mock('../utils/workers/workerPool', () => {
+    const pool = { run: jest.fn() };
+    return {
+        isWorkerSupported: () => true,
+        getWorkerPool: () => pool
+    };
+});
+
+const dataCloneError = () => {
+    const error = new Error('function could not be cloned');
+    error.name = 'DataCloneError';
+    return error;
+};
+
+describe('useAlgorithms con workers', () => {
+    beforeEach(() => {
+        getWorkerPool().run.mockReset();
+    });
+
+    test('usa el resultado del worker', async () => {
+        getWorkerPool().run.mockResolvedValue(6);
+        const { result } = renderHook(() => useAlgorithms({ enableCache: false }));
+
+        let value;
+        await act(async () => {
+            value = await result.current.execute('cryptography.gcd', [12, 18], { timeout: 1000 });
+        });
+
+        expect(value).toBe(6);
+        expect(getWorkerPool().run).toHaveBeenCalledWith('cryptography.gcd', [12, 18], expect.objectContaining({ timeout: 1000 }));
+    });
+
+    test('con parámetros no clonables repite la ejecución en el hilo principal', async () => {
+        getWorkerPool().run.mockRejectedValue(dataCloneError());
+        const { result } = renderHook(() => useAlgorithms({ enableCache: false }));
+
+        let value;
+        await act(async () => {
+            value = await result.current.execute('cryptography.gcd', [12, 18], { timeout: 1000 });
+        });
+
+        expect(value).toBe(6);
+        expect(result.current.error).toBeNull();
+    });
+
+    test('los demás errores del worker no se repiten en el hilo principal', async () => {
+        getWorkerPool().run.mockRejectedValue(new Error('Timeout: El algoritmo tardó demasiado'));
+        const { result } = renderHook(() => useAlgorithms({ enableCache: false }));
+
+        await act(async () => {
+            await expect(result.current.execute('cryptography.gcd', [12, 18], { timeout: 1000 }))
+                .rejects.toThrow('Timeout');
+        });
+
+        expect(result.current.error.message).toBe('Timeout: El algoritmo tardó demasiado');
+    });
+});
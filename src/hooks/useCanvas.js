@@ -145,28 +145,86 @@ const useCanvas = (options = {}) => {
             this.lineWidth = options.lineWidth || 2;
             this.showWeight = options.showWeight !== false;
             this.isHighlighted = options.isHighlighted || false;
+            this.directed = options.directed || false;
+            this.curvature = options.curvature || 0; // Desplazamiento para aristas opuestas
         }
 
         draw(context) {
             const center1 = this.vertex1.getCenterPoint();
             const center2 = this.vertex2.getCenterPoint();
+            const strokeColor = this.isHighlighted ? this.highlightColor : this.color;
 
             context.beginPath();
-            context.strokeStyle = this.isHighlighted ? this.highlightColor : this.color;
+            context.strokeStyle = strokeColor;
             context.lineWidth = this.lineWidth;
-            context.moveTo(center1.x, center1.y);
-            context.lineTo(center2.x, center2.y);
-            context.stroke();
+
+            let labelPoint;
+            let arrowTip = null;
+            let arrowAngle = 0;
+
+            if (this.vertex1 === this.vertex2) {
+                // Lazo sobre el vértice
+                const radius = this.vertex1.size / 2;
+                const loopCenter = { x: center1.x, y: this.vertex1.y - radius / 2 };
+                context.arc(loopCenter.x, loopCenter.y, radius, 0, 2 * Math.PI);
+                context.stroke();
+                labelPoint = { x: loopCenter.x, y: loopCenter.y - radius - 4 };
+            } else {
+                const dx = center2.x - center1.x;
+                const dy = center2.y - center1.y;
+                const length = Math.sqrt(dx * dx + dy * dy) || 1;
+                const control = {
+                    x: (center1.x + center2.x) / 2 - (dy / length) * this.curvature,
+                    y: (center1.y + center2.y) / 2 + (dx / length) * this.curvature
+                };
+
+                // Recortar el final de la arista en el borde del vértice destino
+                const end = { ...center2 };
+                if (this.directed) {
+                    const ex = center2.x - control.x;
+                    const ey = center2.y - control.y;
+                    const endLength = Math.sqrt(ex * ex + ey * ey) || 1;
+                    const inset = this.vertex2.size * 0.75;
+                    end.x = center2.x - (ex / endLength) * inset;
+                    end.y = center2.y - (ey / endLength) * inset;
+                    arrowTip = end;
+                    arrowAngle = Math.atan2(ey, ex);
+                }
+
+                context.moveTo(center1.x, center1.y);
+                context.quadraticCurveTo(control.x, control.y, end.x, end.y);
+                context.stroke();
+
+                labelPoint = {
+                    x: (center1.x + 2 * control.x + center2.x) / 4,
+                    y: (center1.y + 2 * control.y + center2.y) / 4
+                };
+            }
+
+            // Dibujar punta de flecha para grafos dirigidos
+            if (arrowTip) {
+                const arrowSize = 10;
+                context.beginPath();
+                context.fillStyle = strokeColor;
+                context.moveTo(arrowTip.x, arrowTip.y);
+                context.lineTo(
+                    arrowTip.x - arrowSize * Math.cos(arrowAngle - Math.PI / 7),
+                    arrowTip.y - arrowSize * Math.sin(arrowAngle - Math.PI / 7)
+                );
+                context.lineTo(
+                    arrowTip.x - arrowSize * Math.cos(arrowAngle + Math.PI / 7),
+                    arrowTip.y - arrowSize * Math.sin(arrowAngle + Math.PI / 7)
+                );
+                context.closePath();
+                context.fill();
+            }
 
             // Dibujar peso si está habilitado
             if (this.showWeight) {
-                const midX = (center1.x + center2.x) / 2;
-                const midY = (center1.y + center2.y) / 2;
-
                 context.font = '12px Verdana';
                 context.fillStyle = '#ff0000';
                 context.textAlign = 'center';
-                context.fillText(this.weight.toString(), midX, midY);
+                context.fillText(this.weight.toString(), labelPoint.x, labelPoint.y);
             }
         }
     }, []);
@@ -198,6 +256,11 @@ const useCanvas = (options = {}) => {
         const barWidth = chartWidth / data.length;
         const maxValue = Math.max(...data, 1); // Evitar división por cero
 
+        // Con muchos niveles (p. ej. 256 de una imagen) las barras se juntan y se rotulan cada labelStep
+        const dense = barWidth < 12;
+        const barGap = dense ? 0 : 2;
+        const labelStep = dense ? Math.ceil(data.length / Math.max(1, Math.floor(chartWidth / 24))) : 1;
+
         // Dibujar grid
         if (showGrid) {
             context.strokeStyle = gridColor;
@@ -213,7 +276,7 @@ const useCanvas = (options = {}) => {
             }
 
             // Líneas verticales
-            for (let i = 0; i <= data.length; i++) {
+            for (let i = 0; i <= data.length; i += labelStep) {
                 const x = margin.left + (chartWidth / data.length) * i;
                 context.beginPath();
                 context.moveTo(x, margin.top);
@@ -230,15 +293,17 @@ const useCanvas = (options = {}) => {
 
             // Barra
             context.fillStyle = barColor;
-            context.fillRect(x + 2, y, barWidth - 4, barHeight);
+            context.fillRect(x + barGap, y, barWidth - barGap * 2, barHeight);
 
             // Borde de la barra
-            context.strokeStyle = borderColor;
-            context.lineWidth = 1;
-            context.strokeRect(x + 2, y, barWidth - 4, barHeight);
+            if (!dense) {
+                context.strokeStyle = borderColor;
+                context.lineWidth = 1;
+                context.strokeRect(x + barGap, y, barWidth - barGap * 2, barHeight);
+            }
 
             // Etiquetas del eje X
-            if (showLabels) {
+            if (showLabels && index % labelStep === 0) {
                 context.fillStyle = textColor;
                 context.font = '10px Arial';
                 context.textAlign = 'center';
@@ -250,7 +315,7 @@ const useCanvas = (options = {}) => {
             }
 
             // Valores sobre las barras
-            if (showValues && value > 0) {
+            if (showValues && !dense && value > 0) {
                 context.fillStyle = textColor;
                 context.font = '10px Arial';
                 context.textAlign = 'center';
@@ -298,6 +363,10 @@ const useCanvas = (options = {}) => {
         });
     }, [clearCanvas, edges, vertices, drawings]);
 
+    // Referencia al último redraw para que las animaciones vean el estado actual
+    const redrawRef = useRef(redraw);
+    redrawRef.current = redraw;
+
     // ==================== GESTIÓN DE ELEMENTOS ====================
 
     /**
@@ -320,6 +389,22 @@ const useCanvas = (options = {}) => {
         return newEdge;
     }, [Edge]);
 
+    /**
+     * Reemplaza todos los vértices y aristas de una vez
+     * Útil para construir el grafo completo desde una matriz de adyacencia
+     */
+    const loadGraph = useCallback((newVertices, newEdges = []) => {
+        setVertices(newVertices);
+        setEdges(newEdges);
+    }, []);
+
+    /**
+     * Establece dibujos personalizados que se pintan sobre el grafo
+     */
+    const setCustomDrawings = useCallback((newDrawings) => {
+        setDrawings(Array.isArray(newDrawings) ? newDrawings : [newDrawings]);
+    }, []);
+
     /**
      * Encuentra vértice en coordenadas
      */
@@ -332,7 +417,9 @@ const useCanvas = (options = {}) => {
      */
     const updateEdge = useCallback((edgeIndex, updates) => {
         setEdges(prev => prev.map((edge, index) =>
-            index === edgeIndex ? { ...edge, ...updates } : edge
+            index === edgeIndex
+                ? Object.assign(Object.create(Object.getPrototypeOf(edge)), edge, updates)
+                : edge
         ));
     }, []);
 
@@ -340,13 +427,15 @@ const useCanvas = (options = {}) => {
      * Resalta camino específico
      */
     const highlightPath = useCallback((pathEdges) => {
-        setEdges(prev => prev.map(edge => ({
-            ...edge,
-            isHighlighted: pathEdges.some(([v1, v2]) =>
+        setEdges(prev => prev.map(edge => {
+            // Conservar el prototipo para no perder el método draw
+            const updated = Object.assign(Object.create(Object.getPrototypeOf(edge)), edge);
+            updated.isHighlighted = pathEdges.some(([v1, v2]) =>
                 (edge.vertex1.id === v1 && edge.vertex2.id === v2) ||
-                (edge.vertex1.id === v2 && edge.vertex2.id === v1)
-            )
-        })));
+                (!edge.directed && edge.vertex1.id === v2 && edge.vertex2.id === v1)
+            );
+            return updated;
+        }));
     }, []);
 
     /**
@@ -397,15 +486,16 @@ const useCanvas = (options = {}) => {
         if (!enableAnimation) return;
 
         const animate = () => {
+            // El callback dibuja sobre la escena ya redibujada y puede detener la animación
+            animationRef.current = requestAnimationFrame(animate);
+            redrawRef.current();
             if (animationCallback) {
                 animationCallback(contextRef.current);
             }
-            redraw();
-            animationRef.current = requestAnimationFrame(animate);
         };
 
         animate();
-    }, [enableAnimation, redraw]);
+    }, [enableAnimation]);
 
     /**
      * Detiene animación
@@ -489,6 +579,8 @@ const useCanvas = (options = {}) => {
         // Gestión de elementos
         addVertex,
         addEdge,
+        loadGraph,
+        setCustomDrawings,
         findVertexAt,
         updateEdge,
         highlightPath,
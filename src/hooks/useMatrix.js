@@ -348,14 +348,14 @@ const useMatrix = (initialSize = 3, options = {}) => {
     const matrixTypeHelpers = useMemo(() => {
         if (type === 'mask') {
             return {
+                // Máscara cuadrada nxn desde un array plano de n² elementos
                 setMask: (maskArray) => {
-                    if (maskArray.length === 9) {
-                        const mask3x3 = [
-                            [maskArray[0], maskArray[1], maskArray[2]],
-                            [maskArray[3], maskArray[4], maskArray[5]],
-                            [maskArray[6], maskArray[7], maskArray[8]]
-                        ];
-                        setMatrixValues(mask3x3);
+                    const maskSize = Math.round(Math.sqrt(maskArray.length));
+                    if (maskSize > 0 && maskSize * maskSize === maskArray.length) {
+                        const maskMatrix = Array.from({ length: maskSize }, (_, i) =>
+                            maskArray.slice(i * maskSize, (i + 1) * maskSize)
+                        );
+                        setMatrixValues(maskMatrix);
                     }
                 }
             };
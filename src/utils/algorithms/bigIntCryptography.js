@@ -0,0 +1,496 @@
+/**
+ * Teoría de números y RSA con BigInt
+ * Aritmética exacta para claves de tamaño real (64 a 2048 bits), Miller-Rabin
+ * y generación de primos aleatorios. cryptography.js la usa como núcleo
+ *
+ * Quedan con Number (hasta 2^53) en cryptography.js, a propósito:
+ * - Congruencias lineales y sistemas (TCR): muestran tablas de Euclides y
+ *   listas de soluciones pensadas para módulos de clase
+ * - Factorización: la división de prueba recorre hasta √n y Pollard rho, p − 1 y
+ *   Fermat se cortan en FACTORIZATION_ITERATION_LIMIT; con n > 2^53 no terminarían
+ *   en el navegador salvo en casos triviales
+ * - Logaritmo discreto (BSGS): la tabla de pasos de bebé ocupa √p entradas en
+ *   memoria, lo que limita p a BSGS_LIMIT (10^12)
+ */
+
+/* global BigInt */
+
+import { reportProgress } from '../workers/progress';
+
+// ==================== FUNCIONES AUXILIARES ====================
+
+/**
+ * Convierte un número, texto o BigInt a BigInt validando que sea entero
+ */
+export const toBigInt = (value, name = 'valor') => {
+    if (typeof value === 'bigint') return value;
+
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) {
+            throw new Error(`${name} debe ser un entero exacto (a partir de 2^53 use texto o BigInt)`);
+        }
+        return BigInt(value);
+    }
+
+    if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) {
+        return BigInt(value.trim());
+    }
+
+    throw new Error(`${name} no es un entero válido: ${value}`);
+};
+
+/**
+ * Valor absoluto
+ */
+export const abs = (n) => (n < 0n ? -n : n);
+
+/**
+ * Resto no negativo de a módulo m
+ */
+export const mod = (a, m) => {
+    const r = a % m;
+    return r < 0n ? r + m : r;
+};
+
+/**
+ * Número de bits de n (0 para n = 0)
+ */
+export const bitLength = (n) => (n === 0n ? 0 : abs(n).toString(2).length);
+
+/**
+ * Máximo común divisor por el algoritmo de Euclides
+ */
+export const gcd = (a, b) => {
+    a = abs(a);
+    b = abs(b);
+
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+};
+
+/**
+ * Algoritmo extendido de Euclides (iterativo para no agotar la pila)
+ * Retorna {gcd, x, y} donde gcd = ax + by
+ */
+export const extendedGCD = (a, b) => {
+    let [oldR, r] = [a, b];
+    let [oldX, x] = [1n, 0n];
+    let [oldY, y] = [0n, 1n];
+
+    while (r !== 0n) {
+        const quotient = oldR / r;
+        [oldR, r] = [r, oldR - quotient * r];
+        [oldX, x] = [x, oldX - quotient * x];
+        [oldY, y] = [y, oldY - quotient * y];
+    }
+
+    // Normalizar para que el gcd sea positivo
+    if (oldR < 0n) {
+        return { gcd: -oldR, x: -oldX, y: -oldY };
+    }
+    return { gcd: oldR, x: oldX, y: oldY };
+};
+
+/**
+ * Inverso modular de a módulo m
+ */
+export const modInverse = (a, m) => {
+    if (m <= 0n) {
+        throw new Error('El módulo debe ser positivo');
+    }
+
+    const result = extendedGCD(mod(a, m), m);
+    if (result.gcd !== 1n) {
+        throw new Error(`No existe inverso modular de ${a} módulo ${m}`);
+    }
+
+    return mod(result.x, m);
+};
+
+/**
+ * Exponenciación modular por cuadrados sucesivos
+ */
+export const modPow = (base, exp, m) => {
+    if (m <= 0n) {
+        throw new Error('El módulo debe ser positivo');
+    }
+    if (exp < 0n) {
+        throw new Error('El exponente debe ser no negativo');
+    }
+    if (m === 1n) return 0n;
+
+    let result = 1n;
+    base = mod(base, m);
+
+    while (exp > 0n) {
+        if (exp & 1n) {
+            result = (result * base) % m;
+        }
+        exp >>= 1n;
+        base = (base * base) % m;
+    }
+
+    return result;
+};
+
+// ==================== NÚMEROS ALEATORIOS ====================
+
+/**
+ * Entero aleatorio de a lo sumo `bits` bits
+ * Usa crypto.getRandomValues cuando está disponible (navegador y workers)
+ */
+export const randomBits = (bits) => {
+    if (!Number.isInteger(bits) || bits < 1) {
+        throw new Error('El número de bits debe ser un entero positivo');
+    }
+
+    const bytes = new Uint8Array(Math.ceil(bits / 8));
+    if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+        crypto.getRandomValues(bytes);
+    } else {
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = Math.floor(Math.random() * 256);
+        }
+    }
+
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return BigInt(`0x${hex}`) & ((1n << BigInt(bits)) - 1n);
+};
+
+/**
+ * Entero aleatorio en el intervalo [min, max]
+ */
+export const randomInRange = (min, max) => {
+    if (max < min) {
+        throw new Error('Intervalo aleatorio vacío');
+    }
+
+    const range = max - min + 1n;
+    const bits = bitLength(range);
+
+    // Muestreo por rechazo para una distribución uniforme
+    let candidate;
+    do {
+        candidate = randomBits(bits);
+    } while (candidate >= range);
+
+    return min + candidate;
+};
+
+// ==================== PRIMALIDAD ====================
+
+/**
+ * Primos pequeños para la división de prueba previa a Miller-Rabin
+ */
+export const SMALL_PRIMES = (() => {
+    const limit = 1000;
+    const sieve = Array(limit + 1).fill(true);
+    const primes = [];
+
+    for (let i = 2; i <= limit; i++) {
+        if (!sieve[i]) continue;
+        primes.push(BigInt(i));
+        for (let j = i * i; j <= limit; j += i) sieve[j] = false;
+    }
+
+    return primes;
+})();
+
+// Con estas bases Miller-Rabin es determinista para n < 3.3·10^24
+const DETERMINISTIC_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+const DETERMINISTIC_LIMIT = 3317044064679887385961981n;
+
+/**
+ * Escribe n - 1 = 2^s · d con d impar
+ */
+const decompose = (n) => {
+    let d = n - 1n;
+    let s = 0;
+
+    while ((d & 1n) === 0n) {
+        d >>= 1n;
+        s++;
+    }
+
+    return { d, s };
+};
+
+/**
+ * Una ronda de Miller-Rabin con la base a
+ * Retorna la sucesión a^d, a^(2d), ... y si n pasa la prueba
+ */
+const millerRabinRound = (n, a, d, s) => {
+    let x = modPow(a, d, n);
+    const sequence = [x];
+
+    if (x === 1n || x === n - 1n) {
+        return { base: a, sequence, passed: true };
+    }
+
+    for (let r = 1; r < s; r++) {
+        x = (x * x) % n;
+        sequence.push(x);
+        if (x === n - 1n) {
+            return { base: a, sequence, passed: true };
+        }
+    }
+
+    return { base: a, sequence, passed: false };
+};
+
+/**
+ * Prueba de Miller-Rabin con el detalle de cada ronda
+ * Para n < 3.3·10^24 usa bases fijas (resultado exacto); si no, `rounds` bases aleatorias
+ */
+export const millerRabin = (n, rounds = 20) => {
+    n = toBigInt(n, 'n');
+
+    if (n < 2n) {
+        return { n, isProbablePrime: false, deterministic: true, rounds: [], steps: [`${n} < 2 no es primo`] };
+    }
+
+    const small = SMALL_PRIMES.find(p => n === p || n % p === 0n);
+    if (small !== undefined) {
+        const isPrime = n === small;
+        return {
+            n,
+            isProbablePrime: isPrime,
+            deterministic: true,
+            rounds: [],
+            steps: [isPrime ? `${n} es un primo pequeño` : `${n} es divisible por ${small}`]
+        };
+    }
+
+    const { d, s } = decompose(n);
+    const deterministic = n < DETERMINISTIC_LIMIT;
+    const bases = deterministic
+        ? DETERMINISTIC_BASES.filter(base => base < n - 1n)
+        : Array.from({ length: rounds }, () => randomInRange(2n, n - 2n));
+
+    const steps = [`n − 1 = 2^${s} · ${d}`];
+    const results = [];
+
+    for (const base of bases) {
+        const round = millerRabinRound(n, base, d, s);
+        results.push(round);
+
+        if (!round.passed) {
+            steps.push(`Base ${base}: ${round.sequence.join(', ')} — nunca aparece −1, ${base} es testigo de que n es compuesto`);
+            return { n, isProbablePrime: false, deterministic: true, d, s, witness: base, rounds: results, steps };
+        }
+
+        steps.push(`Base ${base}: ${round.sequence.join(', ')} — n pasa la ronda`);
+    }
+
+    steps.push(deterministic
+        ? `n supera las ${bases.length} bases fijas: es primo`
+        : `n supera ${bases.length} rondas aleatorias: es primo con probabilidad ≥ 1 − 4^−${bases.length}`);
+
+    return { n, isProbablePrime: true, deterministic, d, s, witness: null, rounds: results, steps };
+};
+
+/**
+ * Test de primalidad (división por primos pequeños + Miller-Rabin)
+ */
+export const isProbablePrime = (n, rounds = 20) => {
+    n = toBigInt(n, 'n');
+    if (n < 2n) return false;
+
+    for (const p of SMALL_PRIMES) {
+        if (n === p) return true;
+        if (n % p === 0n) return false;
+    }
+
+    const { d, s } = decompose(n);
+    const bases = n < DETERMINISTIC_LIMIT
+        ? DETERMINISTIC_BASES
+        : Array.from({ length: rounds }, () => randomInRange(2n, n - 2n));
+
+    return bases.every(base => millerRabinRound(n, base, d, s).passed);
+};
+
+/**
+ * Primo aleatorio de exactamente `bits` bits
+ * Los dos bits más altos se fijan a 1 para que el producto de dos primos
+ * de k bits tenga exactamente 2k bits
+ */
+export const randomPrime = (bits) => {
+    if (!Number.isInteger(bits) || bits < 2) {
+        throw new Error('Un primo necesita al menos 2 bits');
+    }
+    if (bits === 2) return randomInRange(2n, 3n);
+
+    const top = (1n << BigInt(bits - 1)) | (1n << BigInt(bits - 2));
+
+    // Por el teorema de los números primos se esperan unos 0.35·bits candidatos impares
+    const expected = Math.max(1, Math.round(0.35 * bits));
+    let attempts = 0;
+
+    for (;;) {
+        const candidate = randomBits(bits) | top | 1n;
+        attempts++;
+        reportProgress(Math.min(0.99, attempts / (expected * 2)));
+
+        if (isProbablePrime(candidate)) {
+            return candidate;
+        }
+    }
+};
+
+// ==================== RSA ====================
+
+// Exponente público habitual (primo de Fermat F4)
+export const DEFAULT_PUBLIC_EXPONENT = 65537n;
+
+// Tamaño mínimo del módulo: con menos bits φ(n) puede no superar a e = 65537
+export const MIN_RSA_BITS = 32;
+
+// Pares de primos que se prueban antes de abandonar la generación
+const MAX_KEY_ATTEMPTS = 1000;
+
+/**
+ * Genera claves RSA a partir de p, q y e
+ */
+export const generateRSAKeys = (p, q, e = DEFAULT_PUBLIC_EXPONENT) => {
+    p = toBigInt(p, 'p');
+    q = toBigInt(q, 'q');
+    e = toBigInt(e, 'e');
+
+    if (!isProbablePrime(p)) {
+        throw new Error(`${p} no es primo`);
+    }
+    if (!isProbablePrime(q)) {
+        throw new Error(`${q} no es primo`);
+    }
+    if (p === q) {
+        throw new Error('p y q deben ser diferentes');
+    }
+
+    const n = p * q;
+    const phi = (p - 1n) * (q - 1n);
+
+    if (e <= 1n || e >= phi || gcd(e, phi) !== 1n) {
+        throw new Error(`e = ${e} no es válido. Debe ser coprimo con φ(n) y estar entre 1 y φ(n)`);
+    }
+
+    const d = modInverse(e, phi);
+
+    return {
+        p,
+        q,
+        n,
+        phi,
+        e,
+        d,
+        bitLength: bitLength(n),
+        publicKey: { n, e },
+        privateKey: { n, d },
+        steps: [
+            `n = p·q = ${n} (${bitLength(n)} bits)`,
+            `φ(n) = (p − 1)(q − 1) = ${phi}`,
+            `e = ${e}, gcd(e, φ(n)) = 1`,
+            `d = e^−1 mod φ(n) = ${d}`
+        ]
+    };
+};
+
+/**
+ * Genera claves RSA con primos aleatorios para un módulo de `bits` bits
+ */
+export const generateRandomRSAKeys = (bits, e = DEFAULT_PUBLIC_EXPONENT) => {
+    if (!Number.isInteger(bits) || bits < MIN_RSA_BITS || bits % 2 !== 0) {
+        throw new Error(`El tamaño del módulo debe ser un número par de bits (mínimo ${MIN_RSA_BITS})`);
+    }
+
+    e = toBigInt(e, 'e');
+    const half = bits / 2;
+
+    // φ(n) ≥ (2^(half−1))² > 2^(bits−2) porque ambos primos tienen el bit alto y el siguiente a 1
+    if (e <= 1n || e >= 1n << BigInt(bits - 2)) {
+        throw new Error(`e = ${e} debe estar entre 2 y 2^${bits - 2} para un módulo de ${bits} bits`);
+    }
+
+    for (let attempt = 0; attempt < MAX_KEY_ATTEMPTS; attempt++) {
+        const p = randomPrime(half);
+        const q = randomPrime(half);
+
+        // Se repite si p = q o si e no es coprimo con φ(n)
+        if (p !== q && gcd(e, (p - 1n) * (q - 1n)) === 1n && e < (p - 1n) * (q - 1n)) {
+            const keys = generateRSAKeys(p, q, e);
+            return {
+                ...keys,
+                steps: [`p y q primos aleatorios de ${half} bits (Miller-Rabin)`, ...keys.steps]
+            };
+        }
+    }
+
+    throw new Error(`No se encontraron p y q válidos para e = ${e} tras ${MAX_KEY_ATTEMPTS} intentos`);
+};
+
+/**
+ * Cifra un mensaje numérico: c = m^e mod n
+ */
+export const rsaEncrypt = (message, publicKey) => {
+    const m = toBigInt(message, 'El mensaje');
+    const n = toBigInt(publicKey.n, 'n');
+    const e = toBigInt(publicKey.e, 'e');
+
+    if (m < 0n || m >= n) {
+        throw new Error(`Mensaje debe estar en rango [0, ${n - 1n}]`);
+    }
+
+    const ciphertext = modPow(m, e, n);
+
+    return {
+        plaintext: m,
+        ciphertext,
+        operation: `${m}^${e} mod ${n} = ${ciphertext}`
+    };
+};
+
+/**
+ * Descifra un mensaje numérico: m = c^d mod n
+ */
+export const rsaDecrypt = (ciphertext, privateKey) => {
+    const c = toBigInt(ciphertext, 'El texto cifrado');
+    const n = toBigInt(privateKey.n, 'n');
+    const d = toBigInt(privateKey.d, 'd');
+
+    if (c < 0n || c >= n) {
+        throw new Error(`Texto cifrado debe estar en rango [0, ${n - 1n}]`);
+    }
+
+    const plaintext = modPow(c, d, n);
+
+    return {
+        ciphertext: c,
+        plaintext,
+        operation: `${c}^d mod ${n} = ${plaintext}`
+    };
+};
+
+// ==================== EXPORTACIONES PRINCIPALES ====================
+
+export const bigIntCryptography = {
+    toBigInt,
+    bitLength,
+    gcd,
+    extendedGCD,
+    modInverse,
+    modPow,
+    randomBits,
+    randomInRange,
+    millerRabin,
+    isProbablePrime,
+    randomPrime,
+    rsa: {
+        generateKeys: generateRSAKeys,
+        generateRandomKeys: generateRandomRSAKeys,
+        encrypt: rsaEncrypt,
+        decrypt: rsaDecrypt
+    }
+};
+
+export default bigIntCryptography;
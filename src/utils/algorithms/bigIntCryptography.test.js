@@ -0,0 +1,71 @@
+import {
+    isProbablePrime,
+    millerRabin,
+    generateRSAKeys,
+    generateRandomRSAKeys,
+    rsaEncrypt,
+    rsaDecrypt,
+    randomInRange
+} from './bigIntCryptography';
+
+/* global BigInt */
+
+describe('isProbablePrime', () => {
+    test('rechaza números de Carmichael', () => {
+        [561n, 1105n, 1729n, 2465n, 2821n, 6601n, 8911n, 41041n, 825265n, 321197185n].forEach(n => {
+            expect(isProbablePrime(n)).toBe(false);
+        });
+    });
+
+    test('rechaza pseudoprimos fuertes para varias bases pequeñas', () => {
+        // 3215031751 pasa las bases 2, 3, 5 y 7; 318665857834031151167461 pasa todas hasta 37
+        expect(isProbablePrime(3215031751n)).toBe(false);
+        expect(isProbablePrime(318665857834031151167461n)).toBe(false);
+        expect(millerRabin(318665857834031151167461n).witness).toBe(41n);
+    });
+
+    test('acepta primos cercanos a 2^64', () => {
+        const twoTo64 = 1n << 64n;
+        [twoTo64 - 59n, twoTo64 - 83n, twoTo64 + 13n, (1n << 61n) - 1n].forEach(p => {
+            expect(isProbablePrime(p)).toBe(true);
+        });
+    });
+
+    test('rechaza compuestos cercanos a 2^64', () => {
+        const twoTo64 = 1n << 64n;
+        // Producto de los primos 2^32 − 5 y 2^32 − 17
+        expect(isProbablePrime(4294967291n * 4294967279n)).toBe(false);
+        expect(isProbablePrime(twoTo64 - 1n)).toBe(false);
+        expect(isProbablePrime(twoTo64 + 1n)).toBe(false);
+    });
+
+    test('acepta números enteros como texto', () => {
+        expect(isProbablePrime('18446744073709551557')).toBe(true);
+    });
+});
+
+describe('RSA con BigInt', () => {
+    test('cifrar y descifrar con claves de 64 bits recupera el mensaje', () => {
+        const keys = generateRandomRSAKeys(64);
+        expect(keys.bitLength).toBe(64);
+
+        [0n, 1n, 2n, keys.n - 1n, randomInRange(2n, keys.n - 2n)].forEach(message => {
+            const { ciphertext } = rsaEncrypt(message, keys.publicKey);
+            expect(rsaDecrypt(ciphertext, keys.privateKey).plaintext).toBe(message);
+        });
+    });
+
+    test('usa aritmética exacta con primos conocidos de 32 bits', () => {
+        const keys = generateRSAKeys(4294967291n, 4294967279n);
+        expect(keys.n).toBe(4294967291n * 4294967279n);
+        expect((keys.e * keys.d) % keys.phi).toBe(1n);
+
+        const message = BigInt(Number.MAX_SAFE_INTEGER) + 12345n;
+        const { ciphertext } = rsaEncrypt(message, keys.publicKey);
+        expect(rsaDecrypt(ciphertext, keys.privateKey).plaintext).toBe(message);
+    });
+
+    test('rechaza módulos menores que 32 bits en lugar de quedarse buscando primos', () => {
+        expect(() => generateRandomRSAKeys(16)).toThrow('mínimo 32');
+    });
+});
@@ -0,0 +1,439 @@
+/**
+ * Cifrados clásicos sobre el alfabeto de 26 letras (A=0 … Z=25)
+ * César, afín, Vigenère y Hill, con criptoanálisis por frecuencias para
+ * César y afín
+ */
+
+import { gcd, modularInverse, normalizeLetters } from './cryptography';
+import {
+    isSquareMatrix,
+    multiplyMatrices,
+    determinant,
+    adjugateMatrix
+} from '../helpers/matrixHelpers';
+
+export const ALPHABET_SIZE = 26;
+
+// Frecuencias relativas (%) de las letras; la Ñ se cuenta como N
+export const LETTER_FREQUENCIES = {
+    es: [
+        12.53, 1.42, 4.68, 5.86, 13.68, 0.69, 1.01, 0.70, 6.25, 0.44, 0.02, 4.97, 3.15,
+        7.02, 8.68, 2.51, 0.88, 6.87, 7.98, 4.63, 3.93, 0.90, 0.01, 0.22, 0.90, 0.52
+    ],
+    en: [
+        8.17, 1.49, 2.78, 4.25, 12.70, 2.23, 2.02, 6.09, 6.97, 0.15, 0.77, 4.03, 2.41,
+        6.75, 7.51, 1.93, 0.10, 5.99, 6.33, 9.06, 2.76, 0.98, 2.36, 0.15, 1.97, 0.07
+    ]
+};
+
+// Letra de relleno para completar el último bloque de Hill
+const HILL_PADDING = 'X';
+
+// ==================== FUNCIONES AUXILIARES ====================
+
+const mod26 = (value) => ((value % ALPHABET_SIZE) + ALPHABET_SIZE) % ALPHABET_SIZE;
+
+const toNumber = (letter) => letter.charCodeAt(0) - 65;
+
+const toLetter = (value) => String.fromCharCode(mod26(value) + 65);
+
+/**
+ * Normaliza el texto y verifica que quede al menos una letra
+ */
+const prepareText = (text, steps) => {
+    const letters = normalizeLetters(text);
+
+    if (letters.length === 0) {
+        throw new Error('El texto no contiene letras de la A a la Z');
+    }
+
+    if (letters !== text) {
+        steps.push(`Texto normalizado (mayúsculas, sin tildes ni signos): ${letters}`);
+    }
+
+    return letters;
+};
+
+/**
+ * Normaliza un entero de clave al rango [0, 26)
+ */
+const parseKeyValue = (value, name) => {
+    if (!Number.isInteger(value)) {
+        throw new Error(`${name} debe ser un número entero`);
+    }
+    return mod26(value);
+};
+
+// ==================== CIFRADO DE CÉSAR ====================
+
+/**
+ * Desplaza cada letra k posiciones: y = x + k mod 26
+ */
+const caesarShift = (text, shift, operation) => {
+    const steps = [];
+    const letters = prepareText(text, steps);
+    const k = parseKeyValue(shift, 'El desplazamiento');
+    const signed = operation === 'encrypt' ? k : -k;
+
+    steps.unshift(operation === 'encrypt'
+        ? `Cifrado de César con k = ${k}: y = x + ${k} mod 26`
+        : `Descifrado de César con k = ${k}: x = y − ${k} mod 26`);
+
+    const mapping = Array.from(letters).map(letter => {
+        const x = toNumber(letter);
+        const y = mod26(x + signed);
+        return { input: letter, x, y, output: toLetter(y) };
+    });
+
+    const output = mapping.map(row => row.output).join('');
+    steps.push(`Resultado: ${output}`);
+
+    return { cipher: 'caesar', operation, key: { shift: k }, input: letters, output, mapping, steps };
+};
+
+export const caesarEncrypt = (text, shift) => caesarShift(text, shift, 'encrypt');
+
+export const caesarDecrypt = (text, shift) => caesarShift(text, shift, 'decrypt');
+
+// ==================== CIFRADO AFÍN ====================
+
+/**
+ * Valida la clave (a, b) del cifrado afín: a debe ser invertible módulo 26
+ */
+export const validateAffineKey = (a, b) => {
+    const keyA = parseKeyValue(a, 'a');
+    const keyB = parseKeyValue(b, 'b');
+    const divisor = gcd(keyA, ALPHABET_SIZE);
+
+    return {
+        a: keyA,
+        b: keyB,
+        gcd: divisor,
+        isValid: divisor === 1,
+        inverse: divisor === 1 ? modularInverse(keyA, ALPHABET_SIZE) : null
+    };
+};
+
+const affineTransform = (text, a, b, operation) => {
+    const key = validateAffineKey(a, b);
+
+    if (!key.isValid) {
+        throw new Error(`Clave inválida: gcd(${key.a}, 26) = ${key.gcd}; a debe ser coprimo con 26`);
+    }
+
+    const steps = [`gcd(${key.a}, 26) = 1: la clave es válida y a⁻¹ = ${key.inverse} (mod 26)`];
+    const letters = prepareText(text, steps);
+
+    steps.unshift(operation === 'encrypt'
+        ? `Cifrado afín: y = ${key.a}x + ${key.b} mod 26`
+        : `Descifrado afín: x = ${key.inverse}·(y − ${key.b}) mod 26`);
+
+    const mapping = Array.from(letters).map(letter => {
+        const x = toNumber(letter);
+        const y = operation === 'encrypt'
+            ? mod26(key.a * x + key.b)
+            : mod26(key.inverse * (x - key.b));
+        return { input: letter, x, y, output: toLetter(y) };
+    });
+
+    const output = mapping.map(row => row.output).join('');
+    steps.push(`Resultado: ${output}`);
+
+    return { cipher: 'affine', operation, key, input: letters, output, mapping, steps };
+};
+
+export const affineEncrypt = (text, a, b) => affineTransform(text, a, b, 'encrypt');
+
+export const affineDecrypt = (text, a, b) => affineTransform(text, a, b, 'decrypt');
+
+// ==================== CIFRADO DE VIGENÈRE ====================
+
+const vigenereTransform = (text, keyword, operation) => {
+    const key = normalizeLetters(keyword);
+
+    if (key.length === 0) {
+        throw new Error('La clave debe contener al menos una letra');
+    }
+
+    const steps = [];
+    const letters = prepareText(text, steps);
+    const shifts = Array.from(key).map(toNumber);
+
+    steps.unshift(operation === 'encrypt'
+        ? `Vigenère con clave ${key} (${shifts.join(', ')}): yᵢ = xᵢ + kᵢ mod 26`
+        : `Vigenère con clave ${key} (${shifts.join(', ')}): xᵢ = yᵢ − kᵢ mod 26`);
+
+    const mapping = Array.from(letters).map((letter, i) => {
+        const shift = shifts[i % shifts.length];
+        const x = toNumber(letter);
+        const y = mod26(operation === 'encrypt' ? x + shift : x - shift);
+        return { input: letter, keyLetter: key[i % key.length], shift, x, y, output: toLetter(y) };
+    });
+
+    const output = mapping.map(row => row.output).join('');
+    steps.push(`Clave repetida: ${mapping.map(row => row.keyLetter).join('')}`);
+    steps.push(`Resultado: ${output}`);
+
+    return { cipher: 'vigenere', operation, key: { keyword: key, shifts }, input: letters, output, mapping, steps };
+};
+
+export const vigenereEncrypt = (text, keyword) => vigenereTransform(text, keyword, 'encrypt');
+
+export const vigenereDecrypt = (text, keyword) => vigenereTransform(text, keyword, 'decrypt');
+
+// ==================== CIFRADO DE HILL ====================
+
+const formatMatrix = (matrix) => `[${matrix.map(row => row.join(' ')).join('; ')}]`;
+
+/**
+ * Inversa de una matriz módulo m: A⁻¹ = det(A)⁻¹·adj(A) mod m
+ * Lanza error si gcd(det(A), m) ≠ 1
+ */
+export const modularMatrixInverse = (matrix, m = ALPHABET_SIZE) => {
+    if (!isSquareMatrix(matrix)) {
+        throw new Error('La matriz clave debe ser cuadrada');
+    }
+
+    const reduce = (value) => ((value % m) + m) % m;
+    const det = determinant(matrix);
+    const detMod = reduce(det);
+    const divisor = gcd(detMod, m);
+
+    if (divisor !== 1) {
+        throw new Error(`La matriz no es invertible módulo ${m}: det = ${det} ≡ ${detMod} y gcd(${detMod}, ${m}) = ${divisor}`);
+    }
+
+    const detInverse = modularInverse(detMod, m);
+    const adjugate = adjugateMatrix(matrix).map(row => row.map(reduce));
+    const inverse = adjugate.map(row => row.map(value => reduce(detInverse * value)));
+
+    return { determinant: det, detMod, detInverse, adjugate, inverse };
+};
+
+const hillTransform = (text, keyMatrix, operation) => {
+    const size = keyMatrix.length;
+
+    if (![2, 3].includes(size) || !isSquareMatrix(keyMatrix)) {
+        throw new Error('La matriz clave debe ser de 2x2 o 3x3');
+    }
+
+    if (keyMatrix.some(row => row.some(value => !Number.isInteger(value)))) {
+        throw new Error('La matriz clave debe contener enteros');
+    }
+
+    const key = keyMatrix.map(row => row.map(mod26));
+    const inversion = modularMatrixInverse(key);
+    const matrix = operation === 'encrypt' ? key : inversion.inverse;
+
+    const steps = [
+        `Matriz clave K = ${formatMatrix(key)}`,
+        `det(K) = ${inversion.determinant} ≡ ${inversion.detMod} (mod 26), invertible porque gcd(${inversion.detMod}, 26) = 1`
+    ];
+
+    if (operation === 'decrypt') {
+        steps.push(`det(K)⁻¹ = ${inversion.detInverse}, adj(K) = ${formatMatrix(inversion.adjugate)} (mod 26)`);
+        steps.push(`K⁻¹ = ${inversion.detInverse}·adj(K) = ${formatMatrix(inversion.inverse)} (mod 26)`);
+    }
+
+    let letters = prepareText(text, steps);
+    const padding = (size - (letters.length % size)) % size;
+    if (padding > 0) {
+        letters += HILL_PADDING.repeat(padding);
+        steps.push(`Se completa con ${padding} "${HILL_PADDING}" hasta un múltiplo de ${size}: ${letters}`);
+    }
+
+    const blocks = [];
+    for (let start = 0; start < letters.length; start += size) {
+        const input = letters.slice(start, start + size);
+        const vector = Array.from(input).map(toNumber);
+        const product = multiplyMatrices(matrix, vector.map(value => [value])).map(([value]) => value);
+        const result = product.map(mod26);
+        const output = result.map(toLetter).join('');
+
+        steps.push(`${operation === 'encrypt' ? 'K' : 'K⁻¹'}·(${vector.join(', ')}) = (${product.join(', ')}) ≡ (${result.join(', ')}) → ${output}`);
+        blocks.push({ input, vector, product, result, output });
+    }
+
+    const output = blocks.map(block => block.output).join('');
+    steps.push(`Resultado: ${output}`);
+
+    return {
+        cipher: 'hill',
+        operation,
+        key: { matrix: key, ...inversion },
+        input: letters,
+        padding,
+        output,
+        blocks,
+        steps
+    };
+};
+
+export const hillEncrypt = (text, keyMatrix) => hillTransform(text, keyMatrix, 'encrypt');
+
+export const hillDecrypt = (text, keyMatrix) => hillTransform(text, keyMatrix, 'decrypt');
+
+// ==================== ANÁLISIS DE FRECUENCIAS ====================
+
+/**
+ * Cuenta las apariciones de cada letra
+ */
+export const letterFrequencies = (text) => {
+    const letters = normalizeLetters(text);
+    const counts = new Array(ALPHABET_SIZE).fill(0);
+
+    for (const letter of letters) {
+        counts[toNumber(letter)]++;
+    }
+
+    return counts.map((count, index) => ({
+        letter: toLetter(index),
+        count,
+        percentage: letters.length > 0 ? (count / letters.length) * 100 : 0
+    }));
+};
+
+/**
+ * Estadístico χ² entre las frecuencias observadas y las del idioma
+ * (cuanto menor, más se parece el texto al idioma)
+ */
+const chiSquared = (counts, total, expected) => counts.reduce((sum, count, index) => {
+    const expectedCount = (expected[index] / 100) * total;
+    return sum + ((count - expectedCount) ** 2) / expectedCount;
+}, 0);
+
+/**
+ * Ordena las claves candidatas por χ² y describe el análisis
+ */
+const rankCandidates = (ciphertext, candidates, decrypt, language, limit) => {
+    const expected = LETTER_FREQUENCIES[language];
+    if (!expected) {
+        throw new Error(`Idioma no disponible: ${language}`);
+    }
+
+    const ranked = candidates
+        .map(key => {
+            const plaintext = decrypt(key);
+            const counts = letterFrequencies(plaintext).map(row => row.count);
+            return { key, plaintext, score: chiSquared(counts, plaintext.length, expected) };
+        })
+        .sort((x, y) => x.score - y.score);
+
+    return { ranked: ranked.slice(0, limit), tested: ranked.length };
+};
+
+/**
+ * Ataque por frecuencias al cifrado de César: prueba los 26 desplazamientos
+ * @param {string} ciphertext - Texto cifrado
+ * @param {Object} options - { language: 'es' | 'en', limit }
+ */
+export const caesarFrequencyAttack = (ciphertext, options = {}) => {
+    const { language = 'es', limit = 5 } = options;
+    const letters = normalizeLetters(ciphertext);
+
+    if (letters.length === 0) {
+        throw new Error('El texto no contiene letras de la A a la Z');
+    }
+
+    const frequencies = letterFrequencies(letters);
+    const mostFrequent = frequencies.reduce((best, row) => (row.count > best.count ? row : best));
+    const shifts = Array.from({ length: ALPHABET_SIZE }, (_, k) => k);
+
+    const { ranked, tested } = rankCandidates(
+        letters,
+        shifts,
+        k => Array.from(letters).map(letter => toLetter(toNumber(letter) - k)).join(''),
+        language,
+        limit
+    );
+
+    const candidates = ranked.map(({ key, plaintext, score }) => ({ key: { shift: key }, plaintext, score }));
+    const best = candidates[0];
+
+    const steps = [
+        `Letra más frecuente del criptograma: ${mostFrequent.letter} (${mostFrequent.count} veces)`,
+        `Si ${mostFrequent.letter} cifra a la E: k = ${mostFrequent.letter}(${toNumber(mostFrequent.letter)}) − E(4) ≡ ${mod26(toNumber(mostFrequent.letter) - 4)} (mod 26)`,
+        `Se prueban los ${tested} desplazamientos y se ordenan por χ² frente a las frecuencias del idioma`,
+        `Mejor clave: k = ${best.key.shift} (χ² = ${best.score.toFixed(2)}): ${best.plaintext}`
+    ];
+
+    return { cipher: 'caesar', language, frequencies, mostFrequent, candidates, best, tested, steps };
+};
+
+/**
+ * Ataque por frecuencias al cifrado afín: prueba las 12·26 claves válidas
+ * @param {string} ciphertext - Texto cifrado
+ * @param {Object} options - { language: 'es' | 'en', limit }
+ */
+export const affineFrequencyAttack = (ciphertext, options = {}) => {
+    const { language = 'es', limit = 5 } = options;
+    const letters = normalizeLetters(ciphertext);
+
+    if (letters.length === 0) {
+        throw new Error('El texto no contiene letras de la A a la Z');
+    }
+
+    const frequencies = letterFrequencies(letters);
+    const [first, second] = [...frequencies].sort((x, y) => y.count - x.count);
+
+    const keys = [];
+    for (let a = 1; a < ALPHABET_SIZE; a++) {
+        if (gcd(a, ALPHABET_SIZE) !== 1) continue;
+        const inverse = modularInverse(a, ALPHABET_SIZE);
+        for (let b = 0; b < ALPHABET_SIZE; b++) {
+            keys.push({ a, b, inverse });
+        }
+    }
+
+    const { ranked, tested } = rankCandidates(
+        letters,
+        keys,
+        ({ inverse, b }) => Array.from(letters).map(letter => toLetter(inverse * (toNumber(letter) - b))).join(''),
+        language,
+        limit
+    );
+
+    const candidates = ranked.map(({ key, plaintext, score }) => ({
+        key: { a: key.a, b: key.b, inverse: key.inverse },
+        plaintext,
+        score
+    }));
+    const best = candidates[0];
+
+    const steps = [
+        `Letras más frecuentes del criptograma: ${first.letter} (${first.count}) y ${second.letter} (${second.count})`,
+        `Suponiendo E → ${first.letter} y A → ${second.letter}: 4a + b ≡ ${toNumber(first.letter)} y b ≡ ${toNumber(second.letter)} (mod 26)`,
+        `Se prueban las ${tested} claves con gcd(a, 26) = 1 y se ordenan por χ²`,
+        `Mejor clave: a = ${best.key.a}, b = ${best.key.b} (χ² = ${best.score.toFixed(2)}): ${best.plaintext}`
+    ];
+
+    return { cipher: 'affine', language, frequencies, candidates, best, tested, steps };
+};
+
+// ==================== EXPORTACIÓN ====================
+
+export const classicalCiphers = {
+    caesar: {
+        encrypt: caesarEncrypt,
+        decrypt: caesarDecrypt,
+        attack: caesarFrequencyAttack
+    },
+    affine: {
+        encrypt: affineEncrypt,
+        decrypt: affineDecrypt,
+        validateKey: validateAffineKey,
+        attack: affineFrequencyAttack
+    },
+    vigenere: {
+        encrypt: vigenereEncrypt,
+        decrypt: vigenereDecrypt
+    },
+    hill: {
+        encrypt: hillEncrypt,
+        decrypt: hillDecrypt,
+        inverseMatrix: modularMatrixInverse
+    },
+    letterFrequencies
+};
+
+export default classicalCiphers;
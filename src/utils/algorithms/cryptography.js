@@ -1,10 +1,40 @@
 /**
  * Algoritmos de criptografía
  * Congruencias lineales, RSA, teoría de números
+ * API con Number para valores de clase; las operaciones que pueden desbordar
+ * 2^53 se delegan en el núcleo BigInt (bigIntCryptography.js)
  */
 
+/* global BigInt */
+
+import { reportProgress } from '../workers/progress';
+import { lcm } from '../helpers/mathHelpers';
+import {
+    modPow as bigModPow,
+    modInverse as bigModInverse,
+    isProbablePrime,
+    bigIntCryptography
+} from './bigIntCryptography';
+
+// Por debajo de este valor la división de prueba es más rápida que Miller-Rabin
+const TRIAL_DIVISION_LIMIT = 1 << 24;
+
 // ==================== FUNCIONES AUXILIARES ====================
 
+/**
+ * Verifica que un valor sea un entero representable con exactitud
+ */
+const assertSafeInteger = (value, name) => {
+    if (!Number.isSafeInteger(value)) {
+        throw new Error(`${name} debe ser un entero menor que 2^53; para valores mayores use la versión BigInt`);
+    }
+};
+
+/**
+ * Producto modular exacto (a·b puede superar 2^53 aunque a, b < m)
+ */
+export const mulMod = (a, b, m) => Number((BigInt(a) * BigInt(b)) % BigInt(m));
+
 /**
  * Calcula el máximo común divisor (GCD) usando algoritmo de Euclides
  */
@@ -36,19 +66,53 @@ export const extendedGCD = (a, b) => {
     return { gcd: result.gcd, x, y };
 };
 
+/**
+ * Algoritmo de Euclides extendido en forma de tabla
+ * Cada fila cumple r_i = s_i·a + t_i·b y q_i = ⌊r_(i-1) / r_i⌋
+ */
+export const extendedGCDTable = (a, b) => {
+    const rows = [
+        { index: 0, remainder: a, quotient: null, s: 1, t: 0 },
+        { index: 1, remainder: b, quotient: null, s: 0, t: 1 }
+    ];
+
+    while (rows[rows.length - 1].remainder !== 0) {
+        const previous = rows[rows.length - 2];
+        const current = rows[rows.length - 1];
+        const quotient = Math.floor(previous.remainder / current.remainder);
+
+        current.quotient = quotient;
+        current.division = `${previous.remainder} = ${quotient}·${current.remainder} + ${previous.remainder - quotient * current.remainder}`;
+
+        rows.push({
+            index: rows.length,
+            remainder: previous.remainder - quotient * current.remainder,
+            quotient: null,
+            s: previous.s - quotient * current.s,
+            t: previous.t - quotient * current.t
+        });
+    }
+
+    // La última fila con resto no nulo contiene el gcd y los coeficientes de Bézout
+    const last = rows.length > 2 ? rows[rows.length - 2] : rows[0];
+
+    return {
+        rows,
+        gcd: last.remainder,
+        s: last.s,
+        t: last.t
+    };
+};
+
 /**
  * Calcula el inverso modular de a módulo m
  * Retorna x tal que (a * x) ≡ 1 (mod m)
  */
 export const modularInverse = (a, m) => {
-    const result = extendedGCD(a, m);
-
-    if (result.gcd !== 1) {
-        throw new Error(`No existe inverso modular de ${a} módulo ${m}`);
-    }
+    assertSafeInteger(a, 'a');
+    assertSafeInteger(m, 'm');
 
-    // Asegurar que el resultado sea positivo
-    return ((result.x % m) + m) % m;
+    return Number(bigModInverse(BigInt(a), BigInt(m)));
 };
 
 /**
@@ -56,30 +120,77 @@ export const modularInverse = (a, m) => {
  * Calcula (base^exp) mod mod
  */
 export const modularPow = (base, exp, mod) => {
-    if (mod === 1) return 0;
+    assertSafeInteger(base, 'La base');
+    assertSafeInteger(exp, 'El exponente');
+    assertSafeInteger(mod, 'El módulo');
 
-    let result = 1;
-    base = base % mod;
+    return Number(bigModPow(BigInt(base), BigInt(exp), BigInt(mod)));
+};
 
-    while (exp > 0) {
-        if (exp % 2 === 1) {
-            result = (result * base) % mod;
+/**
+ * Exponenciación modular con traza del método "elevar al cuadrado y multiplicar"
+ * Recorre los bits del exponente de menor a mayor peso
+ */
+export const modularPowTrace = (base, exp, mod) => {
+    assertSafeInteger(mod, 'El módulo');
+
+    const steps = [];
+    let result = mod === 1 ? 0 : 1;
+    let power = ((base % mod) + mod) % mod;
+    let remaining = exp;
+    let bitIndex = 0;
+
+    while (remaining > 0 && mod !== 1) {
+        const bit = remaining % 2;
+        const previous = result;
+
+        if (bit === 1) {
+            result = mulMod(result, power, mod);
         }
-        exp = Math.floor(exp / 2);
-        base = (base * base) % mod;
+
+        steps.push({
+            bitIndex,
+            bit,
+            power,
+            multiplied: bit === 1,
+            previous,
+            result,
+            description: bit === 1
+                ? `bit ${bitIndex} = 1: ${previous}·${power} mod ${mod} = ${result}`
+                : `bit ${bitIndex} = 0: se conserva ${result}`
+        });
+
+        remaining = Math.floor(remaining / 2);
+        power = mulMod(power, power, mod);
+        bitIndex++;
     }
 
-    return result;
+    return {
+        base,
+        exponent: exp,
+        modulus: mod,
+        binary: exp.toString(2),
+        steps,
+        result,
+        multiplications: steps.filter(step => step.multiplied).length,
+        squarings: Math.max(steps.length - 1, 0)
+    };
 };
 
 /**
  * Verifica si un número es primo
  */
 export const isPrime = (n) => {
-    if (n < 2) return false;
+    if (!Number.isInteger(n) || n < 2) return false;
     if (n === 2) return true;
     if (n % 2 === 0) return false;
 
+    // Valores grandes: Miller-Rabin con bases fijas (exacto para n < 2^53)
+    if (n >= TRIAL_DIVISION_LIMIT) {
+        assertSafeInteger(n, 'n');
+        return isProbablePrime(BigInt(n));
+    }
+
     for (let i = 3; i * i <= n; i += 2) {
         if (n % i === 0) return false;
     }
@@ -111,42 +222,49 @@ export const solveLinearCongruence = (a, b, n) => {
         throw new Error('El módulo debe ser positivo');
     }
 
+    const steps = [];
+    const originalA = a;
+    const originalB = b;
+    const originalN = n;
+
+    steps.push(`Resolver: ${originalA}x ≡ ${originalB} (mod ${originalN})`);
+
+    // Normalizar a y b al rango [0, n) antes de estudiar el caso a ≡ 0
+    a = ((a % n) + n) % n;
+    b = ((b % n) + n) % n;
+
+    if (a !== originalA || b !== originalB) {
+        steps.push(`Simplificar: ${a}x ≡ ${b} (mod ${n})`);
+    }
+
     if (a === 0) {
         if (b === 0) {
+            // No se listan los n restos: n puede ser tan grande como 2^53
+            steps.push('Si a ≡ 0 y b ≡ 0, entonces toda x es solución: x ≡ t (mod 1)');
             return {
-                solutions: Array.from({ length: n }, (_, i) => i),
+                solutions: [],
                 count: n,
                 hasInfiniteSolutions: true,
-                steps: ['Si a = 0 y b = 0, entonces toda x es solución']
+                general: { c: 0, m: 1 },
+                steps
             };
         } else {
+            steps.push('Si a ≡ 0 y b ≢ 0, no hay solución');
             return {
                 solutions: [],
                 count: 0,
                 hasInfiniteSolutions: false,
-                steps: ['Si a = 0 y b ≠ 0, no hay solución']
+                steps
             };
         }
     }
 
-    const steps = [];
-    const originalA = a;
-    const originalB = b;
-    const originalN = n;
-
-    steps.push(`Resolver: ${originalA}x ≡ ${originalB} (mod ${originalN})`);
-
-    // Normalizar a y b al rango [0, n)
-    a = ((a % n) + n) % n;
-    b = ((b % n) + n) % n;
-
-    if (a !== originalA || b !== originalB) {
-        steps.push(`Simplificar: ${a}x ≡ ${b} (mod ${n})`);
-    }
-
-    // Calcular GCD(a, n)
-    const g = gcd(a, n);
+    // Calcular GCD(n, a) con la tabla de Euclides extendido (n > a tras normalizar)
+    const euclidean = extendedGCDTable(n, a);
+    const g = euclidean.gcd;
+    const bezout = { n: euclidean.s, a: euclidean.t };
     steps.push(`gcd(${a}, ${n}) = ${g}`);
+    steps.push(`Bézout: ${g} = ${n}·(${bezout.n}) + ${a}·(${bezout.a})`);
 
     // Verificar si hay solución
     if (b % g !== 0) {
@@ -155,7 +273,9 @@ export const solveLinearCongruence = (a, b, n) => {
             solutions: [],
             count: 0,
             hasInfiniteSolutions: false,
-            steps
+            steps,
+            euclideanTable: euclidean.rows,
+            bezout
         };
     }
 
@@ -182,7 +302,7 @@ export const solveLinearCongruence = (a, b, n) => {
     }
 
     // Calcular solución base
-    const x0 = (b1 * inverse) % n1;
+    const x0 = mulMod(b1, inverse, n1);
     steps.push(`x ≡ ${b1} × ${inverse} ≡ ${x0} (mod ${n1})`);
 
     // Generar todas las soluciones
@@ -200,20 +320,190 @@ export const solveLinearCongruence = (a, b, n) => {
         steps.push(`${g} soluciones: x ≡ {${solutions.join(', ')}} (mod ${n})`);
     }
 
+    const mod = (value) => ((value % originalN) + originalN) % originalN;
+
     return {
         solutions,
         count: g,
         hasInfiniteSolutions: false,
         steps,
+        euclideanTable: euclidean.rows,
+        bezout,
+        reduced: { a: a1, b: b1, n: n1, inverse, x0 },
         verification: solutions.map(x => ({
             x,
-            result: (originalA * x) % originalN,
-            expected: originalB % originalN,
-            isValid: ((originalA * x) % originalN) === (originalB % originalN)
+            product: originalA * x,
+            result: mod(mulMod(mod(originalA), x, originalN)),
+            expected: mod(originalB),
+            isValid: mulMod(mod(originalA), x, originalN) === mod(originalB)
         }))
     };
 };
 
+// ==================== SISTEMAS DE CONGRUENCIAS ====================
+
+/**
+ * Lleva cada ecuación aᵢx ≡ bᵢ (mod nᵢ) a la forma x ≡ cᵢ (mod mᵢ)
+ * Retorna null en reduced si alguna ecuación no tiene solución
+ */
+const reduceEquations = (equations, steps) => {
+    const reduced = [];
+
+    for (let i = 0; i < equations.length; i++) {
+        const { a = 1, b, n } = equations[i];
+        const label = `(${i + 1})`;
+
+        if (a === 1) {
+            const c = ((b % n) + n) % n;
+            reduced.push({ index: i, c, m: n });
+            if (c !== b) steps.push(`${label} x ≡ ${b} ≡ ${c} (mod ${n})`);
+            continue;
+        }
+
+        const single = solveLinearCongruence(a, b, n);
+        if (single.hasInfiniteSolutions) {
+            steps.push(`${label} ${a}x ≡ ${b} (mod ${n}) se cumple para todo x`);
+            reduced.push({ index: i, c: 0, m: 1 });
+            continue;
+        }
+        if (single.count === 0) {
+            steps.push(`${label} ${a}x ≡ ${b} (mod ${n}) no tiene solución: el sistema es incompatible`);
+            return null;
+        }
+
+        const m = n / single.count;
+        const c = single.solutions[0] % m;
+        reduced.push({ index: i, c, m });
+        steps.push(`${label} ${a}x ≡ ${b} (mod ${n}) ⇒ x ≡ ${c} (mod ${m})`);
+    }
+
+    return reduced;
+};
+
+/**
+ * Resuelve un sistema de congruencias aᵢx ≡ bᵢ (mod nᵢ)
+ * Con módulos coprimos dos a dos aplica la fórmula del Teorema Chino del Resto;
+ * en otro caso comprueba la compatibilidad (cᵢ ≡ cⱼ mod gcd(mᵢ, mⱼ)) y combina
+ * las ecuaciones de dos en dos
+ * @param {Array} equations - [{a, b, n}] (a es opcional, por defecto 1)
+ */
+export const solveCongruenceSystem = (equations) => {
+    if (!Array.isArray(equations) || equations.length === 0) {
+        throw new Error('El sistema debe tener al menos una ecuación');
+    }
+
+    equations.forEach(({ a = 1, b, n }, i) => {
+        [a, b, n].forEach(value => assertSafeInteger(value, `Los coeficientes de la ecuación ${i + 1}`));
+        if (n <= 0) {
+            throw new Error(`El módulo de la ecuación ${i + 1} debe ser positivo`);
+        }
+    });
+
+    const steps = [
+        `Resolver el sistema: ${equations.map(({ a = 1, b, n }) => `${a === 1 ? '' : a}x ≡ ${b} (mod ${n})`).join(', ')}`
+    ];
+
+    const reduced = reduceEquations(equations, steps);
+    if (!reduced) {
+        return { equations, reduced: [], pairs: [], consistent: false, solution: null, conflicts: [], steps };
+    }
+
+    // Compatibilidad: cada par debe coincidir módulo el gcd de sus módulos
+    const pairs = [];
+    for (let i = 0; i < reduced.length; i++) {
+        for (let j = i + 1; j < reduced.length; j++) {
+            const g = gcd(reduced[i].m, reduced[j].m);
+            const difference = reduced[j].c - reduced[i].c;
+            pairs.push({ i, j, gcd: g, difference, consistent: difference % g === 0 });
+        }
+    }
+
+    const pairwiseCoprime = pairs.every(pair => pair.gcd === 1);
+    const conflicts = pairs.filter(pair => !pair.consistent);
+
+    if (pairwiseCoprime) {
+        steps.push('Los módulos son coprimos dos a dos: se aplica el Teorema Chino del Resto');
+    } else {
+        pairs.filter(pair => pair.gcd > 1).forEach(({ i, j, gcd: g, difference, consistent }) => {
+            steps.push(`gcd(${reduced[i].m}, ${reduced[j].m}) = ${g}: ${reduced[j].c} − ${reduced[i].c} = ${difference} ${consistent ? 'es' : 'no es'} divisible por ${g}`);
+        });
+    }
+
+    if (conflicts.length > 0) {
+        steps.push('El sistema es incompatible: no tiene solución');
+        return { equations, reduced, pairs, pairwiseCoprime, consistent: false, solution: null, conflicts, steps };
+    }
+
+    let solution;
+    let crtTable = null;
+    let merges = null;
+
+    if (pairwiseCoprime) {
+        // x = Σ cᵢ·Mᵢ·yᵢ mod M con Mᵢ = M / mᵢ e yᵢ = Mᵢ⁻¹ mod mᵢ
+        const M = reduced.reduce((product, { m }) => lcm(product, m), 1);
+        assertSafeInteger(M, 'El módulo combinado');
+        steps.push(`M = ${reduced.map(({ m }) => m).join('·')} = ${M}`);
+
+        crtTable = reduced.map(({ index, c, m }) => {
+            const Mi = M / m;
+            const inverse = m === 1 ? 0 : modularInverse(Mi % m, m);
+            const term = mulMod(mulMod(c, Mi, M), inverse, M);
+            steps.push(`M${index + 1} = ${M}/${m} = ${Mi}, y${index + 1} = ${Mi}⁻¹ mod ${m} = ${inverse}, término ${c}·${Mi}·${inverse} ≡ ${term}`);
+            return { index, c, m, Mi, inverse, term };
+        });
+
+        const x = crtTable.reduce((sum, row) => (sum + row.term) % M, 0);
+        steps.push(`x ≡ ${crtTable.map(row => row.term).join(' + ')} ≡ ${x} (mod ${M})`);
+        solution = { x, modulus: M };
+    } else {
+        // Combinar x ≡ c (mod m) con x ≡ cᵢ (mod mᵢ): x = c + m·t
+        merges = [];
+        let { c, m } = reduced[0];
+
+        for (let k = 1; k < reduced.length; k++) {
+            const next = reduced[k];
+            const g = gcd(m, next.m);
+            const modulus = next.m / g;
+            const rhs = ((((next.c - c) / g) % modulus) + modulus) % modulus;
+            const t = modulus === 1 ? 0 : mulMod(rhs, modularInverse((m / g) % modulus, modulus), modulus);
+            const combined = lcm(m, next.m);
+            assertSafeInteger(combined, 'El módulo combinado');
+            const x = ((c + mulMod(m, t, combined)) % combined + combined) % combined;
+
+            steps.push(`x = ${c} + ${m}t en x ≡ ${next.c} (mod ${next.m}): ${m}t ≡ ${next.c - c} (mod ${next.m}) ⇒ t ≡ ${t} (mod ${modulus}) ⇒ x ≡ ${x} (mod ${combined})`);
+            merges.push({ left: { c, m }, right: { c: next.c, m: next.m }, gcd: g, t, result: { c: x, m: combined } });
+
+            c = x;
+            m = combined;
+        }
+
+        solution = { x: c, modulus: m };
+    }
+
+    steps.push(`Solución: x ≡ ${solution.x} (mod ${solution.modulus})`);
+
+    const verification = equations.map(({ a = 1, b, n }) => {
+        const value = mulMod(((a % n) + n) % n, solution.x % n, n);
+        const expected = ((b % n) + n) % n;
+        return { a, b, n, value, expected, isValid: value === expected };
+    });
+
+    return {
+        equations,
+        reduced,
+        pairs,
+        pairwiseCoprime,
+        consistent: true,
+        conflicts,
+        method: pairwiseCoprime ? 'crt' : 'merge',
+        crtTable,
+        merges,
+        solution,
+        verification,
+        steps
+    };
+};
+
 // ==================== ALGORITMO RSA ====================
 
 /**
@@ -244,6 +534,9 @@ export const eulerTotient = (n) => {
     return Math.floor(result);
 };
 
+// Cantidad de exponentes públicos sugeridos
+const MAX_VALID_ES = 20;
+
 /**
  * Genera parámetros RSA básicos
  */
@@ -261,10 +554,11 @@ export const generateRSAParameters = (p, q) => {
 
     const n = p * q;
     const phi = (p - 1) * (q - 1);
+    assertSafeInteger(n, 'n = p·q');
 
-    // Encontrar valores válidos para e (exponente público)
+    // Encontrar valores válidos para e (exponente público), limitado a los primeros 20
     const validEs = [];
-    for (let e = 2; e < phi; e++) {
+    for (let e = 2; e < phi && validEs.length < MAX_VALID_ES; e++) {
         if (gcd(e, phi) === 1) {
             validEs.push(e);
         }
@@ -275,7 +569,7 @@ export const generateRSAParameters = (p, q) => {
         q,
         n,
         phi,
-        validEs: validEs.slice(0, 20), // Limitar a primeros 20 valores
+        validEs,
         maxMessage: n - 1
     };
 };
@@ -286,17 +580,29 @@ export const generateRSAParameters = (p, q) => {
 export const generateRSAKeys = (p, q, e) => {
     const params = generateRSAParameters(p, q);
 
-    if (!params.validEs.includes(e)) {
+    if (!Number.isInteger(e) || e <= 1 || e >= params.phi || gcd(e, params.phi) !== 1) {
         throw new Error(`e = ${e} no es válido. Debe ser coprimo con φ(n) = ${params.phi}`);
     }
 
     // Calcular d (exponente privado)
     const d = modularInverse(e, params.phi);
+    const euclidean = extendedGCDTable(params.phi, e);
 
     return {
         ...params,
         e, // Exponente público
         d, // Exponente privado
+        dComputation: {
+            euclideanTable: euclidean.rows,
+            bezout: { phi: euclidean.s, e: euclidean.t },
+            check: mulMod(e, d, params.phi),
+            steps: [
+                `Euclides extendido sobre φ(n) = ${params.phi} y e = ${e}`,
+                `1 = ${params.phi}·(${euclidean.s}) + ${e}·(${euclidean.t})`,
+                `d ≡ ${euclidean.t} ≡ ${d} (mod ${params.phi})`,
+                `Comprobación: ${e}·${d} mod ${params.phi} = ${mulMod(e, d, params.phi)}`
+            ]
+        },
         publicKey: { n: params.n, e },
         privateKey: { n: params.n, d },
         keyInfo: {
@@ -321,7 +627,8 @@ export const rsaEncrypt = (message, publicKey) => {
     return {
         plaintext: message,
         ciphertext,
-        operation: `${message}^${e} mod ${n} = ${ciphertext}`
+        operation: `${message}^${e} mod ${n} = ${ciphertext}`,
+        trace: modularPowTrace(message, e, n)
     };
 };
 
@@ -340,7 +647,246 @@ export const rsaDecrypt = (ciphertext, privateKey) => {
     return {
         ciphertext,
         plaintext,
-        operation: `${ciphertext}^${d} mod ${n} = ${plaintext}`
+        operation: `${ciphertext}^${d} mod ${n} = ${plaintext}`,
+        trace: modularPowTrace(ciphertext, d, n)
+    };
+};
+
+/**
+ * Codificaciones de texto para RSA
+ * Cada símbolo se escribe en decimal con un ancho fijo de dígitos y los dígitos
+ * se agrupan en bloques de k símbolos, con k el mayor tal que todo bloque es menor que n
+ */
+export const TEXT_ENCODINGS = {
+    alpha0: { label: 'A=0 … Z=25', width: 2, min: 0, max: 25 },
+    alpha1: { label: 'A=1 … Z=26', width: 2, min: 1, max: 26 },
+    ascii: { label: 'ASCII', width: 3, min: 0, max: 127 },
+    utf8: { label: 'Bytes UTF-8', width: 3, min: 0, max: 255 }
+};
+
+/**
+ * Reduce un texto al alfabeto de 26 letras: mayúsculas, sin tildes y sin
+ * caracteres fuera de A-Z
+ */
+export const normalizeLetters = (text) => Array.from(text.normalize('NFD').toUpperCase())
+    .filter(char => char >= 'A' && char <= 'Z')
+    .join('');
+
+const getTextEncoding = (encoding) => {
+    const scheme = TEXT_ENCODINGS[encoding];
+    if (!scheme) {
+        throw new Error(`Codificación desconocida: ${encoding}`);
+    }
+    return scheme;
+};
+
+/**
+ * Convierte el texto en la lista de símbolos numéricos de la codificación
+ * Retorna { normalized, symbols, removed }
+ */
+const textToSymbols = (text, encoding) => {
+    if (encoding === 'utf8') {
+        return { normalized: text, symbols: Array.from(new TextEncoder().encode(text)), removed: 0 };
+    }
+
+    if (encoding === 'ascii') {
+        const symbols = Array.from(text).map(char => {
+            const code = char.codePointAt(0);
+            if (code > 127) {
+                throw new Error(`El carácter "${char}" no es ASCII; use la codificación UTF-8`);
+            }
+            return code;
+        });
+        return { normalized: text, symbols, removed: 0 };
+    }
+
+    const normalized = normalizeLetters(text);
+    const offset = TEXT_ENCODINGS[encoding].min;
+
+    return {
+        normalized,
+        symbols: Array.from(normalized).map(char => char.charCodeAt(0) - 65 + offset),
+        removed: Array.from(text).length - normalized.length
+    };
+};
+
+/**
+ * Reconstruye el texto a partir de los símbolos
+ */
+const symbolsToText = (symbols, encoding) => {
+    const { min, max } = TEXT_ENCODINGS[encoding];
+    const invalid = symbols.find(symbol => symbol < min || symbol > max);
+    if (invalid !== undefined) {
+        throw new Error(`El símbolo ${invalid} no pertenece a la codificación ${TEXT_ENCODINGS[encoding].label}; revise la clave o la codificación`);
+    }
+
+    if (encoding === 'utf8') {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(symbols));
+        } catch (error) {
+            throw new Error('Los bytes descifrados no forman un texto UTF-8 válido; revise la clave o la codificación');
+        }
+    }
+
+    if (encoding === 'ascii') {
+        return String.fromCharCode(...symbols);
+    }
+
+    return symbols.map(symbol => String.fromCharCode(symbol - min + 65)).join('');
+};
+
+/**
+ * Mayor número de símbolos por bloque tal que cualquier bloque es menor que n
+ * (el bloque máximo repite el símbolo máximo: 2525… para A=0 … Z=25)
+ */
+export const getTextBlockSize = (n, encoding) => {
+    const { width, max } = getTextEncoding(encoding);
+
+    if (max >= n) {
+        throw new Error(`Con la codificación ${TEXT_ENCODINGS[encoding].label} n debe ser mayor que ${max} (n = ${n})`);
+    }
+
+    let size = 1;
+    let largest = max;
+    while (largest * 10 ** width + max < n) {
+        largest = largest * 10 ** width + max;
+        size++;
+    }
+
+    return size;
+};
+
+/**
+ * Encripta un texto: codifica, divide en bloques menores que n y cifra cada bloque
+ * @param {string} text - Texto plano
+ * @param {Object} publicKey - { n, e }
+ * @param {string} encoding - Clave de TEXT_ENCODINGS
+ */
+export const rsaEncryptText = (text, publicKey, encoding = 'alpha0') => {
+    const { width, label } = getTextEncoding(encoding);
+    const { normalized, symbols, removed } = textToSymbols(text, encoding);
+
+    if (symbols.length === 0) {
+        throw new Error('El mensaje está vacío');
+    }
+
+    const blockSize = getTextBlockSize(publicKey.n, encoding);
+    const digits = symbols.map(symbol => String(symbol).padStart(width, '0')).join('');
+    const characters = encoding === 'utf8' ? null : Array.from(normalized);
+
+    const steps = [`Codificación ${label}: cada símbolo ocupa ${width} dígitos`];
+    if (removed > 0) {
+        steps.push(`Se eliminan ${removed} caracteres fuera del alfabeto: "${normalized}"`);
+    }
+    steps.push(`${symbols.length} símbolos: ${digits}`);
+    steps.push(`Bloques de ${blockSize} símbolos (${blockSize * width} dígitos), todos menores que n = ${publicKey.n}`);
+
+    const blocks = [];
+    for (let start = 0; start < symbols.length; start += blockSize) {
+        const index = blocks.length;
+        const chunk = digits.slice(start * width, (start + blockSize) * width);
+        const encrypted = rsaEncrypt(Number(chunk), publicKey);
+
+        steps.push(`Bloque ${index + 1}: ${chunk}^${publicKey.e} mod ${publicKey.n} = ${encrypted.ciphertext}`);
+        blocks.push({
+            index,
+            chunk,
+            ...(characters && { char: characters.slice(start, start + blockSize).join('') }),
+            ...encrypted
+        });
+    }
+
+    const ciphertexts = blocks.map(block => block.ciphertext);
+
+    return {
+        text,
+        normalized,
+        encoding,
+        symbols,
+        digits,
+        blockSize,
+        length: symbols.length,
+        blocks,
+        ciphertexts,
+        exported: { encoding, n: publicKey.n, length: symbols.length, blocks: ciphertexts },
+        steps
+    };
+};
+
+/**
+ * Desencripta una lista de bloques, los reensambla y decodifica el texto
+ * Todos los bloques salvo el último tienen blockSize símbolos; el último se
+ * completa con ceros hasta length símbolos (o hasta un múltiplo del ancho si
+ * no se conoce la longitud)
+ * @param {Array} ciphertexts - Bloques cifrados
+ * @param {Object} privateKey - { n, d }
+ * @param {string} encoding - Clave de TEXT_ENCODINGS
+ * @param {number} length - Número de símbolos del mensaje (opcional)
+ */
+export const rsaDecryptText = (ciphertexts, privateKey, encoding = 'alpha0', length = null) => {
+    const { width, label } = getTextEncoding(encoding);
+
+    if (ciphertexts.length === 0) {
+        throw new Error('No hay bloques que descifrar');
+    }
+
+    const blockSize = getTextBlockSize(privateKey.n, encoding);
+    const lastSize = length !== null ? length - blockSize * (ciphertexts.length - 1) : null;
+
+    if (lastSize !== null && (lastSize < 1 || lastSize > blockSize)) {
+        throw new Error(`La longitud ${length} no es compatible con ${ciphertexts.length} bloques de ${blockSize} símbolos`);
+    }
+
+    const steps = [`Codificación ${label}: bloques de ${blockSize} símbolos de ${width} dígitos`];
+    if (lastSize === null) {
+        steps.push('Sin la longitud del mensaje, los ceros iniciales del último bloque no se pueden recuperar');
+    }
+
+    const blocks = ciphertexts.map((ciphertext, index) => {
+        const decrypted = rsaDecrypt(ciphertext, privateKey);
+        const isLast = index === ciphertexts.length - 1;
+        const digitsCount = !isLast
+            ? blockSize * width
+            : (lastSize !== null ? lastSize * width : Math.ceil(String(decrypted.plaintext).length / width) * width);
+        const chunk = String(decrypted.plaintext).padStart(digitsCount, '0');
+
+        if (chunk.length > digitsCount) {
+            throw new Error(`El bloque ${index + 1} (${chunk}) tiene más dígitos que un bloque de ${blockSize} símbolos; revise la clave o la codificación`);
+        }
+
+        steps.push(`Bloque ${index + 1}: ${ciphertext}^${privateKey.d} mod ${privateKey.n} = ${decrypted.plaintext} → ${chunk}`);
+        return { index, chunk, ...decrypted };
+    });
+
+    const digits = blocks.map(block => block.chunk).join('');
+    const symbols = [];
+    for (let start = 0; start < digits.length; start += width) {
+        symbols.push(Number(digits.slice(start, start + width)));
+    }
+
+    const text = symbolsToText(symbols, encoding);
+    steps.push(`Dígitos reensamblados: ${digits}`);
+    steps.push(`Texto decodificado: "${text}"`);
+
+    if (encoding !== 'utf8') {
+        const characters = Array.from(text);
+        let offset = 0;
+        blocks.forEach(block => {
+            const count = block.chunk.length / width;
+            block.char = characters.slice(offset, offset + count).join('');
+            offset += count;
+        });
+    }
+
+    return {
+        ciphertexts,
+        encoding,
+        blockSize,
+        symbols,
+        digits,
+        blocks,
+        text,
+        steps
     };
 };
 
@@ -387,14 +933,30 @@ export const completeRSAProcess = (p, q, e, message) => {
 
 // ==================== UTILIDADES ADICIONALES ====================
 
+// Divisores probados entre notificaciones de progreso
+const PROGRESS_STEP = 1000000;
+
+// Iteraciones entre notificaciones de progreso de los métodos iterativos
+const ITERATION_PROGRESS_STEP = 1 << 16;
+
+// Filas de las secuencias intermedias que se conservan para mostrar
+const MAX_TRACE_ROWS = 40;
+
+// Iteraciones que checkRSASecurity concede a cada método de factorización
+export const FACTORIZATION_ITERATION_LIMIT = 100000;
+
 /**
  * Factorización básica de un número
  */
 export const factorize = (n) => {
+    assertSafeInteger(n, 'n');
+
     const factors = [];
     let temp = n;
 
     for (let i = 2; i * i <= temp; i++) {
+        if (i % PROGRESS_STEP === 0) reportProgress((i * i) / temp);
+
         while (temp % i === 0) {
             factors.push(i);
             temp /= i;
@@ -408,31 +970,648 @@ export const factorize = (n) => {
     return factors;
 };
 
+const formatIterations = (count) => `${count} ${count === 1 ? 'iteración' : 'iteraciones'}`;
+
+/**
+ * Guarda la fila de una secuencia si entra en el límite de la traza
+ */
+const traceRow = (sequence, row) => {
+    if (sequence.length < MAX_TRACE_ROWS) sequence.push(row);
+};
+
+/**
+ * División de prueba: d = 2, 3, 5, 7, … hasta que d divide a n o d² > n
+ * @param {number} n - Número compuesto
+ * @param {Object} options - { maxIterations }
+ */
+export const trialDivision = (n, options = {}) => {
+    const { maxIterations = FACTORIZATION_ITERATION_LIMIT } = options;
+    assertSafeInteger(n, 'n');
+
+    const steps = [`División de prueba para n = ${n}: d = 2, 3, 5, 7, … hasta √n`];
+    const sequence = [];
+    let iterations = 0;
+
+    for (let d = 2; d * d <= n && iterations < maxIterations; d += d === 2 ? 1 : 2) {
+        iterations++;
+        const r = n % d;
+        traceRow(sequence, { i: iterations, d, r });
+        if (iterations % ITERATION_PROGRESS_STEP === 0) reportProgress(iterations / maxIterations, 'División de prueba');
+
+        if (r === 0) {
+            steps.push(`Iteración ${iterations}: ${n} mod ${d} = 0`);
+            steps.push(`${n} = ${d}·${n / d}`);
+            return { n, method: 'trialDivision', factor: d, cofactor: n / d, iterations, success: true, sequence, steps };
+        }
+    }
+
+    steps.push(iterations < maxIterations
+        ? `Ningún d ≤ √${n} divide a n: ${n} es primo`
+        : `Sin factor tras ${iterations} divisiones`);
+
+    return { n, method: 'trialDivision', factor: null, cofactor: null, iterations, success: false, sequence, steps };
+};
+
+/**
+ * Método rho de Pollard con el ciclo de Floyd
+ * x ← f(x), y ← f(f(y)) con f(x) = x² + c mod n, hasta que gcd(|x − y|, n) > 1
+ * @param {number} n - Número compuesto
+ * @param {Object} options - { c, x0, maxIterations }
+ */
+export const pollardRho = (n, options = {}) => {
+    const { c = 1, x0 = 2, maxIterations = FACTORIZATION_ITERATION_LIMIT } = options;
+    assertSafeInteger(n, 'n');
+
+    const steps = [`Pollard rho para n = ${n} con f(x) = x² + ${c} mod n y x₀ = y₀ = ${x0}`];
+    const sequence = [];
+
+    if (n % 2 === 0) {
+        steps.push(`${n} es par: factor 2`);
+        return { n, method: 'pollardRho', factor: 2, cofactor: n / 2, iterations: 0, success: n > 2, sequence, steps };
+    }
+
+    const f = (value) => (mulMod(value, value, n) + c) % n;
+    let x = x0 % n;
+    let y = x0 % n;
+    let d = 1;
+    let iterations = 0;
+
+    while (d === 1 && iterations < maxIterations) {
+        iterations++;
+        x = f(x);
+        y = f(f(y));
+        d = gcd(Math.abs(x - y), n);
+        traceRow(sequence, { i: iterations, x, y, d });
+        if (iterations % ITERATION_PROGRESS_STEP === 0) reportProgress(iterations / maxIterations, 'Pollard rho');
+    }
+
+    const success = d > 1 && d < n;
+    if (success) {
+        steps.push(`Iteración ${iterations}: x = ${x}, y = ${y}, gcd(|x − y|, n) = ${d}`);
+        steps.push(`${n} = ${d}·${n / d}`);
+    } else if (d === n) {
+        steps.push(`Iteración ${iterations}: gcd = n, el ciclo no separa los factores; pruebe otra constante c`);
+    } else {
+        steps.push(`Sin factor tras ${iterations} iteraciones`);
+    }
+
+    return {
+        n,
+        method: 'pollardRho',
+        c,
+        factor: success ? d : null,
+        cofactor: success ? n / d : null,
+        iterations,
+        success,
+        sequence,
+        steps
+    };
+};
+
+/**
+ * Método p − 1 de Pollard: a ← a^j mod n para j = 2, 3, …, B
+ * Tras el paso j, a = base^(j!) y gcd(a − 1, n) revela p si p − 1 divide a j!
+ * @param {number} n - Número compuesto
+ * @param {Object} options - { base, bound }
+ */
+export const pollardPMinus1 = (n, options = {}) => {
+    const { base = 2, bound = FACTORIZATION_ITERATION_LIMIT } = options;
+    assertSafeInteger(n, 'n');
+
+    const steps = [`Pollard p − 1 para n = ${n} con base a = ${base} y cota B = ${bound}`];
+    const sequence = [];
+
+    const initial = gcd(base, n);
+    if (initial > 1) {
+        steps.push(`gcd(${base}, ${n}) = ${initial}: la base ya comparte un factor con n`);
+        return { n, method: 'pollardPMinus1', factor: initial, cofactor: n / initial, iterations: 0, success: initial < n, sequence, steps };
+    }
+
+    let a = base % n;
+    let d = 1;
+    let j = 1;
+
+    while (d === 1 && j < bound) {
+        j++;
+        a = modularPow(a, j, n);
+        d = gcd(a - 1, n);
+        traceRow(sequence, { j, a, d });
+        if (j % ITERATION_PROGRESS_STEP === 0) reportProgress(j / bound, 'Pollard p − 1');
+    }
+
+    const iterations = j - 1;
+    const success = d > 1 && d < n;
+
+    if (success) {
+        steps.push(`j = ${j}: a = ${base}^(${j}!) mod n = ${a}, gcd(a − 1, n) = ${d}`);
+        steps.push(`${d} − 1 = ${d - 1} = ${factorize(d - 1).join('·')} divide a ${j}!: ${n} = ${d}·${n / d}`);
+    } else if (d === n) {
+        steps.push(`j = ${j}: gcd = n, p − 1 y q − 1 son suaves a la vez; pruebe otra base`);
+    } else {
+        steps.push(`Sin factor con B = ${bound}: p − 1 y q − 1 tienen factores primos grandes`);
+    }
+
+    return {
+        n,
+        method: 'pollardPMinus1',
+        base,
+        factor: success ? d : null,
+        cofactor: success ? n / d : null,
+        iterations,
+        success,
+        sequence,
+        steps
+    };
+};
+
+/**
+ * Factorización de Fermat: busca a ≥ ⌈√n⌉ con a² − n = b², entonces n = (a − b)(a + b)
+ * Es inmediata cuando los factores son cercanos
+ * @param {number} n - Número impar compuesto
+ * @param {Object} options - { maxIterations }
+ */
+export const fermatFactorization = (n, options = {}) => {
+    const { maxIterations = FACTORIZATION_ITERATION_LIMIT } = options;
+    assertSafeInteger(n, 'n');
+
+    const steps = [`Fermat para n = ${n}: buscar a² − n = b²`];
+    const sequence = [];
+
+    if (n % 2 === 0) {
+        steps.push(`${n} es par: factor 2`);
+        return { n, method: 'fermat', factor: 2, cofactor: n / 2, iterations: 0, success: n > 2, sequence, steps };
+    }
+
+    // a² puede superar 2^53 aunque n no lo haga
+    const bigN = BigInt(n);
+    let a = Math.ceil(Math.sqrt(n));
+    while (BigInt(a) * BigInt(a) < bigN) a++;
+    steps.push(`a₀ = ⌈√${n}⌉ = ${a}`);
+
+    let iterations = 0;
+    while (iterations < maxIterations) {
+        iterations++;
+        const b2 = Number(BigInt(a) * BigInt(a) - bigN);
+        const b = Math.round(Math.sqrt(b2));
+        const isSquare = b * b === b2;
+        traceRow(sequence, { i: iterations, a, b2, b: isSquare ? b : null });
+        if (iterations % ITERATION_PROGRESS_STEP === 0) reportProgress(iterations / maxIterations, 'Fermat');
+
+        if (isSquare) {
+            const factor = a - b;
+            const success = factor > 1;
+            steps.push(`Iteración ${iterations}: ${a}² − ${n} = ${b2} = ${b}²`);
+            steps.push(success
+                ? `${n} = (${a} − ${b})(${a} + ${b}) = ${factor}·${a + b}`
+                : `a − b = 1: ${n} es primo`);
+            return {
+                n,
+                method: 'fermat',
+                factor: success ? factor : null,
+                cofactor: success ? a + b : null,
+                iterations,
+                success,
+                sequence,
+                steps
+            };
+        }
+
+        a++;
+    }
+
+    steps.push(`Sin factor tras ${iterations} iteraciones: los factores están alejados de √n`);
+    return { n, method: 'fermat', factor: null, cofactor: null, iterations, success: false, sequence, steps };
+};
+
+export const FACTORIZATION_METHODS = {
+    trialDivision: 'División de prueba',
+    pollardRho: 'Pollard rho',
+    pollardPMinus1: 'Pollard p − 1',
+    fermat: 'Fermat'
+};
+
 /**
  * Verifica la seguridad de parámetros RSA
+ * Ejecuta cada método de factorización sobre n con un límite de iteraciones e
+ * informa cuál rompería la clave y en cuántas iteraciones
  */
 export const checkRSASecurity = (p, q) => {
     const warnings = [];
     const suggestions = [];
+    const n = p * q;
+    assertSafeInteger(n, 'n = p·q');
 
     if (p < 100 || q < 100) {
         warnings.push('Primos muy pequeños - inseguro para uso real');
     }
 
-    if (Math.abs(p - q) < Math.max(p, q) * 0.1) {
-        warnings.push('p y q son muy cercanos - vulnerable a factorización');
-    }
-
     if (p < 1000 && q < 1000) {
         suggestions.push('Use primos de al menos 3-4 dígitos para mayor seguridad');
     }
 
+    // Con n par basta la primera división: rho, p − 1 y Fermat no aportan nada
+    const isEven = n % 2 === 0;
+    const explained = new Set();
+    if (isEven) {
+        warnings.push(`n es par: uno de los primos es 2 y n = 2·${n / 2}`);
+        explained.add('trialDivision');
+    }
+
+    const runAttacks = () => {
+        // Rho puede fallar con una constante concreta: se prueban c = 1, 2, 3
+        let rho = null;
+        let rhoIterations = 0;
+        for (let c = 1; c <= 3 && !rho?.success; c++) {
+            rho = pollardRho(n, { c, maxIterations: FACTORIZATION_ITERATION_LIMIT - rhoIterations });
+            rhoIterations += rho.iterations;
+        }
+
+        return [{ ...rho, iterations: rhoIterations }, pollardPMinus1(n), fermatFactorization(n)];
+    };
+
+    const attacks = [trialDivision(n), ...(isEven ? [] : runAttacks())].map(attack => ({
+        ...attack,
+        label: FACTORIZATION_METHODS[attack.method]
+    }));
+
+    const successful = attacks.filter(attack => attack.success);
+    const breakingMethod = successful.length > 0
+        ? successful.reduce((best, attack) => (attack.iterations < best.iterations ? attack : best))
+        : null;
+
+    // Debilidades concretas: factores cercanos o p − 1 suave
+    const fermat = attacks.find(attack => attack.method === 'fermat');
+    if (fermat?.success && fermat.iterations <= 10) {
+        warnings.push(`p y q son muy cercanos: Fermat factoriza n en ${formatIterations(fermat.iterations)}`);
+        explained.add('fermat');
+    }
+
+    const rho = attacks.find(attack => attack.method === 'pollardRho');
+    const pMinus1 = attacks.find(attack => attack.method === 'pollardPMinus1');
+    if (pMinus1?.success && pMinus1.iterations < rho.iterations) {
+        warnings.push(`p − 1 o q − 1 solo tiene factores primos pequeños: Pollard p − 1 factoriza n en ${formatIterations(pMinus1.iterations)}`);
+        suggestions.push('Elija primos p tales que p − 1 tenga algún factor primo grande');
+        explained.add('pollardPMinus1');
+    }
+
+    if (breakingMethod && !explained.has(breakingMethod.method)) {
+        warnings.push(`${breakingMethod.label} rompe la clave en ${formatIterations(breakingMethod.iterations)}`);
+    }
+
     return {
         isSecure: warnings.length === 0,
         warnings,
         suggestions,
-        n: p * q,
-        bitLength: Math.floor(Math.log2(p * q)) + 1
+        n,
+        bitLength: Math.floor(Math.log2(n)) + 1,
+        attacks,
+        breakingMethod: breakingMethod ? breakingMethod.method : null,
+        iterationLimit: FACTORIZATION_ITERATION_LIMIT
+    };
+};
+
+// ==================== LOGARITMO DISCRETO ====================
+
+// Límite de p para baby-step giant-step: √p pasos de memoria y de tiempo
+export const BSGS_LIMIT = 1e12;
+
+/**
+ * Factores primos distintos de n
+ */
+const distinctPrimeFactors = (n) => [...new Set(factorize(n))];
+
+/**
+ * Orden multiplicativo de g módulo n: menor k > 0 con g^k ≡ 1 (mod n)
+ * Parte de φ(n) y elimina factores primos mientras la potencia siga valiendo 1
+ */
+export const multiplicativeOrder = (g, n) => {
+    assertSafeInteger(g, 'g');
+    assertSafeInteger(n, 'n');
+
+    if (n < 2) {
+        throw new Error('El módulo debe ser mayor que 1');
+    }
+    if (gcd(g, n) !== 1) {
+        throw new Error(`${g} no es invertible módulo ${n}: gcd(${g}, ${n}) = ${gcd(g, n)}`);
+    }
+
+    const phi = eulerTotient(n);
+    const factors = distinctPrimeFactors(phi);
+    const steps = [`φ(${n}) = ${phi} = ${factorize(phi).join('·') || '1'}; el orden de ${g} divide a ${phi}`];
+
+    let order = phi;
+    factors.forEach(q => {
+        while (order % q === 0 && modularPow(g, order / q, n) === 1) {
+            steps.push(`${g}^${order / q} ≡ 1 (mod ${n}): el orden divide a ${order / q}`);
+            order /= q;
+        }
+        if (order % q === 0) {
+            steps.push(`${g}^${order / q} ≢ 1 (mod ${n}): el factor ${q} se mantiene`);
+        }
+    });
+
+    steps.push(`ord(${g}) = ${order}${order === phi ? `: ${g} es raíz primitiva módulo ${n}` : ''}`);
+
+    return { g, n, phi, order, isPrimitive: order === phi, steps };
+};
+
+/**
+ * Menor raíz primitiva módulo un primo p
+ * g lo es si g^((p−1)/q) ≢ 1 (mod p) para todo primo q que divide a p − 1
+ */
+export const findPrimitiveRoot = (p) => {
+    assertSafeInteger(p, 'p');
+
+    if (!isPrime(p)) {
+        throw new Error(`${p} no es primo`);
+    }
+
+    const factors = distinctPrimeFactors(p - 1);
+    const steps = [
+        `p − 1 = ${p - 1} = ${factorize(p - 1).join('·') || '1'}`,
+        `g es raíz primitiva si g^((p−1)/q) ≢ 1 para q ∈ {${factors.join(', ')}}`
+    ];
+
+    if (p === 2) {
+        steps.push('Módulo 2 la única raíz primitiva es 1');
+        return { p, root: 1, factors, candidates: [], count: 1, steps };
+    }
+
+    const candidates = [];
+    for (let g = 2; g < p; g++) {
+        const checks = factors.map(q => ({ q, exponent: (p - 1) / q, value: modularPow(g, (p - 1) / q, p) }));
+        const isPrimitive = checks.every(check => check.value !== 1);
+        candidates.push({ g, checks, isPrimitive });
+
+        steps.push(`g = ${g}: ${checks.map(check => `${g}^${check.exponent} ≡ ${check.value}`).join(', ')}${isPrimitive ? ' → raíz primitiva' : ''}`);
+
+        if (isPrimitive) {
+            const count = eulerTotient(p - 1);
+            steps.push(`Hay φ(p − 1) = ${count} raíces primitivas módulo ${p}`);
+            return { p, root: g, factors, candidates, count, steps };
+        }
+    }
+
+    throw new Error(`No se encontró raíz primitiva módulo ${p}`);
+};
+
+/**
+ * Logaritmo discreto por baby-step giant-step: x con g^x ≡ h (mod p)
+ * Con m = ⌈√(p−1)⌉ se guarda g^j (j < m) y se busca h·(g^−m)^i en la tabla
+ */
+export const babyStepGiantStep = (g, h, p) => {
+    [g, h, p].forEach(value => assertSafeInteger(value, 'Los parámetros'));
+
+    if (!isPrime(p)) {
+        throw new Error(`${p} no es primo`);
+    }
+    if (p > BSGS_LIMIT) {
+        throw new Error(`Baby-step giant-step está limitado a p ≤ ${BSGS_LIMIT}`);
+    }
+
+    const base = ((g % p) + p) % p;
+    const target = ((h % p) + p) % p;
+    if (base === 0 || target === 0) {
+        throw new Error('g y h deben ser invertibles módulo p');
+    }
+
+    const m = Math.ceil(Math.sqrt(p - 1));
+    const steps = [`Resolver ${base}^x ≡ ${target} (mod ${p}) con m = ⌈√${p - 1}⌉ = ${m}`];
+
+    // Baby steps: g^j para j = 0 … m − 1
+    const table = new Map();
+    const babySteps = [];
+    let value = 1;
+    for (let j = 0; j < m; j++) {
+        if (!table.has(value)) table.set(value, j);
+        if (j < MAX_TRACE_ROWS) babySteps.push({ j, value });
+        if (j % ITERATION_PROGRESS_STEP === 0) reportProgress(j / (2 * m), 'Baby steps');
+        value = mulMod(value, base, p);
+    }
+    steps.push(`Baby steps: tabla de ${base}^j mod ${p} para j = 0 … ${m - 1}`);
+
+    // Giant steps: h·(g^−m)^i
+    const factor = modularInverse(modularPow(base, m, p), p);
+    steps.push(`g^−m = (${base}^${m})⁻¹ ≡ ${factor} (mod ${p})`);
+
+    const giantSteps = [];
+    let gamma = target;
+    for (let i = 0; i < m; i++) {
+        const match = table.get(gamma);
+        if (i < MAX_TRACE_ROWS || match !== undefined) {
+            giantSteps.push({ i, value: gamma, match: match ?? null });
+        }
+        if (i % ITERATION_PROGRESS_STEP === 0) reportProgress(0.5 + i / (2 * m), 'Giant steps');
+
+        if (match !== undefined) {
+            const x = i * m + match;
+            steps.push(`Giant step i = ${i}: ${gamma} = ${base}^${match} está en la tabla`);
+            steps.push(`x = i·m + j = ${i}·${m} + ${match} = ${x}`);
+            steps.push(`Comprobación: ${base}^${x} ≡ ${modularPow(base, x, p)} (mod ${p})`);
+            return { g: base, h: target, p, m, x, found: true, babySteps, giantSteps, steps };
+        }
+
+        gamma = mulMod(gamma, factor, p);
+    }
+
+    steps.push(`${target} no es potencia de ${base} módulo ${p}: no hay solución`);
+    return { g: base, h: target, p, m, x: null, found: false, babySteps, giantSteps, steps };
+};
+
+/**
+ * Valida el grupo (p, g) de Diffie-Hellman y ElGamal
+ */
+const assertDiscreteLogGroup = (p, g) => {
+    assertSafeInteger(p, 'p');
+    assertSafeInteger(g, 'g');
+
+    if (!isPrime(p)) {
+        throw new Error(`${p} no es primo`);
+    }
+    if (g < 2 || g > p - 2) {
+        throw new Error(`El generador g debe estar en [2, ${p - 2}]`);
+    }
+};
+
+const assertExponent = (value, p, name) => {
+    if (!Number.isSafeInteger(value) || value < 1 || value > p - 2) {
+        throw new Error(`${name} debe ser un entero en [1, ${p - 2}]`);
+    }
+};
+
+/**
+ * Acuerdo de claves de Diffie-Hellman
+ * Alicia y Bob publican A = g^a y B = g^b; ambos obtienen K = g^(ab).
+ * El espía ve p, g, A y B e intenta el logaritmo discreto si p es pequeño
+ * @param {number} p - Primo público
+ * @param {number} g - Generador público
+ * @param {number} a - Secreto de Alicia
+ * @param {number} b - Secreto de Bob
+ */
+export const diffieHellman = (p, g, a, b) => {
+    assertDiscreteLogGroup(p, g);
+    assertExponent(a, p, 'El secreto de Alicia');
+    assertExponent(b, p, 'El secreto de Bob');
+
+    const { order, isPrimitive } = multiplicativeOrder(g, p);
+    const A = modularPow(g, a, p);
+    const B = modularPow(g, b, p);
+    const aliceKey = modularPow(B, a, p);
+    const bobKey = modularPow(A, b, p);
+
+    const alice = {
+        secret: a,
+        publicValue: A,
+        received: B,
+        sharedKey: aliceKey,
+        steps: [
+            `Elige el secreto a = ${a}`,
+            `Calcula A = g^a = ${g}^${a} mod ${p} = ${A} y lo envía a Bob`,
+            `Recibe B = ${B}`,
+            `Calcula K = B^a = ${B}^${a} mod ${p} = ${aliceKey}`
+        ]
+    };
+
+    const bob = {
+        secret: b,
+        publicValue: B,
+        received: A,
+        sharedKey: bobKey,
+        steps: [
+            `Elige el secreto b = ${b}`,
+            `Calcula B = g^b = ${g}^${b} mod ${p} = ${B} y lo envía a Alicia`,
+            `Recibe A = ${A}`,
+            `Calcula K = A^b = ${A}^${b} mod ${p} = ${bobKey}`
+        ]
+    };
+
+    const eavesdropper = {
+        sees: { p, g, A, B },
+        steps: [
+            `Observa p = ${p}, g = ${g}, A = ${A} y B = ${B}`,
+            'No conoce a ni b: calcular K exige resolver un logaritmo discreto'
+        ],
+        attack: null
+    };
+
+    if (p <= BSGS_LIMIT) {
+        const attack = babyStepGiantStep(g, A, p);
+        const recoveredKey = modularPow(B, attack.x, p);
+        eavesdropper.attack = {
+            recoveredSecret: attack.x,
+            recoveredKey,
+            iterations: attack.m,
+            success: recoveredKey === aliceKey
+        };
+        eavesdropper.steps.push(
+            `Con p pequeño aplica baby-step giant-step (m = ${attack.m}) a ${g}^x ≡ ${A}: x = ${attack.x}`,
+            `Calcula B^x = ${B}^${attack.x} mod ${p} = ${recoveredKey}${recoveredKey === aliceKey ? ': obtiene la clave compartida' : ''}`
+        );
+    } else {
+        eavesdropper.steps.push(`p > ${BSGS_LIMIT}: el ataque por baby-step giant-step no es viable`);
+    }
+
+    const steps = [
+        `Parámetros públicos: p = ${p}, g = ${g} (orden ${order}${isPrimitive ? ', raíz primitiva' : ''})`,
+        ...(isPrimitive ? [] : [`g no es raíz primitiva: la clave solo toma ${order} valores posibles`]),
+        `Alicia envía A = ${A}, Bob envía B = ${B}`,
+        `Clave de Alicia ${aliceKey}, clave de Bob ${bobKey}: ${aliceKey === bobKey ? 'coinciden' : 'no coinciden'}`
+    ];
+
+    return {
+        p,
+        g,
+        order,
+        isPrimitive,
+        alice,
+        bob,
+        eavesdropper,
+        sharedKey: aliceKey,
+        match: aliceKey === bobKey,
+        steps
+    };
+};
+
+/**
+ * Claves ElGamal: privada x, pública h = g^x mod p
+ */
+export const elGamalGenerateKeys = (p, g, x) => {
+    assertDiscreteLogGroup(p, g);
+    assertExponent(x, p, 'La clave privada x');
+
+    const h = modularPow(g, x, p);
+
+    return {
+        p,
+        g,
+        x,
+        h,
+        publicKey: { p, g, h },
+        privateKey: { p, x },
+        steps: [
+            `Clave privada x = ${x}`,
+            `Clave pública h = g^x = ${g}^${x} mod ${p} = ${h}`,
+            `Se publica (p, g, h) = (${p}, ${g}, ${h})`
+        ]
+    };
+};
+
+/**
+ * Cifrado ElGamal con clave efímera k: (c1, c2) = (g^k, m·h^k) mod p
+ */
+export const elGamalEncrypt = (message, publicKey, k) => {
+    const { p, g, h } = publicKey;
+    assertDiscreteLogGroup(p, g);
+    assertExponent(k, p, 'La clave efímera k');
+
+    if (!Number.isSafeInteger(message) || message < 1 || message > p - 1) {
+        throw new Error(`El mensaje debe estar en [1, ${p - 1}]`);
+    }
+
+    const c1 = modularPow(g, k, p);
+    const s = modularPow(h, k, p);
+    const c2 = mulMod(message, s, p);
+
+    return {
+        plaintext: message,
+        ciphertext: { c1, c2 },
+        sharedSecret: s,
+        steps: [
+            `Clave efímera k = ${k}`,
+            `c1 = g^k = ${g}^${k} mod ${p} = ${c1}`,
+            `s = h^k = ${h}^${k} mod ${p} = ${s}`,
+            `c2 = m·s = ${message}·${s} mod ${p} = ${c2}`,
+            `Texto cifrado: (c1, c2) = (${c1}, ${c2})`
+        ]
+    };
+};
+
+/**
+ * Descifrado ElGamal: m = c2·(c1^x)⁻¹ mod p
+ */
+export const elGamalDecrypt = (ciphertext, privateKey) => {
+    const { c1, c2 } = ciphertext;
+    const { p, x } = privateKey;
+
+    [c1, c2].forEach(value => {
+        if (!Number.isSafeInteger(value) || value < 1 || value > p - 1) {
+            throw new Error(`c1 y c2 deben estar en [1, ${p - 1}]`);
+        }
+    });
+
+    const s = modularPow(c1, x, p);
+    const inverse = modularInverse(s, p);
+    const plaintext = mulMod(c2, inverse, p);
+
+    return {
+        ciphertext,
+        plaintext,
+        sharedSecret: s,
+        steps: [
+            `s = c1^x = ${c1}^${x} mod ${p} = ${s}`,
+            `s⁻¹ mod ${p} = ${inverse}`,
+            `m = c2·s⁻¹ = ${c2}·${inverse} mod ${p} = ${plaintext}`
+        ]
     };
 };
 
@@ -442,15 +1621,23 @@ export const cryptography = {
     // Teoría de números básica
     gcd,
     extendedGCD,
+    extendedGCDTable,
     modularInverse,
     modularPow,
+    modularPowTrace,
     isPrime,
     generatePrimes,
     eulerTotient,
     factorize,
+    trialDivision,
+    pollardRho,
+    pollardPMinus1,
+    fermatFactorization,
+    mulMod,
 
     // Congruencias lineales
     linearCongruence: solveLinearCongruence,
+    congruenceSystem: solveCongruenceSystem,
 
     // RSA
     rsa: {
@@ -458,9 +1645,25 @@ export const cryptography = {
         generateKeys: generateRSAKeys,
         encrypt: rsaEncrypt,
         decrypt: rsaDecrypt,
+        encryptText: rsaEncryptText,
+        decryptText: rsaDecryptText,
         completeProcess: completeRSAProcess,
         checkSecurity: checkRSASecurity
-    }
+    },
+
+    // Logaritmo discreto
+    multiplicativeOrder,
+    primitiveRoot: findPrimitiveRoot,
+    babyStepGiantStep,
+    diffieHellman,
+    elGamal: {
+        generateKeys: elGamalGenerateKeys,
+        encrypt: elGamalEncrypt,
+        decrypt: elGamalDecrypt
+    },
+
+    // Aritmética BigInt para claves de tamaño real
+    big: bigIntCryptography
 };
 
 export default cryptography;
\ No newline at end of file
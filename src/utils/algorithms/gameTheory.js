@@ -0,0 +1,648 @@
+/**
+ * Algoritmos de teoría de juegos
+ * Juegos matriciales de dos jugadores: equilibrios de Nash, puntos de silla,
+ * dominancia y estrategias mixtas
+ */
+
+// ==================== CONSTANTES ====================
+
+const EPSILON = 1e-9;
+
+// ==================== FUNCIONES HELPER ====================
+
+/**
+ * Valida que la matriz de pagos sea válida
+ * Cada celda puede ser un número (juego de suma cero) o un par [pagoA, pagoB]
+ */
+export const validateGameMatrix = (matrix) => {
+    if (!Array.isArray(matrix) || matrix.length === 0) {
+        throw new Error('Matriz de pagos inválida: debe ser un array no vacío');
+    }
+
+    const cols = Array.isArray(matrix[0]) ? matrix[0].length : 0;
+    if (cols === 0 || !matrix.every(row => Array.isArray(row) && row.length === cols)) {
+        throw new Error('Matriz de pagos inválida: todas las filas deben tener la misma longitud');
+    }
+
+    const isValidCell = (cell) => {
+        if (Array.isArray(cell)) {
+            return cell.length === 2 && cell.every(val => !isNaN(parseFloat(val)));
+        }
+        return !isNaN(parseFloat(cell));
+    };
+
+    if (!matrix.every(row => row.every(isValidCell))) {
+        throw new Error('Matriz de pagos inválida: cada celda debe ser un número o un par de números');
+    }
+
+    return true;
+};
+
+/**
+ * Separa la matriz en pagos del jugador A (filas) y del jugador B (columnas)
+ */
+export const normalizeGame = (matrix) => {
+    validateGameMatrix(matrix);
+
+    const isZeroSum = matrix.every(row => row.every(cell => !Array.isArray(cell)));
+
+    const payoffA = matrix.map(row =>
+        row.map(cell => parseFloat(Array.isArray(cell) ? cell[0] : cell))
+    );
+    const payoffB = matrix.map(row =>
+        row.map(cell => (Array.isArray(cell) ? parseFloat(cell[1]) : -parseFloat(cell)))
+    );
+
+    return {
+        rows: payoffA.length,
+        cols: payoffA[0].length,
+        payoffA,
+        payoffB,
+        isZeroSum
+    };
+};
+
+/**
+ * Genera etiquetas de estrategias (A1, A2... / B1, B2...)
+ */
+export const strategyLabels = (count, player) => {
+    return Array.from({ length: count }, (_, i) => `${player}${i + 1}`);
+};
+
+/**
+ * Formatea un número eliminando decimales innecesarios
+ */
+const formatValue = (value) => {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : rounded.toString();
+};
+
+/**
+ * Extrae una submatriz a partir de índices de filas y columnas
+ */
+const subMatrix = (matrix, rowIndices, colIndices) => {
+    return rowIndices.map(i => colIndices.map(j => matrix[i][j]));
+};
+
+// ==================== EQUILIBRIOS DE NASH (ESTRATEGIAS PURAS) ====================
+
+/**
+ * Encuentra los equilibrios de Nash en estrategias puras
+ * Una celda es equilibrio si es mejor respuesta para ambos jugadores
+ */
+export const findNashEquilibria = (matrix) => {
+    const { rows, cols, payoffA, payoffB, isZeroSum } = normalizeGame(matrix);
+    const labelsA = strategyLabels(rows, 'A');
+    const labelsB = strategyLabels(cols, 'B');
+    const steps = [];
+
+    // Mejores respuestas de A para cada columna de B
+    const bestResponsesA = [];
+    for (let j = 0; j < cols; j++) {
+        const column = payoffA.map(row => row[j]);
+        const best = Math.max(...column);
+        const rowsAtBest = column
+            .map((val, i) => (Math.abs(val - best) < EPSILON ? i : -1))
+            .filter(i => i !== -1);
+
+        bestResponsesA.push({ col: j, value: best, rows: rowsAtBest });
+        steps.push(`Si B juega ${labelsB[j]}, la mejor respuesta de A es ${rowsAtBest.map(i => labelsA[i]).join(', ')} (pago ${formatValue(best)})`);
+    }
+
+    // Mejores respuestas de B para cada fila de A
+    const bestResponsesB = [];
+    for (let i = 0; i < rows; i++) {
+        const best = Math.max(...payoffB[i]);
+        const colsAtBest = payoffB[i]
+            .map((val, j) => (Math.abs(val - best) < EPSILON ? j : -1))
+            .filter(j => j !== -1);
+
+        bestResponsesB.push({ row: i, value: best, cols: colsAtBest });
+        steps.push(`Si A juega ${labelsA[i]}, la mejor respuesta de B es ${colsAtBest.map(j => labelsB[j]).join(', ')} (pago ${formatValue(best)})`);
+    }
+
+    // Intersección de mejores respuestas
+    const equilibria = [];
+    for (let i = 0; i < rows; i++) {
+        for (let j = 0; j < cols; j++) {
+            const isBestForA = bestResponsesA[j].rows.includes(i);
+            const isBestForB = bestResponsesB[i].cols.includes(j);
+
+            if (isBestForA && isBestForB) {
+                equilibria.push({
+                    row: i,
+                    col: j,
+                    label: `(${labelsA[i]}, ${labelsB[j]})`,
+                    payoffs: [payoffA[i][j], payoffB[i][j]]
+                });
+            }
+        }
+    }
+
+    if (equilibria.length === 0) {
+        steps.push('No existe equilibrio de Nash en estrategias puras');
+    } else {
+        steps.push(`Equilibrios de Nash: ${equilibria.map(eq => eq.label).join(', ')}`);
+    }
+
+    return {
+        equilibria,
+        count: equilibria.length,
+        bestResponsesA,
+        bestResponsesB,
+        isZeroSum,
+        steps
+    };
+};
+
+// ==================== MAXIMIN, MINIMAX Y PUNTOS DE SILLA ====================
+
+/**
+ * Calcula el valor maximin del jugador A (máximo de los mínimos por fila)
+ */
+export const calculateMaximin = (matrix) => {
+    const { payoffA } = normalizeGame(matrix);
+
+    const rowMinimums = payoffA.map(row => Math.min(...row));
+    const value = Math.max(...rowMinimums);
+    const strategies = rowMinimums
+        .map((val, i) => (Math.abs(val - value) < EPSILON ? i : -1))
+        .filter(i => i !== -1);
+
+    return { value, strategies, rowMinimums };
+};
+
+/**
+ * Calcula el valor minimax del jugador B (mínimo de los máximos por columna)
+ */
+export const calculateMinimax = (matrix) => {
+    const { cols, payoffA } = normalizeGame(matrix);
+
+    const columnMaximums = [];
+    for (let j = 0; j < cols; j++) {
+        columnMaximums.push(Math.max(...payoffA.map(row => row[j])));
+    }
+
+    const value = Math.min(...columnMaximums);
+    const strategies = columnMaximums
+        .map((val, j) => (Math.abs(val - value) < EPSILON ? j : -1))
+        .filter(j => j !== -1);
+
+    return { value, strategies, columnMaximums };
+};
+
+/**
+ * Encuentra los puntos de silla de un juego de suma cero
+ * Un punto de silla es mínimo de su fila y máximo de su columna
+ */
+export const findSaddlePoints = (matrix) => {
+    const { payoffA, isZeroSum } = normalizeGame(matrix);
+    const labelsA = strategyLabels(payoffA.length, 'A');
+    const labelsB = strategyLabels(payoffA[0].length, 'B');
+
+    const maximin = calculateMaximin(matrix);
+    const minimax = calculateMinimax(matrix);
+    const steps = [];
+
+    if (!isZeroSum) {
+        steps.push('Advertencia: el análisis de punto de silla usa solo los pagos del jugador A');
+    }
+
+    steps.push(`Mínimos por fila: ${maximin.rowMinimums.map(formatValue).join(', ')}`);
+    steps.push(`Maximin (A) = max(${maximin.rowMinimums.map(formatValue).join(', ')}) = ${formatValue(maximin.value)} en ${maximin.strategies.map(i => labelsA[i]).join(', ')}`);
+    steps.push(`Máximos por columna: ${minimax.columnMaximums.map(formatValue).join(', ')}`);
+    steps.push(`Minimax (B) = min(${minimax.columnMaximums.map(formatValue).join(', ')}) = ${formatValue(minimax.value)} en ${minimax.strategies.map(j => labelsB[j]).join(', ')}`);
+
+    const saddlePoints = [];
+    payoffA.forEach((row, i) => {
+        row.forEach((val, j) => {
+            if (Math.abs(val - maximin.rowMinimums[i]) < EPSILON &&
+                Math.abs(val - minimax.columnMaximums[j]) < EPSILON) {
+                saddlePoints.push({
+                    row: i,
+                    col: j,
+                    label: `(${labelsA[i]}, ${labelsB[j]})`,
+                    value: val
+                });
+            }
+        });
+    });
+
+    const hasSaddlePoint = saddlePoints.length > 0;
+
+    if (hasSaddlePoint) {
+        steps.push(`Maximin = Minimax = ${formatValue(maximin.value)}: punto de silla en ${saddlePoints.map(sp => sp.label).join(', ')}`);
+    } else {
+        steps.push(`Maximin (${formatValue(maximin.value)}) ≠ Minimax (${formatValue(minimax.value)}): no hay punto de silla, se requieren estrategias mixtas`);
+    }
+
+    return {
+        maximin,
+        minimax,
+        saddlePoints,
+        hasSaddlePoint,
+        gameValue: hasSaddlePoint ? maximin.value : null,
+        steps
+    };
+};
+
+// ==================== DOMINANCIA ====================
+
+/**
+ * Verifica si el vector a domina al vector b
+ * Estricta: a > b en todas las posiciones; débil: a >= b con al menos una desigualdad estricta
+ */
+const dominates = (a, b, strict) => {
+    if (strict) {
+        return a.every((val, k) => val > b[k] + EPSILON);
+    }
+
+    return a.every((val, k) => val >= b[k] - EPSILON) &&
+        a.some((val, k) => val > b[k] + EPSILON);
+};
+
+/**
+ * Busca la primera estrategia dominada entre las candidatas
+ * payoffs[k][m] es el pago de la estrategia k frente a la estrategia rival m
+ */
+const findDominatedStrategy = (payoffs, candidates, opponents, strict) => {
+    for (const i of candidates) {
+        const dominated = opponents.map(m => payoffs[i][m]);
+
+        for (const k of candidates) {
+            if (k === i) continue;
+
+            const dominant = opponents.map(m => payoffs[k][m]);
+            if (dominates(dominant, dominated, strict)) {
+                return {
+                    eliminated: i,
+                    dominator: k,
+                    isStrict: dominates(dominant, dominated, true)
+                };
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Eliminación iterada de estrategias dominadas
+ * A elimina filas dominadas (según sus pagos) y B columnas dominadas (según los suyos)
+ */
+export const analyzeDominance = (matrix, options = {}) => {
+    const { strict = false } = options;
+    const { rows, cols, payoffA, payoffB } = normalizeGame(matrix);
+    const labelsA = strategyLabels(rows, 'A');
+    const labelsB = strategyLabels(cols, 'B');
+
+    let remainingRows = Array.from({ length: rows }, (_, i) => i);
+    let remainingCols = Array.from({ length: cols }, (_, j) => j);
+    const eliminations = [];
+    const steps = [];
+
+    // Pagos de B indexados por columna para reutilizar la misma búsqueda que en filas
+    const payoffBByColumn = Array.from({ length: cols }, (_, j) => payoffB.map(row => row[j]));
+
+    let found = true;
+    while (found) {
+        // Primero filas dominadas para A, luego columnas dominadas para B
+        const rowDomination = findDominatedStrategy(payoffA, remainingRows, remainingCols, strict);
+        const colDomination = rowDomination
+            ? null
+            : findDominatedStrategy(payoffBByColumn, remainingCols, remainingRows, strict);
+
+        found = Boolean(rowDomination || colDomination);
+        if (!found) break;
+
+        const { eliminated, dominator, isStrict } = rowDomination || colDomination;
+        const kind = isStrict ? 'estrictamente' : 'débilmente';
+
+        if (rowDomination) {
+            remainingRows = remainingRows.filter(r => r !== eliminated);
+            steps.push(`${labelsA[dominator]} domina ${kind} a ${labelsA[eliminated]}: se elimina la fila ${labelsA[eliminated]}`);
+        } else {
+            remainingCols = remainingCols.filter(c => c !== eliminated);
+            steps.push(`${labelsB[dominator]} domina ${kind} a ${labelsB[eliminated]}: se elimina la columna ${labelsB[eliminated]}`);
+        }
+
+        eliminations.push({
+            player: rowDomination ? 'A' : 'B',
+            eliminated,
+            dominatedBy: dominator,
+            remainingRows: [...remainingRows],
+            remainingCols: [...remainingCols],
+            matrix: subMatrix(payoffA, remainingRows, remainingCols)
+        });
+    }
+
+    if (eliminations.length === 0) {
+        steps.push('No hay estrategias dominadas');
+    } else {
+        steps.push(`Juego reducido: filas {${remainingRows.map(i => labelsA[i]).join(', ')}}, columnas {${remainingCols.map(j => labelsB[j]).join(', ')}}`);
+    }
+
+    return {
+        eliminations,
+        remainingRows,
+        remainingCols,
+        reducedMatrix: subMatrix(matrix, remainingRows, remainingCols),
+        isReduced: eliminations.length > 0,
+        strict,
+        steps
+    };
+};
+
+// ==================== ESTRATEGIAS MIXTAS ====================
+
+/**
+ * Resuelve un juego 2x2 sin equilibrio puro por el principio de indiferencia
+ * p = probabilidad de la primera fila, q = probabilidad de la primera columna
+ */
+export const solveMixed2x2 = (payoffA, payoffB) => {
+    const [[a11, a12], [a21, a22]] = payoffA;
+    const [[b11, b12], [b21, b22]] = payoffB;
+
+    const denominatorP = b11 - b21 - b12 + b22;
+    const denominatorQ = a11 - a12 - a21 + a22;
+
+    if (Math.abs(denominatorP) < EPSILON || Math.abs(denominatorQ) < EPSILON) {
+        return null;
+    }
+
+    const p = (b22 - b21) / denominatorP;
+    const q = (a22 - a12) / denominatorQ;
+
+    if (p < -EPSILON || p > 1 + EPSILON || q < -EPSILON || q > 1 + EPSILON) {
+        return null;
+    }
+
+    const valueA = q * (p * a11 + (1 - p) * a21) + (1 - q) * (p * a12 + (1 - p) * a22);
+    const valueB = q * (p * b11 + (1 - p) * b21) + (1 - q) * (p * b12 + (1 - p) * b22);
+
+    return { p, q, valueA, valueB };
+};
+
+/**
+ * Método gráfico para juegos de suma cero 2xN
+ * A elige p (probabilidad de su primera fila) maximizando la envolvente inferior
+ */
+const solveGraphical2xN = (payoffA) => {
+    const cols = payoffA[0].length;
+    const lines = Array.from({ length: cols }, (_, j) => ({
+        col: j,
+        intercept: payoffA[1][j], // valor en p = 0
+        slope: payoffA[0][j] - payoffA[1][j]
+    }));
+
+    const evaluate = (line, p) => line.intercept + line.slope * p;
+    const lowerEnvelope = (p) => Math.min(...lines.map(line => evaluate(line, p)));
+
+    // Candidatos: extremos e intersecciones de rectas dentro de [0, 1]
+    const candidates = [0, 1];
+    for (let j = 0; j < cols; j++) {
+        for (let k = j + 1; k < cols; k++) {
+            const slopeDiff = lines[j].slope - lines[k].slope;
+            if (Math.abs(slopeDiff) > EPSILON) {
+                const p = (lines[k].intercept - lines[j].intercept) / slopeDiff;
+                if (p > -EPSILON && p < 1 + EPSILON) {
+                    candidates.push(Math.min(1, Math.max(0, p)));
+                }
+            }
+        }
+    }
+
+    let bestP = 0;
+    let value = -Infinity;
+    candidates.forEach(p => {
+        const envelope = lowerEnvelope(p);
+        if (envelope > value + EPSILON) {
+            value = envelope;
+            bestP = p;
+        }
+    });
+
+    // Columnas activas en el óptimo
+    const active = lines.filter(line => Math.abs(evaluate(line, bestP) - value) < 1e-7);
+    const colStrategy = Array(cols).fill(0);
+
+    const flat = active.find(line => Math.abs(line.slope) < EPSILON);
+    const rising = active.find(line => line.slope > EPSILON);
+    const falling = active.find(line => line.slope < -EPSILON);
+
+    const isInterior = bestP > EPSILON && bestP < 1 - EPSILON;
+
+    let activeCols;
+    if (flat || !isInterior || !rising || !falling) {
+        // B responde con una estrategia pura (punto de silla)
+        const pure = flat || (bestP >= 1 - EPSILON ? rising : falling) || active[0];
+        colStrategy[pure.col] = 1;
+        activeCols = [pure.col];
+    } else {
+        // B mezcla una recta creciente y una decreciente para dejar indiferente a A
+        const sub = [
+            [payoffA[0][rising.col], payoffA[0][falling.col]],
+            [payoffA[1][rising.col], payoffA[1][falling.col]]
+        ];
+        const solution = solveMixed2x2(sub, sub.map(row => row.map(val => -val)));
+        colStrategy[rising.col] = solution.q;
+        colStrategy[falling.col] = 1 - solution.q;
+        activeCols = [rising.col, falling.col];
+    }
+
+    return {
+        rowStrategy: [bestP, 1 - bestP],
+        colStrategy,
+        value,
+        activeCols,
+        lines
+    };
+};
+
+/**
+ * Resuelve juegos de suma cero 2xN o Mx2 en estrategias mixtas (método gráfico)
+ * Para bimatrices 2x2 aplica el principio de indiferencia
+ */
+export const solveMixedStrategy = (matrix, options = {}) => {
+    const { rows, cols, payoffA, payoffB, isZeroSum } = normalizeGame(matrix);
+    const {
+        labelsA = strategyLabels(rows, 'A'),
+        labelsB = strategyLabels(cols, 'B')
+    } = options;
+    const steps = [];
+
+    if (!isZeroSum) {
+        if (rows !== 2 || cols !== 2) {
+            throw new Error('Las estrategias mixtas para bimatrices solo están disponibles en juegos 2x2');
+        }
+
+        const solution = solveMixed2x2(payoffA, payoffB);
+        if (!solution) {
+            throw new Error('El juego 2x2 no tiene un equilibrio en estrategias estrictamente mixtas');
+        }
+
+        steps.push(`B indiferente: p·${payoffB[0][0]} + (1-p)·${payoffB[1][0]} = p·${payoffB[0][1]} + (1-p)·${payoffB[1][1]} → p = ${formatValue(solution.p)}`);
+        steps.push(`A indiferente: q·${payoffA[0][0]} + (1-q)·${payoffA[0][1]} = q·${payoffA[1][0]} + (1-q)·${payoffA[1][1]} → q = ${formatValue(solution.q)}`);
+        steps.push(`Pagos esperados: A = ${formatValue(solution.valueA)}, B = ${formatValue(solution.valueB)}`);
+
+        return {
+            method: 'indifference',
+            rowStrategy: [solution.p, 1 - solution.p],
+            colStrategy: [solution.q, 1 - solution.q],
+            value: solution.valueA,
+            valueB: solution.valueB,
+            lines: null,
+            steps
+        };
+    }
+
+    if (rows !== 2 && cols !== 2) {
+        throw new Error('El método gráfico requiere un juego 2xN o Mx2');
+    }
+
+    let rowStrategy;
+    let colStrategy;
+    let value;
+    let lines;
+    let activeCols;
+
+    if (rows === 2) {
+        steps.push(`Juego 2xN: A elige p = P(${labelsA[0]}) maximizando la envolvente inferior`);
+        for (let j = 0; j < cols; j++) {
+            steps.push(`E(${labelsB[j]}) = ${payoffA[0][j]}p + ${payoffA[1][j]}(1-p)`);
+        }
+
+        const solution = solveGraphical2xN(payoffA);
+        ({ rowStrategy, colStrategy, value, lines, activeCols } = solution);
+        steps.push(`Óptimo en p = ${formatValue(rowStrategy[0])} con columnas activas ${activeCols.map(j => labelsB[j]).join(', ')}`);
+    } else {
+        // Mx2: se resuelve el juego transpuesto (-Aᵀ) intercambiando los roles
+        steps.push(`Juego Mx2: B elige q = P(${labelsB[0]}) minimizando la envolvente superior`);
+        for (let i = 0; i < rows; i++) {
+            steps.push(`E(${labelsA[i]}) = ${payoffA[i][0]}q + ${payoffA[i][1]}(1-q)`);
+        }
+
+        const transposed = [
+            payoffA.map(row => -row[0]),
+            payoffA.map(row => -row[1])
+        ];
+        const solution = solveGraphical2xN(transposed);
+        colStrategy = solution.rowStrategy;
+        rowStrategy = solution.colStrategy;
+        value = -solution.value;
+        activeCols = solution.activeCols;
+        lines = solution.lines.map(line => ({
+            row: line.col,
+            intercept: -line.intercept,
+            slope: -line.slope
+        }));
+        steps.push(`Óptimo en q = ${formatValue(colStrategy[0])} con filas activas ${activeCols.map(i => labelsA[i]).join(', ')}`);
+    }
+
+    steps.push(`Estrategia de A: (${rowStrategy.map(formatValue).join(', ')})`);
+    steps.push(`Estrategia de B: (${colStrategy.map(formatValue).join(', ')})`);
+    steps.push(`Valor del juego: v = ${formatValue(value)}`);
+
+    return {
+        method: rows === 2 ? 'graphical-2xN' : 'graphical-Mx2',
+        rowStrategy,
+        colStrategy,
+        value,
+        lines,
+        steps
+    };
+};
+
+// ==================== ANÁLISIS COMPLETO ====================
+
+/**
+ * Análisis completo de un juego: dominancia, Nash, punto de silla y estrategias mixtas
+ */
+export const analyzeGame = (matrix, options = {}) => {
+    const game = normalizeGame(matrix);
+    const steps = [];
+
+    steps.push(`Juego ${game.rows}x${game.cols} ${game.isZeroSum ? 'de suma cero' : 'bimatricial'}`);
+
+    const dominance = analyzeDominance(matrix, options);
+    steps.push(...dominance.steps);
+
+    const nash = findNashEquilibria(matrix);
+    steps.push(...nash.steps);
+
+    const saddle = game.isZeroSum ? findSaddlePoints(matrix) : null;
+    if (saddle) {
+        steps.push(...saddle.steps);
+    }
+
+    // Estrategias mixtas sobre el juego reducido si no hay solución pura
+    let mixed = null;
+    const needsMixed = game.isZeroSum ? !saddle.hasSaddlePoint : nash.count === 0;
+    const reducedRows = dominance.remainingRows.length;
+    const reducedCols = dominance.remainingCols.length;
+    const canSolveMixed = game.isZeroSum
+        ? reducedRows === 2 || reducedCols === 2
+        : reducedRows === 2 && reducedCols === 2;
+
+    if (needsMixed && canSolveMixed) {
+        const reduced = solveMixedStrategy(dominance.reducedMatrix, {
+            labelsA: dominance.remainingRows.map(i => `A${i + 1}`),
+            labelsB: dominance.remainingCols.map(j => `B${j + 1}`)
+        });
+
+        // Expandir estrategias al juego original (estrategias eliminadas con probabilidad 0)
+        const rowStrategy = Array(game.rows).fill(0);
+        const colStrategy = Array(game.cols).fill(0);
+        dominance.remainingRows.forEach((i, k) => { rowStrategy[i] = reduced.rowStrategy[k]; });
+        dominance.remainingCols.forEach((j, k) => { colStrategy[j] = reduced.colStrategy[k]; });
+
+        mixed = {
+            ...reduced,
+            reducedRows: dominance.remainingRows,
+            reducedCols: dominance.remainingCols,
+            rowStrategy,
+            colStrategy
+        };
+        steps.push(...reduced.steps);
+    } else if (needsMixed) {
+        steps.push(`El juego reducido ${reducedRows}x${reducedCols} no puede resolverse por el método gráfico`);
+    }
+
+    return {
+        ...game,
+        labelsA: strategyLabels(game.rows, 'A'),
+        labelsB: strategyLabels(game.cols, 'B'),
+        dominance,
+        nash,
+        saddle,
+        mixed,
+        steps
+    };
+};
+
+// ==================== EXPORTACIONES PRINCIPALES ====================
+
+export const gameTheory = {
+    // Análisis
+    analyzeGame,
+    findNashEquilibria,
+    findSaddlePoints,
+    analyzeDominance,
+
+    // Valores de seguridad
+    maximin: calculateMaximin,
+    minimax: calculateMinimax,
+
+    // Estrategias mixtas
+    mixedStrategy: solveMixedStrategy,
+    solveMixed2x2,
+
+    // Utilidades
+    utils: {
+        validateGameMatrix,
+        normalizeGame,
+        strategyLabels
+    }
+};
+
+export default gameTheory;
@@ -1,8 +1,10 @@
 /**
  * Algoritmos de teoría de grafos
- * Matriz de caminos, Componentes conexas, Ciclo Hamiltoniano
+ * Matriz de caminos, Componentes conexas, Ciclo Hamiltoniano, Dijkstra, Flujo máximo
  */
 
+import { reportProgress } from '../workers/progress';
+
 // ==================== FUNCIONES HELPER ====================
 
 /**
@@ -132,38 +134,91 @@ export const floydWarshallPaths = (adjacencyMatrix) => {
     return result.map(row => row.map(val => val ? 1 : 0));
 };
 
-// ==================== COMPONENTES CONEXAS ====================
-
 /**
- * Encuentra componentes fuertemente conexas usando algoritmo DFS
+ * Algoritmo de Warshall paso a paso
+ * Retorna la matriz W(k) de cada iteración junto con las celdas que cambiaron
  */
-export const findConnectedComponents = (adjacencyMatrix) => {
+export const calculateWarshallIterations = (adjacencyMatrix, includeDiagonal = true) => {
     validateAdjacencyMatrix(adjacencyMatrix);
 
     const size = adjacencyMatrix.length;
-    const matrix = parseMatrixToNumbers(adjacencyMatrix);
-    const visited = Array(size).fill(false);
-    const components = [];
+    const current = parseMatrixToNumbers(adjacencyMatrix).map(row => row.map(val => val ? 1 : 0));
+    const iterations = [];
 
-    /**
-     * DFS recursivo para encontrar componente
-     */
-    const dfs = (vertex, currentComponent) => {
-        visited[vertex] = true;
-        currentComponent.push(vertex);
+    // W(0): matriz de adyacencia (más la diagonal si se consideran caminos de longitud 0)
+    const initialCells = [];
+    if (includeDiagonal) {
+        for (let i = 0; i < size; i++) {
+            if (current[i][i] === 0) {
+                current[i][i] = 1;
+                initialCells.push([i, i]);
+            }
+        }
+    }
+
+    iterations.push({
+        k: null,
+        matrix: deepCopyMatrix(current),
+        newCells: initialCells
+    });
+
+    // W(k): existe camino de i a j usando vértices intermedios en {0..k}
+    for (let k = 0; k < size; k++) {
+        const previous = deepCopyMatrix(current);
+        const newCells = [];
 
         for (let i = 0; i < size; i++) {
-            if (matrix[vertex][i] === 1 && !visited[i]) {
-                dfs(i, currentComponent);
+            for (let j = 0; j < size; j++) {
+                if (previous[i][j] === 0 && previous[i][k] === 1 && previous[k][j] === 1) {
+                    current[i][j] = 1;
+                    newCells.push([i, j]);
+                }
             }
         }
+
+        iterations.push({
+            k,
+            matrix: deepCopyMatrix(current),
+            newCells
+        });
+    }
+
+    return {
+        iterations,
+        result: current,
+        totalNewCells: iterations.reduce((sum, it) => sum + it.newCells.length, 0)
     };
+};
+
+// ==================== COMPONENTES CONEXAS ====================
+
+/**
+ * Encuentra componentes fuertemente conexas
+ * Dos vértices pertenecen a la misma componente si cada uno alcanza al otro,
+ * es decir, si P[i][j] = P[j][i] = 1 en la matriz de caminos (P ∧ Pᵀ)
+ */
+export const findConnectedComponents = (adjacencyMatrix) => {
+    validateAdjacencyMatrix(adjacencyMatrix);
+
+    const size = adjacencyMatrix.length;
+    const pathMatrix = floydWarshallPaths(adjacencyMatrix);
+    const mutualReachability = pathMatrix.map((row, i) =>
+        row.map((val, j) => (val === 1 && pathMatrix[j][i] === 1) ? 1 : 0)
+    );
 
-    // Encontrar todas las componentes
+    const assigned = Array(size).fill(false);
+    const components = [];
+
+    // Cada fila no asignada de P ∧ Pᵀ define una nueva componente
     for (let i = 0; i < size; i++) {
-        if (!visited[i]) {
+        if (!assigned[i]) {
             const component = [];
-            dfs(i, component);
+            for (let j = 0; j < size; j++) {
+                if (mutualReachability[i][j] === 1) {
+                    assigned[j] = true;
+                    component.push(j);
+                }
+            }
             components.push(component);
         }
     }
@@ -171,7 +226,9 @@ export const findConnectedComponents = (adjacencyMatrix) => {
     return {
         components,
         count: components.length,
-        componentMap: createComponentMap(components, size)
+        componentMap: createComponentMap(components, size),
+        pathMatrix,
+        mutualReachability
     };
 };
 
@@ -198,6 +255,63 @@ export const isStronglyConnected = (adjacencyMatrix) => {
     return result.count === 1;
 };
 
+/**
+ * Construye el grafo de condensación (DAG de componentes fuertemente conexas)
+ * Cada componente se contrae a un nodo y se conserva un arco Ci -> Cj
+ * si existe algún arco del grafo original entre ambas componentes
+ */
+export const calculateCondensation = (adjacencyMatrix) => {
+    const { components, componentMap } = findConnectedComponents(adjacencyMatrix);
+    const matrix = parseMatrixToNumbers(adjacencyMatrix);
+    const count = components.length;
+    const condensed = Array(count).fill().map(() => Array(count).fill(0));
+    const edges = [];
+
+    for (let u = 0; u < matrix.length; u++) {
+        for (let v = 0; v < matrix.length; v++) {
+            const from = componentMap[u];
+            const to = componentMap[v];
+
+            if (matrix[u][v] !== 0 && from !== to && condensed[from][to] === 0) {
+                condensed[from][to] = 1;
+                edges.push([from, to]);
+            }
+        }
+    }
+
+    // Nivel de cada componente: longitud del camino más largo desde una fuente
+    const inDegree = Array(count).fill(0);
+    edges.forEach(([, to]) => inDegree[to]++);
+
+    const levels = Array(count).fill(0);
+    const queue = inDegree.map((deg, i) => deg === 0 ? i : -1).filter(i => i !== -1);
+    const topologicalOrder = [];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        topologicalOrder.push(current);
+
+        for (let next = 0; next < count; next++) {
+            if (condensed[current][next] === 1) {
+                levels[next] = Math.max(levels[next], levels[current] + 1);
+                inDegree[next]--;
+                if (inDegree[next] === 0) {
+                    queue.push(next);
+                }
+            }
+        }
+    }
+
+    return {
+        components,
+        componentMap,
+        matrix: condensed,
+        edges,
+        levels,
+        topologicalOrder
+    };
+};
+
 // ==================== CICLO HAMILTONIANO ====================
 
 /**
@@ -262,45 +376,276 @@ export const calculatePathCost = (path, weightMatrix) => {
     return totalCost;
 };
 
+/**
+ * Límite de vértices para los métodos exactos (Held-Karp usa n·2^n estados)
+ */
+export const MAX_HAMILTONIAN_VERTICES = 18;
+
+/**
+ * Ciclo inicial por vecino más próximo, usado como primera cota superior
+ */
+const nearestNeighbourCycle = (weight, size, start) => {
+    const path = [start];
+    const visited = Array(size).fill(false);
+    visited[start] = true;
+    let cost = 0;
+    let current = start;
+
+    for (let count = 1; count < size; count++) {
+        let next = null;
+        for (let v = 0; v < size; v++) {
+            if (!visited[v] && weight(current, v) &&
+                (next === null || weight(current, v) < weight(current, next))) {
+                next = v;
+            }
+        }
+
+        if (next === null) return null;
+
+        cost += weight(current, next);
+        visited[next] = true;
+        path.push(next);
+        current = next;
+    }
+
+    if (!weight(current, start)) return null;
+
+    return { path: [...path, start], cost: cost + weight(current, start) };
+};
+
+/**
+ * Ramificación y acotación en profundidad
+ * Cota inferior: costo acumulado + arista mínima de salida del vértice actual
+ * y de cada vértice sin visitar (todos deben abandonarse exactamente una vez)
+ */
+const branchAndBoundCycle = (weight, size, start) => {
+    const neighbours = Array.from({ length: size }, (_, u) =>
+        Array.from({ length: size }, (_, v) => v)
+            .filter(v => v !== u && weight(u, v))
+            .sort((a, b) => weight(u, a) - weight(u, b))
+    );
+    const minOut = neighbours.map((list, u) => (list.length > 0 ? weight(u, list[0]) : Infinity));
+
+    const initial = nearestNeighbourCycle(weight, size, start);
+    let bestCost = initial ? initial.cost : Infinity;
+    let bestPath = initial ? initial.path : null;
+    let explored = 0;
+    let pruned = 0;
+
+    const path = [start];
+    const visited = Array(size).fill(false);
+    visited[start] = true;
+
+    // Progreso según las ramas de los dos primeros niveles ya recorridas
+    let topBranch = 0;
+    const reportBranch = (index, count) => {
+        reportProgress((topBranch + (index + 1) / count) / neighbours[start].length);
+    };
+
+    const search = (current, cost, remainingBound) => {
+        explored++;
+
+        if (path.length === size) {
+            const closing = weight(current, start);
+            if (closing && cost + closing < bestCost) {
+                bestCost = cost + closing;
+                bestPath = [...path, start];
+            }
+            return;
+        }
+
+        const candidates = neighbours[current];
+        for (let i = 0; i < candidates.length; i++) {
+            const next = candidates[i];
+            if (path.length === 1) topBranch = i;
+
+            if (!visited[next]) {
+                const nextCost = cost + weight(current, next);
+                const nextBound = remainingBound - minOut[next];
+
+                if (nextCost + minOut[next] + nextBound >= bestCost) {
+                    pruned++;
+                } else {
+                    visited[next] = true;
+                    path.push(next);
+                    search(next, nextCost, nextBound);
+                    path.pop();
+                    visited[next] = false;
+                }
+            }
+
+            if (path.length === 2) reportBranch(i, candidates.length);
+        }
+    };
+
+    const totalBound = minOut.reduce((sum, value, v) => (v === start ? sum : sum + value), 0);
+    if (minOut.every(value => value < Infinity)) {
+        search(start, 0, totalBound);
+    }
+
+    return {
+        path: bestPath,
+        cost: bestCost,
+        explored,
+        pruned,
+        initialCost: initial ? initial.cost : null
+    };
+};
+
+/**
+ * Programación dinámica de Held-Karp
+ * dp[S][v] = costo mínimo de un camino que sale del inicio, recorre S y termina en v
+ */
+const heldKarpCycle = (weight, size, start) => {
+    const full = (1 << size) - 1;
+    const states = (1 << size) * size;
+    const dp = new Float64Array(states).fill(Infinity);
+    const parent = new Int8Array(states).fill(-1);
+    let explored = 0;
+
+    dp[(1 << start) * size + start] = 0;
+
+    for (let mask = 0; mask <= full; mask++) {
+        if ((mask & 0xfff) === 0) reportProgress(mask / full);
+        if (!(mask & (1 << start))) continue;
+
+        for (let last = 0; last < size; last++) {
+            const current = dp[mask * size + last];
+            if (current === Infinity) continue;
+
+            for (let next = 0; next < size; next++) {
+                if (mask & (1 << next)) continue;
+
+                const w = weight(last, next);
+                if (!w) continue;
+
+                explored++;
+                const index = (mask | (1 << next)) * size + next;
+                if (current + w < dp[index]) {
+                    dp[index] = current + w;
+                    parent[index] = last;
+                }
+            }
+        }
+    }
+
+    // Cerrar el ciclo volviendo al vértice inicial
+    let bestCost = Infinity;
+    let bestLast = -1;
+    for (let last = 0; last < size; last++) {
+        const w = weight(last, start);
+        if (last === start || !w) continue;
+
+        const cost = dp[full * size + last] + w;
+        if (cost < bestCost) {
+            bestCost = cost;
+            bestLast = last;
+        }
+    }
+
+    if (bestLast === -1) {
+        return { path: null, cost: Infinity, explored, states };
+    }
+
+    const path = [start];
+    let mask = full;
+    let vertex = bestLast;
+    while (vertex !== start) {
+        path.unshift(vertex);
+        const previous = parent[mask * size + vertex];
+        mask &= ~(1 << vertex);
+        vertex = previous;
+    }
+    path.unshift(start);
+
+    return { path, cost: bestCost, explored, states };
+};
+
+/**
+ * Número de ciclos que revisaría la fuerza bruta: (n - 1)!
+ */
+const bruteForceCycles = (size) => {
+    let total = 1;
+    for (let i = 2; i < size; i++) total *= i;
+    return total;
+};
+
 /**
  * Encuentra el ciclo hamiltoniano de menor costo
+ * Métodos: 'branchAndBound' (ramificación y acotación) o 'heldKarp' (programación dinámica)
  */
-export const findMinimumHamiltonianCycle = (weightMatrix) => {
+export const findMinimumHamiltonianCycle = (weightMatrix, options = {}) => {
+    const { method = 'branchAndBound', directed = true, start = 0 } = options;
+
     validateAdjacencyMatrix(weightMatrix);
 
     const size = weightMatrix.length;
     if (size < 3) {
         throw new Error('Se necesitan al menos 3 vértices para un ciclo hamiltoniano');
     }
+    if (size > MAX_HAMILTONIAN_VERTICES) {
+        throw new Error(`El cálculo exacto admite hasta ${MAX_HAMILTONIAN_VERTICES} vértices`);
+    }
+    if (!Number.isInteger(start) || start < 0 || start >= size) {
+        throw new Error(`Vértice inicial inválido: ${start}`);
+    }
 
     const matrix = parseMatrixToNumbers(weightMatrix);
-    const allPaths = generateHamiltonianPaths(size);
+    if (matrix.some(row => row.some(val => val < 0))) {
+        throw new Error('Los pesos del ciclo hamiltoniano deben ser positivos');
+    }
 
-    let minCost = Infinity;
-    let bestPath = null;
-    let bestPathEdges = [];
+    // En grafos no dirigidos basta con un peso en cualquiera de los dos sentidos
+    const weight = (from, to) => {
+        if (directed) return matrix[from][to];
+        return matrix[from][to] || matrix[to][from];
+    };
 
-    for (const path of allPaths) {
-        const cost = calculatePathCost(path, matrix);
+    const steps = [];
+    let solution;
+
+    if (method === 'heldKarp') {
+        solution = heldKarpCycle(weight, size, start);
+        steps.push(`Held-Karp: dp[S][v] para ${solution.states.toLocaleString()} estados (subconjunto S, último vértice v)`);
+        steps.push(`Se extendieron ${solution.explored.toLocaleString()} caminos parciales`);
+    } else if (method === 'branchAndBound') {
+        solution = branchAndBoundCycle(weight, size, start);
+        steps.push(solution.initialCost !== null
+            ? `Cota inicial por vecino más próximo: ${solution.initialCost}`
+            : 'El vecino más próximo no cierra un ciclo: cota inicial ∞');
+        steps.push('Cota inferior: costo acumulado + arista mínima de salida de cada vértice pendiente');
+        steps.push(`Se exploraron ${solution.explored.toLocaleString()} caminos parciales y se podaron ${solution.pruned.toLocaleString()} ramas`);
+    } else {
+        throw new Error(`Método no válido: ${method}`);
+    }
 
-        if (cost < minCost && cost !== 999999) {
-            minCost = cost;
-            bestPath = path;
+    steps.push(`La fuerza bruta revisaría (${size} - 1)! = ${bruteForceCycles(size).toLocaleString()} ciclos`);
 
-            // Generar lista de aristas del mejor camino
-            bestPathEdges = [];
-            for (let i = 0; i < path.length - 1; i++) {
-                bestPathEdges.push([path[i], path[i + 1]]);
-            }
+    const isValid = solution.path !== null && solution.cost < Infinity;
+    const path = isValid ? solution.path : null;
+    const edges = [];
+    if (path) {
+        for (let i = 0; i < path.length - 1; i++) {
+            edges.push([path[i], path[i + 1]]);
         }
     }
 
+    steps.push(isValid
+        ? `Ciclo óptimo: ${formatRouteString(path)} con costo ${solution.cost}`
+        : 'El grafo no tiene ciclo hamiltoniano');
+
     return {
-        path: bestPath,
-        cost: minCost === Infinity ? null : minCost,
-        edges: bestPathEdges,
-        isValid: minCost !== Infinity,
-        pathString: bestPath ? formatPathString(bestPath, bestPathEdges) : null
+        path,
+        cost: isValid ? solution.cost : null,
+        edges,
+        isValid,
+        pathString: path ? formatPathString(path, edges) : null,
+        routeString: path ? formatRouteString(path) : null,
+        method,
+        directed,
+        explored: solution.explored,
+        pruned: solution.pruned ?? null,
+        steps
     };
 };
 
@@ -311,12 +656,18 @@ const formatPathString = (path, edges) => {
     return edges.map(([from, to]) => `[${from};${to}]`).join('');
 };
 
+/**
+ * Formatea el recorrido con vértices numerados desde 1: 1 → 3 → 2 → 1
+ */
+const formatRouteString = (path) => path.map(v => v + 1).join(' → ');
+
 /**
  * Verifica si una arista pertenece al camino óptimo
+ * En grafos dirigidos solo cuenta el sentido recorrido por el ciclo
  */
-export const isEdgeInOptimalPath = (vertex1, vertex2, optimalEdges) => {
+export const isEdgeInOptimalPath = (vertex1, vertex2, optimalEdges, directed = false) => {
     return optimalEdges.some(([from, to]) =>
-        (from === vertex1 && to === vertex2) || (from === vertex2 && to === vertex1)
+        (from === vertex1 && to === vertex2) || (!directed && from === vertex2 && to === vertex1)
     );
 };
 
@@ -362,6 +713,298 @@ export const floydWarshallDistances = (weightMatrix) => {
     );
 };
 
+// ==================== CAMINO MÁS CORTO (DIJKSTRA) ====================
+
+/**
+ * Algoritmo de Dijkstra con tabla de etiquetas paso a paso
+ * Cada etiqueta tiene la forma [distancia, predecesor]; en cada iteración el
+ * vértice recién fijado actualiza las etiquetas temporales de sus vecinos y
+ * la etiqueta temporal mínima pasa a ser permanente
+ */
+export const dijkstra = (weightMatrix, source = 0, options = {}) => {
+    const { directed = true } = options;
+
+    validateAdjacencyMatrix(weightMatrix);
+
+    const size = weightMatrix.length;
+    if (!Number.isInteger(source) || source < 0 || source >= size) {
+        throw new Error(`Vértice origen inválido: ${source}`);
+    }
+
+    const matrix = parseMatrixToNumbers(weightMatrix);
+    if (matrix.some(row => row.some(val => val < 0))) {
+        throw new Error('Dijkstra no admite pesos negativos');
+    }
+
+    // En grafos no dirigidos basta con un peso en cualquiera de los dos sentidos
+    const weight = (from, to) => {
+        if (directed) return matrix[from][to];
+        return matrix[from][to] || matrix[to][from];
+    };
+
+    const distances = Array(size).fill(Infinity);
+    const predecessors = Array(size).fill(null);
+    const permanent = Array(size).fill(false);
+    const iterations = [];
+    const steps = [];
+
+    distances[source] = 0;
+    let current = source;
+
+    while (current !== null) {
+        permanent[current] = true;
+        const updated = [];
+
+        // Actualizar etiquetas temporales de los vecinos del vértice fijado
+        for (let v = 0; v < size; v++) {
+            const w = weight(current, v);
+            if (v === current || permanent[v] || w === 0) continue;
+
+            const candidate = distances[current] + w;
+            if (candidate < distances[v]) {
+                distances[v] = candidate;
+                predecessors[v] = current;
+                updated.push(v);
+            }
+        }
+
+        iterations.push({
+            iteration: iterations.length,
+            selected: current,
+            updated,
+            labels: distances.map((distance, v) => ({
+                distance,
+                predecessor: predecessors[v],
+                permanent: permanent[v],
+                updated: updated.includes(v)
+            }))
+        });
+
+        const from = current + 1;
+        steps.push(updated.length > 0
+            ? `Desde ${from} (d = ${distances[current]}) se actualizan: ${updated.map(v => `${v + 1} → [${distances[v]}, ${from}]`).join(', ')}`
+            : `Desde ${current + 1} (d = ${distances[current]}) no se actualiza ninguna etiqueta`);
+
+        // Elegir la etiqueta temporal mínima
+        let next = null;
+        for (let v = 0; v < size; v++) {
+            if (!permanent[v] && distances[v] < Infinity &&
+                (next === null || distances[v] < distances[next])) {
+                next = v;
+            }
+        }
+
+        if (next !== null) {
+            steps.push(`Etiqueta temporal mínima: ${next + 1} [${distances[next]}, ${predecessors[next] + 1}] pasa a ser permanente`);
+        }
+
+        current = next;
+    }
+
+    const paths = distances.map((distance, target) => reconstructPath(predecessors, source, target, distance));
+    const unreachable = distances
+        .map((distance, v) => distance === Infinity ? v : null)
+        .filter(v => v !== null);
+
+    if (unreachable.length > 0) {
+        steps.push(`Vértices inalcanzables desde ${source + 1}: ${unreachable.map(v => v + 1).join(', ')}`);
+    }
+
+    return {
+        source,
+        directed,
+        distances,
+        predecessors,
+        paths,
+        iterations,
+        steps,
+        unreachable
+    };
+};
+
+/**
+ * Reconstruye el camino origen -> destino siguiendo los predecesores
+ */
+const reconstructPath = (predecessors, source, target, distance) => {
+    if (distance === Infinity) {
+        return { path: [], edges: [], distance, pathString: 'Sin camino' };
+    }
+
+    const path = [target];
+    let vertex = target;
+
+    while (vertex !== source) {
+        vertex = predecessors[vertex];
+        path.unshift(vertex);
+    }
+
+    const edges = [];
+    for (let i = 0; i < path.length - 1; i++) {
+        edges.push([path[i], path[i + 1]]);
+    }
+
+    return {
+        path,
+        edges,
+        distance,
+        pathString: path.map(v => v + 1).join(' → ')
+    };
+};
+
+// ==================== FLUJO MÁXIMO (FORD-FULKERSON) ====================
+
+/**
+ * Busca un camino de aumento en la red residual mediante BFS
+ * Usar el camino más corto en número de arcos es la variante de Edmonds-Karp
+ */
+const findAugmentingPath = (residual, source, sink) => {
+    const size = residual.length;
+    const parent = Array(size).fill(null);
+    const visited = Array(size).fill(false);
+    const queue = [source];
+    visited[source] = true;
+
+    while (queue.length > 0) {
+        const u = queue.shift();
+
+        for (let v = 0; v < size; v++) {
+            if (!visited[v] && residual[u][v] > 0) {
+                visited[v] = true;
+                parent[v] = u;
+                queue.push(v);
+            }
+        }
+    }
+
+    if (!visited[sink]) {
+        return { path: null, visited };
+    }
+
+    const path = [sink];
+    let vertex = sink;
+    while (vertex !== source) {
+        vertex = parent[vertex];
+        path.unshift(vertex);
+    }
+
+    return { path, visited };
+};
+
+/**
+ * Flujo máximo de una red por Ford-Fulkerson (Edmonds-Karp)
+ * Registra cada camino de aumento con su cuello de botella, la red residual
+ * y el flujo después de cada paso, y el corte mínimo final
+ */
+export const maxFlow = (capacityMatrix, source = 0, sink = capacityMatrix.length - 1) => {
+    validateAdjacencyMatrix(capacityMatrix);
+
+    const size = capacityMatrix.length;
+    if (!Number.isInteger(source) || source < 0 || source >= size ||
+        !Number.isInteger(sink) || sink < 0 || sink >= size) {
+        throw new Error('Fuente o sumidero fuera de rango');
+    }
+    if (source === sink) {
+        throw new Error('La fuente y el sumidero deben ser vértices distintos');
+    }
+
+    const capacity = parseMatrixToNumbers(capacityMatrix);
+    if (capacity.some(row => row.some(val => val < 0))) {
+        throw new Error('Las capacidades no pueden ser negativas');
+    }
+
+    const residual = deepCopyMatrix(capacity);
+    const flow = Array(size).fill().map(() => Array(size).fill(0));
+    const augmentations = [];
+    const steps = [];
+    let totalFlow = 0;
+    let search = findAugmentingPath(residual, source, sink);
+
+    while (search.path) {
+        const { path } = search;
+        const residualValues = [];
+        let usesReverseEdge = false;
+
+        for (let i = 0; i < path.length - 1; i++) {
+            residualValues.push(residual[path[i]][path[i + 1]]);
+        }
+        const bottleneck = Math.min(...residualValues);
+
+        for (let i = 0; i < path.length - 1; i++) {
+            const u = path[i];
+            const v = path[i + 1];
+
+            residual[u][v] -= bottleneck;
+            residual[v][u] += bottleneck;
+
+            // Un arco residual inverso cancela flujo ya enviado en sentido contrario
+            const cancelled = Math.min(flow[v][u], bottleneck);
+            if (cancelled > 0) usesReverseEdge = true;
+            flow[v][u] -= cancelled;
+            flow[u][v] += bottleneck - cancelled;
+        }
+
+        totalFlow += bottleneck;
+
+        augmentations.push({
+            iteration: augmentations.length + 1,
+            path,
+            edges: path.slice(0, -1).map((u, i) => [u, path[i + 1]]),
+            residualValues,
+            bottleneck,
+            usesReverseEdge,
+            totalFlow,
+            flow: deepCopyMatrix(flow),
+            residual: deepCopyMatrix(residual)
+        });
+
+        steps.push(
+            `Camino ${augmentations.length}: ${path.map(v => v + 1).join(' → ')}, ` +
+            `cuello de botella = min(${residualValues.join(', ')}) = ${bottleneck}, flujo acumulado = ${totalFlow}`
+        );
+
+        search = findAugmentingPath(residual, source, sink);
+    }
+
+    // Corte mínimo: vértices alcanzables desde la fuente en la red residual final
+    const sourceSide = [];
+    const sinkSide = [];
+    search.visited.forEach((reachable, v) => (reachable ? sourceSide : sinkSide).push(v));
+
+    const cutEdges = [];
+    sourceSide.forEach(u => {
+        sinkSide.forEach(v => {
+            if (capacity[u][v] > 0) {
+                cutEdges.push({ from: u, to: v, capacity: capacity[u][v] });
+            }
+        });
+    });
+    const cutCapacity = cutEdges.reduce((sum, edge) => sum + edge.capacity, 0);
+
+    steps.push(augmentations.length > 0
+        ? `No quedan caminos de aumento: flujo máximo = ${totalFlow}`
+        : `No existe camino de ${source + 1} a ${sink + 1}: flujo máximo = 0`);
+    steps.push(
+        `Corte mínimo S = {${sourceSide.map(v => v + 1).join(', ')}}, T = {${sinkSide.map(v => v + 1).join(', ')}}, ` +
+        `capacidad = ${cutEdges.map(edge => edge.capacity).join(' + ') || '0'} = ${cutCapacity}`
+    );
+
+    return {
+        source,
+        sink,
+        maxFlow: totalFlow,
+        augmentations,
+        flowMatrix: flow,
+        residualMatrix: residual,
+        minCut: {
+            sourceSide,
+            sinkSide,
+            edges: cutEdges,
+            capacity: cutCapacity
+        },
+        steps
+    };
+};
+
 // ==================== UTILIDADES DE GRAFOS ====================
 
 /**
@@ -433,11 +1076,19 @@ export const graphTheory = {
     // Matriz de caminos
     pathMatrix: calculatePathMatrix,
     floydWarshallPaths,
+    warshallIterations: calculateWarshallIterations,
     floydWarshallDistances,
 
+    // Camino más corto
+    dijkstra,
+
+    // Flujo máximo
+    maxFlow,
+
     // Componentes conexas
     connectedComponents: findConnectedComponents,
     isStronglyConnected,
+    condensation: calculateCondensation,
 
     // Ciclo hamiltoniano
     hamiltonianCycle: findMinimumHamiltonianCycle,
@@ -0,0 +1,97 @@
+import { findMinimumHamiltonianCycle, isEdgeInOptimalPath } from './graphTheory';
+
+/**
+ * Generador pseudoaleatorio con semilla para que los grafos sean reproducibles
+ */
+const seededRandom = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+/**
+ * Matriz de pesos aleatoria de size vértices; density es la probabilidad de cada arista
+ */
+const randomGraph = (size, random, { directed = true, density = 1 } = {}) => {
+    const matrix = Array.from({ length: size }, () => Array(size).fill(0));
+    for (let i = 0; i < size; i++) {
+        for (let j = directed ? 0 : i + 1; j < size; j++) {
+            if (i === j || random() >= density) continue;
+            const weight = 1 + Math.floor(random() * 50);
+            matrix[i][j] = weight;
+            if (!directed) matrix[j][i] = weight;
+        }
+    }
+    return matrix;
+};
+
+const cycleCost = (matrix, path) => path.slice(1).reduce((sum, to, i) => sum + matrix[path[i]][to], 0);
+
+describe('findMinimumHamiltonianCycle', () => {
+    test('Held-Karp y ramificación y acotación dan el mismo costo en grafos de 10 a 15 vértices', () => {
+        const random = seededRandom(2024);
+
+        for (let size = 10; size <= 15; size++) {
+            [{ directed: true, density: 1 }, { directed: false, density: 0.6 }].forEach(options => {
+                const matrix = randomGraph(size, random, options);
+                const heldKarp = findMinimumHamiltonianCycle(matrix, { method: 'heldKarp', directed: options.directed });
+                const branchAndBound = findMinimumHamiltonianCycle(matrix, { method: 'branchAndBound', directed: options.directed });
+
+                expect(branchAndBound.isValid).toBe(heldKarp.isValid);
+                expect(branchAndBound.cost).toBe(heldKarp.cost);
+
+                [heldKarp, branchAndBound]
+                    .filter(result => result.isValid)
+                    .forEach(({ path, cost }) => {
+                        expect(path).toHaveLength(size + 1);
+                        expect(new Set(path).size).toBe(size);
+                        expect(path[0]).toBe(path[size]);
+                        expect(cycleCost(matrix, path)).toBe(cost);
+                    });
+            });
+        }
+    });
+
+    test('informa que no hay ciclo cuando un vértice tiene una sola arista', () => {
+        // El vértice 4 solo se conecta con el 1
+        const matrix = [
+            [0, 2, 3, 1],
+            [2, 0, 4, 0],
+            [3, 4, 0, 0],
+            [1, 0, 0, 0]
+        ];
+
+        ['heldKarp', 'branchAndBound'].forEach(method => {
+            const result = findMinimumHamiltonianCycle(matrix, { method, directed: false });
+            expect(result.isValid).toBe(false);
+            expect(result.path).toBeNull();
+            expect(result.cost).toBeNull();
+            expect(result.pathString).toBeNull();
+        });
+    });
+
+    test('conserva el formato [a;b] de pathString y agrega routeString', () => {
+        const matrix = [
+            [0, 1, 5],
+            [5, 0, 1],
+            [1, 5, 0]
+        ];
+
+        const result = findMinimumHamiltonianCycle(matrix);
+        expect(result.cost).toBe(3);
+        expect(result.pathString).toBe('[0;1][1;2][2;0]');
+        expect(result.routeString).toBe('1 → 2 → 3 → 1');
+    });
+});
+
+describe('isEdgeInOptimalPath', () => {
+    const edges = [[0, 1], [1, 2], [2, 0]];
+
+    test('sin indicar dirección acepta ambos sentidos', () => {
+        expect(isEdgeInOptimalPath(1, 0, edges)).toBe(true);
+    });
+
+    test('en grafos dirigidos solo acepta el sentido recorrido', () => {
+        expect(isEdgeInOptimalPath(0, 1, edges, true)).toBe(true);
+        expect(isEdgeInOptimalPath(1, 0, edges, true)).toBe(false);
+    });
+});
@@ -1,12 +1,15 @@
 /**
  * Algoritmos de análisis y transformación de histogramas
- * Expansión, ecualización, estadísticas y visualización
+ * Expansión, ecualización, especificación, estadísticas y visualización
  */
 
 // ==================== CONSTANTES ====================
 
 export const DEFAULT_BINS = 8;
 export const DEFAULT_RANGE = { min: 0, max: 7 };
+export const IMAGE_LEVELS = 256;
+export const MAX_LEVELS = IMAGE_LEVELS;
+export const LEVEL_OPTIONS = [4, 8, 16, 32, 64, 128, 256];
 export const CANVAS_CONFIG = {
     width: 600,
     height: 300,
@@ -33,6 +36,22 @@ export const validateHistogram = (histogram) => {
     return true;
 };
 
+/**
+ * Valida la cantidad de niveles L de un histograma
+ */
+export const validateLevels = (levels) => {
+    if (!Number.isInteger(levels) || levels < 2 || levels > MAX_LEVELS) {
+        throw new Error(`Niveles inválidos: L debe ser un entero entre 2 y ${MAX_LEVELS}`);
+    }
+
+    return true;
+};
+
+/**
+ * Rango de niveles [0, L-1] de un histograma de L niveles
+ */
+export const levelRange = (levels = DEFAULT_BINS) => ({ min: 0, max: levels - 1 });
+
 /**
  * Valida rango de valores
  */
@@ -100,9 +119,12 @@ export const calculateHistogramStats = (histogram) => {
 // ==================== CONSTRUCCIÓN DE HISTOGRAMAS ====================
 
 /**
- * Crea histograma a partir de datos
+ * Crea histograma de L = bins niveles a partir de datos
+ * Por defecto los datos son niveles enteros en [0, bins-1]
  */
-export const createHistogram = (data, bins = DEFAULT_BINS, range = DEFAULT_RANGE) => {
+export const createHistogram = (data, bins = DEFAULT_BINS, range = levelRange(bins)) => {
+    validateLevels(bins);
+
     if (!Array.isArray(data) || data.length === 0) {
         return Array(bins).fill(0);
     }
@@ -137,8 +159,9 @@ export const createHistogramFromInputs = (inputs) => {
 
 /**
  * Expande histograma linealmente a nuevo rango
+ * Por defecto el rango destino termina en el último nivel (L-1) del histograma
  */
-export const expandHistogram = (histogram, targetMin = 1, targetMax = 7) => {
+export const expandHistogram = (histogram, targetMin = 1, targetMax = histogram.length - 1) => {
     validateHistogram(histogram);
     validateRange(targetMin, targetMax);
 
@@ -195,7 +218,7 @@ export const expandHistogram = (histogram, targetMin = 1, targetMax = 7) => {
 /**
  * Expande histograma con interpolación
  */
-export const expandHistogramInterpolated = (histogram, targetMin = 1, targetMax = 7) => {
+export const expandHistogramInterpolated = (histogram, targetMin = 1, targetMax = histogram.length - 1) => {
     validateHistogram(histogram);
     validateRange(targetMin, targetMax);
 
@@ -224,6 +247,32 @@ export const expandHistogramInterpolated = (histogram, targetMin = 1, targetMax
     return result;
 };
 
+/**
+ * Tabla de consulta de la expansión lineal: nivel original -> nivel expandido
+ * Permite aplicar la expansión a los píxeles de una imagen
+ */
+export const expansionLookupTable = (histogram, targetMin = 0, targetMax = histogram.length - 1) => {
+    validateHistogram(histogram);
+    validateRange(targetMin, targetMax);
+
+    const firstNonZero = histogram.findIndex(val => val > 0);
+    let lastNonZero = histogram.length - 1;
+    while (lastNonZero > 0 && histogram[lastNonZero] === 0) lastNonZero--;
+
+    // Sin datos o un único nivel ocupado: no hay rango que expandir
+    if (firstNonZero === -1 || firstNonZero === lastNonZero) {
+        return histogram.map((_, level) => Math.min(targetMax, Math.max(targetMin, level)));
+    }
+
+    const sourceRange = lastNonZero - firstNonZero;
+    const targetRange = targetMax - targetMin;
+
+    return histogram.map((_, level) => {
+        const clamped = Math.min(lastNonZero, Math.max(firstNonZero, level));
+        return targetMin + Math.round(((clamped - firstNonZero) / sourceRange) * targetRange);
+    });
+};
+
 // ==================== ECUALIZACIÓN DE HISTOGRAMAS ====================
 
 /**
@@ -245,27 +294,37 @@ export const calculateCDF = (histogram) => {
 
 /**
  * Ecualiza histograma para mejorar contraste
+ * levels indica los L niveles de salida (por defecto, los mismos del histograma)
  */
-export const equalizeHistogram = (histogram) => {
+export const equalizeHistogram = (histogram, levels = histogram.length) => {
     validateHistogram(histogram);
+    validateLevels(levels);
 
     const totalPixels = histogram.reduce((sum, count) => sum + count, 0);
+    // Histograma vacío: tabla identidad con la misma forma de resultado que el caso general
     if (totalPixels === 0) {
-        return [...histogram];
+        const identity = histogram.map((_, level) => Math.min(level, levels - 1));
+        return {
+            histogram: Array(levels).fill(0),
+            levels,
+            cdf: calculateCDF(histogram),
+            lookupTable: identity,
+            transformation: identity.map((newVal, oldVal) => ({ oldVal, newVal }))
+        };
     }
 
-    const levels = histogram.length;
     const cdf = calculateCDF(histogram);
 
-    // Crear función de mapeo
+    // Crear función de mapeo (si todo está en el primer nivel no hay nada que redistribuir)
+    const spread = totalPixels - cdf[0];
     const lookupTable = cdf.map(value =>
-        Math.round(((value - cdf[0]) / (totalPixels - cdf[0])) * (levels - 1))
+        spread > 0 ? Math.round(((value - cdf[0]) / spread) * (levels - 1)) : 0
     );
 
     // Aplicar transformación
     const equalized = Array(levels).fill(0);
 
-    for (let i = 0; i < levels; i++) {
+    for (let i = 0; i < histogram.length; i++) {
         if (histogram[i] > 0) {
             const newLevel = lookupTable[i];
             if (newLevel >= 0 && newLevel < levels) {
@@ -276,6 +335,7 @@ export const equalizeHistogram = (histogram) => {
 
     return {
         histogram: equalized,
+        levels,
         cdf: cdf,
         lookupTable: lookupTable,
         transformation: lookupTable.map((newVal, oldVal) => ({ oldVal, newVal }))
@@ -283,32 +343,213 @@ export const equalizeHistogram = (histogram) => {
 };
 
 /**
- * Ecualización adaptativa por segmentos
+ * Ecualización adaptativa por segmentos: cada nivel se ecualiza dentro de su ventana
+ * de niveles vecinos y todos sus píxeles se llevan al nivel resultante
+ * (la ecualización adaptativa por bloques de una matriz es applyCLAHE en imageProcessing.js)
  */
 export const adaptiveEqualization = (histogram, windowSize = 3) => {
     validateHistogram(histogram);
 
+    // Una ventana que cubre todos los niveles es la ecualización global (misma forma de resultado)
     if (windowSize >= histogram.length) {
-        return equalizeHistogram(histogram);
+        const { histogram: equalized, lookupTable } = equalizeHistogram(histogram);
+        return { histogram: equalized, lookupTable, windowSize };
     }
 
-    const result = [...histogram];
     const halfWindow = Math.floor(windowSize / 2);
 
-    for (let i = 0; i < histogram.length; i++) {
+    const lookupTable = histogram.map((_, i) => {
         const start = Math.max(0, i - halfWindow);
         const end = Math.min(histogram.length, i + halfWindow + 1);
-
         const localHistogram = histogram.slice(start, end);
-        const localEqualized = equalizeHistogram(localHistogram);
+        const localTotal = localHistogram.reduce((sum, val) => sum + val, 0);
 
-        const localIndex = i - start;
-        if (localIndex < localEqualized.histogram.length) {
-            result[i] = localEqualized.histogram[localIndex];
+        if (localTotal === 0) {
+            return i;
         }
+
+        const localCdf = localHistogram
+            .slice(0, i - start + 1)
+            .reduce((sum, val) => sum + val, 0) / localTotal;
+
+        return start + Math.round(localCdf * (end - 1 - start));
+    });
+
+    const result = new Array(histogram.length).fill(0);
+    histogram.forEach((count, i) => {
+        result[lookupTable[i]] += count;
+    });
+
+    return { histogram: result, lookupTable, windowSize };
+};
+
+// ==================== ESPECIFICACIÓN DE HISTOGRAMAS ====================
+
+export const TARGET_DISTRIBUTIONS = {
+    uniform: { label: 'Uniforme' },
+    triangular: { label: 'Triangular' },
+    gaussian: { label: 'Gaussiana' }
+};
+
+/**
+ * Reparte total entre pesos redondeando por restos mayores (la suma se conserva)
+ */
+const distributeCounts = (weights, total) => {
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    const exact = weights.map(w => (w / weightSum) * total);
+    const counts = exact.map(Math.floor);
+    let remaining = total - counts.reduce((sum, c) => sum + c, 0);
+
+    exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .forEach(({ index }) => {
+            if (remaining > 0) {
+                counts[index]++;
+                remaining--;
+            }
+        });
+
+    return counts;
+};
+
+/**
+ * Genera un histograma objetivo de L niveles a partir de una distribución
+ * options: total (píxeles), peak (triangular), mean y stdDev (gaussiana)
+ */
+export const generateTargetHistogram = (type, levels = DEFAULT_BINS, options = {}) => {
+    validateLevels(levels);
+
+    if (!TARGET_DISTRIBUTIONS[type]) {
+        throw new Error(`Distribución objetivo no válida: ${type}`);
+    }
+
+    const center = (levels - 1) / 2;
+    const {
+        total = levels * 10,
+        peak = center,
+        mean = center,
+        stdDev = levels / 6
+    } = options;
+
+    if (!Number.isInteger(total) || total <= 0) {
+        throw new Error('El total de píxeles debe ser un entero positivo');
+    }
+    if (peak < 0 || peak > levels - 1 || mean < 0 || mean > levels - 1) {
+        throw new Error(`El pico o la media deben estar en [0; ${levels - 1}]`);
+    }
+    if (type === 'gaussian' && !(stdDev > 0)) {
+        throw new Error('La desviación estándar debe ser positiva');
+    }
+
+    const weights = Array.from({ length: levels }, (_, level) => {
+        switch (type) {
+            case 'triangular': {
+                // Triángulo con base [-1, L] para que los extremos no queden en cero
+                const span = level <= peak ? peak + 1 : levels - peak;
+                return Math.max(0, 1 - Math.abs(level - peak) / span);
+            }
+            case 'gaussian':
+                return Math.exp(-((level - mean) ** 2) / (2 * stdDev * stdDev));
+            default:
+                return 1;
+        }
+    });
+
+    // Una gaussiana muy estrecha centrada entre dos niveles se anula en todos ellos
+    if (weights.every(w => w === 0)) {
+        throw new Error(`La desviación estándar ${stdDev} es demasiado pequeña: la gaussiana no alcanza ningún nivel entero cercano a la media ${mean}`);
+    }
+
+    return distributeCounts(weights, total);
+};
+
+/**
+ * Especificación (matching) de histogramas
+ * target puede ser un histograma o una distribución { type, ...options } de TARGET_DISTRIBUTIONS.
+ * Cada nivel k del origen se lleva al nivel z del objetivo cuyo valor ecualizado
+ * v_z = round((L-1)·G(z)) es más cercano a s_k = round((L-1)·F(k)) (el menor z en caso de empate)
+ */
+export const matchHistogram = (source, target) => {
+    validateHistogram(source);
+
+    const sourceTotal = source.reduce((sum, count) => sum + count, 0);
+    if (sourceTotal === 0) {
+        throw new Error('El histograma de origen está vacío');
     }
 
-    return { histogram: result };
+    const levels = source.length;
+    const distribution = Array.isArray(target) ? null : target;
+    const targetHistogram = distribution
+        ? generateTargetHistogram(distribution.type, levels, { ...distribution, total: Math.round(sourceTotal) })
+        : target;
+
+    validateHistogram(targetHistogram);
+    if (targetHistogram.length !== levels) {
+        throw new Error(`El histograma objetivo debe tener ${levels} niveles`);
+    }
+
+    const targetTotal = targetHistogram.reduce((sum, count) => sum + count, 0);
+    if (targetTotal === 0) {
+        throw new Error('El histograma objetivo está vacío');
+    }
+
+    const sourceCDF = calculateCDF(source).map(value => value / sourceTotal);
+    const targetCDF = calculateCDF(targetHistogram).map(value => value / targetTotal);
+    const sourceEqualized = sourceCDF.map(value => Math.round(value * (levels - 1)));
+    const targetEqualized = targetCDF.map(value => Math.round(value * (levels - 1)));
+
+    const lookupTable = sourceEqualized.map(s => {
+        let best = 0;
+        for (let z = 1; z < levels; z++) {
+            if (Math.abs(targetEqualized[z] - s) < Math.abs(targetEqualized[best] - s)) best = z;
+        }
+        return best;
+    });
+
+    const histogram = Array(levels).fill(0);
+    source.forEach((count, level) => {
+        histogram[lookupTable[level]] += count;
+    });
+
+    const table = source.map((count, level) => ({
+        level,
+        count,
+        cdf: sourceCDF[level],
+        s: sourceEqualized[level],
+        targetCount: targetHistogram[level],
+        targetCdf: targetCDF[level],
+        v: targetEqualized[level],
+        mapped: lookupTable[level]
+    }));
+
+    const steps = [
+        `Origen: ${levels} niveles, ${sourceTotal} píxeles`,
+        distribution
+            ? `Objetivo: distribución ${TARGET_DISTRIBUTIONS[distribution.type].label.toLowerCase()} escalada a ${Math.round(sourceTotal)} píxeles`
+            : `Objetivo: histograma dado con ${targetTotal} píxeles`,
+        `Ecualizar el origen: s_k = round(${levels - 1} · F(k)) = [${sourceEqualized.join(', ')}]`,
+        `Ecualizar el objetivo: v_z = round(${levels - 1} · G(z)) = [${targetEqualized.join(', ')}]`,
+        'Para cada k se elige el z con v_z más cercano a s_k (el menor z si hay empate)',
+        `Tabla k → z: [${lookupTable.join(', ')}]`,
+        `Histograma resultante: [${histogram.join(', ')}]`
+    ];
+
+    return {
+        levels,
+        source,
+        target: targetHistogram,
+        distribution: distribution ? distribution.type : null,
+        sourceCDF,
+        targetCDF,
+        sourceEqualized,
+        targetEqualized,
+        lookupTable,
+        histogram,
+        table,
+        comparison: compareHistograms(histogram, targetHistogram),
+        steps
+    };
 };
 
 // ==================== TRANSFORMACIONES AVANZADAS ====================
@@ -475,16 +716,20 @@ export const compareHistograms = (hist1, hist2) => {
 
 /**
  * Prepara datos para visualización en canvas
+ * Con muchos niveles las barras se juntan y solo se rotula uno de cada labelStep niveles
  */
 export const prepareCanvasData = (histogram, config = CANVAS_CONFIG) => {
     validateHistogram(histogram);
 
-    const { width, height, margin } = config;
+    const { width, height, margin, minLabelSpacing = 24 } = config;
     const chartWidth = width - margin.left - margin.right;
     const chartHeight = height - margin.top - margin.bottom;
 
+    const levels = histogram.length;
     const maxValue = Math.max(...histogram);
-    const barWidth = chartWidth / histogram.length;
+    const barWidth = chartWidth / levels;
+    const dense = barWidth < minLabelSpacing / 2;
+    const labelStep = Math.max(1, Math.ceil(minLabelSpacing / barWidth));
 
     const bars = histogram.map((value, index) => {
         const barHeight = maxValue > 0 ? (value / maxValue) * chartHeight : 0;
@@ -492,10 +737,12 @@ export const prepareCanvasData = (histogram, config = CANVAS_CONFIG) => {
         return {
             x: margin.left + index * barWidth,
             y: margin.top + chartHeight - barHeight,
-            width: barWidth * 0.8, // Espacio entre barras
+            width: dense ? barWidth : barWidth * 0.8, // Espacio entre barras
             height: barHeight,
             value: value,
-            label: index.toString()
+            label: index.toString(),
+            showLabel: index % labelStep === 0 || index === levels - 1,
+            showValue: !dense && value > 0
         };
     });
 
@@ -506,7 +753,9 @@ export const prepareCanvasData = (histogram, config = CANVAS_CONFIG) => {
             chartWidth,
             chartHeight,
             barWidth,
-            maxValue
+            maxValue,
+            levels,
+            labelStep
         }
     };
 };
@@ -521,8 +770,11 @@ export const histograms = {
     // Transformaciones principales
     expand: expandHistogram,
     expandInterpolated: expandHistogramInterpolated,
+    expansionLookup: expansionLookupTable,
     equalize: equalizeHistogram,
     adaptiveEqualize: adaptiveEqualization,
+    match: matchHistogram,
+    targetHistogram: generateTargetHistogram,
 
     // Transformaciones avanzadas
     gamma: gammaTransform,
@@ -544,6 +796,8 @@ export const histograms = {
     utils: {
         validate: validateHistogram,
         validateRange,
+        validateLevels,
+        levelRange,
         normalize: normalizeToNumbers
     },
 
@@ -551,6 +805,10 @@ export const histograms = {
     constants: {
         DEFAULT_BINS,
         DEFAULT_RANGE,
+        IMAGE_LEVELS,
+        MAX_LEVELS,
+        LEVEL_OPTIONS,
+        TARGET_DISTRIBUTIONS,
         CANVAS_CONFIG
     }
 };
@@ -0,0 +1,325 @@
+/**
+ * Algoritmo de Huffman
+ * Construcción del árbol, tabla de códigos, codificación y decodificación
+ */
+
+// ==================== FUNCIONES AUXILIARES ====================
+
+/**
+ * Cuenta la frecuencia de cada símbolo de un texto
+ * Los símbolos se devuelven en orden de primera aparición
+ */
+export const countFrequencies = (text) => {
+    const counts = new Map();
+
+    for (const symbol of Array.from(text)) {
+        counts.set(symbol, (counts.get(symbol) || 0) + 1);
+    }
+
+    return Array.from(counts, ([symbol, frequency]) => ({ symbol, frequency }));
+};
+
+/**
+ * Normaliza la entrada de frecuencias
+ * Acepta [{symbol, frequency}] o un objeto {símbolo: frecuencia}
+ */
+const normalizeFrequencies = (frequencies) => {
+    const list = Array.isArray(frequencies)
+        ? frequencies
+        : Object.entries(frequencies).map(([symbol, frequency]) => ({ symbol, frequency }));
+
+    if (list.length === 0) {
+        throw new Error('Se necesita al menos un símbolo');
+    }
+
+    const seen = new Set();
+    list.forEach(({ symbol, frequency }) => {
+        if (symbol === undefined || symbol === null || symbol === '') {
+            throw new Error('Todos los símbolos deben tener un nombre');
+        }
+        if (seen.has(symbol)) {
+            throw new Error(`El símbolo "${symbol}" está repetido`);
+        }
+        if (typeof frequency !== 'number' || !isFinite(frequency) || frequency <= 0) {
+            throw new Error(`La frecuencia de "${symbol}" debe ser un número positivo`);
+        }
+        seen.add(symbol);
+    });
+
+    return list.map(({ symbol, frequency }) => ({ symbol: String(symbol), frequency }));
+};
+
+/**
+ * Muestra un símbolo de forma legible (espacios y saltos de línea)
+ */
+export const displaySymbol = (symbol) => {
+    if (symbol === ' ') return '␣';
+    if (symbol === '\n') return '↵';
+    if (symbol === '\t') return '⇥';
+    return symbol;
+};
+
+// ==================== CONSTRUCCIÓN DEL ÁRBOL ====================
+
+/**
+ * Construye el árbol de Huffman combinando repetidamente los dos nodos de menor peso
+ * Los empates se resuelven por orden de creación, así el árbol es determinista.
+ * El nodo de menor peso queda a la izquierda (bit 0) y el otro a la derecha (bit 1).
+ */
+export const buildHuffmanTree = (frequencies) => {
+    const symbols = normalizeFrequencies(frequencies);
+
+    const nodes = symbols.map(({ symbol, frequency }, id) => ({
+        id,
+        symbol,
+        frequency,
+        left: null,
+        right: null,
+        parent: null
+    }));
+
+    const steps = [`Hojas iniciales: ${symbols.map(s => `${displaySymbol(s.symbol)}:${s.frequency}`).join(', ')}`];
+    const merges = [];
+    let queue = nodes.map(node => node.id);
+
+    // Un único símbolo: se cuelga de una raíz para que reciba el código "0"
+    if (queue.length === 1) {
+        const root = { id: 1, symbol: null, frequency: nodes[0].frequency, left: 0, right: null, parent: null };
+        nodes[0].parent = 1;
+        nodes.push(root);
+        steps.push('Un solo símbolo: se le asigna el código 0');
+
+        return { nodes, root: 1, merges, steps };
+    }
+
+    while (queue.length > 1) {
+        queue.sort((a, b) => nodes[a].frequency - nodes[b].frequency || a - b);
+
+        const [leftId, rightId] = queue;
+        const parent = {
+            id: nodes.length,
+            symbol: null,
+            frequency: nodes[leftId].frequency + nodes[rightId].frequency,
+            left: leftId,
+            right: rightId,
+            parent: null
+        };
+
+        nodes[leftId].parent = parent.id;
+        nodes[rightId].parent = parent.id;
+        nodes.push(parent);
+        queue = [...queue.slice(2), parent.id];
+
+        merges.push({
+            step: merges.length + 1,
+            left: leftId,
+            right: rightId,
+            parent: parent.id,
+            frequency: parent.frequency,
+            queue: queue.map(id => nodes[id].frequency)
+        });
+
+        steps.push(
+            `Paso ${merges.length}: ${describeNode(nodes[leftId])} + ${describeNode(nodes[rightId])} = ${parent.frequency}`
+        );
+    }
+
+    return { nodes, root: queue[0], merges, steps };
+};
+
+/**
+ * Descripción corta de un nodo para el procedimiento
+ */
+const describeNode = (node) => (
+    node.symbol !== null ? `${displaySymbol(node.symbol)}(${node.frequency})` : `[${node.frequency}]`
+);
+
+/**
+ * Genera la tabla de códigos recorriendo el árbol desde la raíz
+ */
+export const generateCodeTable = (tree) => {
+    const { nodes, root } = tree;
+    const total = nodes
+        .filter(node => node.symbol !== null)
+        .reduce((sum, node) => sum + node.frequency, 0);
+
+    const table = [];
+    const stack = [{ id: root, code: '' }];
+
+    while (stack.length > 0) {
+        const { id, code } = stack.pop();
+        const node = nodes[id];
+
+        if (node.symbol !== null) {
+            table.push({
+                symbol: node.symbol,
+                frequency: node.frequency,
+                probability: node.frequency / total,
+                code,
+                length: code.length
+            });
+            continue;
+        }
+
+        if (node.right !== null) stack.push({ id: node.right, code: code + '1' });
+        if (node.left !== null) stack.push({ id: node.left, code: code + '0' });
+    }
+
+    return table.sort((a, b) => b.frequency - a.frequency || a.code.localeCompare(b.code));
+};
+
+// ==================== CODIFICACIÓN ====================
+
+/**
+ * Codifica un texto con la tabla de códigos
+ */
+export const huffmanEncode = (text, codeTable) => {
+    const codes = new Map(codeTable.map(entry => [entry.symbol, entry.code]));
+
+    const segments = Array.from(text).map(symbol => {
+        if (!codes.has(symbol)) {
+            throw new Error(`El símbolo "${displaySymbol(symbol)}" no está en la tabla de códigos`);
+        }
+        return { symbol, code: codes.get(symbol) };
+    });
+
+    return {
+        bitstring: segments.map(segment => segment.code).join(''),
+        segments
+    };
+};
+
+/**
+ * Decodifica una cadena de bits recorriendo el árbol
+ */
+export const huffmanDecode = (bitstring, tree) => {
+    const { nodes, root } = tree;
+    const bits = bitstring.replace(/\s+/g, '');
+
+    if (/[^01]/.test(bits)) {
+        throw new Error('La cadena codificada solo puede contener 0 y 1');
+    }
+
+    const segments = [];
+    let current = root;
+    let buffer = '';
+
+    for (const bit of bits) {
+        const node = nodes[current];
+        const next = bit === '0' ? node.left : node.right;
+
+        if (next === null) {
+            throw new Error(`Código inválido: "${buffer + bit}" no corresponde a ningún símbolo`);
+        }
+
+        buffer += bit;
+        current = next;
+
+        if (nodes[current].symbol !== null) {
+            segments.push({ symbol: nodes[current].symbol, code: buffer });
+            current = root;
+            buffer = '';
+        }
+    }
+
+    if (buffer) {
+        throw new Error(`La cadena termina con un código incompleto: "${buffer}"`);
+    }
+
+    return {
+        text: segments.map(segment => segment.symbol).join(''),
+        segments
+    };
+};
+
+/**
+ * Métricas de la codificación: longitud media, entropía y eficiencia
+ */
+const calculateStatistics = (codeTable) => {
+    const averageLength = codeTable.reduce((sum, entry) => sum + entry.probability * entry.length, 0);
+    const entropy = codeTable.reduce((sum, entry) => sum - entry.probability * Math.log2(entry.probability), 0);
+    const fixedLength = Math.max(1, Math.ceil(Math.log2(codeTable.length)));
+
+    return {
+        averageLength,
+        entropy,
+        fixedLength,
+        efficiency: averageLength > 0 ? entropy / averageLength : 1
+    };
+};
+
+// ==================== PROCESOS COMPLETOS ====================
+
+/**
+ * Huffman a partir de una tabla de frecuencias
+ */
+export const huffmanFromFrequencies = (frequencies) => {
+    const tree = buildHuffmanTree(frequencies);
+    const codeTable = generateCodeTable(tree);
+    const statistics = calculateStatistics(codeTable);
+
+    return {
+        tree,
+        codeTable,
+        statistics: {
+            ...statistics,
+            // Respecto de un código de longitud fija para el mismo alfabeto
+            fixedLengthRatio: statistics.averageLength / statistics.fixedLength
+        },
+        steps: [
+            ...tree.steps,
+            `Longitud media: L = Σ pᵢ·lᵢ = ${statistics.averageLength.toFixed(4)} bits/símbolo`,
+            `Entropía: H = ${statistics.entropy.toFixed(4)} bits/símbolo`
+        ]
+    };
+};
+
+/**
+ * Huffman a partir de un texto: frecuencias, árbol, tabla y codificación
+ */
+export const huffmanFromText = (text) => {
+    if (!text) {
+        throw new Error('El texto está vacío');
+    }
+
+    const frequencies = countFrequencies(text);
+    const result = huffmanFromFrequencies(frequencies);
+    const encoded = huffmanEncode(text, result.codeTable);
+    const symbolCount = Array.from(text).length;
+    const originalBits = symbolCount * 8;
+    const encodedBits = encoded.bitstring.length;
+
+    return {
+        ...result,
+        text,
+        frequencies,
+        encoded,
+        statistics: {
+            ...result.statistics,
+            originalBits,
+            fixedBits: symbolCount * result.statistics.fixedLength,
+            encodedBits,
+            // Respecto de la codificación original de 8 bits por carácter
+            compressionRatio: encodedBits / originalBits
+        },
+        steps: [
+            ...result.steps,
+            `Texto codificado: ${encodedBits} bits frente a ${originalBits} bits (8 bits por carácter)`
+        ]
+    };
+};
+
+// ==================== EXPORTACIONES PRINCIPALES ====================
+
+export const huffman = {
+    countFrequencies,
+    displaySymbol,
+    buildTree: buildHuffmanTree,
+    codeTable: generateCodeTable,
+    encode: huffmanEncode,
+    decode: huffmanDecode,
+    fromFrequencies: huffmanFromFrequencies,
+    fromText: huffmanFromText
+};
+
+export default huffman;
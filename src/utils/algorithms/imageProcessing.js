@@ -1,9 +1,11 @@
 /**
  * Algoritmos de procesamiento de imágenes
- * Filtros: Laplaciano, Media, Mediana
- * Histogramas: Expansión, Ecualización
+ * Filtros: Laplaciano, Media, Mediana (imágenes NxM, ventanas de 3x3 a 7x7)
+ * Histogramas: Expansión, Ecualización, CLAHE
  */
 
+import { KERNEL_SIZES } from '../constants/filterMasks';
+
 // ==================== CONSTANTES ====================
 
 // Máscaras predefinidas para filtro Laplaciano
@@ -30,9 +32,9 @@ export const validateMatrix = (matrix) => {
         throw new Error('Matriz inválida: debe ser un array no vacío');
     }
 
-    const size = matrix.length;
-    if (!matrix.every(row => Array.isArray(row) && row.length === size)) {
-        throw new Error('Matriz inválida: debe ser cuadrada');
+    const cols = matrix[0]?.length;
+    if (!cols || !matrix.every(row => Array.isArray(row) && row.length === cols)) {
+        throw new Error('Matriz inválida: todas las filas deben tener la misma longitud');
     }
 
     return true;
@@ -56,6 +58,35 @@ export const arrayToMatrix3x3 = (arr) => {
     return matrix;
 };
 
+/**
+ * Valida el tamaño de una ventana o máscara (impar entre 3 y 7)
+ */
+export const validateKernelSize = (kernelSize) => {
+    if (!KERNEL_SIZES.includes(kernelSize)) {
+        throw new Error(`Tamaño de ventana inválido: debe ser ${KERNEL_SIZES.join(', ')}`);
+    }
+
+    return true;
+};
+
+/**
+ * Convierte array plano de n² elementos a máscara nxn (n impar hasta 7)
+ */
+export const arrayToKernel = (arr) => {
+    if (!Array.isArray(arr)) {
+        throw new Error('La máscara debe ser un array');
+    }
+
+    const kernelSize = Math.round(Math.sqrt(arr.length));
+    if (kernelSize * kernelSize !== arr.length || !KERNEL_SIZES.includes(kernelSize)) {
+        throw new Error(`La máscara debe tener ${KERNEL_SIZES.map(n => n * n).join(', ')} elementos`);
+    }
+
+    return Array.from({ length: kernelSize }, (_, i) =>
+        arr.slice(i * kernelSize, (i + 1) * kernelSize).map(val => parseFloat(val) || 0)
+    );
+};
+
 /**
  * Normaliza matriz a rango [0, maxValue]
  */
@@ -73,9 +104,12 @@ export const normalizeMatrix = (matrix, maxValue = 7) => {
 };
 
 /**
- * Obtiene vecinos válidos de una posición en la matriz
+ * Obtiene vecinos válidos de una posición en la matriz (NxM; los que caen fuera se ignoran)
+ * options: kernel (máscara kernelSize x kernelSize) y detailed; con detailed, o al pasar
+ * una máscara, cada vecino es { row, col, value, weight } con su peso en la máscara
  */
-export const getNeighbors = (matrix, row, col, kernelSize = 3) => {
+export const getNeighbors = (matrix, row, col, kernelSize = 3, options = {}) => {
+    const { kernel = null, detailed = kernel !== null } = options;
     const neighbors = [];
     const offset = Math.floor(kernelSize / 2);
 
@@ -86,7 +120,10 @@ export const getNeighbors = (matrix, row, col, kernelSize = 3) => {
 
             if (newRow >= 0 && newRow < matrix.length &&
                 newCol >= 0 && newCol < matrix[0].length) {
-                neighbors.push(matrix[newRow][newCol]);
+                const value = matrix[newRow][newCol];
+                neighbors.push(detailed
+                    ? { row: newRow, col: newCol, value, weight: kernel ? kernel[i + offset][j + offset] : null }
+                    : value);
             }
         }
     }
@@ -94,130 +131,134 @@ export const getNeighbors = (matrix, row, col, kernelSize = 3) => {
     return neighbors;
 };
 
+/**
+ * Mediana de una lista de valores (promedio de los centrales si es par)
+ */
+const medianOf = (values) => {
+    const sorted = values.filter(val => !isNaN(val)).sort((a, b) => a - b);
+    if (sorted.length === 0) return { sorted, median: 0 };
+
+    const medianIndex = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0
+        ? Math.round((sorted[medianIndex - 1] + sorted[medianIndex]) / 2)
+        : sorted[medianIndex];
+
+    return { sorted, median };
+};
+
 // ==================== FILTROS ====================
 
+/**
+ * Suma ponderada de la ventana de cada píxel (convolución sin relleno en los bordes)
+ */
+const convolve = (matrix, kernel) => matrix.map((row, i) => row.map((_, j) =>
+    getNeighbors(matrix, i, j, kernel.length, { kernel })
+        .reduce((sum, term) => sum + term.value * term.weight, 0)
+));
+
 /**
  * Aplica filtro Laplaciano para detección de bordes
+ * La máscara es un array plano de 9, 25 o 49 coeficientes; la imagen puede ser NxM
  */
 export const applyLaplacianFilter = (matrix, maskArray) => {
     validateMatrix(matrix);
 
-    const size = matrix.length;
-    const mask = arrayToMatrix3x3(maskArray);
-    const result = Array(size).fill().map(() => Array(size).fill(0));
-
-    // Aplicar convolución
-    for (let i = 0; i < size; i++) {
-        for (let j = 0; j < size; j++) {
-            let sum = 0;
-
-            // Aplicar máscara 3x3
-            for (let mi = 0; mi < 3; mi++) {
-                for (let mj = 0; mj < 3; mj++) {
-                    const matrixRow = i + mi - 1;
-                    const matrixCol = j + mj - 1;
-
-                    // Solo procesar si está dentro de los límites
-                    if (matrixRow >= 0 && matrixRow < size &&
-                        matrixCol >= 0 && matrixCol < size) {
-                        sum += matrix[matrixRow][matrixCol] * mask[mi][mj];
-                    }
-                }
-            }
-
-            result[i][j] = sum;
-        }
-    }
+    const kernel = arrayToKernel(maskArray);
 
     // Normalizar resultado
-    return normalizeMatrix(result);
+    return normalizeMatrix(convolve(matrix, kernel));
 };
 
 /**
  * Aplica filtro de Media para suavizado
+ * La máscara es un array plano de 9, 25 o 49 coeficientes; la imagen puede ser NxM
  */
 export const applyMeanFilter = (matrix, maskArray) => {
     validateMatrix(matrix);
 
-    const size = matrix.length;
-    const mask = arrayToMatrix3x3(maskArray);
-    const result = Array(size).fill().map(() => Array(size).fill(0));
+    const kernel = arrayToKernel(maskArray);
 
     // Calcular suma de la máscara para normalización
-    const maskSum = mask.flat().reduce((sum, val) => sum + val, 0);
+    const maskSum = kernel.flat().reduce((sum, val) => sum + val, 0);
     if (maskSum === 0) throw new Error('La suma de la máscara no puede ser cero');
 
-    // Aplicar filtro
-    for (let i = 0; i < size; i++) {
-        for (let j = 0; j < size; j++) {
-            let sum = 0;
-
-            for (let mi = 0; mi < 3; mi++) {
-                for (let mj = 0; mj < 3; mj++) {
-                    const matrixRow = i + mi - 1;
-                    const matrixCol = j + mj - 1;
-
-                    if (matrixRow >= 0 && matrixRow < size &&
-                        matrixCol >= 0 && matrixCol < size) {
-                        sum += matrix[matrixRow][matrixCol] * mask[mi][mj];
-                    }
-                }
-            }
+    return convolve(matrix, kernel).map(row => row.map(sum => Math.round(sum / maskSum)));
+};
 
-            result[i][j] = Math.round(sum / maskSum);
-        }
-    }
+/**
+ * Aplica filtro de Mediana para reducción de ruido
+ * windowSize es el lado de la ventana (3, 5 o 7)
+ */
+export const applyMedianFilter = (matrix, windowSize = 3) => {
+    validateMatrix(matrix);
+    validateKernelSize(windowSize);
 
-    return result;
+    return matrix.map((row, i) => row.map((_, j) =>
+        medianOf(getNeighbors(matrix, i, j, windowSize)).median
+    ));
 };
 
 /**
- * Aplica filtro de Mediana para reducción de ruido
+ * Aplica un filtro registrando cómo se calculó cada píxel de salida
+ * Devuelve por celda los vecinos usados (con su peso en la máscara) y el
+ * valor intermedio antes de dividir o normalizar
  */
-export const applyMedianFilter = (matrix) => {
+export const traceFilter = (filterType, matrix, maskArray = null, windowSize = 3) => {
     validateMatrix(matrix);
 
-    const size = matrix.length;
-    const result = Array(size).fill().map(() => Array(size).fill(0));
+    if (!['laplacian', 'mean', 'median'].includes(filterType)) {
+        throw new Error(`Tipo de filtro no válido: ${filterType}`);
+    }
 
-    for (let i = 0; i < size; i++) {
-        for (let j = 0; j < size; j++) {
-            // Obtener vecinos en ventana 3x3
-            const neighbors = [];
+    const values = matrix.map(row => row.map(val => parseFloat(val) || 0));
+    const kernel = filterType === 'median' ? null : arrayToKernel(maskArray);
+    const kernelSize = kernel ? kernel.length : windowSize;
+    const maskSum = kernel ? kernel.flat().reduce((sum, val) => sum + val, 0) : null;
 
-            for (let di = -1; di <= 1; di++) {
-                for (let dj = -1; dj <= 1; dj++) {
-                    const newRow = i + di;
-                    const newCol = j + dj;
+    validateKernelSize(kernelSize);
 
-                    if (newRow >= 0 && newRow < size &&
-                        newCol >= 0 && newCol < size) {
-                        neighbors.push(matrix[newRow][newCol]);
-                    }
-                }
-            }
+    if (filterType === 'mean' && maskSum === 0) {
+        throw new Error('La suma de la máscara no puede ser cero');
+    }
 
-            // Ordenar y obtener mediana
-            neighbors.sort((a, b) => a - b);
-            const validNeighbors = neighbors.filter(val => !isNaN(val));
-
-            if (validNeighbors.length > 0) {
-                const medianIndex = Math.floor(validNeighbors.length / 2);
-
-                if (validNeighbors.length % 2 === 0) {
-                    // Par: promedio de los dos elementos centrales
-                    result[i][j] = Math.round(
-                        (validNeighbors[medianIndex - 1] + validNeighbors[medianIndex]) / 2
-                    );
-                } else {
-                    // Impar: elemento central
-                    result[i][j] = validNeighbors[medianIndex];
-                }
-            }
+    // Vecinos dentro de la ventana (los que caen fuera se ignoran)
+    const cells = values.map((row, i) => row.map((_, j) => {
+        const terms = getNeighbors(values, i, j, kernelSize, { kernel, detailed: true });
+
+        if (filterType === 'median') {
+            const { sorted, median } = medianOf(terms.map(term => term.value));
+            return { terms, sorted, value: median };
         }
+
+        const sum = terms.reduce((acc, term) => acc + term.value * term.weight, 0);
+        return {
+            terms,
+            sum,
+            value: filterType === 'mean' ? Math.round(sum / maskSum) : sum
+        };
+    }));
+
+    // El Laplaciano normaliza las sumas al rango [0, 7]
+    let normalization = null;
+    if (filterType === 'laplacian') {
+        const raw = cells.map(row => row.map(cell => cell.sum));
+        const normalized = normalizeMatrix(raw);
+        const flat = raw.flat();
+
+        normalization = { min: Math.min(...flat), max: Math.max(...flat), maxValue: 7 };
+        cells.forEach((row, i) => row.forEach((cell, j) => {
+            cell.value = normalized[i][j];
+        }));
     }
 
-    return result;
+    return {
+        filterType,
+        kernelSize,
+        result: cells.map(row => row.map(cell => cell.value)),
+        cells,
+        maskSum,
+        normalization
+    };
 };
 
 // ==================== HISTOGRAMAS ====================
@@ -312,28 +353,218 @@ export const equalizeHistogram = (histogram) => {
 
 /**
  * Aplica transformación de histograma a matriz de imagen
+ * lookupTable[nivel] indica el nuevo nivel de cada píxel (p. ej. la tabla de la ecualización);
+ * admite matrices rectangulares para procesar imágenes completas
  */
-export const applyHistogramTransform = (matrix, originalHist, transformedHist) => {
+export const applyHistogramTransform = (matrix, originalHist, lookupTable) => {
     validateMatrix(matrix);
 
-    const size = matrix.length;
-    const result = Array(size).fill().map(() => Array(size).fill(0));
+    if (!Array.isArray(lookupTable) || lookupTable.length < originalHist.length) {
+        throw new Error('Tabla de transformación inválida: debe cubrir todos los niveles del histograma');
+    }
+
+    const maxLevel = originalHist.length - 1;
+
+    return matrix.map(row => row.map(value => {
+        const level = Math.min(maxLevel, Math.max(0, Math.round(value)));
+        return lookupTable[level] ?? level;
+    }));
+};
+
+// ==================== CLAHE ====================
+
+export const DEFAULT_CLAHE_OPTIONS = {
+    levels: 8,
+    gridRows: 2,
+    gridCols: 2,
+    clipLimit: 2,
+    interpolate: true
+};
+
+/**
+ * Límites [inicio, fin) de cada bloque al dividir length posiciones en parts bloques
+ */
+const tileBounds = (length, parts) => Array.from({ length: parts }, (_, i) => ({
+    start: Math.floor((i * length) / parts),
+    end: Math.floor(((i + 1) * length) / parts)
+}));
+
+/**
+ * Recorta el histograma en limit y reparte el exceso entre todos los niveles
+ * (primero en partes iguales y el resto de a un píxel cada ⌊L / resto⌋ niveles), conservando el total
+ */
+export const clipHistogram = (histogram, limit) => {
+    const clipped = histogram.map(count => Math.min(count, limit));
+    const excess = histogram.reduce((sum, count) => sum + Math.max(0, count - limit), 0);
+    const levels = histogram.length;
+    const share = Math.floor(excess / levels);
+    const remainder = excess - share * levels;
+    const stride = remainder > 0 ? Math.max(1, Math.floor(levels / remainder)) : levels;
+
+    return {
+        histogram: clipped.map((count, level) =>
+            count + share + (level % stride === 0 && level / stride < remainder ? 1 : 0)
+        ),
+        excess
+    };
+};
 
-    // Crear lookup table
-    const lookupTable = {};
-    for (let i = 0; i < originalHist.length; i++) {
-        lookupTable[i] = transformedHist[i] || i;
+/**
+ * Índices de los dos bloques vecinos y el peso del segundo para interpolar la posición pos
+ * entre los centros de bloque; en los bordes se usa un solo bloque
+ */
+const interpolationWeights = (pos, bounds) => {
+    const centers = bounds.map(({ start, end }) => (start + end - 1) / 2);
+
+    if (pos <= centers[0]) return { first: 0, second: 0, weight: 0 };
+    if (pos >= centers[centers.length - 1]) {
+        const last = centers.length - 1;
+        return { first: last, second: last, weight: 0 };
     }
 
-    // Aplicar transformación
-    for (let i = 0; i < size; i++) {
-        for (let j = 0; j < size; j++) {
-            const originalValue = matrix[i][j];
-            result[i][j] = lookupTable[originalValue] || originalValue;
-        }
+    let first = 0;
+    while (pos > centers[first + 1]) first++;
+
+    return {
+        first,
+        second: first + 1,
+        weight: (pos - centers[first]) / (centers[first + 1] - centers[first])
+    };
+};
+
+/**
+ * Ecualización adaptativa de histograma con contraste limitado (CLAHE)
+ * La matriz (niveles enteros 0..L-1, puede ser rectangular) se divide en gridRows x gridCols bloques;
+ * cada bloque ecualiza su histograma recortado en clipLimit veces el promedio por nivel
+ * (clipLimit <= 0 desactiva el recorte) y cada píxel interpola bilinealmente las tablas
+ * de los cuatro bloques cuyos centros lo rodean
+ */
+export const applyCLAHE = (matrix, options = {}) => {
+    const { levels, gridRows, gridCols, clipLimit, interpolate } = { ...DEFAULT_CLAHE_OPTIONS, ...options };
+
+    validateMatrix(matrix);
+
+    const rows = matrix.length;
+    const cols = matrix[0].length;
+
+    if (!Number.isInteger(levels) || levels < 2) {
+        throw new Error('Niveles inválidos: L debe ser un entero mayor o igual a 2');
     }
 
-    return result;
+    if (!Number.isInteger(gridRows) || !Number.isInteger(gridCols) || gridRows < 1 || gridCols < 1) {
+        throw new Error('Grilla inválida: la cantidad de bloques debe ser un entero positivo');
+    }
+
+    if (gridRows > rows || gridCols > cols) {
+        throw new Error(`Grilla inválida: una matriz de ${rows}x${cols} admite como máximo ${rows}x${cols} bloques`);
+    }
+
+    if (typeof clipLimit !== 'number' || isNaN(clipLimit)) {
+        throw new Error('Límite de recorte inválido: debe ser un número');
+    }
+
+    const maxLevel = levels - 1;
+    const source = matrix.map(row => row.map(value => {
+        const level = Math.round(value);
+        if (isNaN(level) || level < 0 || level > maxLevel) {
+            throw new Error(`Valor inválido ${value}: los píxeles deben estar en [0; ${maxLevel}]`);
+        }
+        return level;
+    }));
+
+    const rowBounds = tileBounds(rows, gridRows);
+    const colBounds = tileBounds(cols, gridCols);
+
+    // Tabla de ecualización de cada bloque
+    const tiles = rowBounds.map((rowBound, tileRow) => colBounds.map((colBound, tileCol) => {
+        const histogram = Array(levels).fill(0);
+        for (let i = rowBound.start; i < rowBound.end; i++) {
+            for (let j = colBound.start; j < colBound.end; j++) {
+                histogram[source[i][j]]++;
+            }
+        }
+
+        const pixels = (rowBound.end - rowBound.start) * (colBound.end - colBound.start);
+        const limit = clipLimit > 0 ? Math.max(1, Math.round((clipLimit * pixels) / levels)) : null;
+        const clipped = limit === null ? { histogram: [...histogram], excess: 0 } : clipHistogram(histogram, limit);
+
+        // Misma tabla que la ecualización de histogramas: T(k) = round((cdf(k) − cdf(0)) / (N − cdf(0)) · (L − 1))
+        let cumulative = 0;
+        const cdf = clipped.histogram.map(count => (cumulative += count));
+        const spread = pixels - cdf[0];
+        const lookupTable = cdf.map(value => (spread > 0 ? Math.round(((value - cdf[0]) / spread) * maxLevel) : 0));
+
+        return {
+            row: tileRow,
+            col: tileCol,
+            bounds: {
+                rowStart: rowBound.start,
+                rowEnd: rowBound.end - 1,
+                colStart: colBound.start,
+                colEnd: colBound.end - 1
+            },
+            pixels,
+            limit,
+            histogram,
+            clipped: clipped.histogram,
+            excess: clipped.excess,
+            cdf,
+            lookupTable
+        };
+    }));
+
+    const tileOf = (pos, bounds) => bounds.findIndex(({ start, end }) => pos >= start && pos < end);
+    const rowWeights = source.map((_, i) => interpolationWeights(i, rowBounds));
+    const colWeights = source[0].map((_, j) => interpolationWeights(j, colBounds));
+
+    const result = source.map((row, i) => row.map((level, j) => {
+        if (!interpolate) {
+            return tiles[tileOf(i, rowBounds)][tileOf(j, colBounds)].lookupTable[level];
+        }
+
+        const { first: r0, second: r1, weight: wy } = rowWeights[i];
+        const { first: c0, second: c1, weight: wx } = colWeights[j];
+        const top = (1 - wx) * tiles[r0][c0].lookupTable[level] + wx * tiles[r0][c1].lookupTable[level];
+        const bottom = (1 - wx) * tiles[r1][c0].lookupTable[level] + wx * tiles[r1][c1].lookupTable[level];
+
+        return Math.round((1 - wy) * top + wy * bottom);
+    }));
+
+    const countLevels = (values) => {
+        const counts = Array(levels).fill(0);
+        values.forEach(row => row.forEach(level => counts[level]++));
+        return counts;
+    };
+
+    const flatTiles = tiles.flat();
+    const steps = [
+        `Matriz de ${rows}x${cols} con L = ${levels} niveles dividida en ${gridRows}x${gridCols} bloques`,
+        clipLimit > 0
+            ? `Límite de recorte por bloque: ${clipLimit} × píxeles / L (mínimo 1); el exceso se reparte entre los ${levels} niveles`
+            : 'Sin recorte: cada bloque se ecualiza con su histograma completo (AHE)',
+        'Tabla de cada bloque: T(k) = round((cdf(k) − cdf(0)) / (N − cdf(0)) · (L − 1)), como en la ecualización',
+        ...flatTiles.map(tile =>
+            `Bloque (${tile.row + 1},${tile.col + 1}) filas ${tile.bounds.rowStart + 1}–${tile.bounds.rowEnd + 1}, ` +
+            `columnas ${tile.bounds.colStart + 1}–${tile.bounds.colEnd + 1}: ${tile.pixels} píxeles` +
+            (tile.limit !== null ? `, límite ${tile.limit}, exceso ${tile.excess}` : '') +
+            ` → T = [${tile.lookupTable.join(', ')}]`
+        ),
+        interpolate
+            ? 'Cada píxel interpola bilinealmente T de los bloques cuyos centros lo rodean (en los bordes, del bloque más cercano)'
+            : 'Cada píxel se transforma con la tabla T de su propio bloque (sin interpolación)'
+    ];
+
+    return {
+        matrix: result,
+        levels,
+        grid: { rows: gridRows, cols: gridCols },
+        clipLimit,
+        interpolate,
+        tiles: flatTiles,
+        originalHistogram: countLevels(source),
+        histogram: countLevels(result),
+        steps
+    };
 };
 
 // ==================== EXPORTACIONES PRINCIPALES ====================
@@ -343,12 +574,14 @@ export const imageProcessing = {
     laplacian: applyLaplacianFilter,
     mean: applyMeanFilter,
     median: applyMedianFilter,
+    trace: traceFilter,
 
     // Histogramas
     calculateHistogram,
     expandHistogram,
     equalizeHistogram,
     applyHistogramTransform,
+    clahe: applyCLAHE,
 
     // Máscaras predefinidas
     masks: {
@@ -361,7 +594,10 @@ export const imageProcessing = {
         validateMatrix,
         normalizeMatrix,
         arrayToMatrix3x3,
-        getNeighbors
+        arrayToKernel,
+        validateKernelSize,
+        getNeighbors,
+        clipHistogram
     }
 };
 
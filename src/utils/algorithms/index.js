@@ -0,0 +1,48 @@
+/**
+ * Registro de algoritmos por categoría
+ * Compartido entre useAlgorithms y el worker de ejecución
+ */
+
+import { imageProcessing } from './imageProcessing';
+import { graphTheory } from './graphTheory';
+import { cryptography } from './cryptography';
+import { classicalCiphers } from './classicalCiphers';
+import { gameTheory } from './gameTheory';
+import { histograms } from './histograms';
+import { huffman } from './huffman';
+import { posets } from './posets';
+import { propositionalLogic } from './propositionalLogic';
+
+export const algorithmMap = {
+    imageProcessing,
+    graphTheory,
+    cryptography,
+    classicalCiphers,
+    gameTheory,
+    histograms,
+    huffman,
+    posets,
+    propositionalLogic
+};
+
+/**
+ * Obtiene la función de un algoritmo a partir de su ruta 'categoria.metodo'
+ * Admite grupos anidados, por ejemplo 'cryptography.rsa.encrypt'
+ */
+export const resolveAlgorithm = (algorithmPath) => {
+    const [category, ...methodPath] = algorithmPath.split('.');
+
+    const algorithmCategory = algorithmMap[category];
+    if (!algorithmCategory) {
+        throw new Error(`Categoría de algoritmo no encontrada: ${category}`);
+    }
+
+    const algorithm = methodPath.reduce((group, key) => group?.[key], algorithmCategory);
+    if (!algorithm || typeof algorithm !== 'function') {
+        throw new Error(`Algoritmo no encontrado: ${algorithmPath}`);
+    }
+
+    return algorithm;
+};
+
+export default algorithmMap;
@@ -0,0 +1,339 @@
+/**
+ * Algoritmos de conjuntos parcialmente ordenados
+ * Propiedades de la relación, relación de cobertura, elementos extremos y retículos
+ */
+
+import {
+    isSquareMatrix,
+    isReflexiveRelation,
+    isAntisymmetricRelation,
+    isTransitiveRelation
+} from '../helpers/matrixHelpers';
+
+// ==================== FUNCIONES AUXILIARES ====================
+
+/**
+ * Valida una matriz de relación y la convierte a 0/1
+ */
+const toRelationMatrix = (matrix) => {
+    if (!isSquareMatrix(matrix)) {
+        throw new Error('La matriz de relación debe ser cuadrada y no vacía');
+    }
+
+    return matrix.map(row => row.map(value => (Number(value) ? 1 : 0)));
+};
+
+/**
+ * Etiquetas por defecto: 1, 2, ..., n
+ */
+const defaultLabels = (size) => Array.from({ length: size }, (_, i) => String(i + 1));
+
+/**
+ * Calcula los divisores positivos de n en orden creciente
+ */
+export const divisorsOf = (n) => {
+    if (!Number.isInteger(n) || n < 1) {
+        throw new Error('n debe ser un entero positivo');
+    }
+
+    const small = [];
+    const large = [];
+
+    for (let d = 1; d * d <= n; d++) {
+        if (n % d === 0) {
+            small.push(d);
+            if (d !== n / d) {
+                large.unshift(n / d);
+            }
+        }
+    }
+
+    return [...small, ...large];
+};
+
+/**
+ * Relación de divisibilidad sobre D(n): a R b si a divide a b
+ */
+export const divisibilityRelation = (n) => {
+    const elements = divisorsOf(n);
+    const matrix = elements.map(a => elements.map(b => (b % a === 0 ? 1 : 0)));
+
+    return { elements, matrix };
+};
+
+// ==================== PROPIEDADES DE LA RELACIÓN ====================
+
+/**
+ * Verifica si la relación es un orden parcial y lista los contraejemplos
+ */
+export const checkPartialOrder = (matrix, labels = defaultLabels(matrix.length)) => {
+    const relation = toRelationMatrix(matrix);
+    const size = relation.length;
+
+    const isReflexive = isReflexiveRelation(relation);
+    const isAntisymmetric = isAntisymmetricRelation(relation);
+    const isTransitive = isTransitiveRelation(relation);
+
+    const violations = { reflexive: [], antisymmetric: [], transitive: [] };
+
+    if (!isReflexive) {
+        for (let i = 0; i < size; i++) {
+            if (!relation[i][i]) violations.reflexive.push(i);
+        }
+    }
+
+    if (!isAntisymmetric) {
+        for (let i = 0; i < size; i++) {
+            for (let j = i + 1; j < size; j++) {
+                if (relation[i][j] && relation[j][i]) violations.antisymmetric.push([i, j]);
+            }
+        }
+    }
+
+    if (!isTransitive) {
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                if (!relation[i][j]) continue;
+                for (let k = 0; k < size; k++) {
+                    if (relation[j][k] && !relation[i][k]) violations.transitive.push([i, j, k]);
+                }
+            }
+        }
+    }
+
+    const steps = [
+        isReflexive
+            ? 'Reflexiva: la diagonal está llena de unos'
+            : `No reflexiva: falta ${violations.reflexive.map(i => `${labels[i]}R${labels[i]}`).join(', ')}`,
+        isAntisymmetric
+            ? 'Antisimétrica: no hay pares aRb y bRa con a ≠ b'
+            : `No antisimétrica: ${violations.antisymmetric.map(([i, j]) => `${labels[i]}R${labels[j]} y ${labels[j]}R${labels[i]}`).join(', ')}`,
+        isTransitive
+            ? 'Transitiva: aRb y bRc implican aRc'
+            : `No transitiva: ${violations.transitive.slice(0, 5).map(([i, j, k]) => `${labels[i]}R${labels[j]}, ${labels[j]}R${labels[k]} pero no ${labels[i]}R${labels[k]}`).join('; ')}`
+    ];
+
+    return {
+        isReflexive,
+        isAntisymmetric,
+        isTransitive,
+        isPartialOrder: isReflexive && isAntisymmetric && isTransitive,
+        violations,
+        steps
+    };
+};
+
+// ==================== DIAGRAMA DE HASSE ====================
+
+/**
+ * Relación de cobertura: a ⋖ b si a < b y no existe c con a < c < b
+ * Son exactamente las aristas del diagrama de Hasse
+ */
+export const coveringRelation = (matrix) => {
+    const relation = toRelationMatrix(matrix);
+    const size = relation.length;
+    const less = (i, j) => i !== j && relation[i][j] === 1;
+
+    const covers = [];
+    const coverMatrix = relation.map(row => row.map(() => 0));
+
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            if (!less(i, j)) continue;
+
+            let hasIntermediate = false;
+            for (let k = 0; k < size && !hasIntermediate; k++) {
+                hasIntermediate = less(i, k) && less(k, j);
+            }
+
+            if (!hasIntermediate) {
+                covers.push([i, j]);
+                coverMatrix[i][j] = 1;
+            }
+        }
+    }
+
+    return { covers, matrix: coverMatrix };
+};
+
+/**
+ * Nivel de cada elemento: longitud de la cadena más larga que termina en él
+ * Los elementos minimales quedan en el nivel 0
+ */
+export const hasseLevels = (matrix) => {
+    const { covers } = coveringRelation(matrix);
+    const size = matrix.length;
+    const levels = Array(size).fill(0);
+
+    // Relajación tipo Bellman-Ford sobre un grafo acíclico (a lo sumo n pasadas)
+    for (let pass = 0; pass < size; pass++) {
+        let changed = false;
+        covers.forEach(([from, to]) => {
+            if (levels[to] < levels[from] + 1) {
+                levels[to] = levels[from] + 1;
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+
+    return levels;
+};
+
+// ==================== ELEMENTOS EXTREMOS ====================
+
+/**
+ * Elementos maximales, minimales, máximo y mínimo
+ */
+export const extremalElements = (matrix) => {
+    const relation = toRelationMatrix(matrix);
+    const size = relation.length;
+    const indices = Array.from({ length: size }, (_, i) => i);
+
+    // a es maximal si no existe b ≠ a con aRb
+    const maximal = indices.filter(a => indices.every(b => a === b || !relation[a][b]));
+    const minimal = indices.filter(a => indices.every(b => a === b || !relation[b][a]));
+
+    // El máximo es mayor o igual que todos; el mínimo, menor o igual que todos
+    const greatest = indices.find(a => indices.every(b => relation[b][a])) ?? null;
+    const least = indices.find(a => indices.every(b => relation[a][b])) ?? null;
+
+    return { maximal, minimal, greatest, least };
+};
+
+/**
+ * Cotas superiores comunes de a y b
+ */
+const upperBounds = (relation, a, b) => (
+    relation.map((_, c) => c).filter(c => relation[a][c] && relation[b][c])
+);
+
+/**
+ * Cotas inferiores comunes de a y b
+ */
+const lowerBounds = (relation, a, b) => (
+    relation.map((_, c) => c).filter(c => relation[c][a] && relation[c][b])
+);
+
+/**
+ * Verifica si el orden parcial es un retículo
+ * Cada par debe tener supremo (a ∨ b) e ínfimo (a ∧ b)
+ */
+export const checkLattice = (matrix) => {
+    const relation = toRelationMatrix(matrix);
+    const size = relation.length;
+
+    const joinTable = relation.map(() => Array(size).fill(null));
+    const meetTable = relation.map(() => Array(size).fill(null));
+    const failures = [];
+
+    for (let a = 0; a < size; a++) {
+        for (let b = a; b < size; b++) {
+            const uppers = upperBounds(relation, a, b);
+            const lowers = lowerBounds(relation, a, b);
+
+            // Supremo: la cota superior que es menor o igual que todas las demás
+            const join = uppers.find(u => uppers.every(v => relation[u][v])) ?? null;
+            // Ínfimo: la cota inferior que es mayor o igual que todas las demás
+            const meet = lowers.find(l => lowers.every(v => relation[v][l])) ?? null;
+
+            joinTable[a][b] = joinTable[b][a] = join;
+            meetTable[a][b] = meetTable[b][a] = meet;
+
+            if (join === null) failures.push({ a, b, type: 'join', bounds: uppers });
+            if (meet === null) failures.push({ a, b, type: 'meet', bounds: lowers });
+        }
+    }
+
+    return {
+        isLattice: failures.length === 0,
+        joinTable,
+        meetTable,
+        failures
+    };
+};
+
+// ==================== ANÁLISIS COMPLETO ====================
+
+/**
+ * Analiza una relación: propiedades y, si es orden parcial, diagrama de Hasse,
+ * elementos extremos y retículo
+ */
+export const analyzePoset = (matrix, labels = null) => {
+    const relation = toRelationMatrix(matrix);
+    const elements = labels || defaultLabels(relation.length);
+
+    if (elements.length !== relation.length) {
+        throw new Error('Debe haber una etiqueta por cada elemento');
+    }
+
+    const properties = checkPartialOrder(relation, elements);
+    const steps = [...properties.steps];
+
+    if (!properties.isPartialOrder) {
+        steps.push('La relación no es un orden parcial: no tiene diagrama de Hasse');
+        return { elements, relation, properties, steps };
+    }
+
+    const covering = coveringRelation(relation);
+    const levels = hasseLevels(relation);
+    const extremes = extremalElements(relation);
+    const lattice = checkLattice(relation);
+    const name = index => elements[index];
+
+    steps.push(`Relación de cobertura: ${covering.covers.map(([a, b]) => `${name(a)} ⋖ ${name(b)}`).join(', ') || 'vacía'}`);
+    steps.push(`Se eliminan ${relation.flat().filter(Boolean).length - covering.covers.length} pares reflexivos o transitivos`);
+    steps.push(`Maximales: {${extremes.maximal.map(name).join(', ')}}, minimales: {${extremes.minimal.map(name).join(', ')}}`);
+    steps.push(extremes.greatest !== null ? `Máximo: ${name(extremes.greatest)}` : 'No existe máximo');
+    steps.push(extremes.least !== null ? `Mínimo: ${name(extremes.least)}` : 'No existe mínimo');
+
+    if (lattice.isLattice) {
+        steps.push('Es un retículo: todo par tiene supremo e ínfimo');
+    } else {
+        const failure = lattice.failures[0];
+        steps.push(
+            `No es retículo: ${name(failure.a)} y ${name(failure.b)} no tienen ${failure.type === 'join' ? 'supremo' : 'ínfimo'}`
+        );
+    }
+
+    return {
+        elements,
+        relation,
+        properties,
+        covering,
+        levels,
+        extremes,
+        lattice,
+        steps
+    };
+};
+
+/**
+ * Analiza D(n) ordenado por divisibilidad
+ */
+export const analyzeDivisibility = (n) => {
+    const { elements, matrix } = divisibilityRelation(n);
+    const result = analyzePoset(matrix, elements.map(String));
+
+    return {
+        ...result,
+        n,
+        steps: [`D(${n}) = {${elements.join(', ')}} con a ≤ b si a | b`, ...result.steps]
+    };
+};
+
+// ==================== EXPORTACIONES PRINCIPALES ====================
+
+export const posets = {
+    divisors: divisorsOf,
+    divisibilityRelation,
+    checkPartialOrder,
+    coveringRelation,
+    hasseLevels,
+    extremalElements,
+    checkLattice,
+    analyze: analyzePoset,
+    analyzeDivisibility
+};
+
+export default posets;
@@ -0,0 +1,431 @@
+/**
+ * Lógica proposicional
+ * Analizador de fórmulas, tablas de verdad, formas normales y equivalencia lógica
+ */
+
+// ==================== CONSTANTES ====================
+
+// Operadores binarios: símbolo, precedencia y asociatividad
+export const OPERATORS = {
+    and: { symbol: '∧', precedence: 4, rightAssociative: false, label: 'Conjunción' },
+    or: { symbol: '∨', precedence: 3, rightAssociative: false, label: 'Disyunción' },
+    xor: { symbol: '⊕', precedence: 3, rightAssociative: false, label: 'Disyunción exclusiva' },
+    implies: { symbol: '→', precedence: 2, rightAssociative: true, label: 'Condicional' },
+    iff: { symbol: '↔', precedence: 1, rightAssociative: false, label: 'Bicondicional' }
+};
+
+export const NOT_SYMBOL = '¬';
+
+// Escrituras alternativas aceptadas, de la más larga a la más corta
+const ALIASES = [
+    ['<->', 'iff'], ['<=>', 'iff'], ['↔', 'iff'], ['⇔', 'iff'],
+    ['->', 'implies'], ['=>', 'implies'], ['→', 'implies'], ['⇒', 'implies'],
+    ['/\\', 'and'], ['∧', 'and'], ['&', 'and'],
+    ['\\/', 'or'], ['∨', 'or'], ['|', 'or'],
+    ['⊕', 'xor'], ['⊻', 'xor'],
+    ['¬', 'not'], ['~', 'not'], ['!', 'not'],
+    ['(', 'lparen'], [')', 'rparen'],
+    ['⊤', 'true'], ['1', 'true'], ['⊥', 'false'], ['0', 'false']
+];
+
+const MAX_VARIABLES = 10;
+
+// ==================== ANALIZADOR ====================
+
+/**
+ * Divide la fórmula en tokens
+ */
+export const tokenize = (formula) => {
+    const tokens = [];
+    let position = 0;
+
+    while (position < formula.length) {
+        const char = formula[position];
+
+        if (/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        const rest = formula.slice(position);
+        const alias = ALIASES.find(([text]) => rest.startsWith(text));
+        if (alias) {
+            tokens.push({ type: alias[1], text: alias[0], position });
+            position += alias[0].length;
+            continue;
+        }
+
+        const identifier = /^[A-Za-z][A-Za-z0-9_]*/.exec(rest);
+        if (identifier) {
+            tokens.push({ type: 'var', text: identifier[0], position });
+            position += identifier[0].length;
+            continue;
+        }
+
+        throw new Error(`Símbolo no reconocido "${char}" en la posición ${position + 1}`);
+    }
+
+    return tokens;
+};
+
+/**
+ * Construye el árbol sintáctico por descenso recursivo con precedencia de operadores
+ */
+export const parseFormula = (formula) => {
+    if (!formula || !formula.trim()) {
+        throw new Error('La fórmula está vacía');
+    }
+
+    const tokens = tokenize(formula);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `"${token.text}" en la posición ${token.position + 1}` : 'el final de la fórmula');
+
+    const parseOperand = () => {
+        const token = peek();
+
+        if (!token) {
+            throw new Error('La fórmula termina de forma inesperada');
+        }
+
+        if (token.type === 'not') {
+            index++;
+            return { type: 'not', operand: parseOperand() };
+        }
+
+        if (token.type === 'lparen') {
+            index++;
+            const inner = parseExpression(0);
+            if (!peek() || peek().type !== 'rparen') {
+                throw new Error(`Falta cerrar el paréntesis abierto en la posición ${token.position + 1}`);
+            }
+            index++;
+            return inner;
+        }
+
+        if (token.type === 'var') {
+            index++;
+            return { type: 'var', name: token.text };
+        }
+
+        if (token.type === 'true' || token.type === 'false') {
+            index++;
+            return { type: 'const', value: token.type === 'true' };
+        }
+
+        throw new Error(`Se esperaba una proposición y se encontró ${describe(token)}`);
+    };
+
+    const parseExpression = (minPrecedence) => {
+        let left = parseOperand();
+
+        while (peek() && OPERATORS[peek().type] && OPERATORS[peek().type].precedence >= minPrecedence) {
+            const operator = peek().type;
+            const { precedence, rightAssociative } = OPERATORS[operator];
+            index++;
+
+            const right = parseExpression(rightAssociative ? precedence : precedence + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+
+        return left;
+    };
+
+    const ast = parseExpression(0);
+
+    if (index < tokens.length) {
+        throw new Error(`Símbolo inesperado ${describe(peek())}`);
+    }
+
+    return {
+        ast,
+        variables: collectVariables(ast),
+        formula: formatFormula(ast)
+    };
+};
+
+/**
+ * Variables de la fórmula en orden alfabético
+ */
+const collectVariables = (ast) => {
+    const names = new Set();
+    const visit = (node) => {
+        if (node.type === 'var') names.add(node.name);
+        if (node.type === 'not') visit(node.operand);
+        if (node.type === 'binary') {
+            visit(node.left);
+            visit(node.right);
+        }
+    };
+    visit(ast);
+
+    return Array.from(names).sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Escribe el árbol con símbolos estándar, parentizando las subfórmulas binarias
+ */
+export const formatFormula = (ast, isRoot = true) => {
+    switch (ast.type) {
+        case 'var':
+            return ast.name;
+        case 'const':
+            return ast.value ? '⊤' : '⊥';
+        case 'not':
+            return `${NOT_SYMBOL}${formatFormula(ast.operand, false)}`;
+        case 'binary': {
+            const text = `${formatFormula(ast.left, false)} ${OPERATORS[ast.operator].symbol} ${formatFormula(ast.right, false)}`;
+            return isRoot ? text : `(${text})`;
+        }
+        default:
+            throw new Error(`Nodo desconocido: ${ast.type}`);
+    }
+};
+
+// ==================== EVALUACIÓN ====================
+
+/**
+ * Evalúa el árbol para una asignación {variable: booleano}
+ */
+export const evaluateFormula = (ast, assignment) => {
+    switch (ast.type) {
+        case 'var':
+            return Boolean(assignment[ast.name]);
+        case 'const':
+            return ast.value;
+        case 'not':
+            return !evaluateFormula(ast.operand, assignment);
+        case 'binary': {
+            const left = evaluateFormula(ast.left, assignment);
+            const right = evaluateFormula(ast.right, assignment);
+
+            switch (ast.operator) {
+                case 'and': return left && right;
+                case 'or': return left || right;
+                case 'xor': return left !== right;
+                case 'implies': return !left || right;
+                case 'iff': return left === right;
+                default: throw new Error(`Operador desconocido: ${ast.operator}`);
+            }
+        }
+        default:
+            throw new Error(`Nodo desconocido: ${ast.type}`);
+    }
+};
+
+/**
+ * Subfórmulas compuestas en orden de evaluación (de adentro hacia afuera), sin repetir
+ */
+const collectSubformulas = (ast) => {
+    const result = [];
+    const seen = new Set();
+
+    const visit = (node) => {
+        if (node.type === 'not') visit(node.operand);
+        if (node.type === 'binary') {
+            visit(node.left);
+            visit(node.right);
+        }
+        if (node.type === 'var' || node.type === 'const') return;
+
+        const text = formatFormula(node);
+        if (!seen.has(text)) {
+            seen.add(text);
+            result.push({ text, node });
+        }
+    };
+    visit(ast);
+
+    return result;
+};
+
+/**
+ * Genera las asignaciones en el orden de clase: la primera fila es todo verdadero
+ */
+const generateAssignments = (variables) => {
+    if (variables.length > MAX_VARIABLES) {
+        throw new Error(`La fórmula tiene ${variables.length} variables; el máximo es ${MAX_VARIABLES}`);
+    }
+
+    const count = 2 ** variables.length;
+    return Array.from({ length: count }, (_, row) => {
+        const assignment = {};
+        variables.forEach((name, i) => {
+            const bit = (row >> (variables.length - 1 - i)) & 1;
+            assignment[name] = bit === 0;
+        });
+        return assignment;
+    });
+};
+
+/**
+ * Clasifica la fórmula según su columna de resultados
+ */
+const classify = (results) => {
+    if (results.every(Boolean)) return 'tautology';
+    if (!results.some(Boolean)) return 'contradiction';
+    return 'contingency';
+};
+
+export const CLASSIFICATION_LABELS = {
+    tautology: 'Tautología',
+    contradiction: 'Contradicción',
+    contingency: 'Contingencia'
+};
+
+// ==================== TABLA DE VERDAD ====================
+
+/**
+ * Tabla de verdad completa con una columna por subfórmula
+ */
+export const generateTruthTable = (formula) => {
+    const parsed = parseFormula(formula);
+    const { ast, variables } = parsed;
+    const subformulas = collectSubformulas(ast);
+    const assignments = generateAssignments(variables);
+
+    const rows = assignments.map((assignment, index) => {
+        const subresults = subformulas.map(({ node }) => evaluateFormula(node, assignment));
+        const result = subformulas.length > 0
+            ? subresults[subresults.length - 1]
+            : evaluateFormula(ast, assignment);
+
+        return {
+            index,
+            values: variables.map(name => assignment[name]),
+            subresults,
+            result
+        };
+    });
+
+    const results = rows.map(row => row.result);
+    const classification = classify(results);
+    const trueCount = results.filter(Boolean).length;
+
+    return {
+        formula: parsed.formula,
+        variables,
+        columns: subformulas.map(({ text }) => text),
+        rows,
+        classification,
+        trueCount,
+        falseCount: rows.length - trueCount,
+        steps: [
+            `Fórmula: ${parsed.formula}`,
+            `${variables.length} variables → 2^${variables.length} = ${rows.length} filas`,
+            `${subformulas.length} subfórmulas compuestas evaluadas de adentro hacia afuera`,
+            `${trueCount} filas verdaderas y ${rows.length - trueCount} falsas: ${CLASSIFICATION_LABELS[classification].toLowerCase()}`
+        ]
+    };
+};
+
+// ==================== FORMAS NORMALES ====================
+
+/**
+ * Formas normales canónicas a partir de la tabla de verdad
+ * FND: disyunción de los mintérminos (filas verdaderas)
+ * FNC: conjunción de los maxtérminos (filas falsas)
+ */
+export const normalForms = (formula) => {
+    const table = generateTruthTable(formula);
+    const { variables, rows } = table;
+
+    const literal = (name, value, positive) => (value === positive ? name : `${NOT_SYMBOL}${name}`);
+    const wrap = (parts, symbol) => (parts.length > 1 ? `(${parts.join(` ${symbol} `)})` : parts[0]);
+
+    const mintermLiterals = rows
+        .filter(row => row.result)
+        .map(row => variables.map((name, i) => literal(name, row.values[i], true)));
+
+    const maxtermLiterals = rows
+        .filter(row => !row.result)
+        .map(row => variables.map((name, i) => literal(name, row.values[i], false)));
+
+    // Un único término no necesita paréntesis externos
+    const minterms = mintermLiterals.length > 1
+        ? mintermLiterals.map(parts => wrap(parts, '∧'))
+        : mintermLiterals.map(parts => parts.join(' ∧ '));
+    const maxterms = maxtermLiterals.length > 1
+        ? maxtermLiterals.map(parts => wrap(parts, '∨'))
+        : maxtermLiterals.map(parts => parts.join(' ∨ '));
+
+    // Sin variables la fórmula es una constante
+    const dnf = variables.length === 0 || minterms.length === 0
+        ? (table.trueCount > 0 ? '⊤' : '⊥')
+        : minterms.join(' ∨ ');
+    const cnf = variables.length === 0 || maxterms.length === 0
+        ? (table.falseCount > 0 ? '⊥' : '⊤')
+        : maxterms.join(' ∧ ');
+
+    return {
+        formula: table.formula,
+        variables,
+        dnf,
+        cnf,
+        minterms: rows.filter(row => row.result).map(row => row.index),
+        maxterms: rows.filter(row => !row.result).map(row => row.index),
+        steps: [
+            `FND: un mintérmino por cada fila verdadera (${minterms.length})`,
+            `FNC: un maxtérmino por cada fila falsa (${maxterms.length})`
+        ]
+    };
+};
+
+// ==================== EQUIVALENCIA ====================
+
+/**
+ * Verifica si dos fórmulas son lógicamente equivalentes
+ * Se evalúan sobre la unión de sus variables; son equivalentes si A ↔ B es tautología
+ */
+export const checkEquivalence = (formulaA, formulaB) => {
+    const a = parseFormula(formulaA);
+    const b = parseFormula(formulaB);
+    const variables = Array.from(new Set([...a.variables, ...b.variables])).sort((x, y) => x.localeCompare(y));
+    const assignments = generateAssignments(variables);
+
+    const rows = assignments.map((assignment, index) => {
+        const resultA = evaluateFormula(a.ast, assignment);
+        const resultB = evaluateFormula(b.ast, assignment);
+
+        return {
+            index,
+            values: variables.map(name => assignment[name]),
+            resultA,
+            resultB,
+            matches: resultA === resultB
+        };
+    });
+
+    const counterexamples = rows.filter(row => !row.matches).map(row => row.index);
+    const equivalent = counterexamples.length === 0;
+
+    return {
+        formulaA: a.formula,
+        formulaB: b.formula,
+        variables,
+        rows,
+        equivalent,
+        counterexamples,
+        steps: [
+            `Variables comunes: ${variables.join(', ') || 'ninguna'}`,
+            equivalent
+                ? `(${a.formula}) ↔ (${b.formula}) es tautología: las fórmulas son equivalentes`
+                : `Las fórmulas difieren en ${counterexamples.length} de ${rows.length} filas`
+        ]
+    };
+};
+
+// ==================== EXPORTACIONES PRINCIPALES ====================
+
+export const propositionalLogic = {
+    tokenize,
+    parse: parseFormula,
+    format: formatFormula,
+    evaluate: evaluateFormula,
+    truthTable: generateTruthTable,
+    normalForms,
+    equivalence: checkEquivalence
+};
+
+export default propositionalLogic;
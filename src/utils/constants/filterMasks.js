@@ -3,6 +3,9 @@
  * Organizadas por tipo de filtro y efecto deseado
  */
 
+// Tamaños de ventana admitidos (impares, hasta 7x7)
+export const KERNEL_SIZES = [3, 5, 7];
+
 // ==================== FILTROS LAPLACIANOS (DETECCIÓN DE BORDES) ====================
 
 /**
@@ -178,6 +181,21 @@ export const GAUSSIAN_MASKS = {
         ],
         divisor: 16,
         offset: 0
+    },
+
+    // Gaussiano binomial 5x5
+    APPROXIMATE_5X5: {
+        name: 'Gaussiano Aproximado 5x5',
+        description: 'Aproximación binomial de filtro Gaussiano en 5x5',
+        mask: [
+            1, 4, 6, 4, 1,
+            4, 16, 24, 16, 4,
+            6, 24, 36, 24, 6,
+            4, 16, 24, 16, 4,
+            1, 4, 6, 4, 1
+        ],
+        divisor: 256,
+        offset: 0
     }
 };
 
@@ -420,28 +438,25 @@ export const NOISE_REDUCTION_MASKS = {
 // ==================== UTILIDADES PARA MÁSCARAS ====================
 
 /**
- * Convierte máscara plana a matriz 3x3
+ * Convierte máscara plana de n² elementos a matriz nxn (n en KERNEL_SIZES: 3, 5 o 7)
  */
 export const maskToMatrix = (mask) => {
-    if (Array.isArray(mask) && mask.length === 9) {
-        return [
-            [mask[0], mask[1], mask[2]],
-            [mask[3], mask[4], mask[5]],
-            [mask[6], mask[7], mask[8]]
-        ];
+    const size = Array.isArray(mask) ? Math.round(Math.sqrt(mask.length)) : 0;
+    if (KERNEL_SIZES.includes(size) && size * size === mask.length) {
+        return Array.from({ length: size }, (_, i) => mask.slice(i * size, (i + 1) * size));
     }
-    throw new Error('La máscara debe ser un array de 9 elementos');
+    throw new Error(`La máscara debe ser un array de ${KERNEL_SIZES.map(n => n * n).join(', ')} elementos`);
 };
 
 /**
- * Convierte matriz 3x3 a máscara plana
+ * Convierte matriz nxn (n en KERNEL_SIZES) a máscara plana
  */
 export const matrixToMask = (matrix) => {
-    if (Array.isArray(matrix) && matrix.length === 3 &&
-        matrix.every(row => Array.isArray(row) && row.length === 3)) {
+    if (Array.isArray(matrix) && KERNEL_SIZES.includes(matrix.length) &&
+        matrix.every(row => Array.isArray(row) && row.length === matrix.length)) {
         return matrix.flat();
     }
-    throw new Error('La matriz debe ser 3x3');
+    throw new Error(`La matriz debe ser cuadrada de lado ${KERNEL_SIZES.map(n => `${n}x${n}`).join(', ')}`);
 };
 
 /**
@@ -496,6 +496,104 @@ export const gridLayout = (vertexCount, startX, startY, cellSize, maxCols = null
     return positions;
 };
 
+/**
+ * Calcula layout jerárquico para un árbol con raíz
+ * Las hojas se reparten de izquierda a derecha y cada padre queda centrado sobre sus hijos.
+ * Retorna un objeto {id: {x, y, depth}}
+ */
+export const treeLayout = (root, getChildren, width, height, options = {}) => {
+    const {
+        marginX = 30,
+        marginY = 30,
+        getId = node => node.id
+    } = options;
+
+    const positions = {};
+    let leafCount = 0;
+    let maxDepth = 0;
+
+    // Primera pasada: orden de hojas y profundidad
+    const visit = (node, depth) => {
+        const children = getChildren(node).filter(Boolean);
+        maxDepth = Math.max(maxDepth, depth);
+
+        if (children.length === 0) {
+            positions[getId(node)] = { slot: leafCount++, depth };
+            return positions[getId(node)].slot;
+        }
+
+        const slots = children.map(child => visit(child, depth + 1));
+        const slot = (slots[0] + slots[slots.length - 1]) / 2;
+        positions[getId(node)] = { slot, depth };
+        return slot;
+    };
+
+    visit(root, 0);
+
+    // Segunda pasada: escalar al área disponible
+    const columnWidth = (width - 2 * marginX) / Math.max(leafCount, 1);
+    const rowHeight = maxDepth > 0 ? (height - 2 * marginY) / maxDepth : 0;
+
+    Object.keys(positions).forEach(id => {
+        const { slot, depth } = positions[id];
+        positions[id] = {
+            x: marginX + columnWidth * (slot + 0.5),
+            y: marginY + rowHeight * depth,
+            depth
+        };
+    });
+
+    return positions;
+};
+
+/**
+ * Calcula layout por capas para un grafo acíclico (diagramas de Hasse, DAGs)
+ * levels[i] es la capa del vértice i; dentro de cada capa los vértices se ordenan
+ * por el baricentro de sus vecinos en la capa anterior para reducir cruces.
+ */
+export const layeredLayout = (levels, edges, width, height, options = {}) => {
+    const {
+        marginX = 30,
+        marginY = 30,
+        bottomUp = true
+    } = options;
+
+    const layerCount = levels.length > 0 ? Math.max(...levels) + 1 : 0;
+    const layers = Array.from({ length: layerCount }, () => []);
+    levels.forEach((level, vertex) => layers[level].push(vertex));
+
+    const rowHeight = layerCount > 1 ? (height - 2 * marginY) / (layerCount - 1) : 0;
+    const positions = [];
+
+    layers.forEach((members, level) => {
+        if (level > 0) {
+            // Baricentro de los vecinos ya ubicados en capas inferiores
+            const barycenter = (vertex) => {
+                const neighbors = edges
+                    .filter(([from, to]) => to === vertex && positions[from])
+                    .map(([from]) => positions[from].x);
+                return neighbors.length > 0
+                    ? neighbors.reduce((sum, x) => sum + x, 0) / neighbors.length
+                    : width / 2;
+            };
+            const keys = new Map(members.map(vertex => [vertex, barycenter(vertex)]));
+            members.sort((a, b) => keys.get(a) - keys.get(b) || a - b);
+        }
+
+        const columnWidth = (width - 2 * marginX) / members.length;
+        const offset = rowHeight * level;
+
+        members.forEach((vertex, position) => {
+            positions[vertex] = {
+                x: marginX + columnWidth * (position + 0.5),
+                y: bottomUp ? height - marginY - offset : marginY + offset
+            };
+        });
+    });
+
+    return positions;
+};
+
 /**
  * Algoritmo simple de force-directed layout
  */
@@ -705,6 +803,101 @@ export const optimizeVertexPositions = (vertices, minDistance = 30) => {
     return optimized;
 };
 
+// ==================== IMÁGENES ====================
+
+export const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Carga un archivo PNG/JPEG como elemento Image
+ */
+export const loadImageFile = (file) => {
+    return new Promise((resolve, reject) => {
+        if (!file || !IMAGE_TYPES.includes(file.type)) {
+            reject(new Error('Formato no soportado: seleccione una imagen PNG o JPEG'));
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`No se pudo leer la imagen "${file.name}"`));
+        };
+        image.src = url;
+    });
+};
+
+/**
+ * Convierte una imagen a matriz de niveles de gris (0-255) mediante getImageData
+ * Las imágenes grandes se reducen para que el lado mayor no supere maxSize
+ */
+export const imageToGrayscale = (image, maxSize = 512) => {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+
+    // Luminancia ITU-R BT.601
+    const matrix = [];
+    for (let y = 0; y < height; y++) {
+        const row = new Array(width);
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            row[x] = Math.round(0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2]);
+        }
+        matrix.push(row);
+    }
+
+    return {
+        width,
+        height,
+        originalWidth: image.width,
+        originalHeight: image.height,
+        matrix
+    };
+};
+
+/**
+ * Dibuja una matriz de niveles de gris en un canvas (un píxel por celda)
+ * maxLevel es el nivel que se muestra como blanco (L-1 para imágenes de L niveles)
+ */
+export const drawGrayscaleMatrix = (canvas, matrix, maxLevel = 255) => {
+    if (!canvas || !Array.isArray(matrix) || matrix.length === 0) return;
+
+    const height = matrix.length;
+    const width = matrix[0].length;
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * 4;
+            const value = Math.round((matrix[y][x] * 255) / maxLevel);
+            imageData.data[offset] = value;
+            imageData.data[offset + 1] = value;
+            imageData.data[offset + 2] = value;
+            imageData.data[offset + 3] = 255;
+        }
+    }
+
+    context.putImageData(imageData, 0, 0);
+};
+
 // ==================== EXPORTACIÓN ====================
 
 export const canvasHelpers = {
@@ -734,6 +927,8 @@ export const canvasHelpers = {
     // Layouts
     circularLayout,
     gridLayout,
+    treeLayout,
+    layeredLayout,
     forceDirectedLayout,
 
     // Animación
@@ -746,9 +941,15 @@ export const canvasHelpers = {
     calculateHistogramLayout,
     optimizeVertexPositions,
 
+    // Imágenes
+    loadImageFile,
+    imageToGrayscale,
+    drawGrayscaleMatrix,
+
     // Constantes
     COLORS,
-    SHAPES
+    SHAPES,
+    IMAGE_TYPES
 };
 
 export default canvasHelpers;
\ No newline at end of file
@@ -268,7 +268,8 @@ export const lcm = (a, b) => {
 
     if (a === 0 || b === 0) return 0;
 
-    return Math.abs(a * b) / gcd(a, b);
+    // Dividir antes de multiplicar evita perder precisión cerca de 2^53
+    return (Math.abs(a) / gcd(a, b)) * Math.abs(b);
 };
 
 /**
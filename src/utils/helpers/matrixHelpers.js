@@ -97,6 +97,53 @@ export const isIdentityMatrix = (matrix) => {
     return true;
 };
 
+/**
+ * Verifica si una matriz de relación es reflexiva (aRa para todo a)
+ */
+export const isReflexiveRelation = (matrix) => {
+    if (!isSquareMatrix(matrix)) return false;
+
+    return matrix.every((row, i) => Boolean(row[i]));
+};
+
+/**
+ * Verifica si una matriz de relación es antisimétrica (aRb y bRa implican a = b)
+ */
+export const isAntisymmetricRelation = (matrix) => {
+    if (!isSquareMatrix(matrix)) return false;
+
+    const size = matrix.length;
+    for (let i = 0; i < size; i++) {
+        for (let j = i + 1; j < size; j++) {
+            if (matrix[i][j] && matrix[j][i]) {
+                return false;
+            }
+        }
+    }
+    return true;
+};
+
+/**
+ * Verifica si una matriz de relación es transitiva (aRb y bRc implican aRc)
+ */
+export const isTransitiveRelation = (matrix) => {
+    if (!isSquareMatrix(matrix)) return false;
+
+    const size = matrix.length;
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+            if (!matrix[i][j]) continue;
+
+            for (let k = 0; k < size; k++) {
+                if (matrix[j][k] && !matrix[i][k]) {
+                    return false;
+                }
+            }
+        }
+    }
+    return true;
+};
+
 // ==================== CONVERSIÓN Y FORMATEO ====================
 
 /**
@@ -447,6 +494,53 @@ export const multiplyMatrices = (matrix1, matrix2) => {
     return result;
 };
 
+/**
+ * Matriz menor: elimina la fila row y la columna col
+ */
+export const minorMatrix = (matrix, row, col) => {
+    return matrix
+        .filter((_, i) => i !== row)
+        .map(r => r.filter((_, j) => j !== col));
+};
+
+/**
+ * Determinante por desarrollo de Laplace (exacto con enteros; pensado para
+ * matrices pequeñas)
+ */
+export const determinant = (matrix) => {
+    if (!isSquareMatrix(matrix)) {
+        throw new Error('El determinante requiere una matriz cuadrada');
+    }
+
+    const n = matrix.length;
+    if (n === 1) return matrix[0][0];
+    if (n === 2) return matrix[0][0] * matrix[1][1] - matrix[0][1] * matrix[1][0];
+
+    return matrix[0].reduce((sum, value, j) => {
+        if (value === 0) return sum;
+        const sign = j % 2 === 0 ? 1 : -1;
+        return sum + sign * value * determinant(minorMatrix(matrix, 0, j));
+    }, 0);
+};
+
+/**
+ * Matriz adjunta (traspuesta de la matriz de cofactores): A·adj(A) = det(A)·I
+ */
+export const adjugateMatrix = (matrix) => {
+    if (!isSquareMatrix(matrix)) {
+        throw new Error('La adjunta requiere una matriz cuadrada');
+    }
+
+    const n = matrix.length;
+    if (n === 1) return [[1]];
+
+    const cofactors = matrix.map((row, i) =>
+        row.map((_, j) => ((i + j) % 2 === 0 ? 1 : -1) * determinant(minorMatrix(matrix, i, j)))
+    );
+
+    return transposeMatrix(cofactors);
+};
+
 // ==================== ANÁLISIS ====================
 
 /**
@@ -635,6 +729,9 @@ export const matrixHelpers = {
     isSymmetricMatrix,
     isDiagonalMatrix,
     isIdentityMatrix,
+    isReflexiveRelation,
+    isAntisymmetricRelation,
+    isTransitiveRelation,
 
     // Conversión
     toNumericMatrix,
@@ -658,6 +755,9 @@ export const matrixHelpers = {
     subtractMatrices,
     scalarMultiply,
     multiplyMatrices,
+    minorMatrix,
+    determinant,
+    adjugateMatrix,
 
     // Análisis
     getMatrixDimensions,
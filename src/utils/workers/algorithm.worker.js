@@ -0,0 +1,49 @@
+/**
+ * Worker de ejecución de algoritmos
+ * Recibe { id, algorithmPath, params } y responde con mensajes de progreso,
+ * resultado o error identificados por el mismo id
+ */
+
+import { resolveAlgorithm } from '../algorithms';
+import { setProgressReporter } from './progress';
+
+/* eslint-env es2020 */
+
+const context = globalThis;
+
+// Intervalo mínimo entre mensajes de progreso
+const PROGRESS_INTERVAL = 100;
+
+const serializeError = (error) => ({
+    name: error?.name || 'Error',
+    message: error?.message || String(error)
+});
+
+context.onmessage = async (event) => {
+    const { id, algorithmPath, params } = event.data;
+    let lastProgress = 0;
+
+    setProgressReporter((value, message) => {
+        const now = Date.now();
+        if (value < 1 && now - lastProgress < PROGRESS_INTERVAL) return;
+
+        lastProgress = now;
+        context.postMessage({ id, type: 'progress', value, message });
+    });
+
+    try {
+        const algorithm = resolveAlgorithm(algorithmPath);
+        const result = await algorithm(...params);
+
+        try {
+            context.postMessage({ id, type: 'result', result });
+        } catch (error) {
+            // El resultado no es clonable: el hilo principal repetirá la ejecución
+            context.postMessage({ id, type: 'error', error: serializeError(error) });
+        }
+    } catch (error) {
+        context.postMessage({ id, type: 'error', error: serializeError(error) });
+    } finally {
+        setProgressReporter(null);
+    }
+};
@@ -0,0 +1,9 @@
+/**
+ * Crea un worker de algoritmos
+ * Se carga con import() dinámico para que el entorno de pruebas no tenga que
+ * interpretar import.meta
+ */
+
+const createAlgorithmWorker = () => new Worker(new URL('./algorithm.worker.js', import.meta.url));
+
+export default createAlgorithmWorker;
@@ -0,0 +1,25 @@
+/**
+ * Notificación de progreso para algoritmos largos
+ * El worker registra un receptor que reenvía el avance al hilo principal;
+ * fuera de un worker las llamadas no tienen efecto
+ */
+
+let reporter = null;
+
+/**
+ * Registra (o elimina con null) la función que recibe el progreso
+ */
+export const setProgressReporter = (callback) => {
+    reporter = callback;
+};
+
+/**
+ * Informa el avance de la ejecución actual
+ * @param {number} value - Fracción completada entre 0 y 1
+ * @param {string} message - Descripción opcional de la etapa
+ */
+export const reportProgress = (value, message = '') => {
+    if (reporter) {
+        reporter(Math.min(1, Math.max(0, value)), message);
+    }
+};
@@ -0,0 +1,226 @@
+/**
+ * Pool de Web Workers para ejecutar algoritmos fuera del hilo principal
+ * Cola de tareas, cancelación real mediante AbortSignal y timeout: en ambos
+ * casos se termina el worker que ejecuta la tarea y se crea uno nuevo
+ */
+
+const MAX_POOL_SIZE = 4;
+
+/**
+ * Tamaño por defecto: un worker por núcleo, dejando uno libre para la interfaz
+ */
+const defaultPoolSize = () => {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency
+        ? navigator.hardwareConcurrency
+        : 2;
+    return Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+};
+
+/**
+ * Error de cancelación con el mismo nombre que usa fetch
+ */
+export const createAbortError = () => {
+    const error = new Error('Ejecución cancelada');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Indica si el entorno permite crear Web Workers
+ */
+export const isWorkerSupported = () => typeof Worker !== 'undefined';
+
+/**
+ * Crea un pool de workers
+ * @param {Object} options - { size, createWorker } (createWorker permite inyectar la fábrica)
+ */
+export const createWorkerPool = (options = {}) => {
+    const { size = defaultPoolSize(), createWorker = null } = options;
+
+    const slots = [];
+    const queue = [];
+    let nextId = 0;
+    let factory = createWorker;
+    let factoryPromise = null;
+
+    const loadFactory = () => {
+        if (factory) return Promise.resolve(factory);
+
+        if (!factoryPromise) {
+            factoryPromise = import('./createAlgorithmWorker').then(module => {
+                factory = module.default;
+                return factory;
+            });
+        }
+
+        return factoryPromise;
+    };
+
+    /**
+     * Libera la tarea del slot, la resuelve o rechaza y atiende la cola
+     */
+    const settle = (slot, callback) => {
+        const { task } = slot;
+        if (!task) return;
+
+        slot.task = null;
+        task.dispose();
+        callback(task);
+        schedule();
+    };
+
+    const startWorker = (slot) => {
+        const worker = factory();
+
+        worker.onmessage = ({ data }) => {
+            const { task } = slot;
+            if (!task || data.id !== task.id) return;
+
+            if (data.type === 'progress') {
+                if (task.onProgress) task.onProgress(data.value, data.message);
+                return;
+            }
+
+            if (data.type === 'result') {
+                settle(slot, t => t.resolve(data.result));
+            } else {
+                const error = new Error(data.error.message);
+                error.name = data.error.name;
+                settle(slot, t => t.reject(error));
+            }
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            restartWorker(slot);
+            settle(slot, t => t.reject(new Error(event.message || 'Error inesperado en el worker')));
+        };
+
+        slot.worker = worker;
+    };
+
+    /**
+     * Termina el worker (detiene el algoritmo en curso) y lo reemplaza
+     */
+    const restartWorker = (slot) => {
+        slot.worker.terminate();
+        startWorker(slot);
+    };
+
+    /**
+     * Asigna tareas pendientes a workers libres, creando workers hasta el tamaño del pool
+     */
+    const schedule = () => {
+        while (queue.length > 0) {
+            let slot = slots.find(s => !s.task);
+
+            if (!slot && slots.length < size) {
+                slot = { worker: null, task: null };
+                startWorker(slot);
+                slots.push(slot);
+            }
+
+            if (!slot) return;
+
+            const task = queue.shift();
+            slot.task = task;
+            task.slot = slot;
+
+            try {
+                slot.worker.postMessage({ id: task.id, algorithmPath: task.algorithmPath, params: task.params });
+            } catch (error) {
+                // Parámetros no clonables (DataCloneError)
+                settle(slot, t => t.reject(error));
+                continue;
+            }
+
+            // El tiempo límite corre desde que un worker toma la tarea, no mientras espera en la cola
+            if (task.timeout > 0) {
+                task.timer = setTimeout(() => task.cancel(new Error('Timeout: El algoritmo tardó demasiado')), task.timeout);
+            }
+        }
+    };
+
+    /**
+     * Ejecuta un algoritmo en el pool
+     * @param {string} algorithmPath - Ruta 'categoria.metodo'
+     * @param {Array} params - Parámetros del algoritmo
+     * @param {Object} options - { signal, onProgress(value, message), timeout }
+     */
+    const run = async (algorithmPath, params = [], options = {}) => {
+        const { signal = null, onProgress = null, timeout = 0 } = options;
+
+        if (signal?.aborted) throw createAbortError();
+        await loadFactory();
+        if (signal?.aborted) throw createAbortError();
+
+        return new Promise((resolve, reject) => {
+            const task = {
+                id: ++nextId,
+                algorithmPath,
+                params,
+                onProgress,
+                timeout,
+                slot: null,
+                timer: null,
+                resolve,
+                reject
+            };
+
+            // Quita la tarea de la cola o detiene el worker que la ejecuta
+            task.cancel = (error) => {
+                if (task.slot) {
+                    restartWorker(task.slot);
+                    settle(task.slot, t => t.reject(error));
+                    return;
+                }
+
+                const index = queue.indexOf(task);
+                if (index !== -1) queue.splice(index, 1);
+                task.dispose();
+                reject(error);
+            };
+
+            const handleAbort = () => task.cancel(createAbortError());
+
+            task.dispose = () => {
+                clearTimeout(task.timer);
+                if (signal) signal.removeEventListener('abort', handleAbort);
+            };
+
+            if (signal) signal.addEventListener('abort', handleAbort);
+
+            queue.push(task);
+            schedule();
+        });
+    };
+
+    /**
+     * Termina todos los workers y rechaza las tareas pendientes
+     */
+    const terminate = () => {
+        const pending = [...queue.splice(0), ...slots.map(slot => slot.task).filter(Boolean)];
+
+        slots.splice(0).forEach(slot => slot.worker.terminate());
+        pending.forEach(task => {
+            task.dispose();
+            task.reject(createAbortError());
+        });
+    };
+
+    return { run, terminate };
+};
+
+let sharedPool = null;
+
+/**
+ * Pool compartido por toda la aplicación (se crea al primer uso)
+ */
+export const getWorkerPool = () => {
+    if (!sharedPool) {
+        sharedPool = createWorkerPool();
+    }
+    return sharedPool;
+};
+
+export default getWorkerPool;
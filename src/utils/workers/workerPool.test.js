@@ -0,0 +1,178 @@
+import { createWorkerPool } from './workerPool';
+
+/**
+ * Worker simulado: guarda los mensajes recibidos y permite responder a mano
+ */
+const createFakeWorkerFactory = () => {
+    const workers = [];
+
+    const factory = () => {
+        const worker = {
+            messages: [],
+            terminated: false,
+            onmessage: null,
+            onerror: null,
+            postMessage(message) {
+                if (message.params.some(param => typeof param === 'function')) {
+                    const error = new Error('function could not be cloned');
+                    error.name = 'DataCloneError';
+                    throw error;
+                }
+                worker.messages.push(message);
+            },
+            terminate() {
+                worker.terminated = true;
+            },
+            reply(data) {
+                const { id } = worker.messages[worker.messages.length - 1];
+                worker.onmessage({ data: { id, ...data } });
+            }
+        };
+        workers.push(worker);
+        return worker;
+    };
+
+    return { factory, workers };
+};
+
+// run espera la fábrica antes de encolar la tarea
+const flushMicrotasks = async () => {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('createWorkerPool', () => {
+    test('encola las tareas cuando todos los workers están ocupados', async () => {
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+
+        const first = pool.run('graphTheory.dijkstra', [1]);
+        const second = pool.run('graphTheory.dijkstra', [2]);
+        await flushMicrotasks();
+
+        expect(workers).toHaveLength(1);
+        expect(workers[0].messages.map(message => message.params)).toEqual([[1]]);
+
+        workers[0].reply({ type: 'result', result: 'uno' });
+        await expect(first).resolves.toBe('uno');
+        expect(workers[0].messages.map(message => message.params)).toEqual([[1], [2]]);
+
+        workers[0].reply({ type: 'result', result: 'dos' });
+        await expect(second).resolves.toBe('dos');
+    });
+
+    test('reenvía el progreso de la tarea en curso', async () => {
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+        const onProgress = jest.fn();
+
+        const task = pool.run('cryptography.rsa.generateRandomKeys', [512], { onProgress });
+        await flushMicrotasks();
+
+        workers[0].reply({ type: 'progress', value: 0.5, message: 'Miller-Rabin' });
+        workers[0].reply({ type: 'result', result: 'claves' });
+
+        await expect(task).resolves.toBe('claves');
+        expect(onProgress).toHaveBeenCalledWith(0.5, 'Miller-Rabin');
+    });
+
+    test('una tarea cancelada antes de empezar sale de la cola sin tocar el worker', async () => {
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+        const controller = new AbortController();
+
+        const running = pool.run('graphTheory.dijkstra', [1]);
+        const queued = pool.run('graphTheory.dijkstra', [2], { signal: controller.signal });
+        await flushMicrotasks();
+
+        controller.abort();
+        await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+        expect(workers[0].terminated).toBe(false);
+
+        workers[0].reply({ type: 'result', result: 'uno' });
+        await expect(running).resolves.toBe('uno');
+        expect(workers[0].messages).toHaveLength(1);
+    });
+
+    test('rechaza de inmediato con una señal ya cancelada', async () => {
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(pool.run('graphTheory.dijkstra', [1], { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(workers).toHaveLength(0);
+    });
+
+    test('cancelar una tarea en curso termina su worker y lo reemplaza', async () => {
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+        const controller = new AbortController();
+
+        const cancelled = pool.run('graphTheory.dijkstra', [1], { signal: controller.signal });
+        const next = pool.run('graphTheory.dijkstra', [2]);
+        await flushMicrotasks();
+
+        controller.abort();
+        await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+        expect(workers[0].terminated).toBe(true);
+        expect(workers).toHaveLength(2);
+        expect(workers[1].messages.map(message => message.params)).toEqual([[2]]);
+
+        workers[1].reply({ type: 'result', result: 'dos' });
+        await expect(next).resolves.toBe('dos');
+    });
+
+    test('el tiempo límite corre desde que un worker toma la tarea', async () => {
+        jest.useFakeTimers();
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+
+        const first = pool.run('graphTheory.dijkstra', [1], { timeout: 1000 });
+        const second = pool.run('graphTheory.dijkstra', [2], { timeout: 1000 });
+        await flushMicrotasks();
+
+        // La segunda tarea espera en la cola más que su propio límite
+        jest.advanceTimersByTime(900);
+        workers[0].reply({ type: 'result', result: 'uno' });
+        await expect(first).resolves.toBe('uno');
+
+        jest.advanceTimersByTime(900);
+        expect(workers[0].terminated).toBe(false);
+
+        jest.advanceTimersByTime(100);
+        await expect(second).rejects.toThrow('Timeout: El algoritmo tardó demasiado');
+        expect(workers[0].terminated).toBe(true);
+    });
+
+    test('propaga DataCloneError y deja el worker libre para la siguiente tarea', async () => {
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+
+        const notCloneable = pool.run('graphTheory.dijkstra', [() => 1]);
+        const next = pool.run('graphTheory.dijkstra', [2]);
+        await flushMicrotasks();
+
+        await expect(notCloneable).rejects.toMatchObject({ name: 'DataCloneError' });
+        expect(workers).toHaveLength(1);
+        expect(workers[0].messages.map(message => message.params)).toEqual([[2]]);
+
+        workers[0].reply({ type: 'result', result: 'dos' });
+        await expect(next).resolves.toBe('dos');
+    });
+
+    test('los errores del algoritmo conservan su nombre y mensaje', async () => {
+        const { factory, workers } = createFakeWorkerFactory();
+        const pool = createWorkerPool({ size: 1, createWorker: factory });
+
+        const task = pool.run('graphTheory.dijkstra', [1]);
+        await flushMicrotasks();
+
+        workers[0].reply({ type: 'error', error: { name: 'RangeError', message: 'Vértice inválido' } });
+        await expect(task).rejects.toMatchObject({ name: 'RangeError', message: 'Vértice inválido' });
+    });
+});